@@ -0,0 +1,162 @@
+// Convert an eBird bar chart export into the local regional frequency file used by ebirdService
+//
+// 1. On ebird.org open Explore → Bar Charts for the region, then "Download Histogram Data"
+// 2. node scripts/import-ebird-barchart.js <histogram.txt> <REGION> [--name "Singapore"] [--recent]
+//    e.g. node scripts/import-ebird-barchart.js ebird_SG__1900_2026_1_12_barchart.txt SG --name Singapore --recent
+//
+// --recent also stores the species reported in the last 30 days (needs EBIRD_API_KEY), so recent
+// vagrants aren't flagged as unusual. Writes data/ebird-regions/<REGION>.json
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ebirdTaxonomy } = require('../src/services/ebirdTaxonomy');
+
+const REGION_DATA_DIR = process.env.EBIRD_REGION_DATA_DIR || path.join(__dirname, '..', 'data', 'ebird-regions');
+const RECENT_DAYS = 30;
+
+/**
+ * Parse the histogram export: a "Sample Size:" row and one row per taxon, 48 weekly values (4 per month)
+ * Taxon cells look like: Javan Myna (<em class="sci">Acridotheres javanicus</em>)
+ * @param {string} content
+ * @returns {{sampleSizes: number[], taxa: Array<{commonName: string, scientificName: string|null, values: number[]}>}}
+ */
+function parseHistogram(content) {
+  let sampleSizes = null;
+  const taxa = [];
+
+  for (const line of content.split(/\r?\n/)) {
+    const cells = line.split('\t');
+    const label = cells[0].trim();
+    const values = cells.slice(1).filter(cell => cell.trim() !== '').map(Number);
+    if (!label || values.length < 48 || values.some(Number.isNaN)) continue;
+
+    if (/^sample size/i.test(label)) {
+      sampleSizes = values.slice(0, 48);
+      continue;
+    }
+
+    const sciMatch = label.match(/<em[^>]*>(.*?)<\/em>/i);
+    taxa.push({
+      commonName: label.replace(/\(?<em[^>]*>.*?<\/em>\)?/i, '').trim(),
+      scientificName: sciMatch ? sciMatch[1].trim() : null,
+      values: values.slice(0, 48)
+    });
+  }
+
+  if (!sampleSizes) throw new Error('No "Sample Size" row found - is this an eBird histogram export?');
+  return { sampleSizes, taxa };
+}
+
+/**
+ * Weekly frequencies → monthly, weighted by checklists per week
+ * @param {number[]} values - 48 weekly values
+ * @param {number[]} sampleSizes - 48 weekly checklist counts
+ * @returns {number[]} 12 monthly values
+ */
+function toMonthly(values, sampleSizes) {
+  return Array.from({ length: 12 }, (_, month) => {
+    let reported = 0;
+    let total = 0;
+    for (let week = month * 4; week < month * 4 + 4; week++) {
+      reported += values[week] * sampleSizes[week];
+      total += sampleSizes[week];
+    }
+    return total > 0 ? Math.round((reported / total) * 10000) / 10000 : 0;
+  });
+}
+
+/**
+ * Species reported in the region recently (eBird recent observations)
+ * @param {string} regionCode
+ * @returns {Promise<Object<string, string>>} species code → last observation date
+ */
+async function fetchRecentObservations(regionCode) {
+  const response = await fetch(`https://api.ebird.org/v2/data/obs/${regionCode}/recent?back=${RECENT_DAYS}&cat=species,issf,form`, {
+    headers: { 'X-eBirdApiToken': process.env.EBIRD_API_KEY }
+  });
+  if (!response.ok) throw new Error(`eBird API returned ${response.status}`);
+
+  const recent = {};
+  for (const obs of await response.json()) {
+    const taxon = ebirdTaxonomy.findByCode(obs.speciesCode);
+    const code = taxon ? ebirdTaxonomy.getReportingTaxon(taxon).speciesCode : obs.speciesCode;
+    const date = (obs.obsDt || '').substring(0, 10);
+    if (!recent[code] || recent[code] < date) recent[code] = date;
+  }
+  return recent;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [inputFile, regionCode] = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--name');
+  const nameIndex = args.indexOf('--name');
+  const regionName = nameIndex >= 0 ? args[nameIndex + 1] : null;
+
+  if (!inputFile || !regionCode || !/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(regionCode)) {
+    console.error('Usage: node scripts/import-ebird-barchart.js <histogram.txt> <REGION> [--name "Region name"] [--recent]');
+    process.exit(1);
+  }
+
+  if (!await ebirdTaxonomy.ensureReady()) {
+    console.error('❌ eBird taxonomy unavailable - needed to map names to species codes');
+    process.exit(1);
+  }
+
+  const { sampleSizes, taxa } = parseHistogram(fs.readFileSync(inputFile, 'utf8'));
+  const checklists = Array.from({ length: 12 }, (_, month) =>
+    sampleSizes.slice(month * 4, month * 4 + 4).reduce((sum, n) => sum + n, 0));
+
+  // Subspecies groups count towards their species; slashes and spuhs are skipped
+  const frequencies = {};
+  const unmatched = [];
+  for (const row of taxa) {
+    const taxon = (row.scientificName && ebirdTaxonomy.findByScientificName(row.scientificName)) ||
+      ebirdTaxonomy.findByCommonName(row.commonName);
+    if (!taxon) {
+      unmatched.push(row.commonName);
+      continue;
+    }
+    if (['slash', 'spuh', 'hybrid'].includes(taxon.category)) continue;
+
+    const code = ebirdTaxonomy.getReportingTaxon(taxon).speciesCode;
+    const monthly = toMonthly(row.values, sampleSizes);
+    frequencies[code] = frequencies[code]
+      ? frequencies[code].map((value, i) => Math.max(value, monthly[i]))
+      : monthly;
+  }
+
+  let recent;
+  if (args.includes('--recent')) {
+    recent = await fetchRecentObservations(regionCode);
+    console.log(`🕐 ${Object.keys(recent).length} species reported in the last ${RECENT_DAYS} days`);
+  }
+
+  const header = {
+    region: regionCode,
+    name: regionName || regionCode,
+    source: `eBird bar chart (${path.basename(inputFile)})`,
+    generatedAt: new Date().toISOString(),
+    checklists,
+    ...(recent ? { recent, recentFetchedAt: new Date().toISOString() } : {})
+  };
+
+  // One species per line keeps the file readable and diffs small
+  const headerLines = Object.entries(header).map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+  const frequencyLines = Object.entries(frequencies).map(([code, monthly]) => `    ${JSON.stringify(code)}: ${JSON.stringify(monthly)}`);
+  const content = `{\n${headerLines.join(',\n')},\n  "frequencies": {\n${frequencyLines.join(',\n')}\n  }\n}\n`;
+
+  fs.mkdirSync(REGION_DATA_DIR, { recursive: true });
+  const outputFile = path.join(REGION_DATA_DIR, `${regionCode}.json`);
+  fs.writeFileSync(outputFile, content);
+
+  console.log(`✅ Wrote ${Object.keys(frequencies).length} species (${checklists.reduce((a, b) => a + b, 0)} checklists) to ${path.relative(process.cwd(), outputFile)}`);
+  if (unmatched.length > 0) {
+    console.log(`⚠️ ${unmatched.length} rows not in the eBird taxonomy: ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ', ...' : ''}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
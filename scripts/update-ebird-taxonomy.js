@@ -0,0 +1,32 @@
+// Update the bundled eBird taxonomy snapshot (data/ebird-taxonomy.json)
+// Run after eBird publishes a new taxonomy (usually once a year) and commit the result:
+//   EBIRD_API_KEY=... npm run update-taxonomy
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { fetchTaxonomySnapshot, BUNDLED_TAXONOMY_FILE } = require('../src/services/ebirdTaxonomy');
+
+async function main() {
+  const snapshot = await fetchTaxonomySnapshot({ source: 'bundled' });
+  if (!snapshot) {
+    console.error('❌ Could not download the eBird taxonomy - bundled snapshot not changed');
+    process.exit(1);
+  }
+
+  let previousVersion = null;
+  try {
+    previousVersion = JSON.parse(fs.readFileSync(BUNDLED_TAXONOMY_FILE, 'utf8')).version;
+  } catch (e) {}
+
+  fs.mkdirSync(path.dirname(BUNDLED_TAXONOMY_FILE), { recursive: true });
+  // One taxon per line keeps diffs between taxonomy versions readable
+  const lines = snapshot.taxa.map(taxon => '    ' + JSON.stringify(taxon));
+  const content = `{\n  "version": ${JSON.stringify(snapshot.version)},\n  "fetchedAt": ${JSON.stringify(snapshot.fetchedAt)},\n  "source": "bundled",\n  "taxa": [\n${lines.join(',\n')}\n  ]\n}\n`;
+  fs.writeFileSync(BUNDLED_TAXONOMY_FILE, content);
+
+  console.log(`✅ Wrote ${snapshot.taxa.length} taxa to ${path.relative(process.cwd(), BUNDLED_TAXONOMY_FILE)}`);
+  console.log(`📚 Taxonomy version: ${previousVersion || 'none'} → ${snapshot.version || 'unknown'}`);
+}
+
+main();
@@ -1,12 +1,20 @@
 const { Bot, InputFile, InlineKeyboard } = require('grammy');
-const ExifParser = require('exif-parser');
 const sharp = require('sharp');
 const crypto = require('crypto');
-const { identifyAnimal } = require('../services/geminiService');
-const { getSpeciesPhoto } = require('../services/inaturalistService');
-const { createCompositeImage } = require('../services/imageService');
-const { getEBirdSpeciesCode, verifyWithEBird } = require('../services/ebirdService');
-const { verifyWithGBIF } = require('../services/gbifService');
+const { createCompositeImage, cropToBoundingBox, highlightSubject } = require('../services/imageService');
+const { formatLinksMarkdown } = require('../services/linkService');
+const { extractKeyframes, formatTimestamp } = require('../services/videoService');
+const { analyzeRecording, MAX_RECORDING_SECONDS } = require('../services/audioService');
+const { runIdentificationPipeline } = require('../services/identificationPipeline');
+const { sightingsStore, buildSightingRecord } = require('../services/sightingsStore');
+const { getLifeListSummary, checkNewLifer } = require('../services/lifeListService');
+const { exportSightings, EXPORT_FORMATS } = require('../services/exportService');
+const { describeRegionalCheck } = require('../services/ebirdService');
+const { describeOccurrenceCheck, describeConsiderAlso } = require('../services/gbifService');
+const { geocode } = require('../services/geocoding');
+const { readPhotoMetadata } = require('../services/exifService');
+const { isImageFile, decodeImageFile } = require('../services/imageFileService');
+const { mapWithConcurrency } = require('../services/concurrency');
 
 // ============================================
 // REQUEST CONTEXT MANAGER
@@ -21,6 +29,12 @@ const { verifyWithGBIF } = require('../services/gbifService');
  * @property {number} messageId - Original message ID that triggered this request
  * @property {Buffer} [buffer] - Image buffer (if applicable)
  * @property {number} [promptMsgId] - Location prompt message ID (for pending photos)
+ * @property {Date|null} [takenAt] - EXIF capture time of the photo
+ * @property {Object|null} [camera] - EXIF camera details (see exifService.readPhotoMetadata)
+ * @property {boolean} [locationKeyboard] - The prompt showed the "Send my location" reply keyboard (removed when answered)
+ * @property {boolean} [resolvingLocation] - The location reply is being geocoded (hidden from findPendingRequest meanwhile)
+ * @property {boolean} [sameAnimal] - Media group photos are shots of one animal, identified together
+ * @property {Object} [recording] - Spectrogram and clip of a voice note or audio file (see processSoundFromFileId)
  * @property {string} status - Request status: 'pending' | 'processing' | 'completed' | 'failed' | 'expired'
  * @property {number} createdAt - Timestamp when request was created
  * @property {number} [completedAt] - Timestamp when request completed
@@ -140,7 +154,8 @@ class RequestManager {
     let latestPending = null;
     for (const reqId of userReqs) {
       const req = this.requests.get(reqId);
-      if (req && req.status === 'pending' && req.buffer) {
+      // A request whose location is being geocoded is already answered - a second reply or /skip must not run it again
+      if (req && req.status === 'pending' && req.buffer && !req.resolvingLocation) {
         // If chatId specified, must match
         if (chatId && req.chatId !== chatId) continue;
         if (!latestPending || req.createdAt > latestPending.createdAt) {
@@ -469,12 +484,13 @@ class WeeklyRateLimiter {
   }
 
   /**
-   * Consume one request
+   * Consume requests (one per identified photo)
    * @param {number} chatId
    * @param {number} userId
+   * @param {number} [count=1] - Photos identified; capped at what is left this week
    * @returns {{success: boolean, remaining: number}}
    */
-  consume(chatId, userId) {
+  consume(chatId, userId, count = 1) {
     const { key, limit, isPrivate } = this._getKeyAndLimit(chatId, userId);
     const data = this._getUsage(key);
     
@@ -486,7 +502,7 @@ class WeeklyRateLimiter {
       };
     }
     
-    data.count++;
+    data.count = Math.min(limit, data.count + count);
     const remaining = limit - data.count;
     
     const typeLabel = isPrivate ? `User ${userId}` : `Group ${chatId}`;
@@ -784,91 +800,12 @@ class ResultCache {
 
 const identificationCache = new ResultCache(300000); // 5 minute TTL (shorter for memory efficiency)
 const userImageCache = new ResultCache(300000); // Track which users received HD images (5 min TTL)
+const albumResultCache = new ResultCache(30 * 60 * 1000); // Per-photo results of an album summary (photos re-fetched by file_id, 30 min TTL)
 
 // Temporary storage for photos awaiting identification decision
 const pendingPhotos = new Map(); // For single photos
 const pendingPhotoGroups = new Map(); // For media groups
 
-// Helper function to check if a URL returns a valid page (not an error page)
-async function isValidUrl(url) {
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-    
-    const response = await fetch(url, { 
-      method: 'GET', 
-      redirect: 'follow',
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; WildlifeBot/1.0)'
-      }
-    });
-    clearTimeout(timeout);
-    
-    // Check for success status
-    if (!response.ok) return false;
-    
-    // Get HTML content to check for error pages
-    const html = await response.text();
-    const htmlLower = html.toLowerCase();
-    
-    // Check for common error page indicators
-    const errorIndicators = [
-      'page not found',
-      '404',
-      'not found',
-      'does not exist',
-      'no results',
-      'no species found',
-      'species not found',
-      'we couldn\'t find',
-      'sorry, we couldn\'t',
-      'no matching',
-      'error page'
-    ];
-    
-    // Check title for errors
-    const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-    const title = titleMatch ? titleMatch[1].toLowerCase() : '';
-    
-    // If title contains error indicators, it's likely an error page
-    if (errorIndicators.some(indicator => title.includes(indicator))) {
-      return false;
-    }
-    
-    // For Wikipedia, check if it's a search/disambiguation page
-    if (url.includes('wikipedia.org')) {
-      if (response.url.includes('search') || 
-          htmlLower.includes('wikipedia does not have an article') ||
-          htmlLower.includes('search results')) {
-        return false;
-      }
-    }
-    
-    // For Singapore Birds, check if species page exists
-    if (url.includes('singaporebirds.com')) {
-      if (htmlLower.includes('page not found') || 
-          htmlLower.includes('no species') ||
-          !htmlLower.includes('<article')) {
-        return false;
-      }
-    }
-    
-    // For eBird, check if species exists
-    if (url.includes('ebird.org/species')) {
-      if (htmlLower.includes('species not found') ||
-          htmlLower.includes('no results')) {
-        return false;
-      }
-    }
-    
-    return true;
-  } catch (e) {
-    console.log(`   URL check failed for ${url}: ${e.message}`);
-    return false;
-  }
-}
-
 const bot = new Bot(process.env.TELEGRAM_BOT_TOKEN);
 
 // Error handler middleware - log with context
@@ -882,7 +819,11 @@ const botCommands = [
   { command: 'menu', description: '📋 Show menu buttons' },
   { command: 'help', description: '📖 Show help' },
   { command: 'identify', description: '📷 How to identify animals' },
+  { command: 'auto', description: '🐾 Identify every animal (reply to a photo)' },
   { command: 'limit', description: '📊 Check weekly usage limit' },
+  { command: 'history', description: '📜 Your past identifications' },
+  { command: 'lifelist', description: '📋 Your life list' },
+  { command: 'export', description: '📤 Export sightings (eBird, iNaturalist, Darwin Core)' },
   { command: 'clear', description: '🗑️ Clear all chat messages' }
 ];
 
@@ -921,8 +862,10 @@ bot.command('start', async (ctx) => {
 });
 
 // Identify command - show how to use
-bot.command('identify', async (ctx) => {
+bot.command('identify', async (ctx, next) => {
   if (!isAllowedThread(ctx)) return;
+  // Replies to a photo or image file are handled by the /identify handler further down
+  if (getRepliedImage(ctx.message.reply_to_message)) return next();
   console.log(`📩 /identify command received from user ${ctx.from.id}`);
   await ctx.reply(
     `📷 *How to Identify Animals:*\n\n` +
@@ -941,15 +884,22 @@ bot.command('help', async (ctx) => {
   await ctx.reply(
     `📖 *How to use:*\n\n` +
     `*Option 1:* Send a photo\n` +
-    `• I'll automatically identify all animals\n\n` +
+    `• I'll automatically identify all animals\n` +
+    `• Videos and GIFs work too - I pick the sharpest frames\n` +
+    `• Send it as a file (JPEG, HEIC or RAW) to keep full resolution\n` +
+    `• Heard a call? Send a voice message or audio file of it\n\n` +
     `*Option 2:* Send photo with caption\n` +
     `• Caption: /id the bird on the left\n` +
     `• Specify what to identify\n\n` +
     `*Option 3:* Reply to any photo\n` +
     `• Reply with: /identify\n` +
-    `• Reply with: /identify the butterfly\n\n` +
+    `• Reply with: /identify the butterfly\n` +
+    `• Reply with: /auto for every animal in the photo\n\n` +
     `*Commands:*\n` +
     `/skip - Skip location input\n` +
+    `/history - Your past identifications\n` +
+    `/lifelist - Your life list\n` +
+    `/export - Export sightings\n` +
     `/limit - Check weekly quota\n` +
     `/clear - Clear chat messages`,
     { parse_mode: 'Markdown' }
@@ -1020,6 +970,7 @@ bot.command('menu', async (ctx) => {
     .text('📖 Help', 'menu_help').row()
     .text('📷 How to Identify', 'menu_identify')
     .text('📊 Usage Limit', 'menu_limit').row()
+    .text('📜 History', 'menu_history')
     .text('🗑️ Clear Chat', 'menu_clear');
   
   await ctx.reply(
@@ -1102,6 +1053,383 @@ bot.callbackQuery('menu_limit', async (ctx) => {
   }
 });
 
+// ============================================
+// HISTORY
+// Pages through a user's stored sightings (PM: everything, groups: this chat only)
+// ============================================
+
+const HISTORY_PAGE_SIZE = 5;
+
+/**
+ * Escape user-provided text for legacy Markdown messages
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text || '').replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Format a stored timestamp in Singapore time, e.g. "12 Oct 2026, 08:15 am"
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatSightingDate(iso) {
+  return new Date(iso).toLocaleString('en-SG', {
+    timeZone: 'Asia/Singapore',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+/**
+ * Sightings visible to /history: all of the user's in PM, the user's entries in this chat in groups
+ * @param {number} chatId
+ * @param {number} userId
+ * @returns {{userId: number, chatId?: number}}
+ */
+function historyFilter(chatId, userId) {
+  return chatId > 0 ? { userId } : { userId, chatId };
+}
+
+/**
+ * Build one page of /history
+ * @param {number} chatId
+ * @param {number} userId - History owner
+ * @param {number} page - Zero-based page (clamped)
+ * @returns {{text: string, keyboard: InlineKeyboard|null}}
+ */
+function buildHistoryPage(chatId, userId, page) {
+  const filter = historyFilter(chatId, userId);
+  const total = sightingsStore.count(filter);
+  
+  if (total === 0) {
+    return {
+      text: `📜 *Your History*\n\nNo identifications yet${chatId > 0 ? '' : ' in this chat'}.\n\n_Send a photo to get started!_`,
+      keyboard: null
+    };
+  }
+  
+  const pageCount = Math.ceil(total / HISTORY_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(0, page), pageCount - 1);
+  const entries = sightingsStore.find({ ...filter, offset: currentPage * HISTORY_PAGE_SIZE, limit: HISTORY_PAGE_SIZE });
+  
+  let text = `📜 *Your History* (${total} identification${total === 1 ? '' : 's'})\n\n`;
+  const keyboard = new InlineKeyboard();
+  
+  entries.forEach((sighting, index) => {
+    const number = currentPage * HISTORY_PAGE_SIZE + index + 1;
+    text += `*${number}.* ${escapeMarkdown(sighting.commonName)}\n`;
+    text += `_${escapeMarkdown(sighting.scientificName)}_\n`;
+    text += `🕒 ${formatSightingDate(sighting.observedAt)}`;
+    if (sighting.location?.text) {
+      text += ` • 📍 ${escapeMarkdown(sighting.location.place || sighting.location.text)}`;
+    }
+    text += `\n\n`;
+    
+    keyboard
+      .text(`📚 ${number}. Details`, `hist_d_${sighting.id}`)
+      .text(`🖼️ ${number}. Card`, `hist_c_${sighting.id}`)
+      .row();
+  });
+  
+  // Navigation row - owner ID in the callback so only they can page in groups
+  if (pageCount > 1) {
+    if (currentPage > 0) keyboard.text('◀️ Prev', `hist_p_${userId}_${currentPage - 1}`);
+    keyboard.text(`${currentPage + 1}/${pageCount}`, 'hist_noop');
+    if (currentPage < pageCount - 1) keyboard.text('Next ▶️', `hist_p_${userId}_${currentPage + 1}`);
+  }
+  
+  text += `_Tap 📚 for details in PM, 🖼️ to re-open the result card_`;
+  return { text, keyboard };
+}
+
+/**
+ * Send the first page of /history
+ * @param {Object} ctx - grammY context
+ * @param {number} chatId
+ * @param {number} [threadId]
+ */
+async function sendHistory(ctx, chatId, threadId) {
+  const { text, keyboard } = buildHistoryPage(chatId, ctx.from.id, 0);
+  await ctx.api.sendMessage(chatId, text, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard || undefined,
+    message_thread_id: threadId
+  });
+}
+
+/**
+ * Re-send the result card for a stored sighting
+ * The user's photo is fetched again from Telegram by file_id.
+ * @param {Object} api - grammY Api
+ * @param {number} chatId
+ * @param {number} [threadId]
+ * @param {Object} sighting
+ */
+async function reopenSightingCard(api, chatId, threadId, sighting) {
+  const d = { ...sighting.identification };
+  let userPhoto = null;
+  
+  if (sighting.fileId) {
+    try {
+      const decoded = await decodeImageFile(await fetchTelegramFile(api, sighting.fileId));
+      if (!decoded.success) throw new Error(decoded.error);
+      d._originalImageBuffer = decoded.buffer;
+      userPhoto = await highlightSubject(decoded.buffer, d.boundingBox);
+    } catch (e) {
+      console.log(`⚠️ Could not fetch photo for sighting ${sighting.id}: ${e.message}`);
+    }
+  }
+  
+  // Details / Similar Species buttons on the card read from the result cache
+  identificationCache.set(ResultCache.makeKey(chatId, d.scientificName), d);
+  
+  const referencePhoto = sighting.referencePhotoUrl ? { found: true, photoUrl: sighting.referencePhotoUrl } : null;
+  await sendResultCard(api, chatId, threadId, d, referencePhoto, {
+    linksText: formatLinksMarkdown(sighting.links || []),
+    extraCaption: `\n🕒 _Identified ${formatSightingDate(sighting.observedAt)}_`,
+    buttons: buildFollowUpButtons(d, sighting.isBird),
+    userPhoto,
+    logPrefix: `[history ${sighting.id}]`
+  });
+}
+
+/**
+ * Handle hist_* buttons: paging, details (PM) and re-opening a card
+ * @param {Object} ctx - grammY context
+ * @param {string} data - Callback data
+ */
+async function handleHistoryCallback(ctx, data) {
+  const message = ctx.callbackQuery.message;
+  const chatId = message?.chat?.id;
+  const threadId = message?.message_thread_id;
+  const tappedByUserId = ctx.from.id;
+  
+  if (data === 'hist_noop') {
+    await ctx.answerCallbackQuery();
+    return;
+  }
+  
+  const pageMatch = data.match(/^hist_p_(\d+)_(\d+)$/);
+  if (pageMatch) {
+    const ownerId = parseInt(pageMatch[1], 10);
+    if (ownerId !== tappedByUserId) {
+      await ctx.answerCallbackQuery({ text: 'Use /history to see your own identifications', show_alert: true });
+      return;
+    }
+    const { text, keyboard } = buildHistoryPage(chatId, ownerId, parseInt(pageMatch[2], 10));
+    await ctx.answerCallbackQuery();
+    try {
+      await ctx.editMessageText(text, { parse_mode: 'Markdown', reply_markup: keyboard || undefined });
+    } catch (e) {
+      // "message is not modified" when tapping the same page twice
+    }
+    return;
+  }
+  
+  const entryMatch = data.match(/^hist_([dc])_([0-9a-f]+)$/);
+  const sighting = entryMatch ? sightingsStore.get(entryMatch[2]) : null;
+  
+  // Only entries from this chat (groups) or the user's own entries (PM)
+  if (!sighting || (sighting.chatId !== chatId && sighting.userId !== tappedByUserId)) {
+    await ctx.answerCallbackQuery({ text: '❌ Identification not found' });
+    return;
+  }
+  
+  if (entryMatch[1] === 'c') {
+    await ctx.answerCallbackQuery({ text: '🖼️ Re-opening result card...' });
+    await reopenSightingCard(ctx.api, chatId, threadId, sighting);
+    return;
+  }
+  
+  // Details always go to PM, together with the user's original photo
+  try {
+    if (sighting.fileId) {
+      await ctx.api.sendPhoto(tappedByUserId, sighting.fileId);
+    }
+    await ctx.api.sendMessage(tappedByUserId, buildDetailsMessage(sighting.identification), { parse_mode: 'Markdown' });
+    await ctx.answerCallbackQuery({ text: '📬 Details sent to PM!' });
+  } catch (pmError) {
+    console.log('Cannot PM user:', pmError.message);
+    const botInfo = await ctx.api.getMe();
+    await ctx.answerCallbackQuery({
+      text: `⚠️ Please start a chat with @${botInfo.username} first, then tap again.`,
+      show_alert: true
+    });
+  }
+}
+
+// History command - page through past identifications
+bot.command('history', async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  console.log(`📩 /history command received from user ${ctx.from.id} in chat ${ctx.chat.id}`);
+  await sendHistory(ctx, ctx.chat.id, ctx.message.message_thread_id);
+});
+
+bot.callbackQuery('menu_history', async (ctx) => {
+  await ctx.answerCallbackQuery();
+  const message = ctx.callbackQuery.message;
+  if (message?.chat?.id) {
+    await sendHistory(ctx, message.chat.id, message.message_thread_id);
+  }
+});
+
+// ============================================
+// LIFE LIST
+// Species each user has identified, deduplicated by the corrected scientific name
+// ============================================
+
+/**
+ * Format "Name count • Name count" for the top entries of a rank breakdown
+ * @param {Array<{name: string, count: number}>} counts
+ * @param {number} [limit=5]
+ * @returns {string}
+ */
+function formatRankCounts(counts, limit = 5) {
+  const shown = counts.slice(0, limit).map(({ name, count }) => `${escapeMarkdown(name)} ${count}`).join(' • ');
+  const more = counts.length - limit;
+  return more > 0 ? `${shown} • _+${more} more_` : shown;
+}
+
+/**
+ * Build the /lifelist message for a user
+ * @param {number} userId
+ * @returns {string} Markdown message
+ */
+function buildLifeListMessage(userId) {
+  const summary = getLifeListSummary(userId);
+  
+  if (summary.total === 0) {
+    return `📋 *Your Life List*\n\nNo species yet - identifications to species level are added automatically.\n\n_Send a photo to get started!_`;
+  }
+  
+  let text = `📋 *Your Life List* - ${summary.total} species\n\n`;
+  text += `*By class:*\n${formatRankCounts(summary.byClass, 8)}\n\n`;
+  text += `*Top orders:*\n${formatRankCounts(summary.byOrder)}\n\n`;
+  text += `*Top families:*\n${formatRankCounts(summary.byFamily)}\n\n`;
+  text += `🆕 *Newest additions:*\n`;
+  summary.newest.forEach((entry, index) => {
+    const date = new Date(entry.firstSeenAt).toLocaleDateString('en-SG', { timeZone: 'Asia/Singapore', day: 'numeric', month: 'short', year: 'numeric' });
+    text += `${index + 1}. ${escapeMarkdown(entry.commonName)} (_${escapeMarkdown(entry.species)}_) - ${date}\n`;
+  });
+  
+  return text;
+}
+
+// Life list command - the user's species totals (personal, also in groups)
+bot.command('lifelist', async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  console.log(`📩 /lifelist command received from user ${ctx.from.id} in chat ${ctx.chat.id}`);
+  await ctx.api.sendMessage(ctx.chat.id, buildLifeListMessage(ctx.from.id), {
+    parse_mode: 'Markdown',
+    message_thread_id: ctx.message.message_thread_id
+  });
+});
+
+// ============================================
+// EXPORT
+// eBird / iNaturalist CSV and Darwin Core Archive from stored sightings
+// ============================================
+
+/**
+ * Whether a user is an admin (or the owner) of a group
+ * @param {Object} ctx - grammY context
+ * @param {number} chatId
+ * @param {number} userId
+ * @returns {Promise<boolean>}
+ */
+async function isChatAdmin(ctx, chatId, userId) {
+  try {
+    const member = await ctx.api.getChatMember(chatId, userId);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (e) {
+    console.error(`Could not check admin status of user ${userId} in chat ${chatId}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Run an export and send it as a document
+ * Exports the user's own sightings (in this chat, for groups); group admins can export everyone's with "all".
+ * @param {Object} ctx - grammY context
+ * @param {number} chatId
+ * @param {number} [threadId]
+ * @param {{format: string, from?: string, to?: string, all?: boolean}} request
+ */
+async function sendExport(ctx, chatId, threadId, request) {
+  const userId = ctx.from.id;
+  const wholeGroup = chatId < 0 && request.all;
+  if (wholeGroup && !(await isChatAdmin(ctx, chatId, userId))) {
+    await ctx.api.sendMessage(chatId, `❌ Only group admins can export everyone's sightings - /export ${request.format} exports yours.`, { message_thread_id: threadId });
+    return;
+  }
+  
+  const filter = {
+    from: request.from,
+    to: request.to,
+    ...(chatId > 0 ? { userId } : { chatId, ...(wholeGroup ? {} : { userId }) })
+  };
+  
+  const statusMsg = await ctx.api.sendMessage(chatId, '📤 *Preparing export...*', { parse_mode: 'Markdown', message_thread_id: threadId });
+  const result = await exportSightings(request.format, filter);
+  try {
+    await ctx.api.deleteMessage(chatId, statusMsg.message_id);
+  } catch (e) {}
+  
+  if (!result.success) {
+    await ctx.api.sendMessage(chatId, `❌ ${result.error}`, { message_thread_id: threadId });
+    return;
+  }
+  
+  const range = request.from || request.to ? `\n📅 ${request.from || '…'} → ${request.to || '…'}` : '';
+  await ctx.api.sendDocument(chatId, new InputFile(result.buffer, result.filename), {
+    caption: `📤 *${EXPORT_FORMATS[request.format].label}*\n${result.count} sighting${result.count === 1 ? '' : 's'}${range}`,
+    parse_mode: 'Markdown',
+    message_thread_id: threadId
+  });
+  console.log(`📤 Export ${request.format} (${result.count} sightings) sent to chat ${chatId}`);
+}
+
+// Export command - /export <ebird|inat|dwca> [from YYYY-MM-DD] [to YYYY-MM-DD] [all]
+bot.command('export', async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  const chatId = ctx.chat.id;
+  const threadId = ctx.message.message_thread_id;
+  const args = (ctx.match || '').trim().split(/\s+/).filter(Boolean);
+  console.log(`📩 /export command received from user ${ctx.from.id} in chat ${chatId}: "${args.join(' ')}"`);
+  
+  const format = args[0]?.toLowerCase();
+  if (!format || !EXPORT_FORMATS[format]) {
+    const keyboard = new InlineKeyboard()
+      .text('🐦 eBird CSV', 'exp_ebird')
+      .text('🌿 iNaturalist CSV', 'exp_inat').row()
+      .text('📦 Darwin Core Archive', 'exp_dwca');
+    await ctx.api.sendMessage(chatId,
+      `📤 *Export Sightings*\n\n` +
+      `Tap a format below, or filter by date:\n` +
+      `/export ebird 2026-01-01 2026-03-31\n\n` +
+      `• *ebird* - eBird Record Format (birds only)\n` +
+      `• *inat* - iNaturalist bulk upload CSV\n` +
+      `• *dwca* - Darwin Core Archive (zip)\n\n` +
+      (chatId > 0 ? `_Exports all your identifications._` : `_Exports your identifications in this group - admins can add "all" for everyone's._`),
+      { parse_mode: 'Markdown', reply_markup: keyboard, message_thread_id: threadId }
+    );
+    return;
+  }
+  
+  const dates = args.slice(1).filter(arg => /^\d{4}-\d{2}-\d{2}$/.test(arg));
+  await sendExport(ctx, chatId, threadId, {
+    format,
+    from: dates[0] || null,
+    to: dates[1] || null,
+    all: args.some(arg => arg.toLowerCase() === 'all')
+  });
+});
+
 // Clear command - delete ALL messages in chat (parallel deletion)
 bot.command('clear', async (ctx) => {
   if (!isAllowedThread(ctx)) return;
@@ -1143,30 +1471,53 @@ bot.command('clear', async (ctx) => {
   }, 1500);
 });
 
-// Identify command - reply to a photo to identify it
-bot.command('identify', async (ctx) => {
+/**
+ * Identify the photo a command replies to
+ * Shared by /identify (one animal, optional target) and /auto (every animal in the photo)
+ * @param {Object} ctx - grammY context
+ * @param {Object} [options]
+ * @param {boolean} [options.multiple=false] - Multi-animal mode
+ */
+async function identifyRepliedPhoto(ctx, options = {}) {
   if (!isAllowedThread(ctx)) return;
   const chatId = ctx.chat.id;
   const userId = ctx.from.id;
   const replyToMessage = ctx.message.reply_to_message;
+  const multiple = options.multiple || false;
   
   // Get target from command arguments (e.g., "/identify the bird on the left")
+  // /auto always looks at every animal, so it takes no target
   const commandText = ctx.message.text || '';
-  const targetFromCommand = commandText.replace(/^\/identify\s*/i, '').trim() || null;
+  const targetFromCommand = multiple ? null : (commandText.replace(/^\/\w+(@\w+)?\s*/i, '').trim() || null);
   
-  // Check if replying to a photo
-  if (!replyToMessage?.photo) {
+  // Check if replying to a photo or image file
+  const image = getRepliedImage(replyToMessage);
+  if (!image) {
+    if (multiple) {
+      await ctx.reply(
+        `🐾 *How to use /auto:*\n\n` +
+        `Reply to a photo with /auto to identify every animal in it.\n\n` +
+        `You'll get one result card per animal, with each one cropped from your photo.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
     await ctx.reply(
       `📷 *How to use /identify:*\n\n` +
       `Reply to a photo with /identify to identify the animal.\n\n` +
       `*Examples:*\n` +
       `• Reply with: /identify\n` +
       `• Reply with: /identify the bird on the left\n` +
+      `• Reply with: /auto to identify every animal\n` +
       `• Or send a photo with caption: /id`,
       { parse_mode: 'Markdown' }
     );
     return;
   }
+  if (image.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+    await ctx.reply(`📄 This file is too large for me to download (max 20 MB). A JPEG export or a screenshot works too.`);
+    return;
+  }
   
   // Check rate limit
   const limitCheck = rateLimiter.checkLimit(chatId, userId);
@@ -1187,88 +1538,71 @@ bot.command('identify', async (ctx) => {
     await ctx.api.deleteMessage(chatId, ctx.message.message_id);
   } catch (e) {}
   
-  console.log(`🔍 /identify command on photo in chat ${chatId} by user ${userId}${targetFromCommand ? ` (target: "${targetFromCommand}")` : ''}`);
+  console.log(`🔍 /${multiple ? 'auto' : 'identify'} command on photo in chat ${chatId} by user ${userId}${targetFromCommand ? ` (target: "${targetFromCommand}")` : ''}`);
   
   // Create request and process the replied photo
   const request = requestManager.createRequest(ctx);
   
   try {
-    // Get the largest photo
-    const photos = replyToMessage.photo;
-    const largestPhoto = photos[photos.length - 1];
-    
-    // Download image
-    const file = await ctx.api.getFile(largestPhoto.file_id);
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-    
-    const response = await fetch(fileUrl);
-    let buffer = Buffer.from(await response.arrayBuffer());
+    // Download and decode the photo or image file (HEIC and RAW too)
+    const { buffer, original, exifLocation, takenAt, camera } = await prepareImage(await fetchTelegramFile(ctx.api, image.file_id));
     
-    // Extract EXIF GPS
-    let exifLocation = null;
-    try {
-      const parser = ExifParser.create(buffer);
-      const exifData = parser.parse();
-      if (exifData.tags?.GPSLatitude && exifData.tags?.GPSLongitude) {
-        const lat = exifData.tags.GPSLatitude;
-        const lng = exifData.tags.GPSLongitude;
-        exifLocation = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-      }
-    } catch (e) {}
-    
-    // Process image
-    buffer = await sharp(buffer)
-      .rotate()
-      .withMetadata()
-      .png({ compressionLevel: 0, effort: 1 })
-      .toBuffer();
+    // Remembered with the sighting
+    const photoRef = { fileId: image.file_id, messageId: replyToMessage.message_id, takenAt, camera, originalImage: original };
     
     // If target provided in command, skip target question
     if (targetFromCommand) {
       if (exifLocation) {
         // Has EXIF - process immediately
-        await processIdentification(ctx, buffer, exifLocation, request.requestId, targetFromCommand);
+        await processIdentification(ctx, buffer, exifLocation, request.requestId, targetFromCommand, { ...photoRef, locationSource: 'exif' });
         const consumed = rateLimiter.consume(chatId, userId);
         console.log(`📊 [${request.requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
         requestManager.completeAndRemove(request.requestId);
       } else {
         // Ask for location only
-        const promptMsg = await ctx.reply(
-          `🌍 *Where was this photo taken?*\n\n` +
-          `Reply with location or /skip`,
-          { parse_mode: 'Markdown' }
-        );
+        const prompt = locationPrompt(ctx.chat.type);
+        const promptMsg = await ctx.reply(prompt.text, prompt.options);
         
         const req = requestManager.getRequest(request.requestId);
         if (req) {
           req.buffer = buffer;
           req.promptMsgId = promptMsg.message_id;
+          req.locationKeyboard = prompt.keyboard;
           req.status = 'pending';
           req.waitingFor = 'location';
           req.identifyTarget = targetFromCommand;
+          req.fileId = photoRef.fileId;
+          req.sourceMessageId = photoRef.messageId;
+          req.takenAt = takenAt;
+          req.camera = camera;
+          req.originalImage = original;
         }
       }
     } else if (exifLocation) {
-      // Has EXIF location - process immediately (auto-identify all)
-      await processIdentification(ctx, buffer, exifLocation, request.requestId, null);
+      // Has EXIF location - process immediately
+      await processIdentification(ctx, buffer, exifLocation, request.requestId, null, { ...photoRef, multiple, locationSource: 'exif' });
       const consumed = rateLimiter.consume(chatId, userId);
       console.log(`📊 [${request.requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
       requestManager.completeAndRemove(request.requestId);
     } else {
       // No EXIF - ask for location only
-      const promptMsg = await ctx.reply(
-        `🌍 *Where was this photo taken?*\n\n` +
-        `Reply with location or /skip`,
-        { parse_mode: 'Markdown' }
-      );
+      const prompt = locationPrompt(ctx.chat.type);
+      const promptMsg = await ctx.reply(prompt.text, prompt.options);
       
       const req = requestManager.getRequest(request.requestId);
       if (req) {
         req.buffer = buffer;
         req.promptMsgId = promptMsg.message_id;
+        req.locationKeyboard = prompt.keyboard;
         req.status = 'pending';
         req.waitingFor = 'location';
-        req.identifyTarget = null; // Auto-identify all
+        req.identifyTarget = null;
+        req.multiple = multiple;
+        req.fileId = photoRef.fileId;
+        req.sourceMessageId = photoRef.messageId;
+        req.takenAt = takenAt;
+        req.camera = camera;
+        req.originalImage = original;
       }
     }
   } catch (error) {
@@ -1276,7 +1610,13 @@ bot.command('identify', async (ctx) => {
     requestManager._removeRequest(request.requestId);
     await ctx.reply(`❌ Error: ${error.message}`);
   }
-});
+}
+
+// Identify command - reply to a photo to identify it
+bot.command('identify', (ctx) => identifyRepliedPhoto(ctx));
+
+// Auto command - reply to a photo to identify every animal in it
+bot.command('auto', (ctx) => identifyRepliedPhoto(ctx, { multiple: true }));
 
 // Shortcut command /id - same as /identify
 bot.command('id', async (ctx) => {
@@ -1285,7 +1625,7 @@ bot.command('id', async (ctx) => {
   const chatId = ctx.chat.id;
   const replyToMessage = ctx.message.reply_to_message;
   
-  if (!replyToMessage?.photo) {
+  if (!getRepliedImage(replyToMessage)) {
     await ctx.reply(
       `📷 *How to use /id:*\n\n` +
       `Reply to a photo with /id to identify the animal.\n\n` +
@@ -1316,7 +1656,6 @@ bot.command('skip', async (ctx) => {
   
   const requestId = pendingRequest.requestId;
   const pendingBuffer = pendingRequest.buffer;
-  const pendingPromptMsgId = pendingRequest.promptMsgId;
   const isMediaGroup = pendingRequest.isMediaGroup;
   const processedPhotos = pendingRequest.processedPhotos;
   const statusMsgId = pendingRequest.statusMsgId;
@@ -1325,6 +1664,8 @@ bot.command('skip', async (ctx) => {
   const exifLocation = pendingRequest.exifLocation;
   const threadId = pendingRequest.threadId;
   const sourceMessageId = pendingRequest.sourceMessageId; // Original photo message ID for source link
+  const multiple = pendingRequest.multiple || false;
+  const fileId = pendingRequest.fileId;
   
   console.log(`⏭️ [${requestId}] Skip ${waitingFor || 'location'} in chat ${chatId}${isMediaGroup ? ' (media group)' : ''}`);
   
@@ -1333,23 +1674,27 @@ bot.command('skip', async (ctx) => {
     await ctx.api.deleteMessage(chatId, ctx.message.message_id);
   } catch (e) {}
   
-  // Update the prompt message to show "Analyzing..." (single bubble approach)
-  try {
-    await ctx.api.editMessageText(chatId, pendingPromptMsgId, '🔬 *Analyzing...*', { parse_mode: 'Markdown' });
-  } catch (e) {
-    console.error(`Failed to edit prompt message: ${e.message}`);
-  }
-  
   // Update status to processing
   requestManager.updateStatus(requestId, 'processing');
   
+  // Update the prompt message to show "Analyzing..." (single bubble approach)
+  const analyzingMsgId = await showAnalyzing(ctx.api, pendingRequest);
+  
   // Process without location
   const noLocation = 'Unknown location';
   
-  if (isMediaGroup && processedPhotos) {
+  if (pendingRequest.recording) {
+    try {
+      await processRecording(ctx, pendingRequest.recording, noLocation, requestId, threadId, analyzingMsgId);
+    } catch (error) {
+      requestManager.updateStatus(requestId, 'failed', { error });
+      requestManager._removeRequest(requestId);
+      await ctx.api.sendMessage(chatId, `❌ Error processing recording: ${error.message}`, { message_thread_id: threadId });
+    }
+  } else if (isMediaGroup && processedPhotos) {
     // Process media group without location - pass threadId and statusMsgId for forum topics
     try {
-      await processMediaGroupPhotos(ctx, processedPhotos, noLocation, requestId, identifyTarget, threadId, pendingPromptMsgId);
+      await processMediaGroupPhotos(ctx, processedPhotos, noLocation, requestId, identifyTarget, threadId, analyzingMsgId, { sameAnimal: pendingRequest.sameAnimal });
     } catch (error) {
       requestManager.updateStatus(requestId, 'failed', { error });
       requestManager._removeRequest(requestId);
@@ -1358,7 +1703,9 @@ bot.command('skip', async (ctx) => {
   } else if (pendingBuffer) {
     // Process single photo without location - pass promptMsgId as statusMsgId
     try {
-      await processIdentificationWithChatId(ctx, pendingBuffer, noLocation, requestId, identifyTarget, chatId, threadId, pendingPromptMsgId, sourceMessageId);
+      await processIdentificationWithChatId(ctx, pendingBuffer, noLocation, requestId, identifyTarget, chatId, threadId, analyzingMsgId, sourceMessageId, {
+        multiple, fileId, takenAt: pendingRequest.takenAt, camera: pendingRequest.camera, originalImage: pendingRequest.originalImage
+      });
       // Consume rate limit on successful completion
       const consumed = rateLimiter.consume(chatId, userId);
       console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
@@ -1375,6 +1722,126 @@ bot.command('skip', async (ctx) => {
   }
 });
 
+// "Send my location" reply keyboard - request_location buttons only work in private chats
+// (in groups a location or venue can still be shared from the attachment menu)
+const LOCATION_KEYBOARD = {
+  keyboard: [[{ text: '📍 Send my location', request_location: true }]],
+  resize_keyboard: true,
+  one_time_keyboard: true,
+  input_field_placeholder: 'Place name, or /skip'
+};
+
+/**
+ * Text and send options for the "Where was this photo taken?" prompt
+ * @param {string} chatType - ctx.chat.type
+ * @param {Object} [options]
+ * @param {boolean} [options.plural] - Several photos (media group)
+ * @param {string} [options.subject] - The question after "Where", e.g. "was this video taken" (overrides plural)
+ * @returns {{text: string, options: Object, keyboard: boolean}} keyboard - the prompt carries LOCATION_KEYBOARD
+ */
+function locationPrompt(chatType, { plural = false, subject = null } = {}) {
+  const keyboard = chatType === 'private';
+  const text = `🌍 *Where ${subject || (plural ? 'were these photos taken' : 'was this photo taken')}?*\n\n` +
+    (keyboard ? `Reply with location, tap 📍 *Send my location*, or /skip` : `Reply with location or /skip`);
+  return {
+    text,
+    options: keyboard ? { parse_mode: 'Markdown', reply_markup: LOCATION_KEYBOARD } : { parse_mode: 'Markdown' },
+    keyboard
+  };
+}
+
+/**
+ * Turn a status message into the location prompt
+ * A reply keyboard can't be added by editing - private chats get a new prompt instead.
+ * @param {Object} api - grammy Api
+ * @param {number} chatId
+ * @param {number} [threadId] - Thread ID for forum topics
+ * @param {number} [statusMsgId] - Status message to replace
+ * @param {Object} prompt - locationPrompt result
+ * @returns {Promise<number>} Message ID of the prompt
+ */
+async function showLocationPrompt(api, chatId, threadId, statusMsgId, prompt) {
+  if (statusMsgId && !prompt.keyboard) {
+    try {
+      await api.editMessageText(chatId, statusMsgId, prompt.text, prompt.options);
+      return statusMsgId;
+    } catch (e) {
+      // Message may have been deleted, send new one
+    }
+  } else if (statusMsgId) {
+    try { await api.deleteMessage(chatId, statusMsgId); } catch (e) {}
+  }
+  const promptMsg = await api.sendMessage(chatId, prompt.text, { ...prompt.options, message_thread_id: threadId });
+  return promptMsg.message_id;
+}
+
+/**
+ * Turn a pending request's location prompt into the "Analyzing..." status bubble
+ * Prompts with the reply keyboard are replaced instead - sending a message is the only way to remove the keyboard.
+ * @param {Object} api - grammy Api
+ * @param {Object} pendingRequest
+ * @returns {Promise<number>} Message ID of the "Analyzing..." bubble
+ */
+async function showAnalyzing(api, pendingRequest) {
+  const { chatId, promptMsgId } = pendingRequest;
+  
+  if (pendingRequest.locationKeyboard) {
+    try { await api.deleteMessage(chatId, promptMsgId); } catch (e) {}
+    const analyzingMsg = await api.sendMessage(chatId, '🔬 *Analyzing...*', {
+      parse_mode: 'Markdown',
+      message_thread_id: pendingRequest.threadId,
+      reply_markup: { remove_keyboard: true }
+    });
+    pendingRequest.promptMsgId = analyzingMsg.message_id;
+    pendingRequest.locationKeyboard = false;
+    return analyzingMsg.message_id;
+  }
+  
+  try {
+    await api.editMessageText(chatId, promptMsgId, '🔬 *Analyzing...*', { parse_mode: 'Markdown' });
+  } catch (e) {
+    console.error(`Failed to edit prompt message: ${e.message}`);
+  }
+  return promptMsgId;
+}
+
+// Handle shared locations and venues (for location input)
+// Venue messages also carry a location, so this covers both
+bot.on('message:location', async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  const pendingRequest = requestManager.findPendingRequest(ctx.from.id, ctx.chat.id);
+  if (!pendingRequest || pendingRequest.waitingFor !== 'location') return;
+  
+  const { latitude, longitude } = ctx.message.location;
+  const venue = ctx.message.venue;
+  const location = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+  
+  // Busy until continueWithLocation marks it processing - see the text handler
+  pendingRequest.resolvingLocation = true;
+  let geocoded;
+  try {
+    // Delete the shared location - the result card shows the place
+    try {
+      await ctx.api.deleteMessage(ctx.chat.id, ctx.message.message_id);
+    } catch (e) {}
+    
+    // Exact coordinates; the place name and eBird region come from reverse geocoding (or the venue)
+    geocoded = await geocode(location);
+  } finally {
+    pendingRequest.resolvingLocation = false;
+  }
+  if (pendingRequest.status !== 'pending') return;
+  
+  const coordinates = { ...geocoded.location, lat: latitude, lng: longitude };
+  if (venue) {
+    coordinates.displayName = venue.address ? `${venue.title}, ${venue.address}` : venue.title;
+    coordinates.source = 'venue';
+  }
+  
+  delete pendingRequest.locationChoices;
+  await continueWithLocation(ctx, pendingRequest, location, coordinates, 'shared');
+});
+
 // Handle text messages (for location input)
 bot.on('message:text', async (ctx) => {
   if (!isAllowedThread(ctx)) return;
@@ -1393,62 +1860,171 @@ bot.on('message:text', async (ctx) => {
       await ctx.api.deleteMessage(chatId, ctx.message.message_id);
     } catch (e) {}
     
-    // User is providing location
-    const location = userInput;
-    
-    // Capture values locally to ensure correct context
-    const pendingBuffer = pendingRequest.buffer;
-    const pendingPromptMsgId = pendingRequest.promptMsgId;
-    const isMediaGroup = pendingRequest.isMediaGroup;
-    const processedPhotos = pendingRequest.processedPhotos;
-    const statusMsgId = pendingRequest.statusMsgId;
-    const identifyTarget = pendingRequest.identifyTarget;
-    const sourceMessageId = pendingRequest.sourceMessageId; // Original photo message ID for source link
-    
-    console.log(`📍 [${requestId}] Location received in chat ${chatId}: "${location}"${isMediaGroup ? ' (media group)' : ''}`);
-    
-    // Update status to processing BEFORE any async operations
-    requestManager.updateStatus(requestId, 'processing');
-    
-    // The promptMsgId is now our single status bubble - update it to show "Analyzing..."
+    // Resolve the place name first - ask which one if it matches several places
+    // The request stays busy while geocoding so another reply, /skip or button can't start it too
+    pendingRequest.resolvingLocation = true;
+    let geocoded;
     try {
-      await ctx.api.editMessageText(chatId, pendingPromptMsgId, '🔬 *Analyzing...*', { parse_mode: 'Markdown' });
-    } catch (e) {
-      console.error(`Failed to edit prompt message: ${e.message}`);
+      geocoded = await geocode(userInput);
+    } finally {
+      pendingRequest.resolvingLocation = false;
+    }
+    // Cleared or expired while geocoding
+    if (pendingRequest.status !== 'pending') return;
+    if (geocoded.status === 'ambiguous') {
+      await askLocationChoice(ctx, pendingRequest, userInput, geocoded.candidates);
+      return;
     }
     
-    // Handle media group vs single photo
-    if (isMediaGroup && processedPhotos) {
-      // Process media group with location - pass threadId and statusMsgId for forum topics
+    await continueWithLocation(ctx, pendingRequest, userInput, geocoded.location || null);
+  }
+});
+
+/**
+ * Ask the user which place they meant when a typed location matches several
+ * Edits the location prompt into a list of candidates; the request keeps waiting for a location,
+ * so a more specific reply also works.
+ * @param {Object} ctx - Grammy context
+ * @param {Object} pendingRequest - Request waiting for a location
+ * @param {string} query - Location as typed
+ * @param {Array<Object>} candidates - geocode() candidates, best first
+ */
+async function askLocationChoice(ctx, pendingRequest, query, candidates) {
+  const { requestId, chatId, promptMsgId } = pendingRequest;
+  console.log(`📍 [${requestId}] "${query}" is ambiguous (${candidates.length} places), asking user`);
+  
+  pendingRequest.locationQuery = query;
+  pendingRequest.locationChoices = candidates;
+  
+  const shortName = candidate => {
+    const name = candidate.displayName.split(',').map(part => part.trim()).filter(Boolean).slice(0, 3).join(', ');
+    return name.length > 60 ? `${name.substring(0, 57)}...` : name;
+  };
+  const buttons = candidates.map((candidate, index) => [{ text: `📍 ${shortName(candidate)}`, callback_data: `loc_${requestId}_${index}` }]);
+  buttons.push([{ text: '✏️ Use as typed', callback_data: `loc_${requestId}_typed` }]);
+  
+  const text = `🌍 *"${escapeMarkdown(query)}" matches several places - which one?*\n\n` +
+    `Or reply with a more specific location, or /skip`;
+  const options = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: buttons } };
+  
+  // A prompt sent with the reply keyboard can't get inline buttons - replace it (the keyboard stays up)
+  if (pendingRequest.locationKeyboard) {
+    try { await ctx.api.deleteMessage(chatId, promptMsgId); } catch (e) {}
+    const choiceMsg = await ctx.api.sendMessage(chatId, text, { ...options, message_thread_id: pendingRequest.threadId });
+    pendingRequest.promptMsgId = choiceMsg.message_id;
+    return;
+  }
+  try {
+    await ctx.api.editMessageText(chatId, promptMsgId, text, options);
+  } catch (e) {
+    console.error(`Failed to edit prompt message: ${e.message}`);
+  }
+}
+
+/**
+ * Handle a tap on one of the askLocationChoice buttons
+ * @param {Object} ctx - Grammy context
+ * @param {string} requestId
+ * @param {string} choice - Candidate index, or "typed"
+ */
+async function handleLocationChoice(ctx, requestId, choice) {
+  const pendingRequest = requestManager.getRequest(requestId);
+  if (!pendingRequest || pendingRequest.status !== 'pending' || !pendingRequest.locationChoices) {
+    await ctx.answerCallbackQuery({ text: '⏰ This request has expired' });
+    return;
+  }
+  if (pendingRequest.resolvingLocation) {
+    await ctx.answerCallbackQuery({ text: '⏳ Already looking up your location' });
+    return;
+  }
+  if (pendingRequest.userId !== ctx.from.id) {
+    await ctx.answerCallbackQuery({ text: '🔒 Only the person who sent the photo can choose' });
+    return;
+  }
+  
+  const candidate = choice === 'typed' ? null : pendingRequest.locationChoices[parseInt(choice, 10)];
+  const location = pendingRequest.locationQuery;
+  await ctx.answerCallbackQuery({ text: candidate ? `📍 ${candidate.displayName.split(',')[0]}` : '📍 Using location as typed' });
+  
+  console.log(`📍 [${requestId}] Location chosen: ${candidate ? candidate.displayName : `"${location}" as typed`}`);
+  delete pendingRequest.locationChoices;
+  await continueWithLocation(ctx, pendingRequest, location, candidate);
+}
+
+/**
+ * Identify a pending request's photo(s) with the location the user gave
+ * @param {Object} ctx - Grammy context (message or callback query from the requesting user)
+ * @param {Object} pendingRequest - Request waiting for a location
+ * @param {string} location - Location as typed, or "lat, lng" for a shared location
+ * @param {Object|null} coordinates - Geocoded location, if resolved
+ * @param {'typed'|'shared'} [locationSource='typed']
+ */
+async function continueWithLocation(ctx, pendingRequest, location, coordinates, locationSource = 'typed') {
+  const requestId = pendingRequest.requestId;
+  const chatId = pendingRequest.chatId;
+  const userId = pendingRequest.userId;
+  
+  // Capture values locally to ensure correct context
+  const pendingBuffer = pendingRequest.buffer;
+  const isMediaGroup = pendingRequest.isMediaGroup;
+  const processedPhotos = pendingRequest.processedPhotos;
+  const statusMsgId = pendingRequest.statusMsgId;
+  const identifyTarget = pendingRequest.identifyTarget;
+  const sourceMessageId = pendingRequest.sourceMessageId; // Original photo message ID for source link
+  const multiple = pendingRequest.multiple || false;
+  const fileId = pendingRequest.fileId;
+  
+  console.log(`📍 [${requestId}] Location received in chat ${chatId}: "${location}"${coordinates ? ` → ${coordinates.displayName}` : ''}${isMediaGroup ? ' (media group)' : ''}`);
+  
+  // Update status to processing BEFORE any async operations
+  requestManager.updateStatus(requestId, 'processing');
+  
+  // The promptMsgId is now our single status bubble - update it to show "Analyzing..."
+  const analyzingMsgId = await showAnalyzing(ctx.api, pendingRequest);
+  
+  // Handle recording vs media group vs single photo
+  if (pendingRequest.recording) {
+    const threadId = pendingRequest.threadId;
+    try {
+      await processRecording(ctx, pendingRequest.recording, location, requestId, threadId, analyzingMsgId, { coordinates, locationSource });
+    } catch (error) {
+      requestManager.updateStatus(requestId, 'failed', { error });
+      requestManager._removeRequest(requestId);
+      await ctx.api.sendMessage(chatId, `❌ Error processing recording: ${error.message}`, { message_thread_id: threadId });
+    }
+  } else if (isMediaGroup && processedPhotos) {
+    // Process media group with location - pass threadId and statusMsgId for forum topics
+    const threadId = pendingRequest.threadId;
+    try {
+      // Pass analyzingMsgId as statusMsgId to reuse the "Analyzing..." message
+      await processMediaGroupPhotos(ctx, processedPhotos, location, requestId, identifyTarget, threadId, analyzingMsgId, { coordinates, locationSource, sameAnimal: pendingRequest.sameAnimal });
+    } catch (error) {
+      requestManager.updateStatus(requestId, 'failed', { error });
+      requestManager._removeRequest(requestId);
+      await ctx.api.sendMessage(chatId, `❌ Error processing photos: ${error.message}`, { message_thread_id: threadId });
+    }
+  } else {
+    // Process single photo with captured context
+    try {
+      // Get threadId from pending request if available
       const threadId = pendingRequest.threadId;
-      try {
-        // Pass pendingPromptMsgId as statusMsgId to reuse the "Analyzing..." message
-        await processMediaGroupPhotos(ctx, processedPhotos, location, requestId, identifyTarget, threadId, pendingPromptMsgId);
-      } catch (error) {
-        requestManager.updateStatus(requestId, 'failed', { error });
-        requestManager._removeRequest(requestId);
-        await ctx.api.sendMessage(chatId, `❌ Error processing photos: ${error.message}`, { message_thread_id: threadId });
-      }
-    } else {
-      // Process single photo with captured context
-      try {
-        // Get threadId from pending request if available
-        const threadId = pendingRequest.threadId;
-        // Pass the promptMsgId as statusMsgId so it can be deleted when result is ready
-        await processIdentificationWithChatId(ctx, pendingBuffer, location, requestId, identifyTarget, chatId, threadId, pendingPromptMsgId, sourceMessageId);
-        // Consume rate limit on successful completion
-        const consumed = rateLimiter.consume(chatId, userId);
-        console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
-        // Immediately remove request after completion
-        requestManager.completeAndRemove(requestId);
-      } catch (error) {
-        requestManager.updateStatus(requestId, 'failed', { error });
-        requestManager._removeRequest(requestId);
-        throw error;
-      }
+      // Pass the "Analyzing..." message as statusMsgId so it can be deleted when result is ready
+      await processIdentificationWithChatId(ctx, pendingBuffer, location, requestId, identifyTarget, chatId, threadId, analyzingMsgId, sourceMessageId, {
+        multiple, fileId, locationSource, coordinates, takenAt: pendingRequest.takenAt, camera: pendingRequest.camera,
+        originalImage: pendingRequest.originalImage
+      });
+      // Consume rate limit on successful completion
+      const consumed = rateLimiter.consume(chatId, userId);
+      console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
+      // Immediately remove request after completion
+      requestManager.completeAndRemove(requestId);
+    } catch (error) {
+      requestManager.updateStatus(requestId, 'failed', { error });
+      requestManager._removeRequest(requestId);
+      throw error;
     }
   }
-});
+}
 
 // Handle callback queries (button clicks) - non-blocking
 bot.on('callback_query:data', (ctx) => {
@@ -1459,18 +2035,176 @@ bot.on('callback_query:data', (ctx) => {
   });
 });
 
+/**
+ * Build the "More Details" message (taxonomy, description, range, conservation status)
+ * @param {Object} d - Identification data
+ * @returns {string} Markdown message
+ */
+function buildDetailsMessage(d) {
+  let detailsMsg = `📚 *Detailed Information*\n\n`;
+  detailsMsg += `*${d.commonName}*\n`;
+  detailsMsg += `_${d.scientificName}_\n\n`;
+  
+  // eBird subspecies group (issf/form) - eBird counts it as the species above
+  if (d.eBirdGroup) {
+    detailsMsg += `🧬 *Subspecies group:* ${d.eBirdGroup.commonName}\n_${d.eBirdGroup.scientificName}_\n`;
+    detailsMsg += `Reported to eBird as ${d.commonName}\n\n`;
+  }
+  
+  // Taxonomy
+  detailsMsg += `🏷️ *Taxonomy:*\n`;
+  if (d.taxonomy) {
+    if (d.taxonomy.order) detailsMsg += `Order: ${d.taxonomy.order}\n`;
+    if (d.taxonomy.family) detailsMsg += `Family: ${d.taxonomy.family}\n`;
+    if (d.taxonomy.subfamily) detailsMsg += `Subfamily: ${d.taxonomy.subfamily}\n`;
+    if (d.taxonomy.genus) detailsMsg += `Genus: _${d.taxonomy.genus}_\n`;
+  }
+  detailsMsg += `\n`;
+  
+  // Description
+  if (d.description) {
+    detailsMsg += `📝 *Description:*\n${d.description}\n\n`;
+  }
+  
+  // Same-animal mode: the field marks each photo showed
+  if (d.evidence?.length > 0) {
+    detailsMsg += `🔗 *Evidence by photo:*\n`;
+    d.evidence.forEach(item => {
+      detailsMsg += `Photo ${item.photo}: ${item.fieldMarks}\n`;
+    });
+    if (d.identificationReasoning) {
+      detailsMsg += `_${d.identificationReasoning}_\n`;
+    }
+    detailsMsg += `\n`;
+  }
+  
+  // Geographic range
+  if (d.geographicRange) {
+    detailsMsg += `🌍 *Range:*\n${d.geographicRange}\n\n`;
+  }
+  
+  // Conservation status with colored icons
+  const getIucnCode = (status) => {
+    if (!status) return null;
+    const s = status.toUpperCase();
+    if (s.includes('LC') || s.includes('LEAST CONCERN')) return 'LC';
+    if (s.includes('NT') || s.includes('NEAR THREATENED')) return 'NT';
+    if (s.includes('VU') || s.includes('VULNERABLE')) return 'VU';
+    if (s.includes('EN') && !s.includes('EXTINCT')) return 'EN';
+    if (s.includes('CR') || s.includes('CRITICALLY')) return 'CR';
+    if (s.includes('EW') || s.includes('EXTINCT IN WILD')) return 'EW';
+    if (s.includes('EX') || s.includes('EXTINCT')) return 'EX';
+    if (s.includes('DD') || s.includes('DATA DEFICIENT')) return 'DD';
+    if (s.includes('NE') || s.includes('NOT EVALUATED')) return 'NE';
+    return null;
+  };
+  
+  const getIucnDisplay = (code) => {
+    // Returns colored block + icon + full name - each status distinctly colored
+    const display = {
+      'EX': { icon: '⬛💀', name: 'Extinct' },
+      'EW': { icon: '⬛☠️', name: 'Extinct in the Wild' },
+      'CR': { icon: '🟥🔴', name: 'Critically Endangered' },
+      'EN': { icon: '🟧🟠', name: 'Endangered' },
+      'VU': { icon: '🟨🟡', name: 'Vulnerable' },
+      'NT': { icon: '🟩🟢', name: 'Near Threatened' },
+      'LC': { icon: '🟢✅', name: 'Least Concern' },
+      'DD': { icon: '⬜❓', name: 'Data Deficient' },
+      'NE': { icon: '⚪', name: 'Not Evaluated' }
+    };
+    return display[code] || { icon: '⚪', name: 'Unknown' };
+  };
+  
+  const iucn = d.iucnStatus;
+  const globalStatus = iucn?.global || d.conservationStatus;
+  const globalCode = getIucnCode(globalStatus);
+  
+  // GBIF observations near the location around this time of year
+  if (d.occurrenceCheck) {
+    detailsMsg += `🌍 *GBIF Occurrences:*\n${describeOccurrenceCheck(d.occurrenceCheck)}\n\n`;
+  }
+  
+  // Model's pick and look-alikes, weighted by how often each is recorded nearby
+  if (d.locationRanking?.length > 1) {
+    detailsMsg += `📍 *Ranked by Location:*\n`;
+    d.locationRanking.forEach((entry, index) => {
+      const pick = entry.isTopPick ? ' ← identified' : '';
+      detailsMsg += `${index + 1}. ${entry.name} - ${entry.localRecords.toLocaleString()} local records (${Math.round(entry.share * 100)}%)${pick}\n`;
+    });
+    detailsMsg += `\n`;
+  }
+  
+  // eBird frequency for the location and month (birds only)
+  if (d.regionalCheck?.checked) {
+    detailsMsg += `📊 *eBird Frequency:*\n${describeRegionalCheck(d.regionalCheck)}\n\n`;
+  }
+  
+  detailsMsg += `🛡️ *Conservation Status:*\n\n`;
+  detailsMsg += `*Global (IUCN Red List):*\n`;
+  if (globalCode) {
+    const display = getIucnDisplay(globalCode);
+    detailsMsg += `${display.icon} ${display.name} (IUCN 3.1)\n\n`;
+  } else {
+    detailsMsg += `⚪ Not Evaluated\n\n`;
+  }
+  
+  // Local status
+  detailsMsg += `*Local Status:*\n`;
+  if (iucn && iucn.local && iucn.local !== 'null') {
+    const localCode = getIucnCode(iucn.local);
+    if (localCode) {
+      const display = getIucnDisplay(localCode);
+      detailsMsg += `${display.icon} ${display.name}\n\n`;
+    } else {
+      detailsMsg += `${iucn.local}\n\n`;
+    }
+  } else {
+    detailsMsg += `⚪ Not assessed\n\n`;
+  }
+  
+  return detailsMsg;
+}
+
 // Async callback handler
 async function handleCallbackQuery(ctx) {
   const data = ctx.callbackQuery.data;
   const chatId = ctx.callbackQuery.message?.chat?.id;  // Get chat ID from callback message
   const userId = ctx.from.id;
   
-  // Handle identification decision buttons (Yes/No)
-  if (data.startsWith('id_yes_') || data.startsWith('id_no_')) {
-    const match = data.match(/^id_(yes|no)_(.+)$/);
+  // History buttons (paging, details, re-open card)
+  if (data.startsWith('hist_')) {
+    await handleHistoryCallback(ctx, data);
+    return;
+  }
+  
+  // Per-photo result card from an album summary
+  const albumMatch = data.match(/^album_(req_\w+)_(\d+)$/);
+  if (albumMatch) {
+    await handleAlbumCardCallback(ctx, albumMatch[1], parseInt(albumMatch[2], 10));
+    return;
+  }
+  
+  // Location choice for an ambiguous place name
+  const locationMatch = data.match(/^loc_(req_\w+)_(\d+|typed)$/);
+  if (locationMatch) {
+    await handleLocationChoice(ctx, locationMatch[1], locationMatch[2]);
+    return;
+  }
+  
+  // Export format buttons from /export
+  const exportMatch = data.match(/^exp_(\w+)$/);
+  if (exportMatch && EXPORT_FORMATS[exportMatch[1]]) {
+    await ctx.answerCallbackQuery();
+    await sendExport(ctx, chatId, ctx.callbackQuery.message?.message_thread_id, { format: exportMatch[1] });
+    return;
+  }
+  
+  // Handle identification decision buttons (Yes/Same animal/No)
+  if (data.startsWith('id_yes_') || data.startsWith('id_same_') || data.startsWith('id_no_')) {
+    const match = data.match(/^id_(yes|same|no)_(.+)$/);
     if (!match) return;
     
-    const decision = match[1]; // 'yes' or 'no'
+    const decision = match[1]; // 'yes', 'same' or 'no'
     const key = match[2]; // photo or group key
     
     // Answer callback first to remove loading state
@@ -1518,9 +2252,10 @@ async function handleCallbackQuery(ctx) {
       
       pendingPhotoGroups.delete(key);
       
-      // Check quota for all photos
+      // Check quota for all photos (shots of the same animal are one identification)
       const photoCount = groupData.photos.length;
-      if (limitCheck.remaining < photoCount) {
+      const sameAnimal = decision === 'same';
+      if (!sameAnimal && limitCheck.remaining < photoCount) {
         await ctx.reply(
           `⚠️ *Not enough quota*\n\n` +
           `You have ${photoCount} photos but only ${limitCheck.remaining} identifications remaining.\n\n` +
@@ -1530,8 +2265,14 @@ async function handleCallbackQuery(ctx) {
         return;
       }
       
+      console.log(`📸 Processing ${photoCount} photos${sameAnimal ? ' of the same animal' : ''} from button for chat ${chatId} (${limitCheck.remaining} requests remaining)`);
+      
       // Process the media group with threadId for forum topics
-      await processMediaGroup(groupData.photos, chatId, null, groupData.threadId);
+      processMediaGroup(groupData.photos, chatId, null, groupData.threadId, { sameAnimal })
+        .catch(err => {
+          console.error(`❌ Media group error:`, err.message);
+          ctx.api.sendMessage(chatId, `❌ Error processing photos: ${err.message}`, { message_thread_id: groupData.threadId }).catch(() => {});
+        });
       
     } else if (key.startsWith('photo_')) {
       const photoData = pendingPhotos.get(key);
@@ -1568,6 +2309,66 @@ async function handleCallbackQuery(ctx) {
           requestManager.updateStatus(request.requestId, 'failed', { error: err });
           ctx.api.sendMessage(targetChatId, `❌ Error: ${err.message}`, { message_thread_id: targetThreadId }).catch(() => {});
         });
+    } else if (key.startsWith('video_')) {
+      const videoData = pendingPhotos.get(key);
+      if (!videoData) {
+        await ctx.reply('❌ Video data expired. Please send the video again.');
+        return;
+      }
+      
+      pendingPhotos.delete(key);
+      
+      const targetChatId = videoData.chatId;
+      const targetThreadId = videoData.threadId;
+      
+      // The prompt becomes the status message
+      const promptMsgId = ctx.callbackQuery?.message?.message_id;
+      try {
+        await ctx.api.editMessageText(targetChatId, promptMsgId, '🎞️ *Picking the sharpest frames...*', { parse_mode: 'Markdown' });
+      } catch (e) {
+        console.log(`⚠️ Could not edit prompt to status: ${e.message}`);
+      }
+      
+      const request = requestManager.createRequest(ctx, { chatId: targetChatId, userId, threadId: targetThreadId, statusMsgId: promptMsgId, sourceMessageId: videoData.messageId });
+      
+      console.log(`🎞️ [${request.requestId}] Processing ${videoData.kind} from button for chat ${targetChatId}${targetThreadId ? ` thread ${targetThreadId}` : ''} (${limitCheck.remaining} requests remaining)`);
+      
+      processVideoFromFileId(ctx, videoData, request, targetChatId, targetThreadId, promptMsgId)
+        .catch(err => {
+          requestManager.updateStatus(request.requestId, 'failed', { error: err });
+          requestManager._removeRequest(request.requestId);
+          ctx.api.sendMessage(targetChatId, `❌ Error: ${err.message}`, { message_thread_id: targetThreadId }).catch(() => {});
+        });
+    } else if (key.startsWith('sound_')) {
+      const soundData = pendingPhotos.get(key);
+      if (!soundData) {
+        await ctx.reply('❌ Recording expired. Please send it again.');
+        return;
+      }
+      
+      pendingPhotos.delete(key);
+      
+      const targetChatId = soundData.chatId;
+      const targetThreadId = soundData.threadId;
+      
+      // The prompt becomes the status message
+      const promptMsgId = ctx.callbackQuery?.message?.message_id;
+      try {
+        await ctx.api.editMessageText(targetChatId, promptMsgId, '🔊 *Drawing the spectrogram...*', { parse_mode: 'Markdown' });
+      } catch (e) {
+        console.log(`⚠️ Could not edit prompt to status: ${e.message}`);
+      }
+      
+      const request = requestManager.createRequest(ctx, { chatId: targetChatId, userId, threadId: targetThreadId, statusMsgId: promptMsgId, sourceMessageId: soundData.messageId });
+      
+      console.log(`🔊 [${request.requestId}] Processing ${soundData.kind} from button for chat ${targetChatId}${targetThreadId ? ` thread ${targetThreadId}` : ''} (${limitCheck.remaining} requests remaining)`);
+      
+      processSoundFromFileId(ctx, soundData, request, targetChatId, targetThreadId, promptMsgId)
+        .catch(err => {
+          requestManager.updateStatus(request.requestId, 'failed', { error: err });
+          requestManager._removeRequest(request.requestId);
+          ctx.api.sendMessage(targetChatId, `❌ Error: ${err.message}`, { message_thread_id: targetThreadId }).catch(() => {});
+        });
     }
     return;
   }
@@ -1583,89 +2384,7 @@ async function handleCallbackQuery(ctx) {
     if (lastResult) {
       const d = lastResult;
       
-      // Build detailed information message
-      let detailsMsg = `📚 *Detailed Information*\n\n`;
-      detailsMsg += `*${d.commonName}*\n`;
-      detailsMsg += `_${d.scientificName}_\n\n`;
-      
-      // Taxonomy
-      detailsMsg += `🏷️ *Taxonomy:*\n`;
-      if (d.taxonomy) {
-        if (d.taxonomy.order) detailsMsg += `Order: ${d.taxonomy.order}\n`;
-        if (d.taxonomy.family) detailsMsg += `Family: ${d.taxonomy.family}\n`;
-        if (d.taxonomy.subfamily) detailsMsg += `Subfamily: ${d.taxonomy.subfamily}\n`;
-        if (d.taxonomy.genus) detailsMsg += `Genus: _${d.taxonomy.genus}_\n`;
-      }
-      detailsMsg += `\n`;
-      
-      // Description
-      if (d.description) {
-        detailsMsg += `📝 *Description:*\n${d.description}\n\n`;
-      }
-      
-      // Geographic range
-      if (d.geographicRange) {
-        detailsMsg += `🌍 *Range:*\n${d.geographicRange}\n\n`;
-      }
-      
-      // Conservation status with colored icons
-      const getIucnCode = (status) => {
-        if (!status) return null;
-        const s = status.toUpperCase();
-        if (s.includes('LC') || s.includes('LEAST CONCERN')) return 'LC';
-        if (s.includes('NT') || s.includes('NEAR THREATENED')) return 'NT';
-        if (s.includes('VU') || s.includes('VULNERABLE')) return 'VU';
-        if (s.includes('EN') && !s.includes('EXTINCT')) return 'EN';
-        if (s.includes('CR') || s.includes('CRITICALLY')) return 'CR';
-        if (s.includes('EW') || s.includes('EXTINCT IN WILD')) return 'EW';
-        if (s.includes('EX') || s.includes('EXTINCT')) return 'EX';
-        if (s.includes('DD') || s.includes('DATA DEFICIENT')) return 'DD';
-        if (s.includes('NE') || s.includes('NOT EVALUATED')) return 'NE';
-        return null;
-      };
-      
-      const getIucnDisplay = (code) => {
-        // Returns colored block + icon + full name - each status distinctly colored
-        const display = {
-          'EX': { icon: '⬛💀', name: 'Extinct' },
-          'EW': { icon: '⬛☠️', name: 'Extinct in the Wild' },
-          'CR': { icon: '🟥🔴', name: 'Critically Endangered' },
-          'EN': { icon: '🟧🟠', name: 'Endangered' },
-          'VU': { icon: '🟨🟡', name: 'Vulnerable' },
-          'NT': { icon: '🟩🟢', name: 'Near Threatened' },
-          'LC': { icon: '🟢✅', name: 'Least Concern' },
-          'DD': { icon: '⬜❓', name: 'Data Deficient' },
-          'NE': { icon: '⚪', name: 'Not Evaluated' }
-        };
-        return display[code] || { icon: '⚪', name: 'Unknown' };
-      };
-      
-      const iucn = d.iucnStatus;
-      const globalStatus = iucn?.global || d.conservationStatus;
-      const globalCode = getIucnCode(globalStatus);
-      
-      detailsMsg += `🛡️ *Conservation Status:*\n\n`;
-      detailsMsg += `*Global (IUCN Red List):*\n`;
-      if (globalCode) {
-        const display = getIucnDisplay(globalCode);
-        detailsMsg += `${display.icon} ${display.name} (IUCN 3.1)\n\n`;
-      } else {
-        detailsMsg += `⚪ Not Evaluated\n\n`;
-      }
-      
-      // Local status
-      detailsMsg += `*Local Status:*\n`;
-      if (iucn && iucn.local && iucn.local !== 'null') {
-        const localCode = getIucnCode(iucn.local);
-        if (localCode) {
-          const display = getIucnDisplay(localCode);
-          detailsMsg += `${display.icon} ${display.name}\n\n`;
-        } else {
-          detailsMsg += `${iucn.local}\n\n`;
-        }
-      } else {
-        detailsMsg += `⚪ Not assessed\n\n`;
-      }
+      const detailsMsg = buildDetailsMessage(d);
       
       // Check if user already received the image (via Similar Species)
       const imageKey = `${scientificName}_${tappedByUserId}`;
@@ -1691,7 +2410,7 @@ async function handleCallbackQuery(ctx) {
         // Always PM the user
         try {
           if (hdBuffer) {
-            await ctx.api.sendPhoto(tappedByUserId, new InputFile(hdBuffer, 'photo_hd.jpg'));
+            await sendHdImage(ctx.api, tappedByUserId, hdBuffer);
             userImageCache.set(imageKey, true);
           }
           await ctx.api.sendMessage(tappedByUserId, detailsMsg, { parse_mode: 'Markdown' });
@@ -1768,7 +2487,7 @@ async function handleCallbackQuery(ctx) {
           // Always PM the user
           try {
             if (hdBuffer) {
-              await ctx.api.sendPhoto(tappedByUserId, new InputFile(hdBuffer, 'photo_hd.jpg'));
+              await sendHdImage(ctx.api, tappedByUserId, hdBuffer);
               userImageCache.set(imageKey, true);
             }
             await ctx.api.sendMessage(tappedByUserId, similarMsg, { parse_mode: 'Markdown' });
@@ -1803,10 +2522,31 @@ async function handleCallbackQuery(ctx) {
 /**
  * @typedef {Object} MediaGroupPhoto
  * @property {Object} ctx - Grammy context
- * @property {Object} photo - Largest photo object
+ * @property {Object} photo - Largest photo size, or the document of an image file
  * @property {number} messageId - Message ID
  */
 
+/**
+ * The image of a message: the largest size of a photo, or an image file sent as a document
+ * Both have the file_id the download paths need.
+ * @param {Object} message - Telegram message
+ * @returns {Object} PhotoSize or Document
+ */
+function getMessageImage(message) {
+  return message.photo ? message.photo[message.photo.length - 1] : message.document;
+}
+
+/**
+ * The image a command replies to: a photo or an image file (not a GIF or any other document)
+ * @param {Object} [message] - reply_to_message
+ * @returns {Object|null} PhotoSize or Document
+ */
+function getRepliedImage(message) {
+  if (!message || message.animation) return null;
+  if (message.document && !isImageFile({ mimeType: message.document.mime_type, fileName: message.document.file_name })) return null;
+  return message.photo || message.document ? getMessageImage(message) : null;
+}
+
 class MediaGroupCollector {
   constructor() {
     /** @type {Map<string, {photos: MediaGroupPhoto[], timer: NodeJS.Timeout, chatId: number, userId: number, resolvers: Function[]}>} */
@@ -1822,8 +2562,7 @@ class MediaGroupCollector {
    */
   addPhoto(mediaGroupId, ctx) {
     return new Promise((resolve) => {
-      const photos = ctx.message.photo;
-      const largestPhoto = photos[photos.length - 1];
+      const largestPhoto = getMessageImage(ctx.message);
       
       const photoData = {
         ctx,
@@ -1865,6 +2604,9 @@ class MediaGroupCollector {
 
 const mediaGroupCollector = new MediaGroupCollector();
 
+// Photos of one album identified at the same time (each runs the full vision + GBIF + eBird pipeline)
+const MEDIA_GROUP_CONCURRENCY = Math.max(1, parseInt(process.env.MEDIA_GROUP_CONCURRENCY, 10) || 3);
+
 // ============================================
 // SINGLE PHOTO BATCH COLLECTOR
 // Groups single photos sent in quick succession (no media_group_id)
@@ -1872,7 +2614,7 @@ const mediaGroupCollector = new MediaGroupCollector();
 
 class SinglePhotoBatchCollector {
   constructor() {
-    /** @type {Map<string, {photos: Array, timer: NodeJS.Timeout, chatId: number, userId: number, threadId: number}>} */
+    /** @type {Map<string, {photos: Array, timer: NodeJS.Timeout, chatId: number, userId: number, threadId: number, resolve: Function}>} */
     this.batches = new Map();
     this.collectTimeout = 2000; // Wait 2 seconds to collect photos sent quickly
   }
@@ -1887,10 +2629,9 @@ class SinglePhotoBatchCollector {
     const chatId = ctx.chat.id;
     const userId = ctx.from.id;
     const threadId = ctx.message.message_thread_id;
-    const batchKey = `batch_${chatId}_${userId}`;
+    const batchKey = this.getBatchKey(ctx);
     
-    const photos = ctx.message.photo;
-    const largestPhoto = photos[photos.length - 1];
+    const largestPhoto = getMessageImage(ctx.message);
     
     const photoData = {
       ctx,
@@ -1907,19 +2648,17 @@ class SinglePhotoBatchCollector {
         chatId,
         userId,
         threadId,
-        timer: null, // Will be set below
+        timer: null, // Set by waitForBatch
+        resolve: null,
       });
       return true; // First photo - this handler will manage the batch
     } else {
-      // Additional photo in batch - reset timer to wait for more
+      // Additional photo in batch - restart the timer to wait for more
       console.log(`📸 Adding photo to existing batch ${batchKey}`);
       const batch = this.batches.get(batchKey);
       batch.photos.push(photoData);
-      
-      // Reset the timer to wait longer for more photos
-      if (batch.timer) {
-        clearTimeout(batch.timer);
-        batch.timer = null;
+      if (batch.resolve) {
+        this._startTimer(batchKey);
       }
       
       return false; // Not the first photo - return early
@@ -1939,29 +2678,34 @@ class SinglePhotoBatchCollector {
         return;
       }
 
-      // Set/reset timer
-      if (batch.timer) {
-        clearTimeout(batch.timer);
-      }
-      
-      batch.timer = setTimeout(() => {
-        const finalBatch = this.batches.get(batchKey);
-        this.batches.delete(batchKey);
-        if (finalBatch) {
-          console.log(`📸 Single photo batch collected: ${finalBatch.photos.length} photos`);
-          resolve(finalBatch.photos);
-        } else {
-          resolve([]);
-        }
-      }, this.collectTimeout);
+      batch.resolve = resolve;
+      this._startTimer(batchKey);
     });
   }
 
+  /**
+   * (Re)start the quiet period after which the batch is complete
+   * @param {string} batchKey
+   */
+  _startTimer(batchKey) {
+    const batch = this.batches.get(batchKey);
+    if (batch.timer) {
+      clearTimeout(batch.timer);
+    }
+    
+    batch.timer = setTimeout(() => {
+      this.batches.delete(batchKey);
+      console.log(`📸 Single photo batch collected: ${batch.photos.length} photos`);
+      batch.resolve(batch.photos);
+    }, this.collectTimeout);
+  }
+
   /**
    * Get the batch key for a context
+   * Forum topics batch separately - photos in different topics never share a prompt
    */
   getBatchKey(ctx) {
-    return `batch_${ctx.chat.id}_${ctx.from.id}`;
+    return `batch_${ctx.chat.id}_${ctx.message.message_thread_id || 0}_${ctx.from.id}`;
   }
 }
 
@@ -1973,7 +2717,38 @@ const singlePhotoBatchCollector = new SinglePhotoBatchCollector();
 // Also supports replying to any photo with /identify
 // ============================================
 
-bot.on('message:photo', async (ctx) => {
+bot.on('message:photo', (ctx) => collectPhotoMessage(ctx));
+
+// Telegram only lets bots download files up to 20 MB
+const TELEGRAM_DOWNLOAD_LIMIT = 20 * 1024 * 1024;
+
+// Photos sent as files (uncompressed JPEG, HEIC, RAW) keep their EXIF and full resolution
+bot.on('message:document', async (ctx, next) => {
+  const document = ctx.message.document;
+  // GIFs arrive as animations, which also carry a document - pass them on to the video handler
+  if (ctx.message.animation) return next();
+  if (!isImageFile({ mimeType: document.mime_type, fileName: document.file_name })) return next();
+  if (!isAllowedThread(ctx)) return;
+  
+  if (document.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+    // Albums would get one of these per file - only worth saying for a single file
+    if (!ctx.message.media_group_id) {
+      await ctx.reply(`📄 This file is too large for me to download (max 20 MB). A JPEG export or a screenshot works too.`, {
+        reply_to_message_id: ctx.message.message_id
+      });
+    }
+    return;
+  }
+  
+  await collectPhotoMessage(ctx);
+});
+
+/**
+ * Start the identification prompt for a photo or image file
+ * Albums and photos sent in quick succession share one prompt.
+ * @param {Object} ctx - Grammy context of a photo or image document message
+ */
+async function collectPhotoMessage(ctx) {
   const chatId = ctx.chat.id;
   const userId = ctx.from.id;
   const messageId = ctx.message.message_id;
@@ -1984,65 +2759,32 @@ bot.on('message:photo', async (ctx) => {
     return; // Silently ignore messages from non-allowed threads
   }
   
-  console.log(`📷 Photo received: chatId=${chatId}, userId=${userId}, msgId=${messageId}, mediaGroupId=${mediaGroupId || 'none'}`);
+  console.log(`📷 ${ctx.message.document ? `Image file (${ctx.message.document.file_name || ctx.message.document.mime_type})` : 'Photo'} received: chatId=${chatId}, userId=${userId}, msgId=${messageId}, mediaGroupId=${mediaGroupId || 'none'}`);
   
-  // Media group handling disabled for now - each photo handled individually
-  /*
-  // For media groups, only show prompt once (on first photo)
+  // Albums get one prompt for all their photos, once the last one has arrived.
+  // Not awaited: the other photos are separate updates, and polling mode handles updates one at a time
   if (mediaGroupId) {
-    const collectedPhotos = await mediaGroupCollector.addPhoto(mediaGroupId, ctx);
-    
-    if (collectedPhotos) {
-      // All photos collected - show identification prompt
-      const photoCount = collectedPhotos.length;
-      
-      // Check rate limit first
-      const limitCheck = rateLimiter.checkLimit(chatId, userId);
-      if (!limitCheck.allowed) {
-        // Don't show prompt if rate limited
-        console.log(`📷 ${photoCount} photos shared by user ${userId} in chat ${chatId} (rate limited)`);
-        return;
-      }
-      
-      // Store collected photos temporarily for later processing
-      const groupKey = `group_${chatId}_${userId}_${Date.now()}`;
-      // Get threadId from first photo context for forum topics
-      const threadId = collectedPhotos[0]?.ctx?.message?.message_thread_id;
-      pendingPhotoGroups.set(groupKey, {
-        photos: collectedPhotos,
-        chatId,
-        userId,
-        threadId,
-        timestamp: Date.now(),
-      });
-      
-      // Auto-expire after 5 minutes
-      setTimeout(() => pendingPhotoGroups.delete(groupKey), 5 * 60 * 1000);
-      
-      // Show prompt with buttons
-      await ctx.reply(
-        `📸 *${photoCount} photo${photoCount > 1 ? 's' : ''} received!*\n\n` +
-        `Would you like me to identify the animals?`,
-        {
-          parse_mode: 'Markdown',
-          reply_markup: {
-            inline_keyboard: [[
-              { text: '✅ Yes, identify', callback_data: `id_yes_${groupKey}` },
-              { text: '❌ No thanks', callback_data: `id_no_${groupKey}` }
-            ]]
-          }
-        }
-      );
-      
-      console.log(`📷 ${photoCount} photos shared in chat ${chatId} - awaiting identification decision`);
-    }
+    mediaGroupCollector.addPhoto(mediaGroupId, ctx)
+      .then(collectedPhotos => collectedPhotos && promptMediaGroup(collectedPhotos))
+      .catch(err => console.error(`❌ Media group ${mediaGroupId} prompt failed:`, err.message));
     return;
   }
-  */
   
-  // Single photo - handle directly (batching disabled for now)
-  const photos = ctx.message.photo;
-  const largestPhoto = photos[photos.length - 1];
+  // Photos sent one after another within a couple of seconds share one prompt too,
+  // so several shots of the same animal can be identified together
+  if (!singlePhotoBatchCollector.addPhoto(ctx)) return;
+  singlePhotoBatchCollector.waitForBatch(singlePhotoBatchCollector.getBatchKey(ctx))
+    .then(batchPhotos => batchPhotos.length > 1 ? promptMediaGroup(batchPhotos) : promptSinglePhoto(batchPhotos[0]))
+    .catch(err => console.error(`❌ Photo batch prompt failed:`, err.message));
+}
+
+/**
+ * Ask whether to identify a single photo
+ * @param {Object} photoData - Collected photo ({ctx, photo, messageId})
+ */
+async function promptSinglePhoto({ ctx, photo, messageId }) {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
   const threadId = ctx.message.message_thread_id;
   
   // Check rate limit first
@@ -2058,7 +2800,7 @@ bot.on('message:photo', async (ctx) => {
     messageId,
     chatId,
     userId,
-    fileId: largestPhoto.file_id,
+    fileId: photo.file_id,
     threadId,
     timestamp: Date.now(),
   });
@@ -2084,10 +2826,68 @@ bot.on('message:photo', async (ctx) => {
   );
   
   console.log(`📷 Photo shared in chat ${chatId} by user ${userId} - awaiting identification decision`);
-});
+}
 
 /**
- * Process a single photo from file_id (used by button callback)
+ * Ask once whether to identify a whole album (or a batch of photos sent one after another)
+ * Besides identifying each photo, the photos can be combined as shots of the same animal.
+ * @param {MediaGroupPhoto[]} collectedPhotos - Every photo of the album
+ */
+async function promptMediaGroup(collectedPhotos) {
+  // Updates can arrive out of order - keep the album's own order for photo numbers
+  const photos = [...collectedPhotos].sort((a, b) => a.messageId - b.messageId);
+  const firstCtx = photos[0].ctx;
+  const chatId = firstCtx.chat.id;
+  const userId = firstCtx.from.id;
+  const threadId = firstCtx.message.message_thread_id;
+  const photoCount = photos.length;
+  
+  // Check rate limit first
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  if (!limitCheck.allowed) {
+    console.log(`📷 ${photoCount} photos shared by user ${userId} in chat ${chatId} (rate limited)`);
+    return;
+  }
+  
+  // Store collected photos until the user decides
+  const groupKey = `group_${chatId}_${userId}_${Date.now()}`;
+  pendingPhotoGroups.set(groupKey, {
+    photos,
+    chatId,
+    userId,
+    threadId,
+    timestamp: Date.now(),
+  });
+  
+  // Auto-expire after 5 minutes
+  setTimeout(() => pendingPhotoGroups.delete(groupKey), 5 * 60 * 1000);
+  
+  // Show prompt with buttons
+  await firstCtx.api.sendMessage(chatId,
+    `📸 *${photoCount} photos received!*\n\n` +
+    `Would you like me to identify the animals?\n\n` +
+    `🔗 _Same animal_ combines every shot into one identification.`,
+    {
+      parse_mode: 'Markdown',
+      reply_to_message_id: photos[0].messageId,
+      message_thread_id: threadId,
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ Identify each', callback_data: `id_yes_${groupKey}` },
+            { text: '🔗 Same animal', callback_data: `id_same_${groupKey}` }
+          ],
+          [{ text: '❌ No thanks', callback_data: `id_no_${groupKey}` }]
+        ]
+      }
+    }
+  );
+  
+  console.log(`📷 ${photoCount} photos shared in chat ${chatId} by user ${userId} - awaiting identification decision`);
+}
+
+/**
+ * Process a single photo from file_id (used by button callback)
  * @param {Context} ctx - grammy context
  * @param {string} fileId - Telegram file ID
  * @param {Object} request - Request object from RequestManager
@@ -2107,78 +2907,37 @@ async function processSinglePhotoFromFileId(ctx, fileId, request, targetChatId,
     
     // Download image from Telegram
     console.log(`📥 [${requestId}] Downloading image...`);
-    const file = await ctx.api.getFile(fileId);
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-    
-    const response = await fetch(fileUrl);
-    let buffer = Buffer.from(await response.arrayBuffer());
-    
-    // Extract EXIF GPS coordinates BEFORE any image processing
-    let exifLocation = null;
-    try {
-      const parser = ExifParser.create(buffer);
-      const exifData = parser.parse();
-      if (exifData.tags && exifData.tags.GPSLatitude && exifData.tags.GPSLongitude) {
-        const lat = exifData.tags.GPSLatitude;
-        const lng = exifData.tags.GPSLongitude;
-        exifLocation = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-        console.log(`📍 [${requestId}] Found EXIF GPS: ${exifLocation}`);
-      }
-    } catch (e) {}
-    
-    // Process image for analysis
-    console.log(`🖼️ [${requestId}] Processing image...`);
-    buffer = await sharp(buffer)
-      .rotate()
-      .withMetadata()
-      .png({ compressionLevel: 0, effort: 1 })
-      .toBuffer();
+    const { buffer, original, exifLocation, takenAt, camera } = await prepareImage(await fetchTelegramFile(ctx.api, fileId));
+    if (exifLocation) console.log(`📍 [${requestId}] Found EXIF GPS: ${exifLocation}`);
     
     if (exifLocation) {
       // Has EXIF location - process immediately (auto-identify all)
       console.log(`📍 [${requestId}] Has EXIF location, processing immediately...`);
-      await processIdentificationWithChatId(ctx, buffer, exifLocation, requestId, null, chatId, threadId, statusMsgId, sourceMessageId);
+      await processIdentificationWithChatId(ctx, buffer, exifLocation, requestId, null, chatId, threadId, statusMsgId, sourceMessageId, { fileId, locationSource: 'exif', takenAt, camera, originalImage: original });
       const consumed = rateLimiter.consume(chatId, ctx.from.id);
       console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
       requestManager.completeAndRemove(requestId);
     } else {
       // No EXIF - need to ask for location
-      // If we have an existing status message, edit it to ask for location
-      let promptMsg;
-      if (statusMsgId) {
-        try {
-          await ctx.api.editMessageText(chatId, statusMsgId,
-            `🌍 *Where was this photo taken?*\n\n` +
-            `Reply with location or /skip`,
-            { parse_mode: 'Markdown' }
-          );
-          promptMsg = { message_id: statusMsgId };
-        } catch (e) {
-          // Message may have been deleted, send new one
-          promptMsg = await ctx.api.sendMessage(chatId,
-            `🌍 *Where was this photo taken?*\n\n` +
-            `Reply with location or /skip`,
-            { parse_mode: 'Markdown', message_thread_id: threadId }
-          );
-        }
-      } else {
-        promptMsg = await ctx.api.sendMessage(chatId,
-          `🌍 *Where was this photo taken?*\n\n` +
-          `Reply with location or /skip`,
-          { parse_mode: 'Markdown', message_thread_id: threadId }
-        );
-      }
+      // If we have an existing status message, it becomes the prompt
+      const prompt = locationPrompt(ctx.chat?.type);
+      const promptMsgId = await showLocationPrompt(ctx.api, chatId, threadId, statusMsgId, prompt);
       
       // Store request state for location input
       const req = requestManager.getRequest(requestId);
       if (req) {
         req.buffer = buffer;
-        req.promptMsgId = promptMsg.message_id;
+        req.originalImage = original; // Full resolution, for the HD image in PM
+        req.promptMsgId = promptMsgId;
+        req.locationKeyboard = prompt.keyboard;
         req.waitingFor = 'location';
         req.identifyTarget = null; // Auto-identify all
         req.chatId = chatId;
         req.threadId = threadId; // Forum topic thread ID
         req.sourceMessageId = sourceMessageId; // Original photo message ID for source link
+        req.fileId = fileId; // Telegram file_id, stored with the sighting
+        req.takenAt = takenAt;
+        req.camera = camera;
         req.status = 'pending';
       }
       
@@ -2198,189 +2957,158 @@ async function processSinglePhotoFromFileId(ctx, fileId, request, targetChatId,
  * @param {number} chatId - Chat ID
  * @param {string} [captionTarget] - What to identify from caption
  * @param {number} [threadId] - Thread ID for forum topics
+ * @param {Object} [options]
+ * @param {boolean} [options.sameAnimal] - The photos are shots of one animal, identified together
  */
-async function processMediaGroup(photos, chatId, captionTarget = null, threadId = null) {
+async function processMediaGroup(photos, chatId, captionTarget = null, threadId = null, options = {}) {
   const firstCtx = photos[0].ctx;
   const photoCount = photos.length;
+  const sameAnimal = Boolean(options.sameAnimal);
   // Use provided threadId or get from first context
   const targetThreadId = threadId || firstCtx.message?.message_thread_id;
   
-  // If target provided in caption, skip the "what to identify" question
-  if (captionTarget) {
-    // Send initial status message
-    const statusMsg = await firstCtx.api.sendMessage(chatId,
-      `📸 *Processing ${photoCount} photo${photoCount > 1 ? 's' : ''}...*\n\n` +
-      `🎯 Looking for: ${captionTarget}`,
-      { parse_mode: 'Markdown', message_thread_id: targetThreadId }
-    );
-    
-    // Ask for location
-    const promptMsg = await firstCtx.api.sendMessage(chatId,
-      `🌍 *Where were these photos taken?*\n\n` +
-      `Reply with location or /skip`,
-      { parse_mode: 'Markdown', message_thread_id: targetThreadId }
-    );
-    
-    // Store as pending request
-    const groupRequest = requestManager.createRequest(firstCtx, {
-      isMediaGroup: true,
-      photoCount,
-    });
-    
-    // Download and process all images in parallel (same as before)
-    const processedPhotos = await Promise.all(photos.map(async (photoData, index) => {
-      try {
-        const file = await firstCtx.api.getFile(photoData.photo.file_id);
-        const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-        
-        const response = await fetch(fileUrl);
-        let buffer = Buffer.from(await response.arrayBuffer());
-        
-        // Extract EXIF GPS if available
-        let exifLocation = null;
-        try {
-          const parser = ExifParser.create(buffer);
-          const exifData = parser.parse();
-          if (exifData.tags?.GPSLatitude && exifData.tags?.GPSLongitude) {
-            const lat = exifData.tags.GPSLatitude;
-            const lng = exifData.tags.GPSLongitude;
-            exifLocation = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-          }
-        } catch (e) {}
-        
-        // Process image
-        buffer = await sharp(buffer)
-          .rotate()
-          .withMetadata()
-          .png({ compressionLevel: 0, effort: 1 })
-          .toBuffer();
-        
-        return { buffer, exifLocation, index };
-      } catch (error) {
-        console.error(`Error processing photo ${index + 1}:`, error.message);
-        return { error: error.message, index };
-      }
-    }));
-    
-    // Check for EXIF location
-    const exifLocation = processedPhotos.find(p => p.exifLocation)?.exifLocation;
-    
-    if (exifLocation) {
-      // Has EXIF - delete prompts and process
-      try {
-        await firstCtx.api.deleteMessage(chatId, statusMsg.message_id);
-        await firstCtx.api.deleteMessage(chatId, promptMsg.message_id);
-      } catch (e) {}
-      
-      await processMediaGroupPhotos(firstCtx, processedPhotos, exifLocation, groupRequest.requestId, captionTarget, targetThreadId);
-    } else {
-      // No EXIF - wait for location
-      const req = requestManager.getRequest(groupRequest.requestId);
-      if (req) {
-        req.processedPhotos = processedPhotos;
-        req.promptMsgId = promptMsg.message_id;
-        req.statusMsgId = statusMsg.message_id;
-        req.isMediaGroup = true;
-        req.buffer = true;
-        req.status = 'pending';
-        req.waitingFor = 'location';
-        req.identifyTarget = captionTarget;
-        req.threadId = targetThreadId;
-        req.chatId = chatId;
-      }
-    }
-    return;
-  }
-  
-  // No caption target - auto-identify all animals
-  // Create request and download all photos
   const groupRequest = requestManager.createRequest(firstCtx, {
     isMediaGroup: true,
     photoCount,
+    sameAnimal,
   });
   
   // Send initial status message
   const statusMsg = await firstCtx.api.sendMessage(chatId,
-    `📸 *Processing ${photoCount} photo${photoCount > 1 ? 's' : ''}...*`,
+    (sameAnimal
+      ? `🔗 *Combining ${photoCount} photos of the same animal...*`
+      : `📸 *Processing ${photoCount} photo${photoCount > 1 ? 's' : ''}...*`) +
+    (captionTarget ? `\n\n🎯 Looking for: ${captionTarget}` : ''),
     { parse_mode: 'Markdown', message_thread_id: targetThreadId }
   );
   
-  // Download and process all images in parallel
-  const processedPhotos = await Promise.all(photos.map(async (photoData, index) => {
-    try {
-      const file = await firstCtx.api.getFile(photoData.photo.file_id);
-      const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-      
-      const response = await fetch(fileUrl);
-      let buffer = Buffer.from(await response.arrayBuffer());
-      
-      // Extract EXIF GPS if available
-      let exifLocation = null;
-      try {
-        const parser = ExifParser.create(buffer);
-        const exifData = parser.parse();
-        if (exifData.tags?.GPSLatitude && exifData.tags?.GPSLongitude) {
-          const lat = exifData.tags.GPSLatitude;
-          const lng = exifData.tags.GPSLongitude;
-          exifLocation = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-        }
-      } catch (e) {}
-      
-      // Process image
-      buffer = await sharp(buffer)
-        .rotate()
-        .withMetadata()
-        .png({ compressionLevel: 0, effort: 1 })
-        .toBuffer();
-      
-      return { buffer, exifLocation, index };
-    } catch (error) {
-      console.error(`Error processing photo ${index + 1}:`, error.message);
-      return { error: error.message, index };
-    }
-  }));
+  const processedPhotos = await downloadMediaGroupPhotos(firstCtx.api, photos);
   
-  // Check if any photo has EXIF location
+  // One location for all the photos - the first one with GPS
   const exifLocation = processedPhotos.find(p => p.exifLocation)?.exifLocation;
   
   if (exifLocation) {
-    // Has EXIF location - process immediately (auto-identify all)
-    console.log(`📍 Using EXIF location for media group: ${exifLocation}`);
-    
-    // Delete status message
-    try {
-      await firstCtx.api.deleteMessage(chatId, statusMsg.message_id);
-    } catch (e) {}
-    
-    // Process all photos with the location
-    await processMediaGroupPhotos(firstCtx, processedPhotos, exifLocation, groupRequest.requestId, null, targetThreadId);
+    // Has EXIF location - process immediately
+    console.log(`📍 [${groupRequest.requestId}] Using EXIF location for media group: ${exifLocation}`);
+    requestManager.updateStatus(groupRequest.requestId, 'processing');
+    await processMediaGroupPhotos(firstCtx, processedPhotos, exifLocation, groupRequest.requestId, captionTarget, targetThreadId, statusMsg.message_id, { sameAnimal });
+    return;
+  }
+  
+  // No EXIF - the status message becomes the location question for all photos
+  // (asked only now, so the "Send my location" keyboard isn't left behind when EXIF has it)
+  const prompt = locationPrompt(firstCtx.chat.type, { plural: true });
+  const promptMsgId = await showLocationPrompt(firstCtx.api, chatId, targetThreadId, statusMsg.message_id, prompt);
+  
+  // Store pending data
+  const req = requestManager.getRequest(groupRequest.requestId);
+  if (req) {
+    req.processedPhotos = processedPhotos;
+    req.promptMsgId = promptMsgId;
+    req.locationKeyboard = prompt.keyboard;
+    req.isMediaGroup = true;
+    req.sameAnimal = sameAnimal;
+    req.buffer = true; // Flag that we have data waiting
+    req.status = 'pending';
+    req.waitingFor = 'location';
+    req.identifyTarget = captionTarget;
+    req.threadId = targetThreadId;
+    req.chatId = chatId;
+  }
+}
+
+// Analysis copies are scaled down to at most this (Telegram photos are never larger, image files can be)
+const MAX_ANALYSIS_DIMENSION = 2560;
+
+/**
+ * Download a file from Telegram
+ * @param {Object} api - grammy Api
+ * @param {string} fileId
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If Telegram answers with an error status
+ */
+async function fetchTelegramFile(api, fileId) {
+  const file = await api.getFile(fileId);
+  const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+  const response = await fetch(fileUrl);
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed (HTTP ${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Prepare a downloaded photo or image file for analysis
+ * Image files can be HEIC or RAW (see imageFileService) and far larger than Telegram photos, so the
+ * analysis copy is scaled down; `original` keeps the full resolution for the HD image in PM.
+ * @param {Buffer} data - The file as downloaded
+ * @returns {Promise<{buffer: Buffer, original: Buffer, exifLocation: string|null, takenAt: Date|null, camera: Object|null}>}
+ * @throws {Error} If the image can't be decoded
+ */
+async function prepareImage(data) {
+  // Read EXIF (GPS, capture date, camera) BEFORE any image processing
+  const { location: exifLocation, takenAt, camera } = readPhotoMetadata(data);
+  
+  const decoded = await decodeImageFile(data);
+  if (!decoded.success) {
+    throw new Error(decoded.unavailable
+      ? `${decoded.format.toUpperCase()} files can't be read here yet - please send a JPEG`
+      : `Could not read the image (${decoded.error})`);
+  }
+  
+  // Process image for analysis
+  const buffer = await sharp(decoded.buffer)
+    .rotate()
+    .resize(MAX_ANALYSIS_DIMENSION, MAX_ANALYSIS_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .withMetadata()
+    .png({ compressionLevel: 0, effort: 1 })
+    .toBuffer();
+  
+  return { buffer, original: decoded.buffer, exifLocation, takenAt, camera };
+}
+
+// Telegram's limits for sendPhoto - larger images (from image files) go as a document instead
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_PHOTO_SIDES = 10000; // width + height
+
+/**
+ * PM the full-resolution image, as a photo if Telegram accepts it as one
+ * @param {Object} api - grammy Api
+ * @param {number} userId
+ * @param {Buffer} hdBuffer - JPEG
+ */
+async function sendHdImage(api, userId, hdBuffer) {
+  const { width, height } = await sharp(hdBuffer).metadata();
+  if (hdBuffer.length > MAX_PHOTO_BYTES || width + height > MAX_PHOTO_SIDES) {
+    await api.sendDocument(userId, new InputFile(hdBuffer, 'photo_hd.jpg'));
   } else {
-    // No EXIF - ask for location only
-    const promptMsg = await firstCtx.api.sendMessage(chatId,
-      `🌍 *Where were these photos taken?*\n\n` +
-      `Reply with location or /skip`,
-      { parse_mode: 'Markdown', message_thread_id: targetThreadId }
-    );
-    
-    // Store pending data
-    const req = requestManager.getRequest(groupRequest.requestId);
-    if (req) {
-      req.processedPhotos = processedPhotos;
-      req.promptMsgId = promptMsg.message_id;
-      req.statusMsgId = statusMsg.message_id;
-      req.isMediaGroup = true;
-      req.buffer = true; // Flag that we have data waiting
-      req.status = 'pending';
-      req.waitingFor = 'location';
-      req.identifyTarget = null; // Auto-identify all
-      req.threadId = targetThreadId;
-      req.chatId = chatId;
-    }
+    await api.sendPhoto(userId, new InputFile(hdBuffer, 'photo_hd.jpg'));
   }
 }
 
+/**
+ * Download the photos of a media group and prepare them for analysis
+ * A photo that fails to download is returned with an error instead of failing the album.
+ * @param {Object} api - grammy Api
+ * @param {MediaGroupPhoto[]} photos
+ * @returns {Promise<Array<Object>>} {buffer, original, exifLocation, takenAt, camera, index, fileId, messageId} or {error, index}
+ */
+function downloadMediaGroupPhotos(api, photos) {
+  return mapWithConcurrency(photos, MEDIA_GROUP_CONCURRENCY, async (photoData, index) => {
+    try {
+      const image = await prepareImage(await fetchTelegramFile(api, photoData.photo.file_id));
+      return { ...image, index, fileId: photoData.photo.file_id, messageId: photoData.messageId };
+    } catch (error) {
+      console.error(`Error processing photo ${index + 1}:`, error.message);
+      return { error: error.message, index };
+    }
+  });
+}
+
 /**
  * Process all photos in a media group with a location
+ * Photos are identified in parallel (MEDIA_GROUP_CONCURRENCY at a time) and answered with one
+ * summary message grouped by species; each photo's full result card is sent when its button is tapped.
  * @param {Object} ctx - Grammy context
  * @param {Array} processedPhotos - Array of processed photo data
  * @param {string} location - Location string
@@ -2388,12 +3116,18 @@ async function processMediaGroup(photos, chatId, captionTarget = null, threadId
  * @param {string} [identifyTarget] - What to identify in the photos
  * @param {number} [threadId] - Thread ID for forum topics
  * @param {number} [statusMsgId] - Existing status message ID to reuse
+ * @param {Object} [options]
+ * @param {Object} [options.coordinates] - Geocoded location the user picked (skips geocoding)
+ * @param {'typed'|'shared'} [options.locationSource] - Where a non-EXIF location came from (default typed)
+ * @param {boolean} [options.sameAnimal] - Identify the photos together as one animal (see processSameAnimalPhotos)
  */
-async function processMediaGroupPhotos(ctx, processedPhotos, location, requestId, identifyTarget = null, threadId = null, statusMsgId = null) {
+async function processMediaGroupPhotos(ctx, processedPhotos, location, requestId, identifyTarget = null, threadId = null, statusMsgId = null, options = {}) {
   const chatId = ctx.chat.id;
   const userId = ctx.from.id;
   const targetThreadId = threadId || ctx.message?.message_thread_id;
   const validPhotos = processedPhotos.filter(p => !p.error);
+  const locationSource = location === 'Unknown location' ? null
+    : (processedPhotos.some(p => p.exifLocation === location) ? 'exif' : (options.locationSource || 'typed'));
   
   if (validPhotos.length === 0) {
     // Delete status message if exists
@@ -2405,371 +3139,1066 @@ async function processMediaGroupPhotos(ctx, processedPhotos, location, requestId
     return;
   }
   
+  if (options.sameAnimal) {
+    await processSameAnimalPhotos(ctx, validPhotos, location, requestId, identifyTarget, targetThreadId, statusMsgId, { ...options, locationSource });
+    return;
+  }
+  
+  // The quota was checked for the whole album when Yes was tapped, but other requests
+  // may have used some of it while we waited for the location
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  const photosToIdentify = validPhotos.slice(0, limitCheck.remaining);
+  const skippedCount = validPhotos.length - photosToIdentify.length;
+  
+  if (photosToIdentify.length === 0) {
+    if (statusMsgId) {
+      try { await ctx.api.deleteMessage(chatId, statusMsgId); } catch (e) {}
+    }
+    await ctx.api.sendMessage(chatId,
+      `⚠️ *Weekly limit reached*\n\n` +
+      `🔄 Resets: ${rateLimiter.getResetTimeFormatted(chatId, userId)}\n` +
+      `⏳ Time remaining: ${limitCheck.resetIn}`,
+      { parse_mode: 'Markdown', message_thread_id: targetThreadId }
+    );
+    requestManager._removeRequest(requestId);
+    return;
+  }
+  
   // Reuse existing status message or create new one
+  const photoCount = photosToIdentify.length;
+  const statusText = photoCount > 1 ? `🔬 *Analyzing ${photoCount} photos...*` : `🔬 *Analyzing...*`;
   let processingMsg;
   if (statusMsgId) {
-    // Edit existing message
-    const statusText = validPhotos.length > 1 
-      ? `🔬 *Analyzing ${validPhotos.length} photos...*`
-      : `🔬 *Analyzing...*`;
     try {
       await ctx.api.editMessageText(chatId, statusMsgId, statusText, { parse_mode: 'Markdown' });
     } catch (e) {}
     processingMsg = { message_id: statusMsgId };
   } else {
-    // Create new status message
-    processingMsg = await ctx.api.sendMessage(chatId,
-      `🔬 *Analyzing ${validPhotos.length} photo${validPhotos.length > 1 ? 's' : ''}...*`,
-      { parse_mode: 'Markdown', message_thread_id: targetThreadId }
-    );
+    processingMsg = await ctx.api.sendMessage(chatId, statusText, { parse_mode: 'Markdown', message_thread_id: targetThreadId });
   }
   
-  // Process each photo and collect results
-  const results = [];
-  
-  for (let i = 0; i < validPhotos.length; i++) {
-    const photo = validPhotos[i];
-    
+  // Identify the photos in parallel, a few at a time
+  let finished = 0;
+  console.log(`🔬 [${requestId}] Identifying ${photoCount} photos (${MEDIA_GROUP_CONCURRENCY} at a time)`);
+  const results = await mapWithConcurrency(photosToIdentify, MEDIA_GROUP_CONCURRENCY, async (photo) => {
+    let result;
     try {
-      // Update status only if multiple photos
-      if (validPhotos.length > 1) {
-        await ctx.api.editMessageText(
-          chatId,
-          processingMsg.message_id,
-          `🔬 *Analyzing photo ${i + 1}/${validPhotos.length}...*`,
-          { parse_mode: 'Markdown' }
-        ).catch(() => {});
-      }
-      
-      // Identify the animal
-      const result = await identifyAnimal(photo.buffer, 'image/jpeg', { location, identifyTarget });
+      // Identify and verify the animal with the shared pipeline
+      const pipeline = await runIdentificationPipeline(photo.buffer, {
+        location, coordinates: options.coordinates, identifyTarget, requestId: `${requestId}#${photo.index + 1}`, observedAt: photo.takenAt, camera: photo.camera
+      });
       
-      if (result.success && result.data.identified) {
-        results.push({
-          index: photo.index,
-          success: true,
-          data: result.data,
-          buffer: photo.buffer,
-        });
-        
-        // Consume rate limit for successful identification
-        rateLimiter.consume(chatId, userId);
-      } else {
-        // Handle quality issues with specific reasons
-        const qualityReason = result.data?.reason || result.error || 'Could not identify';
-        const qualityIssue = result.data?.qualityIssue;
-        const suggestion = result.data?.suggestion;
-        
-        results.push({
+      result = pipeline.success && pipeline.identified
+        ? { index: photo.index, success: true, data: pipeline.data, pipeline, photo }
+        : {
           index: photo.index,
           success: false,
-          reason: qualityReason,
-          qualityIssue,
-          suggestion,
-        });
-      }
+          reason: pipeline.reason || 'Could not identify',
+          qualityIssue: pipeline.qualityIssue,
+          suggestion: pipeline.suggestion,
+        };
     } catch (error) {
-      results.push({
-        index: photo.index,
-        success: false,
-        reason: error.message,
-      });
+      result = { index: photo.index, success: false, reason: error.message };
+    }
+    
+    finished++;
+    if (photoCount > 1) {
+      await ctx.api.editMessageText(chatId, processingMsg.message_id,
+        `🔬 *Analyzing ${photoCount} photos...* (${finished}/${photoCount} done)`,
+        { parse_mode: 'Markdown' }
+      ).catch(() => {});
+    }
+    return result;
+  });
+  
+  // Life list and sightings in album order, so only the first photo of a new species is a lifer
+  const identified = results.filter(r => r.success);
+  for (const result of identified) {
+    result.lifer = checkNewLifer(userId, result.data);
+    recordSighting(result.pipeline, {
+      chatId, threadId: targetThreadId, from: ctx.from, location, locationSource,
+      fileId: result.photo.fileId, messageId: result.photo.messageId, observedAt: result.photo.takenAt, observedAtSource: 'exif',
+      camera: result.photo.camera
+    }, `[${requestId}]`);
+  }
+  
+  // One identification per identified photo
+  if (identified.length > 0) {
+    const consumed = rateLimiter.consume(chatId, userId, identified.length);
+    console.log(`📊 [${requestId}] Rate limit consumed for ${identified.length} photos: ${consumed.used} used, ${consumed.remaining} remaining`);
+  }
+  
+  // Delete processing message
+  try {
+    await ctx.api.deleteMessage(chatId, processingMsg.message_id);
+  } catch (e) {}
+  
+  // Keep per-photo results for the card buttons
+  if (identified.length > 0) {
+    albumResultCache.set(ResultCache.makeKey(chatId, requestId), {
+      photoCount: processedPhotos.length,
+      photos: new Map(identified.map(r => [r.index, {
+        data: r.data,
+        referencePhoto: r.pipeline.referencePhoto,
+        links: r.pipeline.links,
+        isBird: r.pipeline.isBird,
+        fileId: r.photo.fileId,
+        lifer: r.lifer,
+      }])),
+    });
+  }
+  
+  const summary = buildMediaGroupSummary(results, processedPhotos.length, {
+    skippedCount,
+    failedDownloads: processedPhotos.length - validPhotos.length,
+  });
+  await ctx.api.sendMessage(chatId, summary, {
+    parse_mode: 'Markdown',
+    message_thread_id: targetThreadId,
+    reply_markup: identified.length > 0 ? { inline_keyboard: buildAlbumCardButtons(requestId, identified) } : undefined,
+  });
+  
+  // Complete the request
+  requestManager.completeAndRemove(requestId);
+}
+
+/**
+ * Identify several shots of one animal in a single model request and send one result card
+ * The card shows the photo the model picked as the clearest; the field marks seen in each photo
+ * are kept in d.evidence (shown with More Details). Counts as one identification.
+ * Also used for the keyframes of a video (photos carry frameTime).
+ * @param {Object} ctx - Grammy context
+ * @param {Array} photos - Processed photos (no download errors), in the order they were sent
+ * @param {string} location - Location string
+ * @param {string} requestId - Request ID
+ * @param {string} [identifyTarget] - What to identify in the photos
+ * @param {number} [threadId] - Thread ID for forum topics
+ * @param {number} [statusMsgId] - Existing status message ID to reuse
+ * @param {Object} [options]
+ * @param {Object} [options.coordinates] - Geocoded location the user picked (skips geocoding)
+ * @param {'exif'|'typed'|'shared'|null} [options.locationSource]
+ */
+async function processSameAnimalPhotos(ctx, photos, location, requestId, identifyTarget, threadId, statusMsgId, options = {}) {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
+  const logPrefix = `[${requestId}]`;
+  const photoCount = photos.length;
+  // Keyframes of a video (see processVideoFromFileId) rather than separate photos
+  const fromVideo = photos[0].frameTime !== undefined;
+  const noun = fromVideo ? 'frames' : 'photos';
+  
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  if (!limitCheck.allowed) {
+    if (statusMsgId) {
+      try { await ctx.api.deleteMessage(chatId, statusMsgId); } catch (e) {}
+    }
+    await ctx.api.sendMessage(chatId,
+      `⚠️ *Weekly limit reached*\n\n` +
+      `🔄 Resets: ${rateLimiter.getResetTimeFormatted(chatId, userId)}\n` +
+      `⏳ Time remaining: ${limitCheck.resetIn}`,
+      { parse_mode: 'Markdown', message_thread_id: threadId }
+    );
+    requestManager._removeRequest(requestId);
+    return;
+  }
+  
+  // Reuse existing status message or create new one
+  const statusText = fromVideo
+    ? `🔬 *Analyzing ${photoCount > 1 ? `${photoCount} frames` : 'the sharpest frame'}...*`
+    : `🔬 *Analyzing ${photoCount} photos of the same animal...*`;
+  let processingMsg;
+  if (statusMsgId) {
+    try {
+      await ctx.api.editMessageText(chatId, statusMsgId, statusText, { parse_mode: 'Markdown' });
+    } catch (e) {}
+    processingMsg = { message_id: statusMsgId };
+  } else {
+    processingMsg = await ctx.api.sendMessage(chatId, statusText, { parse_mode: 'Markdown', message_thread_id: threadId });
+  }
+  
+  // Capture date and camera of the first shot that has them
+  const takenAt = photos.find(p => p.takenAt)?.takenAt || null;
+  const camera = photos.find(p => p.camera)?.camera || null;
+  
+  const result = await runIdentificationPipeline(photos.map(p => p.buffer), {
+    location, coordinates: options.coordinates, identifyTarget, requestId, observedAt: takenAt, camera
+  });
+  
+  try {
+    await ctx.api.deleteMessage(chatId, processingMsg.message_id);
+  } catch (e) {}
+  
+  if (!result.success || !result.identified) {
+    const reason = result.reason || 'unknown';
+    let errorMsg = `❌ *Could not identify the animal from ${fromVideo ? 'the video' : `${photoCount} photos`}*\n\n${result.qualityIssue || reason.replace(/_/g, ' ')}`;
+    if (result.suggestion) {
+      errorMsg += `\n\n💡 *Tip:* ${result.suggestion}`;
     }
+    await ctx.api.sendMessage(chatId, errorMsg, { parse_mode: 'Markdown', message_thread_id: threadId });
+    requestManager.completeAndRemove(requestId);
+    return;
+  }
+  
+  const d = result.data;
+  const best = photos[(d.bestPhoto || 1) - 1] || photos[0];
+  console.log(`🔗 ${logPrefix} ${d.commonName} from ${photoCount} ${noun} (clearest: ${photos.indexOf(best) + 1}, evidence from ${new Set((d.evidence || []).map(e => e.photo)).size})`);
+  
+  // Store the clearest photo (or frame) for the HD image and cache for the card buttons
+  d._originalImageBuffer = best.original || best.buffer;
+  identificationCache.set(ResultCache.makeKey(chatId, d.scientificName), d);
+  
+  await sendResultCard(ctx.api, chatId, threadId, d, result.referencePhoto, {
+    linksText: formatLinksMarkdown(result.links),
+    extraCaption: fromVideo ? `\n🎞️ _Frame at ${formatTimestamp(best.frameTime)}_` : `\n🔗 _Same animal, ${photoCount} photos_`,
+    buttons: buildFollowUpButtons(d, result.isBird),
+    userPhoto: await highlightSubject(best.buffer, d.boundingBox),
+    ...liferCardOptions(checkNewLifer(userId, d)),
+    logPrefix
+  });
+  
+  recordSighting(result, {
+    chatId, threadId, from: ctx.from, location, locationSource: options.locationSource,
+    fileId: best.fileId, messageId: best.messageId, observedAt: takenAt, observedAtSource: fromVideo ? 'video' : 'exif', camera
+  }, logPrefix);
+  
+  // One identification, however many shots or frames
+  const consumed = rateLimiter.consume(chatId, userId);
+  console.log(`📊 ${logPrefix} Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
+  
+  requestManager.completeAndRemove(requestId);
+}
+
+/**
+ * One summary for an album: photos grouped by species, then the photos that could not be identified
+ * @param {Array<Object>} results - Per-photo results in album order
+ * @param {number} photoCount - Photos in the album
+ * @param {Object} [options]
+ * @param {number} [options.skippedCount] - Photos not identified because the weekly limit ran out
+ * @param {number} [options.failedDownloads] - Photos that could not be downloaded
+ * @returns {string} Markdown message
+ */
+function buildMediaGroupSummary(results, photoCount, { skippedCount = 0, failedDownloads = 0 } = {}) {
+  const photoLabel = indexes => `Photo${indexes.length > 1 ? 's' : ''} ${indexes.map(i => i + 1).join(', ')}`;
+  
+  // Group results by species
+  const speciesGroups = new Map();
+  const failed = [];
+  for (const result of results) {
+    if (!result.success) {
+      failed.push(result);
+      continue;
+    }
+    const species = result.data.scientificName;
+    if (!speciesGroups.has(species)) {
+      speciesGroups.set(species, { data: result.data, lifer: false, unusual: false, indexes: [] });
+    }
+    const group = speciesGroups.get(species);
+    group.indexes.push(result.index);
+    group.lifer = group.lifer || Boolean(result.lifer?.isNew);
+    group.unusual = group.unusual || Boolean(result.data.regionalCheck?.unusual);
+  }
+  
+  let summary = `📸 *${photoCount} photos*`;
+  if (speciesGroups.size > 0) {
+    summary += ` · ${speciesGroups.size} species\n\n`;
+    for (const group of speciesGroups.values()) {
+      const d = group.data;
+      const marks = `${group.lifer ? ' 🎉 _New lifer!_' : ''}${group.unusual ? ' ⚠️ _Unusual_' : ''}`;
+      summary += `*${d.commonName}*${marks}\n_${d.scientificName}_\n📷 ${photoLabel(group.indexes)}\n\n`;
+    }
+    summary += `_Tap a photo for its full result card._`;
+  }
+  
+  const failureText = describeMediaGroupFailures(failed, results.length);
+  if (failureText) summary += `\n\n${failureText}`;
+  if (failedDownloads > 0) {
+    summary += `\n\n❌ ${failedDownloads} photo${failedDownloads > 1 ? 's' : ''} could not be downloaded.`;
+  }
+  if (skippedCount > 0) {
+    summary += `\n\n⚠️ ${skippedCount} photo${skippedCount > 1 ? 's were' : ' was'} not identified - weekly limit reached.`;
+  }
+  return summary;
+}
+
+/**
+ * Failure notes for an album's unidentified photos, grouped by reason
+ * @param {Array<Object>} failed - Failed per-photo results
+ * @param {number} attempted - Photos sent for identification
+ * @returns {string} Markdown, empty if there is nothing to report
+ */
+function describeMediaGroupFailures(failed, attempted) {
+  if (failed.length === 0) return '';
+  
+  // Group failures by reason type
+  const qualityIssues = failed.filter(f => ['low_resolution', 'obstructed', 'too_distant', 'poor_quality'].includes(f.reason));
+  const noAnimal = failed.filter(f => f.reason === 'no_animal');
+  const targetNotFound = failed.filter(f => f.reason === 'target_not_found');
+  const otherFails = failed.filter(f => !['low_resolution', 'obstructed', 'too_distant', 'poor_quality', 'no_animal', 'target_not_found'].includes(f.reason));
+  
+  let failMsg = '';
+  
+  if (qualityIssues.length > 0) {
+    const issueIcons = {
+      'low_resolution': '📉',
+      'obstructed': '🌿',
+      'too_distant': '🔭',
+      'poor_quality': '📷'
+    };
+    
+    failMsg += `⚠️ *Image Quality Issues (${qualityIssues.length} photo${qualityIssues.length > 1 ? 's' : ''})*\n\n`;
+    
+    for (const fail of qualityIssues) {
+      const icon = issueIcons[fail.reason] || '❌';
+      failMsg += `${icon} Photo ${fail.index + 1}: `;
+      if (fail.qualityIssue) {
+        failMsg += `${fail.qualityIssue}`;
+      } else {
+        failMsg += fail.reason.replace(/_/g, ' ');
+      }
+      failMsg += '\n';
+    }
+    
+    // Add suggestion from first quality issue
+    const suggestion = qualityIssues.find(f => f.suggestion)?.suggestion;
+    if (suggestion) {
+      failMsg += `\n💡 *Tip:* ${suggestion}`;
+    }
+  }
+  
+  if (targetNotFound.length > 0) {
+    if (failMsg) failMsg += '\n\n';
+    failMsg += `🔍 ${targetNotFound.length} photo${targetNotFound.length > 1 ? 's' : ''}: Could not find the specified subject.`;
+    failMsg += `\n💡 *Tip:* Try sending photos without a caption to auto-identify all animals.`;
+  }
+  
+  if (noAnimal.length > 0) {
+    if (failMsg) failMsg += '\n\n';
+    failMsg += `🚫 ${noAnimal.length} photo${noAnimal.length > 1 ? 's' : ''} did not contain identifiable animals.`;
+  }
+  
+  if (otherFails.length > 0 && failed.length === attempted) {
+    // Only show generic message if everything failed and no quality issues detected
+    if (!failMsg) {
+      failMsg = '❌ Could not identify any animals in the photos.';
+    }
+  }
+  
+  return failMsg;
+}
+
+/**
+ * One button per identified photo, five to a row
+ * @param {string} requestId - Album request ID (key in albumResultCache)
+ * @param {Array<Object>} identified - Successful per-photo results
+ * @returns {Array<Array<Object>>} inline keyboard rows
+ */
+function buildAlbumCardButtons(requestId, identified) {
+  const rows = [];
+  identified.forEach((result, i) => {
+    if (i % 5 === 0) rows.push([]);
+    rows[rows.length - 1].push({ text: `📷 ${result.index + 1}`, callback_data: `album_${requestId}_${result.index}` });
+  });
+  return rows;
+}
+
+/**
+ * Send the full result card for one photo of an album summary
+ * The user's photo is fetched again from Telegram by file_id.
+ * @param {Object} ctx - grammY callback context
+ * @param {string} requestId - Album request ID
+ * @param {number} index - Photo index in the album
+ */
+async function handleAlbumCardCallback(ctx, requestId, index) {
+  const message = ctx.callbackQuery.message;
+  const chatId = message?.chat?.id;
+  const threadId = message?.message_thread_id;
+  const album = albumResultCache.get(ResultCache.makeKey(chatId, requestId));
+  const entry = album?.photos.get(index);
+  
+  if (!entry) {
+    await ctx.answerCallbackQuery({ text: '❌ Data expired. Please identify again.' });
+    return;
+  }
+  await ctx.answerCallbackQuery();
+  
+  const d = { ...entry.data };
+  let userPhoto = null;
+  try {
+    const decoded = await decodeImageFile(await fetchTelegramFile(ctx.api, entry.fileId));
+    if (!decoded.success) throw new Error(decoded.error);
+    d._originalImageBuffer = decoded.buffer;
+    userPhoto = await highlightSubject(decoded.buffer, d.boundingBox);
+  } catch (e) {
+    console.log(`⚠️ Could not fetch album photo ${index + 1} of ${requestId}: ${e.message}`);
+  }
+  
+  // Details / Similar Species buttons on the card read from the result cache
+  identificationCache.set(ResultCache.makeKey(chatId, d.scientificName), d);
+  
+  await sendResultCard(ctx.api, chatId, threadId, d, entry.referencePhoto, {
+    linksText: formatLinksMarkdown(entry.links),
+    extraCaption: `\n📷 _Photo ${index + 1} of ${album.photoCount}_`,
+    buttons: buildFollowUpButtons(d, entry.isBird),
+    userPhoto,
+    ...liferCardOptions(entry.lifer),
+    logPrefix: `[${requestId}#${index + 1}]`
+  });
+}
+
+/**
+ * Process photo with request context and timeout
+ * @param {Object} ctx - Grammy context
+ * @param {RequestContext} request - Request context
+ * @param {string} [captionTarget] - What to identify from caption
+ */
+async function processPhotoWithContext(ctx, request, captionTarget = null) {
+  const { requestId } = request;
+  
+  try {
+    // Update status to processing
+    requestManager.updateStatus(requestId, 'processing');
+    
+    // Get the largest photo (highest resolution)
+    const photos = ctx.message.photo;
+    const largestPhoto = photos[photos.length - 1];
+    
+    // Download image from Telegram
+    console.log(`📥 [${requestId}] Downloading image...`);
+    const file = await ctx.api.getFile(largestPhoto.file_id);
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+    
+    const response = await fetch(fileUrl);
+    let buffer = Buffer.from(await response.arrayBuffer());
+    
+    // Read EXIF (GPS, capture date, camera) BEFORE any image processing
+    const { location: exifLocation, takenAt, camera } = readPhotoMetadata(buffer);
+    if (exifLocation) console.log(`📍 [${requestId}] Found EXIF GPS: ${exifLocation}`);
+    
+    // Process image for analysis: Full size, natural orientation, HD/HQ, no quality loss
+    console.log(`🖼️ [${requestId}] Processing image...`);
+    buffer = await sharp(buffer)
+      .rotate()  // Auto-rotate to natural orientation based on EXIF
+      .withMetadata()  // Preserve all metadata
+      .png({  // Use PNG for lossless quality
+        compressionLevel: 0,  // No compression for fastest processing
+        effort: 1  // Minimal effort for speed
+      })
+      .toBuffer();
+    
+    // If target was provided in caption, skip the "what to identify" question
+    if (captionTarget) {
+      console.log(`🎯 [${requestId}] Target from caption: "${captionTarget}"`);
+      
+      if (exifLocation) {
+        // Has EXIF location - process immediately
+        console.log(`📍 [${requestId}] Using EXIF location, starting identification...`);
+        await processIdentification(ctx, buffer, exifLocation, requestId, captionTarget, { fileId: largestPhoto.file_id, messageId: ctx.message.message_id, locationSource: 'exif', takenAt, camera });
+        const consumed = rateLimiter.consume(ctx.chat.id, ctx.from.id);
+        console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
+        requestManager.completeAndRemove(requestId);
+      } else {
+        // No EXIF - ask for location only
+        const prompt = locationPrompt(ctx.chat.type);
+        const promptMsg = await ctx.reply(prompt.text, prompt.options);
+        
+        const req = requestManager.getRequest(requestId);
+        if (req) {
+          req.buffer = buffer;
+          req.promptMsgId = promptMsg.message_id;
+          req.locationKeyboard = prompt.keyboard;
+          req.status = 'pending';
+          req.waitingFor = 'location';
+          req.identifyTarget = captionTarget;
+          req.fileId = largestPhoto.file_id;
+          req.sourceMessageId = ctx.message.message_id;
+          req.takenAt = takenAt;
+          req.camera = camera;
+          console.log(`⏳ [${requestId}] Waiting for location input...`);
+        }
+      }
+    } else if (exifLocation) {
+      // No caption target, but has GPS - process immediately (auto-identify all)
+      console.log(`📍 [${requestId}] Has EXIF location, processing immediately...`);
+      await processIdentification(ctx, buffer, exifLocation, requestId, null, { fileId: largestPhoto.file_id, messageId: ctx.message.message_id, locationSource: 'exif', takenAt, camera });
+      const consumed = rateLimiter.consume(ctx.chat.id, ctx.from.id);
+      console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
+      requestManager.completeAndRemove(requestId);
+    } else {
+      // No caption target, no EXIF - ask for location only
+      console.log(`📍 [${requestId}] No EXIF GPS, asking for location...`);
+      const prompt = locationPrompt(ctx.chat.type);
+      const promptMsg = await ctx.reply(prompt.text, prompt.options);
+      
+      // Update request with pending photo data
+      const req = requestManager.getRequest(requestId);
+      if (req) {
+        req.buffer = buffer;
+        req.promptMsgId = promptMsg.message_id;
+        req.locationKeyboard = prompt.keyboard;
+        req.status = 'pending';
+        req.waitingFor = 'location';
+        req.identifyTarget = null; // Auto-identify all
+        req.fileId = largestPhoto.file_id;
+        req.sourceMessageId = ctx.message.message_id;
+        req.takenAt = takenAt;
+        req.camera = camera;
+        console.log(`⏳ [${requestId}] Waiting for location input...`);
+      }
+    }
+  } catch (error) {
+    requestManager.updateStatus(requestId, 'failed', { error });
+    requestManager._removeRequest(requestId);
+    throw error;
+  }
+}
+
+// ============================================
+// VIDEO MESSAGE HANDLER
+// Videos, GIFs (sent by Telegram as MP4 animations) and video notes are identified
+// from their sharpest keyframes, like several shots of the same animal
+// ============================================
+
+const VIDEO_KINDS = {
+  video: { label: 'Video', subject: 'was this video taken' },
+  animation: { label: 'GIF', subject: 'was this GIF taken' },
+  video_note: { label: 'Video message', subject: 'was this video taken' }
+};
+
+bot.on(['message:video', 'message:animation', 'message:video_note'], async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
+  const messageId = ctx.message.message_id;
+  const threadId = ctx.message.message_thread_id;
+  const kind = ctx.message.animation ? 'animation' : (ctx.message.video_note ? 'video_note' : 'video');
+  const clip = ctx.message[kind];
+  const { label } = VIDEO_KINDS[kind];
+  
+  console.log(`🎞️ ${label} received: chatId=${chatId}, userId=${userId}, msgId=${messageId}, duration=${clip.duration ?? '?'}s, size=${clip.file_size ?? '?'}`);
+  
+  // Check rate limit first
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  if (!limitCheck.allowed) {
+    console.log(`🎞️ ${label} shared by user ${userId} in chat ${chatId} (rate limited)`);
+    return;
+  }
+  
+  if (clip.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+    await ctx.reply(`🎞️ This ${label.toLowerCase()} is too large for me to download (max 20 MB). A shorter clip or a screenshot works too.`, {
+      reply_to_message_id: messageId
+    });
+    return;
+  }
+  
+  // Store video info
+  const videoKey = `video_${chatId}_${userId}_${messageId}`;
+  pendingPhotos.set(videoKey, {
+    messageId,
+    chatId,
+    userId,
+    fileId: clip.file_id,
+    kind,
+    mimeType: clip.mime_type || 'video/mp4', // video notes are always MP4 and don't say so
+    duration: clip.duration || null,
+    threadId,
+    timestamp: Date.now(),
+  });
+  
+  // Auto-expire after 5 minutes
+  setTimeout(() => pendingPhotos.delete(videoKey), 5 * 60 * 1000);
+  
+  await ctx.api.sendMessage(chatId,
+    `🎞️ *${label} received!*\n\n` +
+    `Would you like me to identify the animals? I'll use the sharpest frames.`,
+    {
+      parse_mode: 'Markdown',
+      reply_to_message_id: messageId,
+      message_thread_id: threadId,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Yes, identify', callback_data: `id_yes_${videoKey}` },
+          { text: '❌ No thanks', callback_data: `id_no_${videoKey}` }
+        ]]
+      }
+    }
+  );
+  
+  console.log(`🎞️ ${label} shared in chat ${chatId} by user ${userId} - awaiting identification decision`);
+});
+
+/**
+ * Download a video, pick its sharpest keyframes and identify them together
+ * The frames go through the media group flow as shots of the same animal, so the location
+ * question, /skip and the result card work as they do for photos.
+ * @param {Context} ctx - grammy context
+ * @param {Object} videoData - Pending video (see the video message handler)
+ * @param {Object} request - Request object from RequestManager
+ * @param {number} targetChatId - Target chat ID to send results to
+ * @param {number} [targetThreadId] - Target thread ID for forum topics
+ * @param {number} [statusMsgId] - Existing status message ID to update/delete
+ */
+async function processVideoFromFileId(ctx, videoData, request, targetChatId, targetThreadId, statusMsgId) {
+  const { requestId } = request;
+  const { label, subject } = VIDEO_KINDS[videoData.kind];
+  
+  requestManager.updateStatus(requestId, 'processing');
+  
+  console.log(`📥 [${requestId}] Downloading ${label.toLowerCase()}...`);
+  const buffer = await fetchTelegramFile(ctx.api, videoData.fileId);
+  
+  const clip = await extractKeyframes(buffer, { mimeType: videoData.mimeType, duration: videoData.duration });
+  if (!clip.success) {
+    const errorText = clip.unavailable
+      ? `❌ Video identification isn't available right now. Please send a photo or screenshot instead.`
+      : `❌ I couldn't read frames from this ${label.toLowerCase()}. Please send a photo or screenshot instead.`;
+    try {
+      await ctx.api.editMessageText(targetChatId, statusMsgId, errorText);
+    } catch (e) {
+      await ctx.api.sendMessage(targetChatId, errorText, { message_thread_id: targetThreadId });
+    }
+    requestManager._removeRequest(requestId);
+    return;
+  }
+  
+  // Frames stand in for photos. No fileId: a video can't be reopened as a photo from /history
+  const frames = clip.frames.map((frame, index) => ({
+    buffer: frame.buffer,
+    index,
+    frameTime: frame.time,
+    fileId: null,
+    messageId: videoData.messageId,
+    exifLocation: clip.metadata.location,
+    takenAt: clip.metadata.takenAt,
+    camera: null
+  }));
+  
+  if (clip.metadata.location) {
+    // Phones store GPS in the video - process immediately
+    console.log(`📍 [${requestId}] Using video GPS: ${clip.metadata.location}`);
+    await processMediaGroupPhotos(ctx, frames, clip.metadata.location, requestId, null, targetThreadId, statusMsgId, { sameAnimal: true });
+    return;
+  }
+  
+  // No GPS - the status message becomes the location question
+  const prompt = locationPrompt(ctx.chat?.type, { subject });
+  const promptMsgId = await showLocationPrompt(ctx.api, targetChatId, targetThreadId, statusMsgId, prompt);
+  
+  const req = requestManager.getRequest(requestId);
+  if (req) {
+    req.processedPhotos = frames;
+    req.promptMsgId = promptMsgId;
+    req.locationKeyboard = prompt.keyboard;
+    req.isMediaGroup = true;
+    req.sameAnimal = true;
+    req.buffer = true; // Flag that we have data waiting
+    req.status = 'pending';
+    req.waitingFor = 'location';
+    req.identifyTarget = null;
+    req.threadId = targetThreadId;
+    req.chatId = targetChatId;
+  }
+  
+  console.log(`⏳ [${requestId}] Waiting for location input...`);
+}
+
+// ============================================
+// SOUND MESSAGE HANDLER
+// Voice notes and audio files of a call are identified from a spectrogram drawn locally
+// (plus the recording itself for models that take audio)
+// ============================================
+
+const SOUND_KINDS = {
+  voice: { label: 'Voice message' },
+  audio: { label: 'Audio' }
+};
+
+bot.on(['message:voice', 'message:audio'], async (ctx) => {
+  if (!isAllowedThread(ctx)) return;
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
+  const messageId = ctx.message.message_id;
+  const threadId = ctx.message.message_thread_id;
+  const kind = ctx.message.voice ? 'voice' : 'audio';
+  const recording = ctx.message[kind];
+  const { label } = SOUND_KINDS[kind];
+  
+  console.log(`🔊 ${label} received: chatId=${chatId}, userId=${userId}, msgId=${messageId}, duration=${recording.duration ?? '?'}s, size=${recording.file_size ?? '?'}`);
+  
+  // Check rate limit first
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  if (!limitCheck.allowed) {
+    console.log(`🔊 ${label} shared by user ${userId} in chat ${chatId} (rate limited)`);
+    return;
+  }
+  
+  if (recording.file_size > TELEGRAM_DOWNLOAD_LIMIT) {
+    await ctx.reply(`🔊 This recording is too large for me to download (max 20 MB). A shorter clip of the call works too.`, {
+      reply_to_message_id: messageId
+    });
+    return;
+  }
+  if (recording.duration > MAX_RECORDING_SECONDS) {
+    const limit = MAX_RECORDING_SECONDS >= 120 ? `${Math.floor(MAX_RECORDING_SECONDS / 60)} minutes` : `${MAX_RECORDING_SECONDS} seconds`;
+    await ctx.reply(`🔊 This recording is too long (max ${limit}). A shorter clip of the call works too.`, {
+      reply_to_message_id: messageId
+    });
+    return;
+  }
+  
+  // Store recording info
+  const soundKey = `sound_${chatId}_${userId}_${messageId}`;
+  pendingPhotos.set(soundKey, {
+    messageId,
+    chatId,
+    userId,
+    fileId: recording.file_id,
+    kind,
+    threadId,
+    timestamp: Date.now(),
+  });
+  
+  // Auto-expire after 5 minutes
+  setTimeout(() => pendingPhotos.delete(soundKey), 5 * 60 * 1000);
+  
+  await ctx.api.sendMessage(chatId,
+    `🔊 *${label} received!*\n\n` +
+    `Would you like me to identify the animal calling? I'll read its spectrogram.`,
+    {
+      parse_mode: 'Markdown',
+      reply_to_message_id: messageId,
+      message_thread_id: threadId,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Yes, identify', callback_data: `id_yes_${soundKey}` },
+          { text: '❌ No thanks', callback_data: `id_no_${soundKey}` }
+        ]]
+      }
+    }
+  );
+  
+  console.log(`🔊 ${label} shared in chat ${chatId} by user ${userId} - awaiting identification decision`);
+});
+
+/**
+ * Download a voice note or audio file, draw its spectrogram and ask where it was recorded
+ * @param {Context} ctx - grammy context
+ * @param {Object} soundData - Pending recording (see the sound message handler)
+ * @param {Object} request - Request object from RequestManager
+ * @param {number} targetChatId - Target chat ID to send results to
+ * @param {number} [targetThreadId] - Target thread ID for forum topics
+ * @param {number} [statusMsgId] - Existing status message ID to update/delete
+ */
+async function processSoundFromFileId(ctx, soundData, request, targetChatId, targetThreadId, statusMsgId) {
+  const { requestId } = request;
+  const { label } = SOUND_KINDS[soundData.kind];
+  
+  requestManager.updateStatus(requestId, 'processing');
+  
+  console.log(`📥 [${requestId}] Downloading ${label.toLowerCase()}...`);
+  const analysis = await analyzeRecording(await fetchTelegramFile(ctx.api, soundData.fileId));
+  if (!analysis.success) {
+    const errorText = analysis.silent
+      ? `❌ This recording is silent. Please record the animal calling.`
+      : analysis.unavailable
+        ? `❌ Sound identification isn't available right now for this format.`
+        : `❌ I couldn't read this recording. Please send it as a voice message, MP3 or WAV.`;
+    try {
+      await ctx.api.editMessageText(targetChatId, statusMsgId, errorText);
+    } catch (e) {
+      await ctx.api.sendMessage(targetChatId, errorText, { message_thread_id: targetThreadId });
+    }
+    requestManager._removeRequest(requestId);
+    return;
+  }
+  
+  // No fileId: a recording can't be reopened as a photo from /history
+  const { metadata, ...clip } = analysis.recording;
+  const recording = { ...clip, messageId: soundData.messageId, takenAt: metadata.takenAt };
+  
+  if (metadata.location) {
+    // Some recorders store GPS in the file - process immediately
+    console.log(`📍 [${requestId}] Using recording GPS: ${metadata.location}`);
+    await processRecording(ctx, recording, metadata.location, requestId, targetThreadId, statusMsgId, { locationSource: 'exif' });
+    return;
+  }
+  
+  // No GPS - the status message becomes the location question
+  const prompt = locationPrompt(ctx.chat?.type, { subject: 'was this recorded' });
+  const promptMsgId = await showLocationPrompt(ctx.api, targetChatId, targetThreadId, statusMsgId, prompt);
+  
+  const req = requestManager.getRequest(requestId);
+  if (req) {
+    req.recording = recording;
+    req.promptMsgId = promptMsgId;
+    req.locationKeyboard = prompt.keyboard;
+    req.buffer = true; // Flag that we have data waiting
+    req.status = 'pending';
+    req.waitingFor = 'location';
+    req.identifyTarget = null;
+    req.threadId = targetThreadId;
+    req.chatId = targetChatId;
+  }
+  
+  console.log(`⏳ [${requestId}] Waiting for location input...`);
+}
+
+/**
+ * Identify the animal calling in a recording and send the result card
+ * The card shows the spectrogram where a photo card shows the user's photo.
+ * @param {Object} ctx - Grammy context
+ * @param {Object} recording - See processSoundFromFileId (audioService Recording plus messageId, takenAt)
+ * @param {string} location - Location string
+ * @param {string} requestId - Request ID for logging
+ * @param {number} [threadId] - Thread ID for forum topics
+ * @param {number} [statusMsgId] - Existing status message ID to reuse
+ * @param {Object} [options]
+ * @param {Object} [options.coordinates] - Geocoded location the user picked (skips geocoding)
+ * @param {'exif'|'typed'|'shared'|null} [options.locationSource]
+ */
+async function processRecording(ctx, recording, location, requestId, threadId, statusMsgId, options = {}) {
+  const chatId = ctx.chat.id;
+  const userId = ctx.from.id;
+  const logPrefix = `[${requestId}]`;
+  
+  const limitCheck = rateLimiter.checkLimit(chatId, userId);
+  if (!limitCheck.allowed) {
+    if (statusMsgId) {
+      try { await ctx.api.deleteMessage(chatId, statusMsgId); } catch (e) {}
+    }
+    await ctx.api.sendMessage(chatId,
+      `⚠️ *Weekly limit reached*\n\n` +
+      `🔄 Resets: ${rateLimiter.getResetTimeFormatted(chatId, userId)}\n` +
+      `⏳ Time remaining: ${limitCheck.resetIn}`,
+      { parse_mode: 'Markdown', message_thread_id: threadId }
+    );
+    requestManager._removeRequest(requestId);
+    return;
   }
   
-  // Delete processing message
+  // Reuse existing status message or create new one
+  const statusText = `🔬 *Listening to the call...*`;
+  let processingMsg;
+  if (statusMsgId) {
+    try {
+      await ctx.api.editMessageText(chatId, statusMsgId, statusText, { parse_mode: 'Markdown' });
+    } catch (e) {}
+    processingMsg = { message_id: statusMsgId };
+  } else {
+    processingMsg = await ctx.api.sendMessage(chatId, statusText, { parse_mode: 'Markdown', message_thread_id: threadId });
+  }
+  
+  const result = await runIdentificationPipeline(recording.spectrogram, {
+    mimeType: 'image/png',
+    sound: { buffer: recording.audio, mimeType: 'audio/wav' },
+    location, coordinates: options.coordinates, requestId, observedAt: recording.takenAt
+  });
+  
   try {
     await ctx.api.deleteMessage(chatId, processingMsg.message_id);
   } catch (e) {}
   
-  // Group results by species
-  const speciesGroups = new Map();
-  const failed = [];
-  
-  for (const result of results) {
-    if (result.success) {
-      const species = result.data.scientificName;
-      if (!speciesGroups.has(species)) {
-        speciesGroups.set(species, {
-          data: result.data,
-          count: 1,
-          buffers: [result.buffer],
-        });
-      } else {
-        const group = speciesGroups.get(species);
-        group.count++;
-        group.buffers.push(result.buffer);
-      }
-    } else {
-      failed.push(result);
+  if (!result.success || !result.identified) {
+    const reason = result.reason || 'unknown';
+    let errorMsg = `❌ *Could not identify the call*\n\n${result.qualityIssue || reason.replace(/_/g, ' ')}`;
+    if (result.suggestion) {
+      errorMsg += `\n\n💡 *Tip:* ${result.suggestion}`;
     }
+    await ctx.api.sendMessage(chatId, errorMsg, { parse_mode: 'Markdown', message_thread_id: threadId });
+    requestManager.completeAndRemove(requestId);
+    return;
   }
   
-  // Send results
-  if (speciesGroups.size > 0) {
-    // Send detailed result for each unique species (no summary header)
-    for (const [species, group] of speciesGroups) {
-      const d = group.data;
-      d._originalImageBuffer = group.buffers[0]; // Use first photo for HD
-      
-      // Cache result
-      const cacheKey = ResultCache.makeKey(chatId, d.scientificName);
-      identificationCache.set(cacheKey, d);
-      
-      // Get reference photo and links
-      const iNatPhoto = await getSpeciesPhoto(d.scientificName);
-      
-      // Generate links
-      const nameParts = d.scientificName.split(' ');
-      const genusSpecies = `${nameParts[0]} ${nameParts[1] || ''}`.trim();
-      const scientificNameUnderscore = genusSpecies.replace(/\s+/g, '_');
-      const wikipediaUrl = `https://en.wikipedia.org/wiki/${scientificNameUnderscore}`;
-      
-      const linkChecks = [
-        isValidUrl(wikipediaUrl).then(valid => valid ? `[Wikipedia](${wikipediaUrl})` : null),
-      ];
-      
-      if (iNatPhoto.found) {
-        const iNatNameHyphen = iNatPhoto.taxonName.replace(/\s+/g, '-');
-        const iNaturalistUrl = `https://www.inaturalist.org/taxa/${iNatPhoto.taxonId}-${iNatNameHyphen}`;
-        linkChecks.push(isValidUrl(iNaturalistUrl).then(valid => valid ? `[iNaturalist](${iNaturalistUrl})` : null));
-      }
-      
-      const validLinks = (await Promise.all(linkChecks)).filter(link => link !== null);
-      const linksText = validLinks.join(' • ');
-      
-      // Build buttons
-      const followUpButtons = [[
-        { text: '📚 More Details', callback_data: `details_${d.scientificName.replace(/\s+/g, '_')}` }
-      ]];
+  const d = result.data;
+  console.log(`🔊 ${logPrefix} ${d.commonName} from a ${recording.clipDuration.toFixed(0)}s clip`);
+  
+  // The spectrogram stands in for the photo (HD image in PM) - cache for the card buttons
+  d._originalImageBuffer = recording.spectrogram;
+  identificationCache.set(ResultCache.makeKey(chatId, d.scientificName), d);
+  
+  const clipText = recording.clipDuration < recording.duration
+    ? ` (${formatTimestamp(recording.clipStart)}-${formatTimestamp(recording.clipStart + recording.clipDuration)})`
+    : '';
+  await sendResultCard(ctx.api, chatId, threadId, d, result.referencePhoto, {
+    linksText: formatLinksMarkdown(result.links),
+    extraCaption: `\n🔊 _Identified by its call${clipText}_`,
+    buttons: buildFollowUpButtons(d, result.isBird),
+    userPhoto: await highlightSubject(recording.spectrogram, d.boundingBox),
+    ...liferCardOptions(checkNewLifer(userId, d)),
+    logPrefix
+  });
+  
+  recordSighting(result, {
+    chatId, threadId, from: ctx.from, location, locationSource: options.locationSource,
+    fileId: null, messageId: recording.messageId, observedAt: recording.takenAt, observedAtSource: 'recording'
+  }, logPrefix);
+  
+  const consumed = rateLimiter.consume(chatId, userId);
+  console.log(`📊 ${logPrefix} Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
+  
+  requestManager.completeAndRemove(requestId);
+}
+
+// ============================================
+// IDENTIFICATION PROCESSOR
+// Core identification logic with full request isolation
+// ============================================
+
+/**
+ * Check if a subspecies value is a real name (not a placeholder)
+ * @param {string} subspecies
+ * @returns {boolean}
+ */
+function isDisplayableSubspecies(subspecies) {
+  return Boolean(subspecies &&
+    subspecies !== 'Not determined' &&
+    subspecies !== 'Unable to determine from image' &&
+    subspecies !== 'monotypic' &&
+    !subspecies.toLowerCase().includes('unknown'));
+}
+
+/**
+ * Build the "More Details" / "Similar Species" buttons for a result card
+ * @param {Object} d - Identification data
+ * @param {boolean} isBird - Similar species are only offered for birds
+ * @returns {Array<Array<Object>>} inline keyboard rows
+ */
+function buildFollowUpButtons(d, isBird) {
+  const callbackName = d.scientificName.replace(/\s+/g, '_');
+  const followUpButtons = [[{ text: '📚 More Details', callback_data: `details_${callbackName}` }]];
+  
+  // Add "Similar Species" button if there are similar species (for birds only)
+  if (d.similarSpeciesRuledOut?.length > 0 && isBird) {
+    followUpButtons[0].push({ text: '🔍 Similar Species', callback_data: `similar_${callbackName}` });
+  }
+  
+  return followUpButtons;
+}
+
+/**
+ * Send a result card: composite image if a reference photo exists, otherwise a text fallback
+ * @param {Object} api - grammy Api
+ * @param {number} chatId - Target chat ID
+ * @param {number} [threadId] - Target thread ID for forum topics
+ * @param {Object} d - Identification data (corrected names)
+ * @param {Object} referencePhoto - getSpeciesPhoto result
+ * @param {Object} [options]
+ * @param {string} [options.linksText] - Markdown links
+ * @param {string} [options.extraCaption] - Extra Markdown appended after the names (e.g. photo count)
+ * @param {Array} [options.buttons] - Inline keyboard rows
+ * @param {Buffer} [options.userPhoto] - The user's photo (or subject crop) shown next to the reference photo
+ * @param {string} [options.banner] - Markdown line shown first (e.g. new lifer)
+ * @param {Array<Object>} [options.extraBadges] - Extra composite badges (see createCompositeImage)
+ * @param {string} [options.logPrefix] - Log prefix
+ */
+async function sendResultCard(api, chatId, threadId, d, referencePhoto, options = {}) {
+  const { linksText = '', extraCaption = '', buttons = [], userPhoto = null, banner = '', extraBadges = [], logPrefix = '' } = options;
+  const subspeciesText = d.eBirdGroup
+    ? `\n\n🧬 Subspecies group: ${d.eBirdGroup.commonName}\n_${d.eBirdGroup.scientificName}_`
+    : isDisplayableSubspecies(d.taxonomy?.subspecies) ? `\n\nSubspecies: _${d.taxonomy.subspecies}_` : '';
+  const unusualText = d.regionalCheck?.unusual ? `${formatUnusualNotice(d)}\n\n` : '';
+  const considerText = d.considerAlso?.length > 0 ? `${formatConsiderAlso(d)}\n\n` : '';
+  const bannerText = `${banner ? `${banner}\n\n` : ''}${unusualText}${considerText}`;
+  const placeText = d.place?.name ? `📍 ${escapeMarkdown(d.place.name)}` : '';
+  const cardBadges = d.regionalCheck?.unusual ? [...extraBadges, { text: 'UNUSUAL', color: '#E65100', icon: '⚠' }] : extraBadges;
+  const textCaption = `${bannerText}*${d.commonName}*\n_${d.scientificName}_${subspeciesText}${placeText ? `\n\n${placeText}` : ''}${extraCaption}${linksText ? `\n\n${linksText}` : ''}`;
+  const messageOptions = {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buttons },
+    message_thread_id: threadId
+  };
+  
+  if (referencePhoto?.found && referencePhoto.photoUrl) {
+    try {
+      const compositeBuffer = await createCompositeImage(referencePhoto.photoUrl, d, { userPhoto, extraBadges: cardBadges });
       
-      if (d.similarSpeciesRuledOut?.length > 0 && d.taxonomy?.class?.toLowerCase() === 'aves') {
-        followUpButtons[0].push({ 
-          text: '🔍 Similar Species', 
-          callback_data: `similar_${d.scientificName.replace(/\s+/g, '_')}` 
+      if (compositeBuffer) {
+        const sentMsg = await api.sendPhoto(chatId, new InputFile(compositeBuffer, 'identification.jpg'), {
+          ...messageOptions,
+          caption: `${bannerText}${placeText ? `${placeText}\n\n` : ''}${linksText}${extraCaption}`
         });
+        console.log(`✅ ${logPrefix} Photo sent, message_id: ${sentMsg.message_id}`);
+        return sentMsg;
       }
       
-      // Send result
-      const countText = group.count > 1 ? `\n📸 _${group.count} photos of this species_` : '';
-      
-      if (iNatPhoto.found && iNatPhoto.photoUrl) {
-        try {
-          const compositeBuffer = await createCompositeImage(iNatPhoto.photoUrl, d);
-          if (compositeBuffer) {
-            await ctx.api.sendPhoto(chatId, new InputFile(compositeBuffer, 'identification.jpg'), {
-              caption: `${linksText}${countText}`,
-              parse_mode: 'Markdown',
-              reply_markup: { inline_keyboard: followUpButtons },
-              message_thread_id: targetThreadId
-            });
-          } else {
-            await ctx.api.sendPhoto(chatId, iNatPhoto.photoUrl, {
-              caption: `*${d.commonName}*\n_${d.scientificName}_${countText}\n\n${linksText}`,
-              parse_mode: 'Markdown',
-              reply_markup: { inline_keyboard: followUpButtons },
-              message_thread_id: targetThreadId
-            });
-          }
-        } catch (e) {
-          await ctx.api.sendMessage(chatId, 
-            `*${d.commonName}*\n_${d.scientificName}_${countText}\n\n${linksText}`,
-            { parse_mode: 'Markdown', reply_markup: { inline_keyboard: followUpButtons }, message_thread_id: targetThreadId }
-          );
-        }
-      } else {
-        await ctx.api.sendMessage(chatId,
-          `*${d.commonName}*\n_${d.scientificName}_${countText}\n\n${linksText}`,
-          { parse_mode: 'Markdown', reply_markup: { inline_keyboard: followUpButtons }, message_thread_id: targetThreadId }
-        );
-      }
+      // Fallback to regular photo with caption
+      return await api.sendPhoto(chatId, referencePhoto.photoUrl, { ...messageOptions, caption: textCaption });
+    } catch (e) {
+      console.log(`${logPrefix} Could not send composite image:`, e.message);
     }
   }
   
-  // Report failures with detailed quality issues
-  if (failed.length > 0) {
-    // Group failures by reason type
-    const qualityIssues = failed.filter(f => ['low_resolution', 'obstructed', 'too_distant', 'poor_quality'].includes(f.reason));
-    const noAnimal = failed.filter(f => f.reason === 'no_animal');
-    const targetNotFound = failed.filter(f => f.reason === 'target_not_found');
-    const otherFails = failed.filter(f => !['low_resolution', 'obstructed', 'too_distant', 'poor_quality', 'no_animal', 'target_not_found'].includes(f.reason));
-    
-    let failMsg = '';
-    
-    if (qualityIssues.length > 0) {
-      const issueIcons = {
-        'low_resolution': '📉',
-        'obstructed': '🌿',
-        'too_distant': '🔭',
-        'poor_quality': '📷'
-      };
-      
-      failMsg += `⚠️ *Image Quality Issues (${qualityIssues.length} photo${qualityIssues.length > 1 ? 's' : ''})*\n\n`;
-      
-      for (const fail of qualityIssues) {
-        const icon = issueIcons[fail.reason] || '❌';
-        failMsg += `${icon} Photo ${fail.index + 1}: `;
-        if (fail.qualityIssue) {
-          failMsg += `${fail.qualityIssue}`;
-        } else {
-          failMsg += fail.reason.replace(/_/g, ' ');
-        }
-        failMsg += '\n';
-      }
-      
-      // Add suggestion from first quality issue
-      const suggestion = qualityIssues.find(f => f.suggestion)?.suggestion;
-      if (suggestion) {
-        failMsg += `\n💡 *Tip:* ${suggestion}`;
-      }
-    }
-    
-    if (targetNotFound.length > 0) {
-      if (failMsg) failMsg += '\n\n';
-      failMsg += `🔍 ${targetNotFound.length} photo${targetNotFound.length > 1 ? 's' : ''}: Could not find the specified subject.`;
-      failMsg += `\n💡 *Tip:* Try sending photos without a caption to auto-identify all animals.`;
-    }
-    
-    if (noAnimal.length > 0) {
-      if (failMsg) failMsg += '\n\n';
-      failMsg += `🚫 ${noAnimal.length} photo${noAnimal.length > 1 ? 's' : ''} did not contain identifiable animals.`;
-    }
-    
-    if (otherFails.length > 0 && failed.length === validPhotos.length) {
-      // Only show generic message if everything failed and no quality issues detected
-      if (!failMsg) {
-        failMsg = '❌ Could not identify any animals in the photos.';
-      }
-    }
-    
-    if (failMsg) {
-      await ctx.api.sendMessage(chatId, failMsg, { parse_mode: 'Markdown', message_thread_id: targetThreadId });
+  // No reference photo - show the user's own photo with the text if we have one
+  if (userPhoto) {
+    try {
+      return await api.sendPhoto(chatId, new InputFile(userPhoto, 'subject.jpg'), { ...messageOptions, caption: textCaption });
+    } catch (e) {
+      console.log(`${logPrefix} Could not send subject photo:`, e.message);
     }
   }
   
-  // Complete the request
-  requestManager.completeAndRemove(requestId);
+  // No photo available (or sending it failed), send text only
+  return api.sendMessage(chatId, textCaption, messageOptions);
 }
 
 /**
- * Process photo with request context and timeout
- * @param {Object} ctx - Grammy context
- * @param {RequestContext} request - Request context
- * @param {string} [captionTarget] - What to identify from caption
+ * Look-alikes that are far more common near the location than the identified species
+ * Shown as a suggestion - the identification itself is not changed
+ * @param {Object} d - Identification data with considerAlso and locationRanking
+ * @returns {string} Markdown
  */
-async function processPhotoWithContext(ctx, request, captionTarget = null) {
-  const { requestId } = request;
-  
+function formatConsiderAlso(d) {
+  const topPick = d.locationRanking.find(entry => entry.isTopPick);
+  const lines = d.considerAlso.slice(0, 2).map(suggestion => `• ${describeConsiderAlso(suggestion, topPick)}`);
+  return `💡 *Consider also:*\n${lines.join('\n')}`;
+}
+
+/**
+ * Warning for a bird that is rare or absent for the location and month (eBird frequency data)
+ * @param {Object} d - Identification data with regionalCheck
+ * @returns {string} Markdown
+ */
+function formatUnusualNotice(d) {
+  const percent = value => `${Math.round(value * 100)}%`;
+  const confidenceText = d.adjustedConfidence !== undefined && d.confidence !== null
+    ? `\nConfidence: ${percent(d.confidence)} → ${percent(d.adjustedConfidence)}`
+    : '';
+  return `⚠️ *Unusual for this location/season*\n${describeRegionalCheck(d.regionalCheck)}${confidenceText}`;
+}
+
+/**
+ * Card options announcing a new life list species
+ * @param {{isNew: boolean, total: number}|null} lifer - checkNewLifer result
+ * @returns {{banner?: string, extraBadges?: Array<Object>}}
+ */
+function liferCardOptions(lifer) {
+  if (!lifer?.isNew) return {};
+  return {
+    banner: `🎉 *New lifer!* Species #${lifer.total} on your life list`,
+    extraBadges: [{ text: 'NEW LIFER', color: '#2E7D32', icon: '★' }]
+  };
+}
+
+/**
+ * Store a successful identification in the sightings database
+ * Never throws - a storage problem must not stop the result from being delivered.
+ * @param {import('../services/identificationPipeline').PipelineResult} result - Single-subject result
+ * @param {Object} context - See buildSightingRecord
+ * @param {string} [logPrefix]
+ * @returns {Object|null} The stored sighting
+ */
+function recordSighting(result, context, logPrefix = '') {
   try {
-    // Update status to processing
-    requestManager.updateStatus(requestId, 'processing');
-    
-    // Get the largest photo (highest resolution)
-    const photos = ctx.message.photo;
-    const largestPhoto = photos[photos.length - 1];
-    
-    // Download image from Telegram
-    console.log(`📥 [${requestId}] Downloading image...`);
-    const file = await ctx.api.getFile(largestPhoto.file_id);
-    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-    
-    const response = await fetch(fileUrl);
-    let buffer = Buffer.from(await response.arrayBuffer());
-    
-    // Extract EXIF GPS coordinates BEFORE any image processing (from original buffer)
-    let exifLocation = null;
-    try {
-      const parser = ExifParser.create(buffer);
-      const exifData = parser.parse();
-      if (exifData.tags && exifData.tags.GPSLatitude && exifData.tags.GPSLongitude) {
-        const lat = exifData.tags.GPSLatitude;
-        const lng = exifData.tags.GPSLongitude;
-        exifLocation = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-        console.log(`📍 [${requestId}] Found EXIF GPS: ${exifLocation}`);
-      }
-    } catch (e) {
-      // No EXIF data or parsing failed - ignore
-    }
-    
-    // Process image for analysis: Full size, natural orientation, HD/HQ, no quality loss
-    console.log(`🖼️ [${requestId}] Processing image...`);
-    buffer = await sharp(buffer)
-      .rotate()  // Auto-rotate to natural orientation based on EXIF
-      .withMetadata()  // Preserve all metadata
-      .png({  // Use PNG for lossless quality
-        compressionLevel: 0,  // No compression for fastest processing
-        effort: 1  // Minimal effort for speed
-      })
-      .toBuffer();
-    
-    // If target was provided in caption, skip the "what to identify" question
-    if (captionTarget) {
-      console.log(`🎯 [${requestId}] Target from caption: "${captionTarget}"`);
-      
-      if (exifLocation) {
-        // Has EXIF location - process immediately
-        console.log(`📍 [${requestId}] Using EXIF location, starting identification...`);
-        await processIdentification(ctx, buffer, exifLocation, requestId, captionTarget);
-        const consumed = rateLimiter.consume(ctx.chat.id, ctx.from.id);
-        console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
-        requestManager.completeAndRemove(requestId);
-      } else {
-        // No EXIF - ask for location only
-        const promptMsg = await ctx.reply(
-          `🌍 *Where was this photo taken?*\n\n` +
-          `Reply with location or /skip`,
-          { parse_mode: 'Markdown' }
-        );
-        
-        const req = requestManager.getRequest(requestId);
-        if (req) {
-          req.buffer = buffer;
-          req.promptMsgId = promptMsg.message_id;
-          req.status = 'pending';
-          req.waitingFor = 'location';
-          req.identifyTarget = captionTarget;
-          console.log(`⏳ [${requestId}] Waiting for location input...`);
-        }
-      }
-    } else if (exifLocation) {
-      // No caption target, but has GPS - process immediately (auto-identify all)
-      console.log(`📍 [${requestId}] Has EXIF location, processing immediately...`);
-      await processIdentification(ctx, buffer, exifLocation, requestId, null);
-      const consumed = rateLimiter.consume(ctx.chat.id, ctx.from.id);
-      console.log(`📊 [${requestId}] Rate limit consumed: ${consumed.used} used, ${consumed.remaining} remaining`);
-      requestManager.completeAndRemove(requestId);
-    } else {
-      // No caption target, no EXIF - ask for location only
-      console.log(`📍 [${requestId}] No EXIF GPS, asking for location...`);
-      const promptMsg = await ctx.reply(
-        `🌍 *Where was this photo taken?*\n\n` +
-        `Reply with location or /skip`,
-        { parse_mode: 'Markdown' }
-      );
-      
-      // Update request with pending photo data
-      const req = requestManager.getRequest(requestId);
-      if (req) {
-        req.buffer = buffer;
-        req.promptMsgId = promptMsg.message_id;
-        req.status = 'pending';
-        req.waitingFor = 'location';
-        req.identifyTarget = null; // Auto-identify all
-        console.log(`⏳ [${requestId}] Waiting for location input...`);
-      }
+    const sighting = sightingsStore.add(buildSightingRecord(result, context));
+    if (sighting) {
+      console.log(`📒 ${logPrefix} Sighting saved: ${sighting.id} (${sighting.scientificName})`);
     }
+    return sighting;
   } catch (error) {
-    requestManager.updateStatus(requestId, 'failed', { error });
-    requestManager._removeRequest(requestId);
-    throw error;
+    console.error(`${logPrefix} Failed to record sighting:`, error.message);
+    return null;
   }
 }
 
-// ============================================
-// IDENTIFICATION PROCESSOR
-// Core identification logic with full request isolation
-// ============================================
-
 /**
  * Process animal identification with explicit chat ID
  * Wrapper that ensures results are sent to the correct chat/thread
@@ -2782,8 +4211,9 @@ async function processPhotoWithContext(ctx, request, captionTarget = null) {
  * @param {number} [targetThreadId] - Target thread ID for forum topics
  * @param {number} [statusMsgId] - Existing status message ID to use/delete
  * @param {number} [sourceMessageId] - Original photo message ID for source link
+ * @param {Object} [options] - Passed through to processIdentification
  */
-async function processIdentificationWithChatId(ctx, buffer, location, requestId, identifyTarget, targetChatId, targetThreadId, statusMsgId, sourceMessageId) {
+async function processIdentificationWithChatId(ctx, buffer, location, requestId, identifyTarget, targetChatId, targetThreadId, statusMsgId, sourceMessageId, options = {}) {
   console.log(`🎯 [${requestId}] processIdentificationWithChatId targeting chat: ${targetChatId}${targetThreadId ? ` thread: ${targetThreadId}` : ''}${statusMsgId ? ` statusMsg: ${statusMsgId}` : ''}${sourceMessageId ? ` sourceMsg: ${sourceMessageId}` : ''}`);
   
   // Create a proxy context that redirects all messages to the target chat/thread
@@ -2801,7 +4231,7 @@ async function processIdentificationWithChatId(ctx, buffer, location, requestId,
     },
   };
   
-  return processIdentification(modifiedCtx, buffer, location, requestId, identifyTarget);
+  return processIdentification(modifiedCtx, buffer, location, requestId, identifyTarget, options);
 }
 
 /**
@@ -2811,8 +4241,17 @@ async function processIdentificationWithChatId(ctx, buffer, location, requestId,
  * @param {string} location - Location string
  * @param {string} [requestId] - Request ID for logging
  * @param {string} [identifyTarget] - What to identify in the image
+ * @param {Object} [options]
+ * @param {boolean} [options.multiple=false] - Identify every animal, one card each (/auto)
+ * @param {string} [options.fileId] - Telegram file_id of the photo (stored with the sighting)
+ * @param {number} [options.messageId] - Photo message ID (defaults to ctx.sourceMessageId)
+ * @param {'exif'|'typed'|'shared'} [options.locationSource] - Where the location came from
+ * @param {Object} [options.coordinates] - Geocoded location the user picked (skips geocoding)
+ * @param {Date|null} [options.takenAt] - EXIF capture time (defaults to now)
+ * @param {Object|null} [options.camera] - EXIF camera details
+ * @param {Buffer} [options.originalImage] - Full-resolution image for the HD copy in PM (defaults to buffer)
  */
-async function processIdentification(ctx, buffer, location, requestId = 'unknown', identifyTarget = null) {
+async function processIdentification(ctx, buffer, location, requestId = 'unknown', identifyTarget = null, options = {}) {
   let statusMsg;
   const logPrefix = `[${requestId}]`;
   
@@ -2836,20 +4275,19 @@ async function processIdentification(ctx, buffer, location, requestId = 'unknown
       statusMsg = await ctx.reply('🔬 *Analyzing...*', { parse_mode: 'Markdown' });
     }
 
-    // Step 1: Identify with Gemini 2.5 Pro
-    console.log(`\n🤖 ${logPrefix} Starting Gemini 2.5 Pro analysis...`);
-    if (identifyTarget) {
-      console.log(`   🎯 Target: "${identifyTarget}"`);
-    }
-    const result = await identifyAnimal(buffer, 'image/jpeg', { location, identifyTarget });
+    // Run the shared identification pipeline (Gemini → GBIF → eBird → iNaturalist → links)
+    const result = await runIdentificationPipeline(buffer, {
+      location, coordinates: options.coordinates, identifyTarget, multiple: options.multiple, requestId,
+      observedAt: options.takenAt, camera: options.camera
+    });
     
-    if (!result.success || !result.data.identified) {
+    if (!result.success || !result.identified) {
       await ctx.api.deleteMessage(targetChatId, statusMsg.message_id);
       
       // Handle quality issues with specific messages
-      const reason = result.data?.reason || result.error || 'unknown';
-      const qualityIssue = result.data?.qualityIssue;
-      const suggestion = result.data?.suggestion;
+      const reason = result.reason || 'unknown';
+      const qualityIssue = result.qualityIssue;
+      const suggestion = result.suggestion;
       
       // Build user-friendly error message based on reason
       let errorMsg = '';
@@ -2895,180 +4333,84 @@ async function processIdentification(ctx, buffer, location, requestId = 'unknown
       return;
     }
     
-    const d = result.data;
-    
-    // Store original image buffer for later PM
-    d._originalImageBuffer = buffer;
-    
-    // Check if it's a bird (class Aves)
-    const isBird = d.taxonomy?.class?.toLowerCase() === 'aves';
-    
-    // Step 2: Verify with GBIF using location
-    console.log(`\n🌍 ${logPrefix} Verifying with GBIF...`);
-    console.log(`   📍 Location from user: "${location}"`);
-    const gbifResult = await verifyWithGBIF(d, location);
-    
-    // Use GBIF species name if different from Gemini (GBIF takes priority)
-    // This handles taxonomic revisions and synonym updates
-    if (gbifResult.verified) {
-      if (gbifResult.species?.isSynonym && gbifResult.species?.acceptedName) {
-        console.log(`   🔄 ${logPrefix} Name updated (was synonym): ${d.scientificName} → ${gbifResult.species.acceptedName}`);
-        d.scientificName = gbifResult.species.canonicalName || gbifResult.species.acceptedName;
-        if (gbifResult.species.commonName) {
-          d.commonName = gbifResult.species.commonName;
-          console.log(`   🔄 ${logPrefix} Common name updated: ${d.commonName}`);
-        }
-      } else if (!gbifResult.matches && gbifResult.gbifName) {
-        console.log(`   📝 ${logPrefix} Using GBIF species: ${gbifResult.gbifName} (Gemini said: ${d.scientificName})`);
-        d.scientificName = gbifResult.species?.canonicalName || gbifResult.gbifName;
-      }
-    }
+    // Everything the sightings database needs besides the identification itself
+    const sightingContext = {
+      chatId: targetChatId,
+      threadId: targetThreadId,
+      from: ctx.from,
+      location,
+      locationSource: options.locationSource,
+      fileId: options.fileId,
+      messageId: options.messageId || sourceMessageId,
+      observedAt: options.takenAt,
+      observedAtSource: 'exif',
+      camera: options.camera
+    };
     
-    // Step 3: If bird, also verify with eBird (eBird has most current bird taxonomy)
-    if (isBird) {
-      console.log(`\n🐦 ${logPrefix} Verifying bird with eBird...`);
-      // Pass both scientific name and common name for better synonym resolution
-      const eBirdResult = await verifyWithEBird(d.scientificName, d.commonName);
+    // Multi-animal mode - one card per subject, cropped from the user's photo
+    if (result.multiple) {
+      try {
+        await ctx.api.deleteMessage(targetChatId, statusMsg.message_id);
+      } catch (e) {}
       
-      // Use eBird species name - eBird taxonomy is authoritative for birds
-      if (eBirdResult.verified && eBirdResult.found) {
-        if (!eBirdResult.matches || eBirdResult.scientificName !== d.scientificName) {
-          console.log(`   🔄 ${logPrefix} eBird name update: ${d.scientificName} → ${eBirdResult.scientificName}`);
-          if (eBirdResult.nameUpdatedReason) {
-            console.log(`   📝 Reason: ${eBirdResult.nameUpdatedReason}`);
-          }
-        }
-        d.scientificName = eBirdResult.scientificName;
-        d.commonName = eBirdResult.commonName;
-        console.log(`   ✅ ${logPrefix} Using eBird taxonomy: ${d.scientificName} (${d.commonName})`);
+      const total = result.subjects.length;
+      console.log(`📤 ${logPrefix} Sending ${total} subject card(s) to chat ${targetChatId}${targetThreadId ? ` thread ${targetThreadId}` : ''}...`);
+      
+      for (const [index, subject] of result.subjects.entries()) {
+        const sd = subject.data;
+        sd._originalImageBuffer = options.originalImage || buffer;
+        identificationCache.set(ResultCache.makeKey(targetChatId, sd.scientificName), sd);
+        
+        const subjectPhoto = await cropToBoundingBox(buffer, sd.boundingBox);
+        const lifer = checkNewLifer(targetUserId, sd);
+        await sendResultCard(ctx.api, targetChatId, targetThreadId, sd, subject.referencePhoto, {
+          linksText: formatLinksMarkdown(subject.links),
+          extraCaption: total > 1 ? `\n🐾 _Animal ${index + 1} of ${total}_` : '',
+          buttons: buildFollowUpButtons(sd, subject.isBird),
+          userPhoto: subjectPhoto,
+          ...liferCardOptions(lifer),
+          logPrefix
+        });
+        
+        // Record straight away so a second animal of the same species isn't also a lifer
+        recordSighting(subject, sightingContext, logPrefix);
       }
+      
+      console.log(`✅ ${logPrefix} ${total} result(s) sent to user ${targetUserId} in chat ${targetChatId}`);
+      return;
     }
     
+    const d = result.data;
+    
+    // Store original image buffer for later PM
+    d._originalImageBuffer = options.originalImage || buffer;
+    
     // Store identification result AFTER all name updates using chat-scoped cache
     const cacheKey = ResultCache.makeKey(targetChatId, d.scientificName);
     console.log(`   💾 ${logPrefix} Caching result with key: ${cacheKey}`);
     identificationCache.set(cacheKey, d);
     
-    // Get iNaturalist reference photo (uses species only)
-    console.log(`\n📷 ${logPrefix} Getting iNaturalist reference photo...`);
-    const iNatPhoto = await getSpeciesPhoto(d.scientificName);
-    
-    // Generate links - use scientific name (genus + species only)
-    const nameParts = d.scientificName.split(' ');
-    const genusSpecies = `${nameParts[0]} ${nameParts[1] || ''}`.trim();
-    const scientificNameUnderscore = genusSpecies.replace(/\s+/g, '_');
-    
-    // Wikipedia uses scientific name with underscores
-    const wikipediaUrl = `https://en.wikipedia.org/wiki/${scientificNameUnderscore}`;
-    
-    // iNaturalist - use taxa ID format: /taxa/5367-Gyps-himalayensis
-    const iNatNameHyphen = iNatPhoto.taxonName.replace(/\s+/g, '-');
-    const iNaturalistUrl = `https://www.inaturalist.org/taxa/${iNatPhoto.taxonId}-${iNatNameHyphen}`;
-    
-    // Validate all links in parallel
-    const linkChecks = [
-      isValidUrl(wikipediaUrl).then(valid => valid ? `[Wikipedia](${wikipediaUrl})` : null),
-      isValidUrl(iNaturalistUrl).then(valid => valid ? `[iNaturalist](${iNaturalistUrl})` : null)
-    ];
-    
-    // Bird-specific links - validate with HTML content check
-    if (isBird) {
-      // eBird - get species code for direct link
-      const eBirdData = await getEBirdSpeciesCode(d.scientificName);
-      if (eBirdData.found) {
-        const eBirdUrl = `https://ebird.org/species/${eBirdData.speciesCode}`;
-        linkChecks.push(isValidUrl(eBirdUrl).then(valid => valid ? `[eBird](${eBirdUrl})` : null));
-      }
-    }
-    
-    // Wait for all link validations
-    const validLinks = (await Promise.all(linkChecks)).filter(link => link !== null);
-    const linksText = validLinks.join(' • ');
+    const linksText = formatLinksMarkdown(result.links);
     
     // Delete status message just before sending result
     try {
       await ctx.api.deleteMessage(targetChatId, statusMsg.message_id);
     } catch (e) {}
     
-    // Build buttons for follow-up actions
-    const followUpButtons = [];
-    
-    // Add "More Details" button
-    followUpButtons.push([{ text: '📚 More Details', callback_data: `details_${d.scientificName.replace(/\s+/g, '_')}` }]);
-    
-    // Add "Similar Species" button if there are similar species (for birds only)
-    const similarSpecies = d.similarSpeciesRuledOut || [];
-    if (similarSpecies.length > 0 && isBird) {
-      followUpButtons[0].push({ text: '🔍 Similar Species', callback_data: `similar_${d.scientificName.replace(/\s+/g, '_')}` });
-    }
-    
     // Send composite image (photo left, text right with badges) with buttons
-    // Use ctx.api.sendPhoto with targetChatId to ensure correct delivery
     console.log(`📤 ${logPrefix} Sending result to chat ${targetChatId}${targetThreadId ? ` thread ${targetThreadId}` : ''}...`);
-    
-    if (iNatPhoto.found && iNatPhoto.photoUrl) {
-      try {
-        const compositeBuffer = await createCompositeImage(iNatPhoto.photoUrl, d);
-        
-        if (compositeBuffer) {
-          const caption = linksText || '';
-          const sentMsg = await ctx.api.sendPhoto(targetChatId, new InputFile(compositeBuffer, 'identification.jpg'), {
-            caption: caption,
-            parse_mode: 'Markdown',
-            reply_markup: { inline_keyboard: followUpButtons },
-            message_thread_id: targetThreadId
-          });
-          console.log(`✅ ${logPrefix} Photo sent, message_id: ${sentMsg.message_id}`);
-        } else {
-          // Fallback to regular photo with caption
-          const subspecies = d.taxonomy?.subspecies;
-          const hasValidSubspecies = subspecies && 
-            subspecies !== 'Not determined' && 
-            subspecies !== 'Unable to determine from image' &&
-            subspecies !== 'monotypic' &&
-            !subspecies.toLowerCase().includes('unknown');
-          const subspeciesText = hasValidSubspecies ? `\n\nSubspecies: _${subspecies}_` : '';
-          const caption = `*${d.commonName}*\n_${d.scientificName}_${subspeciesText}${linksText ? `\n\n${linksText}` : ''}`;
-          await ctx.api.sendPhoto(targetChatId, iNatPhoto.photoUrl, { 
-            caption: caption,
-            parse_mode: 'Markdown',
-            reply_markup: { inline_keyboard: followUpButtons },
-            message_thread_id: targetThreadId
-          });
-        }
-      } catch (e) {
-        console.log(`${logPrefix} Could not send composite image:`, e.message);
-        const subspecies = d.taxonomy?.subspecies;
-        const hasValidSubspecies = subspecies && 
-          subspecies !== 'Not determined' && 
-          subspecies !== 'Unable to determine from image' &&
-          subspecies !== 'monotypic' &&
-          !subspecies.toLowerCase().includes('unknown');
-        const subspeciesText = hasValidSubspecies ? `\n\nSubspecies: _${subspecies}_` : '';
-        await ctx.api.sendMessage(targetChatId, `*${d.commonName}*\n_${d.scientificName}_${subspeciesText}${linksText ? `\n\n${linksText}` : ''}`, { 
-          parse_mode: 'Markdown',
-          reply_markup: { inline_keyboard: followUpButtons },
-          message_thread_id: targetThreadId
-        });
-      }
-    } else {
-      // No photo available, send text only
-      const subspecies = d.taxonomy?.subspecies;
-      const hasValidSubspecies = subspecies && 
-        subspecies !== 'Not determined' && 
-        subspecies !== 'Unable to determine from image' &&
-        subspecies !== 'monotypic' &&
-        !subspecies.toLowerCase().includes('unknown');
-      const subspeciesText = hasValidSubspecies ? `\n\nSubspecies: _${subspecies}_` : '';
-      await ctx.api.sendMessage(targetChatId, `*${d.commonName}*\n_${d.scientificName}_${subspeciesText}${linksText ? `\n\n${linksText}` : ''}`, { 
-        parse_mode: 'Markdown',
-        reply_markup: { inline_keyboard: followUpButtons },
-        message_thread_id: targetThreadId
-      });
-    }
+    await sendResultCard(ctx.api, targetChatId, targetThreadId, d, result.referencePhoto, {
+      linksText,
+      buttons: buildFollowUpButtons(d, result.isBird),
+      userPhoto: await highlightSubject(buffer, d.boundingBox),
+      ...liferCardOptions(checkNewLifer(targetUserId, d)),
+      logPrefix
+    });
     
     console.log(`✅ ${logPrefix} Result sent to user ${targetUserId} in chat ${targetChatId}${targetThreadId ? ` thread ${targetThreadId}` : ''}`);
     
+    recordSighting(result, sightingContext, logPrefix);
+    
   } catch (error) {
     console.error(`❌ ${logPrefix} Error:`, error);
     try {
@@ -3102,6 +4444,7 @@ function gracefulShutdown(signal) {
   rateLimiter.shutdown();
   identificationCache.shutdown();
   userImageCache.shutdown();
+  albumResultCache.shutdown();
   console.log('All managers and caches cleaned up');
   process.exit(0);
 }
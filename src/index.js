@@ -2,6 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const { webhookCallback } = require('grammy');
 const bot = require('./bot/telegramBot');
+const apiRoutes = require('./routes');
+const { getModelChain } = require('./services/providers');
+const { ebirdTaxonomy, startTaxonomyRefresh } = require('./services/ebirdTaxonomy');
 
 // ============================================
 // EXPRESS SERVER WITH WEBHOOK
@@ -27,9 +30,12 @@ app.get('/', (req, res) => {
 });
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', uptime: Math.floor(process.uptime()) });
+  res.json({ status: 'healthy', uptime: Math.floor(process.uptime()), ebirdTaxonomy: ebirdTaxonomy.status() });
 });
 
+// REST identification API (same Gemini + GBIF + eBird pipeline as the bot)
+app.use('/api/v1', apiRoutes);
+
 // Telegram webhook endpoint with validation
 app.post('/webhook', (req, res, next) => {
   // Validate that the request body contains a valid Telegram update
@@ -51,9 +57,12 @@ app.get('/webhook', (req, res) => {
 // START SERVER & SETUP WEBHOOK
 // ============================================
 console.log('🦁 Starting Wildlife ID Bot (Webhook Mode)...');
-console.log('🤖 Using Gemini 2.5 Pro / Flash models');
+console.log(`🤖 Vision model chain: ${getModelChain().map(m => m.displayName).join(' → ') || 'none configured'}`);
 
 async function startServer() {
+  // Load the eBird taxonomy snapshot and keep it fresh
+  startTaxonomyRefresh();
+
   // Start HTTP server first
   app.listen(PORT, () => {
     console.log(`🌐 Server running on port ${PORT}`);
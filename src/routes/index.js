@@ -1,28 +1,166 @@
 const express = require('express');
 const multer = require('multer');
-const { identifyAnimal, identifyAnimalFromUrl } = require('../services/geminiService');
+const { fetchImageFromUrl } = require('../services/geminiService');
+const { runIdentificationPipeline } = require('../services/identificationPipeline');
+const { exportSightings } = require('../services/exportService');
+const { readPhotoMetadata } = require('../services/exifService');
+const { extractKeyframes } = require('../services/videoService');
 
 const router = express.Router();
 
+// Optional API key - when API_KEY is set, every request must send it in X-API-Key
+router.use((req, res, next) => {
+  const apiKey = process.env.API_KEY;
+  if (!apiKey || req.path === '/health') return next();
+  if (req.get('X-API-Key') !== apiKey) {
+    return res.status(401).json({ success: false, error: 'Invalid or missing API key' });
+  }
+  next();
+});
+
+// Videos and animated images are identified from their sharpest keyframes
+const VIDEO_MIMES = ['video/mp4', 'video/quicktime', 'video/webm', 'video/x-matroska', 'video/3gpp', 'video/mpeg'];
+const ANIMATED_MIMES = ['image/gif', 'image/webp'];
+
 // Configure multer for memory storage (we'll pass buffer to Gemini)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 1024 * 1024 * 1024, // 20MB max file size
+    fileSize: 20 * 1024 * 1024, // 20MB max file size
   },
   fileFilter: (req, file, cb) => {
-    const allowedMimes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'];
+    const allowedMimes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', ...VIDEO_MIMES];
     if (allowedMimes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and WebP are allowed.'));
+      cb(new Error('Invalid file type. Only JPEG, PNG, GIF, WebP, HEIC and video (MP4, MOV, WebM, MKV, 3GP) are allowed.'));
     }
   }
 });
 
+/**
+ * Serialize one verified identification for the JSON response
+ * @param {import('../services/identificationPipeline').PipelineResult} result
+ * @returns {Object}
+ */
+function serializeIdentification(result) {
+  const { gbif, ebird, referencePhoto } = result;
+  return {
+    identification: result.data,
+    originalName: result.originalName,
+    verification: {
+      gbif: {
+        verified: gbif.verified,
+        matches: gbif.matches,
+        geminiName: gbif.geminiName,
+        gbifName: gbif.gbifName,
+        taxonKey: gbif.species?.key || null,
+        isSynonym: gbif.species?.isSynonym || false,
+        matchConfidence: gbif.species?.confidence ?? null,
+        locationVerified: gbif.locationVerified,
+        occurrenceCount: gbif.occurrences?.count ?? null,
+        occurrence: gbif.occurrences ? {
+          likelihood: gbif.occurrences.likelihood,
+          status: gbif.occurrences.status,
+          seasonalCount: gbif.occurrences.seasonalCount,
+          monthCounts: gbif.occurrences.monthCounts,
+          radiusKm: gbif.occurrences.radiusKm,
+          months: gbif.occurrences.months,
+          sinceYear: gbif.occurrences.sinceYear,
+          basisOfRecord: gbif.occurrences.basisOfRecord
+        } : null,
+        locationRanking: (gbif.locationRanking || []).map(({ name, scientificName, taxonKey, isTopPick, localRecords, share }) => (
+          { name, scientificName, taxonKey, isTopPick, localRecords, share }
+        )),
+        considerAlso: (gbif.considerAlso || []).map(({ name, scientificName, taxonKey, reason, localRecords }) => (
+          { name, scientificName, taxonKey, reason, localRecords }
+        ))
+      },
+      ebird: ebird ? {
+        verified: ebird.verified,
+        speciesCode: result.eBirdSpeciesCode,
+        nameUpdatedReason: ebird.nameUpdatedReason || null,
+        matchScore: ebird.score ?? null,
+        group: ebird.group || null,
+        candidates: (ebird.candidates || []).map(({ speciesCode, scientificName, commonName, category, score, reason }) => (
+          { speciesCode, scientificName, commonName, category, score, reason }
+        ))
+      } : null
+    },
+    subspecies: gbif.subspeciesList,
+    links: result.links,
+    referencePhoto: referencePhoto.found ? {
+      url: referencePhoto.photoUrl,
+      source: referencePhoto.source,
+      taxonId: referencePhoto.taxonId
+    } : null
+  };
+}
+
+/**
+ * Turn a pipeline result into the HTTP response
+ * @param {Object} res - Express response
+ * @param {import('../services/identificationPipeline').PipelineResult} result
+ * @param {import('../services/exifService').PhotoMetadata} [photo] - EXIF read from the image
+ * @param {Object} [clip] - Keyframes the result came from (video / animated GIF uploads)
+ */
+function sendPipelineResponse(res, result, photo = null, clip = null) {
+  const photoInfo = photo ? { takenAt: photo.takenAt ? photo.takenAt.toISOString() : null, camera: photo.camera } : undefined;
+  const videoInfo = clip ? {
+    duration: clip.metadata.duration,
+    sampledFrames: clip.sampled,
+    frames: clip.frames.map(frame => ({ time: Number(frame.time.toFixed(2)), sharpness: Math.round(frame.sharpness) })),
+    bestFrame: result.identified && !result.multiple ? (result.data.bestPhoto || 1) - 1 : null
+  } : undefined;
+
+  if (!result.success) {
+    return res.status(502).json({ success: false, error: result.error });
+  }
+
+  if (!result.identified) {
+    return res.json({
+      success: true,
+      identified: false,
+      model: result.model,
+      reason: result.reason,
+      qualityIssue: result.qualityIssue,
+      suggestion: result.suggestion,
+      video: videoInfo
+    });
+  }
+
+  if (result.multiple) {
+    return res.json({
+      success: true,
+      identified: true,
+      multiple: true,
+      model: result.model,
+      photo: photoInfo,
+      video: videoInfo,
+      subjects: result.subjects.map(serializeIdentification)
+    });
+  }
+
+  res.json({
+    success: true,
+    identified: true,
+    model: result.model,
+    photo: photoInfo,
+    video: videoInfo,
+    ...serializeIdentification(result)
+  });
+}
+
+/**
+ * Read a boolean form/JSON field ("true", "1", true)
+ */
+function parseBooleanField(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
 // Health check
 router.get('/health', (req, res) => {
-  res.json({ 
+  res.json({
     status: 'ok',
     service: 'Animal Identification Bot',
     model: 'Gemini 2.5 Pro with Thinking',
@@ -34,9 +172,9 @@ router.get('/health', (req, res) => {
 router.post('/identify', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No image file provided. Please upload an image.' 
+      return res.status(400).json({
+        success: false,
+        error: 'No image file provided. Please upload an image.'
       });
     }
 
@@ -44,19 +182,40 @@ router.post('/identify', upload.single('image'), async (req, res) => {
     const options = {
       location: req.body.location || null,
       habitat: req.body.habitat || null,
-      additionalNotes: req.body.notes || null
+      additionalNotes: req.body.notes || null,
+      identifyTarget: req.body.target || null,
+      multiple: parseBooleanField(req.body.multiple)
     };
 
-    console.log(`Processing image: ${req.file.originalname} (${req.file.size} bytes)`);
-    
-    const result = await identifyAnimal(req.file.buffer, req.file.mimetype, options);
-    
-    res.json(result);
+    console.log(`Processing ${req.file.mimetype.startsWith('video/') ? 'video' : 'image'}: ${req.file.originalname} (${req.file.size} bytes)`);
+
+    // Videos and animated GIFs: identify from the sharpest keyframes, as shots of one animal
+    if (VIDEO_MIMES.includes(req.file.mimetype) || ANIMATED_MIMES.includes(req.file.mimetype)) {
+      const clip = await extractKeyframes(req.file.buffer, { mimeType: req.file.mimetype });
+      if (clip.success) {
+        const result = await runIdentificationPipeline(clip.frames.map(frame => frame.buffer), {
+          ...options, mimeType: 'image/png', observedAt: clip.metadata.takenAt
+        });
+        return sendPipelineResponse(res, result, { takenAt: clip.metadata.takenAt, camera: null }, clip);
+      }
+      // A GIF/WebP with one frame is just a still image
+      if (!clip.notAnimated) {
+        return res.status(clip.unavailable ? 503 : 400).json({ success: false, error: clip.error });
+      }
+    }
+
+    // Capture date and camera for the seasonal checks
+    const photo = readPhotoMetadata(req.file.buffer);
+    const result = await runIdentificationPipeline(req.file.buffer, {
+      ...options, mimeType: req.file.mimetype, observedAt: photo.takenAt, camera: photo.camera
+    });
+
+    sendPipelineResponse(res, result, photo);
   } catch (error) {
     console.error('Identification error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
 });
@@ -64,33 +223,91 @@ router.post('/identify', upload.single('image'), async (req, res) => {
 // Identify animal from image URL
 router.post('/identify-url', async (req, res) => {
   try {
-    const { imageUrl, location, habitat, notes } = req.body;
-    
+    const { imageUrl, location, habitat, notes, target, multiple } = req.body || {};
+
     if (!imageUrl) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'No image URL provided.' 
+      return res.status(400).json({
+        success: false,
+        error: 'No image URL provided.'
       });
     }
 
     const options = {
       location: location || null,
       habitat: habitat || null,
-      additionalNotes: notes || null
+      additionalNotes: notes || null,
+      identifyTarget: target || null,
+      multiple: parseBooleanField(multiple)
     };
 
     console.log(`Processing image from URL: ${imageUrl}`);
-    
-    const result = await identifyAnimalFromUrl(imageUrl, options);
-    
-    res.json(result);
+
+    // Download/validation problems are the caller's fault, not the model's
+    const image = await fetchImageFromUrl(imageUrl);
+    if (!image.success) {
+      return res.status(400).json({ success: false, error: image.error });
+    }
+
+    const photo = readPhotoMetadata(image.buffer);
+    const result = await runIdentificationPipeline(image.buffer, {
+      ...options, mimeType: image.mimeType, observedAt: photo.takenAt, camera: photo.camera
+    });
+
+    sendPipelineResponse(res, result, photo);
   } catch (error) {
     console.error('Identification error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Export stored sightings - ?format=ebird|inat|dwca&from=YYYY-MM-DD&to=YYYY-MM-DD&chatId=&userId=
+// Sightings hold usernames, chat IDs and exact coordinates: only served behind API_KEY, one chat or user at a time
+router.get('/sightings/export', async (req, res) => {
+  try {
+    if (!process.env.API_KEY) {
+      return res.status(403).json({ success: false, error: 'Sightings export is disabled - set API_KEY to enable it' });
+    }
+
+    const { format = 'dwca', from, to, chatId, userId } = req.query;
+    if (!chatId && !userId) {
+      return res.status(400).json({ success: false, error: 'chatId or userId is required' });
+    }
+    const filter = {
+      from: from || null,
+      to: to || null,
+      chatId: chatId ? Number(chatId) : undefined,
+      userId: userId ? Number(userId) : undefined
+    };
+    if (Number.isNaN(filter.chatId) || Number.isNaN(filter.userId)) {
+      return res.status(400).json({ success: false, error: 'chatId and userId must be numbers' });
+    }
+
+    const result = await exportSightings(format, filter);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    res.set('Content-Type', result.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.buffer);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
 });
 
+// Upload errors (file too large, wrong type) - return JSON instead of the default HTML page
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.message?.startsWith('Invalid file type')) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+  next(err);
+});
+
 module.exports = router;
@@ -0,0 +1,381 @@
+// Audio Service - Spectrograms of animal calls from voice notes and audio files
+//
+// A recording is decoded to mono samples (16/24/32-bit and float WAV are read directly, everything
+// else - OGG voice notes, MP3, M4A - with ffmpeg) and cut to its loudest AUDIO_MAX_SECONDS. From that
+// clip come:
+//   - a spectrogram (sonogram) image: time left to right, 0-11 kHz bottom to top, darker is louder,
+//     with labelled axes so a vision model can read pitch and timing
+//   - a 16-bit WAV copy for models that take audio (see providers - supportsAudio)
+//
+//   AUDIO_MAX_SECONDS  Longest stretch identified (default 30); recordings up to 10× that are accepted
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { runFfmpeg, parseFfmpegInfo } = require('./videoService');
+
+const MAX_SECONDS = Math.max(1, parseInt(process.env.AUDIO_MAX_SECONDS, 10) || 30);
+
+// Longer recordings are turned away before download, and ffmpeg never decodes past this
+// (an hour of samples would take ~300 MB) - the loudest clip is looked for within it
+const MAX_RECORDING_SECONDS = MAX_SECONDS * 10;
+
+// ffmpeg decodes to this rate - 11 kHz covers bird song and frog calls
+const DECODE_SAMPLE_RATE = 22050;
+const MAX_FREQUENCY = 11025;
+
+// Plot area in pixels, and the margins holding the axis labels
+const PLOT_WIDTH = 1200;
+const PLOT_HEIGHT = 480;
+const MARGIN = { left: 56, right: 16, top: 16, bottom: 40 };
+
+// Quieter than this below the loudest point is drawn white
+const DYNAMIC_RANGE_DB = 70;
+
+// A peak below this (full scale is 1) is silence
+const SILENCE_PEAK = 0.001;
+
+const FONT_FAMILY = 'DejaVu Sans, Liberation Sans, FreeSans, sans-serif';
+
+/**
+ * @typedef {Object} Recording
+ * @property {Buffer} spectrogram - PNG
+ * @property {Buffer} audio - 16-bit mono WAV of the clip
+ * @property {number} duration - Seconds, whole recording
+ * @property {number} clipStart - Seconds from the start of the recording
+ * @property {number} clipDuration - Seconds
+ * @property {import('./videoService').VideoMetadata} metadata - Creation time and location written by the recorder
+ */
+
+/**
+ * Mono samples from a PCM or float WAV file
+ * @param {Buffer} buffer
+ * @returns {{samples: Float32Array, sampleRate: number}|null} null if not a WAV this can read (ffmpeg will)
+ */
+function readWav(buffer) {
+  if (buffer.length < 44 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && size >= 16) {
+      format = {
+        code: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bits: buffer.readUInt16LE(body + 14)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+      if (format.code === 0xFFFE && size >= 26) format.code = buffer.readUInt16LE(body + 24);
+    } else if (id === 'data' && format) {
+      const isInteger = format.code === 1 && [8, 16, 24, 32].includes(format.bits);
+      const isFloat = format.code === 3 && format.bits === 32;
+      if (!isInteger && !isFloat || format.channels < 1) return null;
+
+      const bytes = format.bits / 8;
+      const frameBytes = bytes * format.channels;
+      const end = Math.min(body + size, buffer.length);
+      const frames = Math.floor((end - body) / frameBytes);
+      const read = at => {
+        if (isFloat) return buffer.readFloatLE(at);
+        if (bytes === 1) return (buffer[at] - 128) / 128;
+        return buffer.readIntLE(at, bytes) / 2 ** (format.bits - 1);
+      };
+
+      const samples = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < format.channels; channel++) {
+          sum += read(body + i * frameBytes + channel * bytes);
+        }
+        samples[i] = sum / format.channels;
+      }
+      return { samples, sampleRate: format.sampleRate };
+    }
+
+    offset = body + size + (size % 2); // Chunks are word aligned
+  }
+  return null;
+}
+
+/**
+ * Decode any audio ffmpeg understands to mono float samples (the first MAX_RECORDING_SECONDS)
+ * @param {Buffer} buffer
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, metadata: import('./videoService').VideoMetadata}>}
+ */
+async function decodeWithFfmpeg(buffer) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audio-'));
+  try {
+    const input = path.join(dir, 'input');
+    const output = path.join(dir, 'samples.f32');
+    await fs.promises.writeFile(input, buffer);
+
+    const { code, stderr } = await runFfmpeg(['-i', input, '-t', String(MAX_RECORDING_SECONDS), '-vn', '-ac', '1', '-ar', String(DECODE_SAMPLE_RATE), '-f', 'f32le', output]);
+    const raw = await fs.promises.readFile(output).catch(() => null);
+    if (!raw || raw.length < 4) {
+      const reason = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      throw new Error(`Could not decode the audio: ${reason}`);
+    }
+
+    // Copy out of the file buffer so the samples are 4-byte aligned
+    const samples = new Float32Array(raw.length >> 2);
+    for (let i = 0; i < samples.length; i++) samples[i] = raw.readFloatLE(i * 4);
+    return { samples, sampleRate: DECODE_SAMPLE_RATE, metadata: parseFfmpegInfo(stderr) };
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * The loudest stretch of a recording (whole seconds), or all of it if it's short enough
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} seconds - Longest stretch to keep
+ * @returns {{samples: Float32Array, start: number}} start in seconds
+ */
+function loudestClip(samples, sampleRate, seconds) {
+  const length = Math.floor(seconds * sampleRate);
+  if (samples.length <= length) return { samples, start: 0 };
+
+  // Energy per second, then the window of consecutive seconds with the most
+  const energy = [];
+  for (let start = 0; start < samples.length; start += sampleRate) {
+    let sum = 0;
+    const end = Math.min(samples.length, start + sampleRate);
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    energy.push(sum);
+  }
+  const windowSeconds = Math.floor(seconds);
+  let best = 0;
+  let bestEnergy = -1;
+  for (let first = 0; first + windowSeconds <= energy.length; first++) {
+    let sum = 0;
+    for (let i = first; i < first + windowSeconds; i++) sum += energy[i];
+    if (sum > bestEnergy) {
+      best = first;
+      bestEnergy = sum;
+    }
+  }
+  const startSample = Math.min(best * sampleRate, samples.length - length);
+  return { samples: samples.subarray(startSample, startSample + length), start: startSample / sampleRate };
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Spectrogram as greyscale pixels, PLOT_WIDTH columns spread evenly over the clip
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{pixels: Buffer, width: number, height: number, maxFrequency: number}} Highest frequency in the top row
+ */
+function computeSpectrogram(samples, sampleRate) {
+  // ~30 ms windows: fine enough in time for trills, in frequency for whistles
+  const fftSize = 2 ** Math.floor(Math.log2(sampleRate * 0.03));
+  const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+  const rows = Math.floor(maxFrequency / (sampleRate / fftSize));
+  const hann = Float64Array.from({ length: fftSize }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (fftSize - 1)));
+  const step = Math.max(0, samples.length - fftSize) / (PLOT_WIDTH - 1);
+
+  const decibels = new Float32Array(PLOT_WIDTH * rows);
+  let loudest = -Infinity;
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  for (let column = 0; column < PLOT_WIDTH; column++) {
+    const start = Math.round(column * step);
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = (samples[start + i] || 0) * hann[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let bin = 0; bin < rows; bin++) {
+      const db = 10 * Math.log10(re[bin] * re[bin] + im[bin] * im[bin] + 1e-12);
+      // Row 0 is the top of the image - the highest frequency
+      decibels[(rows - 1 - bin) * PLOT_WIDTH + column] = db;
+      if (db > loudest) loudest = db;
+    }
+  }
+
+  const pixels = Buffer.alloc(decibels.length);
+  for (let i = 0; i < decibels.length; i++) {
+    const level = Math.min(1, Math.max(0, (decibels[i] - loudest + DYNAMIC_RANGE_DB) / DYNAMIC_RANGE_DB));
+    pixels[i] = Math.round(255 * (1 - level));
+  }
+  return { pixels, width: PLOT_WIDTH, height: rows, maxFrequency };
+}
+
+/**
+ * Spacing of the time axis labels: about ten across the plot
+ * @param {number} duration - Seconds
+ * @returns {number}
+ */
+function timeStep(duration) {
+  return [0.5, 1, 2, 5, 10].find(step => duration / step <= 12) || 10;
+}
+
+/**
+ * Render the spectrogram with kHz and seconds axes
+ * @param {Float32Array} samples - The clip
+ * @param {number} sampleRate
+ * @param {number} clipStart - Seconds; time labels count from the start of the recording
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderSpectrogram(samples, sampleRate, clipStart) {
+  const { pixels, width, height, maxFrequency } = computeSpectrogram(samples, sampleRate);
+  const duration = samples.length / sampleRate;
+  const imageWidth = MARGIN.left + PLOT_WIDTH + MARGIN.right;
+  const imageHeight = MARGIN.top + PLOT_HEIGHT + MARGIN.bottom;
+  const bottom = MARGIN.top + PLOT_HEIGHT;
+
+  const labels = [];
+  for (let khz = 0; khz * 1000 <= maxFrequency; khz += 2) {
+    const y = bottom - (khz * 1000 / maxFrequency) * PLOT_HEIGHT;
+    labels.push(`<line x1="${MARGIN.left - 6}" y1="${y}" x2="${MARGIN.left}" y2="${y}" stroke="#333" stroke-width="1"/>`);
+    labels.push(`<text x="${MARGIN.left - 10}" y="${y + 5}" text-anchor="end">${khz}</text>`);
+  }
+  const step = timeStep(duration);
+  for (let t = 0; t <= duration + 1e-6; t += step) {
+    const x = MARGIN.left + (t / duration) * PLOT_WIDTH;
+    const label = Number((clipStart + t).toFixed(1));
+    labels.push(`<line x1="${x}" y1="${bottom}" x2="${x}" y2="${bottom + 6}" stroke="#333" stroke-width="1"/>`);
+    labels.push(`<text x="${x}" y="${bottom + 22}" text-anchor="middle">${label}</text>`);
+  }
+
+  const axesSvg = `
+    <svg width="${imageWidth}" height="${imageHeight}">
+      <rect x="${MARGIN.left}" y="${MARGIN.top}" width="${PLOT_WIDTH}" height="${PLOT_HEIGHT}" fill="none" stroke="#333" stroke-width="1"/>
+      <g font-family="${FONT_FAMILY}" font-size="14" fill="#333">
+        ${labels.join('\n        ')}
+        <text x="14" y="${MARGIN.top + 12}">kHz</text>
+        <text x="${imageWidth - MARGIN.right}" y="${imageHeight - 4}" text-anchor="end">s</text>
+      </g>
+    </svg>
+  `;
+
+  const plot = await sharp(pixels, { raw: { width, height, channels: 1 } })
+    .resize(PLOT_WIDTH, PLOT_HEIGHT, { fit: 'fill' })
+    .toColourspace('srgb')
+    .png()
+    .toBuffer();
+
+  return sharp({ create: { width: imageWidth, height: imageHeight, channels: 3, background: '#ffffff' } })
+    .composite([
+      { input: plot, left: MARGIN.left, top: MARGIN.top },
+      { input: Buffer.from(axesSvg), left: 0, top: 0 }
+    ])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * 16-bit mono WAV
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function encodeWav(samples, sampleRate) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVEfmt ', 8, 'latin1');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'latin1');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), 44 + i * 2);
+  }
+  return buffer;
+}
+
+/**
+ * Decode a recording and prepare its loudest stretch for identification
+ * @param {Buffer} buffer - The file as sent
+ * @returns {Promise<{success: boolean, recording?: Recording, error?: string, silent?: boolean, unavailable?: boolean}>}
+ *   silent - nothing but silence; unavailable - ffmpeg is needed for this format and not installed
+ */
+async function analyzeRecording(buffer) {
+  try {
+    const decoded = readWav(buffer) || await decodeWithFfmpeg(buffer);
+    const { sampleRate } = decoded;
+    const metadata = decoded.metadata || { duration: null, takenAt: null, location: null };
+    if (decoded.samples.length === 0) {
+      return { success: false, error: 'The recording is empty' };
+    }
+
+    const clip = loudestClip(decoded.samples, sampleRate, MAX_SECONDS);
+    let peak = 0;
+    for (const sample of clip.samples) peak = Math.max(peak, Math.abs(sample));
+    if (peak < SILENCE_PEAK) {
+      return { success: false, silent: true, error: 'The recording is silent' };
+    }
+
+    const duration = decoded.samples.length / sampleRate;
+    const clipDuration = clip.samples.length / sampleRate;
+    console.log(`🔊 Recording: ${duration.toFixed(1)}s at ${sampleRate} Hz${clipDuration < duration ? `, loudest ${clipDuration.toFixed(0)}s from ${clip.start}s` : ''}`);
+
+    return {
+      success: true,
+      recording: {
+        spectrogram: await renderSpectrogram(clip.samples, sampleRate, clip.start),
+        audio: encodeWav(clip.samples, sampleRate),
+        duration,
+        clipStart: clip.start,
+        clipDuration,
+        metadata
+      }
+    };
+  } catch (error) {
+    console.error('❌ Recording analysis failed:', error.message);
+    return { success: false, error: error.message, unavailable: Boolean(error.unavailable) };
+  }
+}
+
+module.exports = {
+  analyzeRecording,
+  MAX_RECORDING_SECONDS
+};
@@ -0,0 +1,24 @@
+// Concurrency - Bounded parallel mapping for batches of network work (GBIF look-alikes, album photos)
+
+/**
+ * Run fn over items with at most `limit` calls in flight, keeping the input order in the results
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
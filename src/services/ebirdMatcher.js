@@ -0,0 +1,268 @@
+// eBird Matcher - Scored matching of a model's bird name against the eBird taxonomy
+// Replaces "first match wins" lookups: every plausible taxon gets a 0-1 score from its scientific
+// name and common name evidence, and callers only adopt a new name above a threshold.
+
+const { ebirdTaxonomy, normalizeCommonName } = require('./ebirdTaxonomy');
+
+// Adopt the best candidate's name only at or above this score
+const MATCH_THRESHOLD = parseFloat(process.env.EBIRD_MATCH_THRESHOLD) || 0.85;
+
+// Categories that are not a single species - shown as candidates but never adopted as a name
+const NON_SPECIES_CATEGORIES = ['slash', 'spuh', 'hybrid'];
+
+// Evidence scores
+const SCORE_EXACT_COMMON = 0.95;
+const SCORE_LUMPED = 0.85;        // Epithet is now a subspecies (same genus)
+const SCORE_GENUS_CHANGE = 0.8;   // Same epithet in another genus
+const MIN_FUZZY_SIMILARITY = 0.75;
+const MIN_TOKEN_OVERLAP = 0.5;
+
+/**
+ * @typedef {Object} EBirdCandidate
+ * @property {string} speciesCode
+ * @property {string} scientificName
+ * @property {string} commonName
+ * @property {string} category - eBird category of the candidate (after mapping to the reporting species)
+ * @property {number} score - 0-1
+ * @property {string} reason - Strongest evidence, e.g. "exact common name"
+ * @property {{speciesCode: string, scientificName: string, commonName: string, category: string}} [group]
+ *   Subspecies group (issf/form) that matched - the candidate itself is the species it is reported as
+ * @property {boolean} adoptable - false for slash/spuh/hybrid taxa
+ */
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity, 1 = identical
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  if (length === 0) return 1;
+  // Length difference alone puts it below any useful similarity - skip the edit distance
+  if (Math.abs(a.length - b.length) / length > 1 - MIN_FUZZY_SIMILARITY) return 0;
+  return 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * Word overlap (Jaccard) - handles reordered or missing words ("Golden Oriole" / "Eurasian Golden Oriole")
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number}
+ */
+function tokenOverlap(a, b) {
+  const tokensA = new Set(a.split(' ').filter(Boolean));
+  const tokensB = new Set(b.split(' ').filter(Boolean));
+  const shared = [...tokensA].filter(t => tokensB.has(t)).length;
+  const total = new Set([...tokensA, ...tokensB]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Normalize a scientific name: lowercase, no diacritics, authority and brackets removed
+ * "Passer montanus (Linnaeus, 1758)" → ["passer", "montanus"]
+ * @param {string} name
+ * @returns {string[]} genus, epithet, infraspecific epithet (if any)
+ */
+function scientificNameParts(name) {
+  return (name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => /^[a-z-]+\.?$/.test(word))  // keeps "sp." / "spp."
+    .slice(0, 3);
+}
+
+/**
+ * Epithet without its Latin gender ending, so genus moves still match ("malabaricus" / "malabarica")
+ * @param {string} epithet
+ * @returns {string}
+ */
+function epithetStem(epithet) {
+  const stem = (epithet || '').replace(/(us|um|is|er|ra|rum|a|e|i)$/, '');
+  return stem.length >= 4 ? stem : epithet;
+}
+
+/**
+ * Score below 1 is penalised twice as hard - one typo is fine, a different epithet is not
+ * @param {number} value - Similarity 0-1
+ * @returns {number}
+ */
+function fuzzyScore(value) {
+  return Math.max(0, 1 - 2 * (1 - value));
+}
+
+// Normalized names per taxon, computed once per taxonomy snapshot
+const taxonKeyCache = new WeakMap();
+
+/**
+ * @param {Object} taxon - eBird taxon
+ * @returns {{parts: string[], common: string}}
+ */
+function taxonKeys(taxon) {
+  let keys = taxonKeyCache.get(taxon);
+  if (!keys) {
+    keys = { parts: scientificNameParts(taxon.sciName), common: normalizeCommonName(taxon.comName) };
+    taxonKeyCache.set(taxon, keys);
+  }
+  return keys;
+}
+
+/**
+ * Rank eBird taxa for a model's scientific and common name
+ * Scientific and common name evidence for the same taxon are combined, so a genus move backed by a
+ * similar common name outranks either alone. Subspecies groups (issf/form) count towards the species
+ * they are reported as.
+ * Assumes the taxonomy is loaded (ebirdTaxonomy.ensureReady).
+ * @param {string} scientificName
+ * @param {string} [commonName]
+ * @param {Object} [options]
+ * @param {number} [options.limit=5]
+ * @returns {EBirdCandidate[]} Best first
+ */
+function rankEBirdCandidates(scientificName, commonName = null, options = {}) {
+  const limit = options.limit || 5;
+  const [genus, epithet, infraEpithet] = scientificNameParts(scientificName);
+  const binomial = `${genus || ''} ${epithet || ''}`.trim();
+  const commonQuery = normalizeCommonName(commonName);
+  const stem = epithetStem(epithet);
+
+  /** @type {Map<string, {taxon: Object, group: Object|null, groupScore: number, sci: number, com: number, sciReason: string, comReason: string}>} */
+  const evidence = new Map();
+
+  const addEvidence = (taxon, kind, score, reason) => {
+    if (score <= 0) return;
+    // Count subspecies groups towards their species
+    const reportingTaxon = ebirdTaxonomy.getReportingTaxon(taxon);
+
+    const key = reportingTaxon.speciesCode;
+    if (!evidence.has(key)) {
+      evidence.set(key, { taxon: reportingTaxon, group: null, groupScore: 0, sci: 0, com: 0, sciReason: '', comReason: '' });
+    }
+    const entry = evidence.get(key);
+    if (score > entry[kind]) {
+      entry[kind] = score;
+      entry[`${kind}Reason`] = reason;
+    }
+    // Remember the subspecies group that led here - only on strong evidence, not word overlap
+    if (reportingTaxon !== taxon && score >= SCORE_LUMPED && score > entry.groupScore) {
+      entry.group = taxon;
+      entry.groupScore = score;
+    }
+  };
+
+  // Exact scientific name (subspecies group first, then binomial)
+  const exact = (infraEpithet && ebirdTaxonomy.findSubspeciesGroup(binomial, infraEpithet)) ||
+    (binomial && ebirdTaxonomy.findByScientificName(binomial));
+  const exactMatches = exact && scientificNameParts(exact.sciName).slice(0, 2).join(' ') === binomial;
+  if (exactMatches) {
+    addEvidence(exact, 'sci', 1, 'exact scientific name');
+  }
+
+  // Banding codes given as the common name ("AMRO")
+  const banded = /^[A-Z]{4}$/.test((commonName || '').trim()) && ebirdTaxonomy.findByBandingCode(commonName);
+  if (banded) {
+    addEvidence(banded, 'com', SCORE_EXACT_COMMON, 'banding code');
+  }
+
+  for (const taxon of ebirdTaxonomy.all()) {
+    const { parts: [taxonGenus, taxonEpithet, taxonInfra], common: taxonCommon } = taxonKeys(taxon);
+
+    if (binomial && !exactMatches) {
+      // Within a genus compare epithets only - the shared genus would make every congener look similar
+      const sim = taxonGenus === genus
+        ? similarity(epithet || '', taxonEpithet || '')
+        : similarity(binomial, `${taxonGenus} ${taxonEpithet || ''}`.trim());
+      if (sim >= MIN_FUZZY_SIMILARITY) {
+        addEvidence(taxon, 'sci', fuzzyScore(sim), 'similar scientific name');
+      }
+
+      // Lump: the model's species is now a subspecies in eBird ("Motacilla tschutschensis" → "Motacilla flava tschutschensis")
+      if (taxonInfra && epithetStem(taxonInfra) === stem) {
+        addEvidence(taxon, 'sci', taxonGenus === genus ? SCORE_LUMPED : SCORE_GENUS_CHANGE * 0.9, 'now a subspecies');
+      }
+
+      // Genus change: same epithet, different genus ("Copsychus malabaricus" → "Kittacincla malabarica")
+      if (taxonGenus !== genus && taxonEpithet && !taxonInfra && epithetStem(taxonEpithet) === stem) {
+        addEvidence(taxon, 'sci', SCORE_GENUS_CHANGE, 'genus change');
+      }
+    }
+
+    if (commonQuery) {
+      if (taxonCommon === commonQuery) {
+        addEvidence(taxon, 'com', SCORE_EXACT_COMMON, 'exact common name');
+        continue;
+      }
+      const sim = similarity(commonQuery, taxonCommon);
+      if (sim >= MIN_FUZZY_SIMILARITY) {
+        addEvidence(taxon, 'com', fuzzyScore(sim) * SCORE_EXACT_COMMON, 'similar common name');
+      }
+      const overlap = tokenOverlap(commonQuery, taxonCommon);
+      if (overlap >= MIN_TOKEN_OVERLAP) {
+        addEvidence(taxon, 'com', overlap * 0.8, 'partial common name');
+      }
+    }
+  }
+
+  const candidates = [...evidence.values()].map(entry => {
+    // Independent evidence: 1 - P(both wrong)
+    let score = 1 - (1 - entry.sci) * (1 - entry.com);
+    const adoptable = !NON_SPECIES_CATEGORIES.includes(entry.taxon.category);
+    if (!adoptable && entry.sci < 1) score *= 0.6;
+
+    const reason = entry.sci >= entry.com ? entry.sciReason : entry.comReason;
+    const both = entry.sci > 0 && entry.com > 0;
+    return {
+      speciesCode: entry.taxon.speciesCode,
+      scientificName: entry.taxon.sciName,
+      commonName: entry.taxon.comName,
+      category: entry.taxon.category,
+      score: Math.round(score * 100) / 100,
+      reason: both ? `${entry.sciReason} + ${entry.comReason}` : reason,
+      ...(entry.group ? {
+        group: {
+          speciesCode: entry.group.speciesCode,
+          scientificName: entry.group.sciName,
+          commonName: entry.group.comName,
+          category: entry.group.category
+        }
+      } : {}),
+      adoptable
+    };
+  });
+
+  return candidates
+    .sort((a, b) => b.score - a.score || a.scientificName.localeCompare(b.scientificName))
+    .slice(0, limit);
+}
+
+module.exports = {
+  rankEBirdCandidates,
+  levenshtein,
+  similarity,
+  MATCH_THRESHOLD
+};
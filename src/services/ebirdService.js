@@ -1,84 +1,95 @@
-// eBird Service - Get species codes for eBird URLs
+// eBird Service - Get species codes for eBird URLs, verify bird names and check regional frequency
+// Lookups use the indexed on-disk taxonomy snapshot (see ebirdTaxonomy.js)
 
-const EBIRD_API = 'https://api.ebird.org/v2';
+const fs = require('fs');
+const path = require('path');
+const { ebirdTaxonomy } = require('./ebirdTaxonomy');
+const { rankEBirdCandidates, MATCH_THRESHOLD } = require('./ebirdMatcher');
 
-// Cache the taxonomy to avoid repeated large downloads
-let taxonomyCache = null;
-let cacheTimestamp = 0;
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// Local stand-in for the eBird bar chart and recent-observations endpoints: one JSON file per region
+// (data/ebird-regions/SG.json, US-CA.json, ...) built by scripts/import-ebird-barchart.js
+const REGION_DATA_DIR = process.env.EBIRD_REGION_DATA_DIR || path.join(__dirname, '..', '..', 'data', 'ebird-regions');
+
+// Below this share of checklists for the month, a bird counts as unusual
+const UNUSUAL_FREQUENCY = 0.01; // 1%
+
+// Months with fewer checklists than this are too thin to judge
+const MIN_MONTH_CHECKLISTS = 10;
+
+// A recent report only vouches for sightings within this many days of it
+const RECENT_REPORT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Displayed confidence is multiplied by this for unusual birds
+const CONFIDENCE_PENALTY = {
+  absent: 0.5,          // Never on the region's bar chart
+  'out-of-season': 0.7, // Regular in other months
+  rare: 0.75            // Recorded, but rarely in any month
+};
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Region files are small and rarely change - cache them (null = no file)
+const regionCache = new Map();
+let warnedNoRegions = false;
 
 /**
- * Get eBird taxonomy (cached)
+ * Subspecies epithet from the model's taxonomy.subspecies, or null for placeholders
+ * "Motacilla flava tschutschensis" / "tschutschensis" → "tschutschensis"; "monotypic" / "Not determined" → null
+ * @param {string} subspecies
+ * @returns {string|null}
  */
-async function getEBirdTaxonomy() {
-  const now = Date.now();
-  
-  // Return cached data if still valid
-  if (taxonomyCache && (now - cacheTimestamp) < CACHE_DURATION) {
-    return taxonomyCache;
-  }
-  
-  try {
-    console.log('   📥 Downloading eBird taxonomy...');
-    const url = `${EBIRD_API}/ref/taxonomy/ebird?fmt=json`;
-    const response = await fetch(url, {
-      headers: {
-        'X-eBirdApiToken': process.env.EBIRD_API_KEY
-      }
-    });
-    
-    if (!response.ok) {
-      console.log(`   ⚠️ eBird API returned ${response.status}`);
-      return null;
-    }
-    
-    taxonomyCache = await response.json();
-    cacheTimestamp = now;
-    console.log(`   ✅ Cached ${taxonomyCache.length} species`);
-    return taxonomyCache;
-  } catch (error) {
-    console.error('eBird taxonomy error:', error.message);
-    return null;
-  }
+function subspeciesEpithet(subspecies) {
+  const epithet = (subspecies || '').trim().split(/\s+/).pop() || '';
+  if (!/^[a-z-]+$/.test(epithet) || epithet === 'monotypic') return null;
+  return epithet;
+}
+
+/**
+ * Summary of an eBird subspecies group for results and sightings
+ * @param {Object} taxon - issf/form eBird taxon
+ * @returns {{speciesCode: string, scientificName: string, commonName: string, category: string}}
+ */
+function describeGroup(taxon) {
+  return {
+    speciesCode: taxon.speciesCode,
+    scientificName: taxon.sciName,
+    commonName: taxon.comName,
+    category: taxon.category
+  };
 }
 
 /**
  * Get eBird species code from scientific name
  * eBird uses species codes like "bwppit1" for Blue-winged Pitta
  * URL format: https://ebird.org/species/bwppit1
+ * Subspecies groups resolve to the species they are reported as; the group is returned alongside.
  */
-async function getEBirdSpeciesCode(scientificName) {
+async function getEBirdSpeciesCode(scientificName, subspecies = null) {
   try {
     // Use genus + species only (first two words)
     const nameParts = scientificName.split(' ');
-    const genus = nameParts[0].toLowerCase();
-    const species = (nameParts[1] || '').toLowerCase();
     const speciesName = `${nameParts[0]} ${nameParts[1] || ''}`.trim();
     
     console.log(`   🐦 Looking up eBird species code for "${speciesName}"...`);
     
-    const taxonomy = await getEBirdTaxonomy();
-    
-    if (!taxonomy) {
-      return { found: false };
+    if (!await ebirdTaxonomy.ensureReady()) {
+      return { found: false, unavailable: true };
     }
     
-    // Find exact match by scientific name
-    for (const bird of taxonomy) {
-      const birdSciName = (bird.sciName || '').toLowerCase();
-      const birdGenus = birdSciName.split(' ')[0];
-      const birdSpecies = birdSciName.split(' ')[1] || '';
-      
-      // Match genus and species
-      if (birdGenus === genus && birdSpecies === species) {
-        console.log(`   ✅ eBird species code: ${bird.speciesCode} (${bird.comName})`);
-        return {
-          found: true,
-          speciesCode: bird.speciesCode,
-          commonName: bird.comName,
-          scientificName: bird.sciName
-        };
-      }
+    // Match genus and species
+    const epithet = subspeciesEpithet(subspecies) || subspeciesEpithet(nameParts[2]);
+    const group = epithet ? ebirdTaxonomy.findSubspeciesGroup(speciesName, epithet) : null;
+    const bird = group ? ebirdTaxonomy.getReportingTaxon(group) : ebirdTaxonomy.findByScientificName(speciesName);
+    if (bird) {
+      console.log(`   ✅ eBird species code: ${bird.speciesCode} (${bird.comName})${group ? ` - group ${group.speciesCode} (${group.comName})` : ''}`);
+      return {
+        found: true,
+        speciesCode: bird.speciesCode,
+        commonName: bird.comName,
+        scientificName: bird.sciName,
+        group: group ? describeGroup(group) : null
+      };
     }
     
     console.log(`   ❌ No eBird species found for "${speciesName}"`);
@@ -100,115 +111,68 @@ function getEBirdUrl(speciesCode) {
 
 /**
  * Verify bird identification with eBird taxonomy
- * Handles synonyms by also checking common name matches
- * Returns the correct species if found, or indicates mismatch
+ * Candidates are scored on scientific name (edit distance, genus changes, lumps) and common name
+ * (diacritics/hyphenation, edit distance, word overlap). A different name is only adopted when the
+ * best candidate scores at least EBIRD_MATCH_THRESHOLD; otherwise the model's name is kept and the
+ * ranked candidates are returned for display.
+ * A subspecies (trinomial or the model's taxonomy.subspecies) that belongs to an eBird subspecies
+ * group (issf/form) resolves to the parent species, with the group returned as `group`.
  */
-async function verifyWithEBird(scientificName, commonName = null) {
+async function verifyWithEBird(scientificName, commonName = null, subspecies = null) {
   try {
     const nameParts = scientificName.split(' ');
-    const genus = nameParts[0].toLowerCase();
-    const species = (nameParts[1] || '').toLowerCase();
     const speciesName = `${nameParts[0]} ${nameParts[1] || ''}`.trim();
     
     console.log(`   🐦 eBird: Verifying "${speciesName}"${commonName ? ` (${commonName})` : ''}...`);
     
-    const taxonomy = await getEBirdTaxonomy();
-    
-    if (!taxonomy) {
-      return { verified: false, found: false };
+    if (!await ebirdTaxonomy.ensureReady()) {
+      return { verified: false, found: false, unavailable: true };
     }
     
-    // Find exact match by scientific name
-    for (const bird of taxonomy) {
-      const birdSciName = (bird.sciName || '').toLowerCase();
-      const birdGenus = birdSciName.split(' ')[0];
-      const birdSpecies = birdSciName.split(' ')[1] || '';
-      
-      // Match genus and species
-      if (birdGenus === genus && birdSpecies === species) {
-        console.log(`   ✅ eBird: Confirmed - ${bird.sciName} (${bird.comName})`);
-        return {
-          verified: true,
-          found: true,
-          matches: true,
-          speciesCode: bird.speciesCode,
-          commonName: bird.comName,
-          scientificName: bird.sciName,
-          eBirdName: bird.sciName
-        };
-      }
-    }
+    const epithet = subspeciesEpithet(subspecies);
+    const candidates = rankEBirdCandidates(epithet ? `${speciesName} ${epithet}` : scientificName, commonName);
+    const best = candidates[0];
     
-    // Not found by scientific name - try matching by common name (handles synonyms)
-    if (commonName) {
-      const commonLower = commonName.toLowerCase().replace(/[^a-z\s]/g, '').trim();
-      console.log(`   🔍 eBird: Searching by common name "${commonName}"...`);
-      
-      for (const bird of taxonomy) {
-        const birdComName = (bird.comName || '').toLowerCase().replace(/[^a-z\s]/g, '').trim();
-        
-        // Exact common name match
-        if (birdComName === commonLower) {
-          console.log(`   ✅ eBird: Found by common name - ${bird.sciName} (${bird.comName})`);
-          return {
-            verified: true,
-            found: true,
-            matches: false,  // Scientific name changed
-            speciesCode: bird.speciesCode,
-            commonName: bird.comName,
-            scientificName: bird.sciName,
-            eBirdName: bird.sciName,
-            originalName: speciesName,
-            nameUpdatedReason: 'matched by common name'
-          };
-        }
-      }
-      
-      // Try partial common name match (e.g., "Golden Oriole" in "Eurasian Golden Oriole")
-      for (const bird of taxonomy) {
-        const birdComName = (bird.comName || '').toLowerCase().replace(/[^a-z\s]/g, '').trim();
-        
-        if (birdComName.includes(commonLower) || commonLower.includes(birdComName)) {
-          console.log(`   📝 eBird: Partial common name match - ${bird.sciName} (${bird.comName})`);
-          return {
-            verified: true,
-            found: true,
-            matches: false,
-            speciesCode: bird.speciesCode,
-            commonName: bird.comName,
-            scientificName: bird.sciName,
-            eBirdName: bird.sciName,
-            originalName: speciesName,
-            nameUpdatedReason: 'partial common name match'
-          };
-        }
-      }
+    if (best && best.score >= 1 && best.reason.startsWith('exact scientific name')) {
+      console.log(`   ✅ eBird: Confirmed - ${best.scientificName} (${best.commonName})${best.group ? ` - group ${best.group.commonName}` : ''}`);
+      return {
+        verified: true,
+        found: true,
+        matches: true,
+        speciesCode: best.speciesCode,
+        commonName: best.commonName,
+        scientificName: best.scientificName,
+        eBirdName: best.scientificName,
+        group: best.group || null,
+        score: best.score,
+        candidates
+      };
     }
     
-    // Still not found - try fuzzy match by genus
-    console.log(`   ⚠️ eBird: Species "${speciesName}" not found, searching by genus...`);
-    for (const bird of taxonomy) {
-      const birdSciName = (bird.sciName || '').toLowerCase();
-      const birdGenus = birdSciName.split(' ')[0];
-      
-      if (birdGenus === genus) {
-        console.log(`   📝 eBird: Found same genus - ${bird.sciName} (${bird.comName})`);
-        return {
-          verified: true,
-          found: true,
-          matches: false,
-          speciesCode: bird.speciesCode,
-          commonName: bird.comName,
-          scientificName: bird.sciName,
-          eBirdName: bird.sciName,
-          originalName: speciesName,
-          nameUpdatedReason: 'same genus'
-        };
-      }
+    if (best && best.adoptable && best.score >= MATCH_THRESHOLD) {
+      console.log(`   📝 eBird: Matched ${best.scientificName} (${best.commonName}) - ${best.reason}, score ${best.score}`);
+      return {
+        verified: true,
+        found: true,
+        matches: false,  // Scientific name changed
+        speciesCode: best.speciesCode,
+        commonName: best.commonName,
+        scientificName: best.scientificName,
+        eBirdName: best.scientificName,
+        originalName: speciesName,
+        nameUpdatedReason: best.reason,
+        group: best.group || null,
+        score: best.score,
+        candidates
+      };
     }
     
-    console.log(`   ❌ eBird: No match found for "${speciesName}"`);
-    return { verified: false, found: false };
+    if (best) {
+      console.log(`   ⚠️ eBird: Best candidate ${best.scientificName} (${best.commonName}) scored ${best.score} - below ${MATCH_THRESHOLD}, keeping "${speciesName}"`);
+    } else {
+      console.log(`   ❌ eBird: No match found for "${speciesName}"`);
+    }
+    return { verified: false, found: false, candidates };
     
   } catch (error) {
     console.error('eBird verification error:', error.message);
@@ -216,8 +180,156 @@ async function verifyWithEBird(scientificName, commonName = null) {
   }
 }
 
+/**
+ * @typedef {Object} RegionData
+ * @property {string} region - eBird region code, e.g. "SG" or "US-CA"
+ * @property {string} [name] - e.g. "Singapore"
+ * @property {number[]} checklists - Checklists per month (12 values)
+ * @property {Object<string, number[]>} frequencies - Species code → share of checklists per month (0-1)
+ * @property {Object<string, string>} [recent] - Species code → date last reported (recent observations)
+ * @property {string} [recentFetchedAt] - When the recent observations were fetched
+ */
+
+/**
+ * Load the local frequency data for a region
+ * @param {string} regionCode
+ * @returns {RegionData|null}
+ */
+function loadRegionData(regionCode) {
+  if (regionCache.has(regionCode)) return regionCache.get(regionCode);
+
+  let data = null;
+  const filePath = path.join(REGION_DATA_DIR, `${regionCode}.json`);
+  if (!warnedNoRegions && !fs.existsSync(REGION_DATA_DIR)) {
+    warnedNoRegions = true;
+    console.log(`⚠️ No eBird region files in ${path.relative(process.cwd(), REGION_DATA_DIR)} - unusual-bird checks are off until "npm run import-barchart" is run`);
+  }
+  try {
+    if (/^[A-Z]{2}(-[A-Z0-9]{1,3})?$/.test(regionCode) && fs.existsSync(filePath)) {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`📊 Loaded eBird frequency data for ${regionCode} (${Object.keys(data.frequencies || {}).length} taxa)`);
+    }
+  } catch (error) {
+    console.error(`Failed to load eBird region data ${regionCode}:`, error.message);
+  }
+
+  regionCache.set(regionCode, data);
+  return data;
+}
+
+/**
+ * @typedef {Object} RegionalCheck
+ * @property {boolean} checked - false if there is no data for the region
+ * @property {string} [region]
+ * @property {string} [regionName]
+ * @property {number} [month] - 1-12
+ * @property {string} [monthName]
+ * @property {number} [frequency] - Share of checklists reporting the species this month (0-1)
+ * @property {number} [checklists] - Checklists this month
+ * @property {number} [peakFrequency] - Highest monthly frequency
+ * @property {number} [peakMonth] - 1-12
+ * @property {string|null} [lastReported] - Date it was last reported (recent observations within 30 days of the observation)
+ * @property {'expected'|'recent'|'out-of-season'|'rare'|'absent'|'insufficient-data'} [status]
+ * @property {boolean} [unusual]
+ * @property {number} [confidenceFactor] - Multiply the displayed confidence by this
+ */
+
+/**
+ * Check how often a bird is reported in a region for a month
+ * Uses the most specific region with local data (e.g. "US-CA" before "US").
+ * @param {string} speciesCode - eBird species code (the reporting species)
+ * @param {string[]} regionCodes - Most specific first
+ * @param {Date} [date] - Observation date (month is used)
+ * @returns {RegionalCheck}
+ */
+function checkRegionalFrequency(speciesCode, regionCodes, date = new Date()) {
+  const region = (regionCodes || []).map(code => loadRegionData(code)).find(Boolean);
+  if (!speciesCode || !region) {
+    return { checked: false };
+  }
+
+  const month = date.getMonth() + 1;
+  const monthly = region.frequencies?.[speciesCode] || new Array(12).fill(0);
+  const frequency = monthly[month - 1] || 0;
+  const checklists = region.checklists?.[month - 1] || 0;
+  const peakFrequency = Math.max(...monthly);
+  const peakMonth = monthly.indexOf(peakFrequency) + 1;
+  // Recent observations are a snapshot from the import - ignore reports too far from the observation date
+  const reported = region.recent?.[speciesCode];
+  const lastReported = reported && Math.abs(date - new Date(reported)) <= RECENT_REPORT_DAYS * DAY_MS
+    ? reported
+    : null;
+
+  let status;
+  if (frequency >= UNUSUAL_FREQUENCY) {
+    status = 'expected';
+  } else if (lastReported) {
+    status = 'recent';
+  } else if (checklists < MIN_MONTH_CHECKLISTS) {
+    status = 'insufficient-data';
+  } else if (peakFrequency === 0) {
+    status = 'absent';
+  } else if (peakFrequency >= UNUSUAL_FREQUENCY) {
+    status = 'out-of-season';
+  } else {
+    status = 'rare';
+  }
+
+  const unusual = Boolean(CONFIDENCE_PENALTY[status]);
+  const result = {
+    checked: true,
+    region: region.region,
+    regionName: region.name || region.region,
+    month,
+    monthName: MONTH_NAMES[month - 1],
+    frequency,
+    checklists,
+    peakFrequency,
+    peakMonth,
+    lastReported,
+    status,
+    unusual,
+    confidenceFactor: CONFIDENCE_PENALTY[status] || 1
+  };
+
+  const percent = (frequency * 100).toFixed(1);
+  console.log(`   📊 eBird ${result.region} ${result.monthName}: ${percent}% of ${checklists} checklists - ${status}${unusual ? ' ⚠️' : ''}`);
+  return result;
+}
+
+/**
+ * One-line explanation of a regional check for result cards
+ * @param {RegionalCheck} check
+ * @returns {string}
+ */
+function describeRegionalCheck(check) {
+  if (!check?.checked) return '';
+  const percent = `${(check.frequency * 100).toFixed(check.frequency < 0.01 ? 1 : 0)}%`;
+  switch (check.status) {
+    case 'absent':
+      return `Not on the eBird bar chart for ${check.regionName}`;
+    case 'out-of-season': {
+      const peak = `peaks at ${Math.round(check.peakFrequency * 100)}% in ${MONTH_NAMES[check.peakMonth - 1]}`;
+      return check.frequency === 0
+        ? `Not reported in ${check.regionName} in ${check.monthName} (${peak})`
+        : `On ${percent} of ${check.regionName} checklists in ${check.monthName} (${peak})`;
+    }
+    case 'rare':
+      return `Rare in ${check.regionName} - on ${percent} of checklists in ${check.monthName}`;
+    case 'recent':
+      return `Uncommon in ${check.monthName} but reported in ${check.regionName} recently (${check.lastReported})`;
+    case 'insufficient-data':
+      return `Too few ${check.regionName} checklists in ${check.monthName} to judge`;
+    default:
+      return `On ${percent} of ${check.regionName} checklists in ${check.monthName}`;
+  }
+}
+
 module.exports = {
   getEBirdSpeciesCode,
   getEBirdUrl,
-  verifyWithEBird
+  verifyWithEBird,
+  checkRegionalFrequency,
+  describeRegionalCheck,
+  loadRegionData
 };
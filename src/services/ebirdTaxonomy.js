@@ -0,0 +1,450 @@
+// eBird Taxonomy - Versioned on-disk snapshot of the eBird taxonomy with indexed lookups
+//
+// Load order (newest fetchedAt wins):
+//   1. Refreshed copy written by this service (EBIRD_TAXONOMY_FILE, /home on Azure)
+//   2. Bundled snapshot shipped with the repo (data/ebird-taxonomy.json, see scripts/update-ebird-taxonomy.js)
+// The API is only used to refresh the snapshot. If it is down or EBIRD_API_KEY is missing,
+// the local copy keeps bird verification working.
+
+const fs = require('fs');
+const path = require('path');
+
+const EBIRD_API = 'https://api.ebird.org/v2';
+
+const BUNDLED_TAXONOMY_FILE = path.join(__dirname, '..', '..', 'data', 'ebird-taxonomy.json');
+
+// Use /home on Azure for persistence across deployments, fallback to local for dev
+const TAXONOMY_FILE = process.env.EBIRD_TAXONOMY_FILE || (process.env.WEBSITE_SITE_NAME
+  ? '/home/ebird-taxonomy.json'  // Azure App Service persistent storage
+  : path.join(__dirname, '..', '..', 'ebird-taxonomy.json'));  // Local development
+
+// Refresh the snapshot from the API once it is older than this
+const REFRESH_INTERVAL = (parseFloat(process.env.EBIRD_TAXONOMY_REFRESH_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// After a failed refresh, wait this long before trying again (sooner if there is no local copy at all)
+const RETRY_INTERVAL = 60 * 60 * 1000; // 1 hour
+const RETRY_INTERVAL_NO_SNAPSHOT = 5 * 60 * 1000; // 5 minutes
+
+// The full taxonomy is several MB; the version list is tiny
+const TAXONOMY_TIMEOUT_MS = 60000;
+const VERSION_TIMEOUT_MS = 10000;
+
+// Fields kept from the API response (the rest - comNameCodes, sciNameCodes, extinct flags - are dropped)
+const TAXON_FIELDS = [
+  'speciesCode', 'sciName', 'comName', 'category', 'taxonOrder',
+  'order', 'familyCode', 'familyComName', 'familySciName', 'reportAs', 'bandingCodes'
+];
+
+// Categories below species level - reported as their parent species (reportAs)
+const SUBSPECIFIC_CATEGORIES = ['issf', 'form', 'intergrade', 'domestic'];
+
+/**
+ * @typedef {Object} EBirdTaxon
+ * @property {string} speciesCode - e.g. "bwppit1"
+ * @property {string} sciName
+ * @property {string} comName
+ * @property {string} category - species, issf, slash, spuh, hybrid, intergrade, domestic, form
+ * @property {number} taxonOrder
+ * @property {string} [order]
+ * @property {string} [familyCode]
+ * @property {string} [familyComName]
+ * @property {string} [familySciName]
+ * @property {string} [reportAs] - Species code this taxon is reported as (e.g. ISSF → species)
+ * @property {string[]} [bandingCodes] - 4-letter banding codes, e.g. ["AMRO"]
+ */
+
+/**
+ * @typedef {Object} TaxonomySnapshot
+ * @property {string|null} version - eBird taxonomy version, e.g. "2024"
+ * @property {string} fetchedAt - ISO timestamp of the download
+ * @property {string} source - 'api' or 'bundled'
+ * @property {EBirdTaxon[]} taxa - In taxonomic order
+ */
+
+/**
+ * Normalize a common name for lookups: "Oriental Magpie-Robin" → "oriental magpie robin"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCommonName(name) {
+  return (name || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[-_/]/g, ' ')
+    .replace(/[^a-z\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Binomial lookup key: "Copsychus saularis musicus" → "copsychus saularis"
+ * @param {string} scientificName
+ * @returns {string}
+ */
+function binomialKey(scientificName) {
+  const parts = (scientificName || '').toLowerCase().trim().split(/\s+/);
+  return `${parts[0] || ''} ${parts[1] || ''}`.trim();
+}
+
+/**
+ * Infraspecific names in an eBird subspecies group name
+ * "Junco hyemalis [oreganus Group]" → ["oreganus"], "Junco hyemalis hyemalis/carolinensis" → ["hyemalis", "carolinensis"]
+ * @param {string} scientificName
+ * @returns {string[]}
+ */
+function infraspecificNames(scientificName) {
+  return (scientificName || '')
+    .toLowerCase()
+    .replace(/[[\]()]/g, ' ')
+    .split(/\s+/)
+    .slice(2)
+    .flatMap(word => word.split('/'))
+    .filter(word => /^[a-z-]+$/.test(word) && word !== 'group');
+}
+
+class EBirdTaxonomy {
+  constructor() {
+    /** @type {TaxonomySnapshot|null} */
+    this.snapshot = null;
+    this.bySciName = new Map();    // full lowercase name → taxon
+    this.byBinomial = new Map();   // "genus species" → first taxon in taxonomic order
+    this.byCommonName = new Map(); // normalized common name → taxon
+    this.byCode = new Map();       // species code → taxon
+    this.byBandingCode = new Map(); // "AMRO" → taxon
+    this.byGroup = new Map();      // "genus species subspecies" → issf/form taxon containing it
+    this.byGenus = new Map();      // genus → taxa
+    this.loaded = false;
+    this.refreshing = null;
+    this.lastRefreshAttempt = 0;
+    this.warnedMissing = false;
+  }
+
+  /**
+   * Read a snapshot file, or null if it is missing or unreadable
+   * @param {string} filePath
+   * @returns {TaxonomySnapshot|null}
+   */
+  _readSnapshot(filePath) {
+    try {
+      if (!fs.existsSync(filePath)) return null;
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!Array.isArray(snapshot.taxa) || snapshot.taxa.length === 0) return null;
+      return snapshot;
+    } catch (error) {
+      console.error(`Failed to read eBird taxonomy ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the in-memory snapshot and rebuild the indexes
+   * @param {TaxonomySnapshot} snapshot
+   */
+  _setSnapshot(snapshot) {
+    const bySciName = new Map();
+    const byBinomial = new Map();
+    const byCommonName = new Map();
+    const byCode = new Map();
+    const byBandingCode = new Map();
+    const byGroup = new Map();
+    const byGenus = new Map();
+
+    for (const taxon of snapshot.taxa) {
+      const sciName = (taxon.sciName || '').toLowerCase();
+      const binomial = binomialKey(taxon.sciName);
+      const genus = binomial.split(' ')[0];
+      const comName = normalizeCommonName(taxon.comName);
+
+      byCode.set(taxon.speciesCode, taxon);
+      for (const code of taxon.bandingCodes || []) {
+        if (!byBandingCode.has(code)) byBandingCode.set(code, taxon);
+      }
+      if (SUBSPECIFIC_CATEGORIES.includes(taxon.category)) {
+        for (const name of infraspecificNames(taxon.sciName)) {
+          const key = `${binomial} ${name}`;
+          if (!byGroup.has(key)) byGroup.set(key, taxon);
+        }
+      }
+      if (!bySciName.has(sciName)) bySciName.set(sciName, taxon);
+      if (!byBinomial.has(binomial)) byBinomial.set(binomial, taxon);
+      if (comName && !byCommonName.has(comName)) byCommonName.set(comName, taxon);
+      if (!byGenus.has(genus)) byGenus.set(genus, []);
+      byGenus.get(genus).push(taxon);
+    }
+
+    this.snapshot = snapshot;
+    this.bySciName = bySciName;
+    this.byBinomial = byBinomial;
+    this.byCommonName = byCommonName;
+    this.byCode = byCode;
+    this.byBandingCode = byBandingCode;
+    this.byGroup = byGroup;
+    this.byGenus = byGenus;
+  }
+
+  /**
+   * Load the newest local snapshot (once)
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    const candidates = [
+      this._readSnapshot(TAXONOMY_FILE),
+      this._readSnapshot(BUNDLED_TAXONOMY_FILE)
+    ].filter(Boolean);
+    candidates.sort((a, b) => new Date(b.fetchedAt) - new Date(a.fetchedAt));
+
+    if (candidates.length > 0) {
+      this._setSnapshot(candidates[0]);
+      console.log(`📚 Loaded eBird taxonomy v${this.snapshot.version || '?'} (${this.snapshot.taxa.length} taxa, ${this.snapshot.source}, fetched ${this.snapshot.fetchedAt.substring(0, 10)})`);
+    }
+  }
+
+  /**
+   * Whether the snapshot should be refreshed from the API
+   * @returns {boolean}
+   */
+  isStale() {
+    if (!this.snapshot) return true;
+    return Date.now() - new Date(this.snapshot.fetchedAt).getTime() > REFRESH_INTERVAL;
+  }
+
+  /**
+   * Download the taxonomy from the eBird API and save it as the local snapshot
+   * Concurrent calls share one download. On failure the current snapshot is kept.
+   * @returns {Promise<boolean>} true if a new snapshot was loaded
+   */
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+    this.lastRefreshAttempt = Date.now();
+
+    this.refreshing = (async () => {
+      try {
+        const snapshot = await fetchTaxonomySnapshot();
+        if (!snapshot) return false;
+
+        this._setSnapshot(snapshot);
+        try {
+          fs.writeFileSync(TAXONOMY_FILE, JSON.stringify(snapshot));
+        } catch (error) {
+          console.error('Failed to save eBird taxonomy:', error.message);
+        }
+        console.log(`   ✅ eBird taxonomy v${snapshot.version || '?'} saved (${snapshot.taxa.length} taxa)`);
+        return true;
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+
+    return this.refreshing;
+  }
+
+  /**
+   * Get the taxonomy, refreshing it if needed
+   * With a local snapshot, a stale copy is refreshed in the background and returned immediately.
+   * Without one, the download is awaited.
+   * @returns {Promise<boolean>} true if lookups are available
+   */
+  async ensureReady() {
+    this.load();
+
+    const retryInterval = this.snapshot ? RETRY_INTERVAL : RETRY_INTERVAL_NO_SNAPSHOT;
+    const canRetry = Date.now() - this.lastRefreshAttempt > retryInterval;
+    if (this.isStale() && canRetry && process.env.EBIRD_API_KEY) {
+      if (this.snapshot) {
+        this.refresh();
+      } else {
+        await this.refresh();
+      }
+    }
+
+    if (!this.snapshot && !this.warnedMissing) {
+      this.warnedMissing = true;
+      console.error(`❌ eBird taxonomy unavailable - bird verification is disabled. Set EBIRD_API_KEY or run "npm run update-taxonomy" to create ${path.relative(process.cwd(), BUNDLED_TAXONOMY_FILE)}`);
+    }
+    return Boolean(this.snapshot);
+  }
+
+  /**
+   * Find a taxon by scientific name (exact, then by genus + species)
+   * @param {string} scientificName
+   * @returns {EBirdTaxon|null}
+   */
+  findByScientificName(scientificName) {
+    const name = (scientificName || '').toLowerCase().trim();
+    return this.bySciName.get(name) || this.byBinomial.get(binomialKey(name)) || null;
+  }
+
+  /**
+   * Find a taxon by exact (normalized) common name
+   * @param {string} commonName
+   * @returns {EBirdTaxon|null}
+   */
+  findByCommonName(commonName) {
+    return this.byCommonName.get(normalizeCommonName(commonName)) || null;
+  }
+
+  /**
+   * @param {string} speciesCode
+   * @returns {EBirdTaxon|null}
+   */
+  findByCode(speciesCode) {
+    return this.byCode.get(speciesCode) || null;
+  }
+
+  /**
+   * @param {string} bandingCode - e.g. "AMRO"
+   * @returns {EBirdTaxon|null}
+   */
+  findByBandingCode(bandingCode) {
+    return this.byBandingCode.get((bandingCode || '').toUpperCase().trim()) || null;
+  }
+
+  /**
+   * Find the subspecies group (issf/form) that contains a subspecies
+   * @param {string} scientificName - Species, e.g. "Junco hyemalis"
+   * @param {string} subspecies - "oreganus", "Junco hyemalis oreganus" or "J. h. oreganus"
+   * @returns {EBirdTaxon|null}
+   */
+  findSubspeciesGroup(scientificName, subspecies) {
+    const epithet = (subspecies || '').toLowerCase().trim().split(/\s+/).pop();
+    if (!epithet) return null;
+    return this.byGroup.get(`${binomialKey(scientificName)} ${epithet}`) || null;
+  }
+
+  /**
+   * The taxon a record is reported as - the parent species for issf/form/intergrade/domestic
+   * @param {EBirdTaxon} taxon
+   * @returns {EBirdTaxon}
+   */
+  getReportingTaxon(taxon) {
+    if (taxon && SUBSPECIFIC_CATEGORIES.includes(taxon.category) && taxon.reportAs) {
+      return this.byCode.get(taxon.reportAs) || taxon;
+    }
+    return taxon;
+  }
+
+  /**
+   * All taxa in a genus, in taxonomic order
+   * @param {string} genus
+   * @returns {EBirdTaxon[]}
+   */
+  findByGenus(genus) {
+    return this.byGenus.get((genus || '').toLowerCase()) || [];
+  }
+
+  /**
+   * All taxa in taxonomic order
+   * @returns {EBirdTaxon[]}
+   */
+  all() {
+    return this.snapshot ? this.snapshot.taxa : [];
+  }
+
+  /**
+   * Snapshot details for health checks
+   * @returns {{available: boolean, version: string|null, source: string|null, fetchedAt: string|null, taxa: number, stale: boolean}}
+   */
+  status() {
+    this.load();
+    return {
+      available: Boolean(this.snapshot),
+      version: this.snapshot?.version || null,
+      source: this.snapshot?.source || null,
+      fetchedAt: this.snapshot?.fetchedAt || null,
+      taxa: this.snapshot?.taxa.length || 0,
+      stale: this.isStale()
+    };
+  }
+}
+
+/**
+ * Download the current taxonomy from the eBird API
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to EBIRD_API_KEY
+ * @param {string} [options.source='api'] - Recorded in the snapshot
+ * @returns {Promise<TaxonomySnapshot|null>}
+ */
+async function fetchTaxonomySnapshot(options = {}) {
+  const apiKey = options.apiKey || process.env.EBIRD_API_KEY;
+  if (!apiKey) {
+    console.log('   ⚠️ EBIRD_API_KEY not set - cannot download eBird taxonomy');
+    return null;
+  }
+
+  // Covers the body too - a stalled download must not hold refresh() forever
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), TAXONOMY_TIMEOUT_MS);
+
+  try {
+    console.log('   📥 Downloading eBird taxonomy...');
+    const headers = { 'X-eBirdApiToken': apiKey };
+
+    const response = await fetch(`${EBIRD_API}/ref/taxonomy/ebird?fmt=json`, { headers, signal: controller.signal });
+    if (!response.ok) {
+      console.log(`   ⚠️ eBird API returned ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+      console.log('   ⚠️ eBird API returned an empty taxonomy');
+      return null;
+    }
+
+    // Version is informational - a failure here shouldn't discard the download
+    let version = null;
+    try {
+      const versionResponse = await fetch(`${EBIRD_API}/ref/taxonomy/versions`, { headers, signal: AbortSignal.timeout(VERSION_TIMEOUT_MS) });
+      if (versionResponse.ok) {
+        const versions = await versionResponse.json();
+        const latest = versions.find(v => v.latest) || versions[versions.length - 1];
+        version = latest ? String(latest.authorityVer) : null;
+      }
+    } catch (error) {
+      console.log(`   ⚠️ Could not get eBird taxonomy version: ${error.message}`);
+    }
+
+    const taxa = data.map(taxon => Object.fromEntries(
+      TAXON_FIELDS.filter(field => taxon[field] !== undefined).map(field => [field, taxon[field]])
+    ));
+
+    return {
+      version,
+      fetchedAt: new Date().toISOString(),
+      source: options.source || 'api',
+      taxa
+    };
+  } catch (error) {
+    console.error('eBird taxonomy error:', controller.signal.aborted ? 'download timed out' : error.message);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Shared instance
+const ebirdTaxonomy = new EBirdTaxonomy();
+
+let refreshTimer = null;
+
+/**
+ * Check for a newer taxonomy periodically (call once at server start)
+ * The first check runs immediately so a stale bundled snapshot is replaced early.
+ */
+function startTaxonomyRefresh() {
+  if (refreshTimer) return;
+  ebirdTaxonomy.ensureReady();
+  refreshTimer = setInterval(() => ebirdTaxonomy.ensureReady(), 6 * 60 * 60 * 1000);
+  refreshTimer.unref();
+}
+
+module.exports = {
+  ebirdTaxonomy,
+  fetchTaxonomySnapshot,
+  startTaxonomyRefresh,
+  normalizeCommonName,
+  SUBSPECIFIC_CATEGORIES,
+  BUNDLED_TAXONOMY_FILE,
+  TAXONOMY_FILE
+};
@@ -0,0 +1,331 @@
+// EXIF Service - GPS position, capture date and camera details from a photo's EXIF block
+// Read before the image is re-encoded (sharp drops or rewrites EXIF).
+// JPEGs are read with exif-parser; RAW files (TIFF containers) and HEIC with the small TIFF reader below.
+
+const ExifParser = require('exif-parser');
+
+// EXIF times are the camera's wall clock with no time zone - read them in the bot's home zone
+const EXIF_TIMEZONE = process.env.EXIF_TIMEZONE || 'Asia/Singapore';
+
+// Unset camera clocks can report 1970; nothing before digital cameras is plausible
+const EARLIEST_CAPTURE_YEAR = 1995;
+
+// TIFF field types → bytes per value (1 BYTE, 2 ASCII, 3 SHORT, 4 LONG, 5 RATIONAL, 6 SBYTE, 7 UNDEFINED,
+// 8 SSHORT, 9 SLONG, 10 SRATIONAL, 11 FLOAT, 12 DOUBLE, 13 IFD)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+// Guards against corrupt files sending the reader round in circles
+const MAX_IFD_ENTRIES = 1000;
+const MAX_IFDS = 32;
+const MAX_TAG_VALUES = 4096;
+
+// TIFF tags used here (names as exif-parser reports them)
+const TIFF_TAGS = {
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'CreateDate',
+  0x920A: 'FocalLength',
+  0xA405: 'FocalLengthIn35mmFormat',
+  0xA434: 'LensModel'
+};
+
+/**
+ * @typedef {Object} CameraInfo
+ * @property {string|null} make - "Canon"
+ * @property {string|null} model - "Canon EOS R5"
+ * @property {string|null} lens - "RF100-500mm F4.5-7.1 L IS USM"
+ * @property {number|null} focalLength - mm
+ * @property {number|null} focalLength35mm - 35 mm equivalent, mm
+ */
+
+/**
+ * @typedef {Object} PhotoMetadata
+ * @property {string|null} location - "lat, lng" from GPS tags
+ * @property {Date|null} takenAt - DateTimeOriginal (or CreateDate)
+ * @property {CameraInfo|null} camera
+ */
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date
+ * @param {string} timeZone - IANA name
+ * @returns {number} Milliseconds (positive east of UTC)
+ */
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert an exif-parser date (the wall clock read as UTC seconds) into a real instant
+ * @param {number} seconds
+ * @returns {Date|null} null if missing or implausible
+ */
+function exifDateToDate(seconds) {
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return null;
+  const wallClock = new Date(seconds * 1000);
+  const date = new Date(wallClock.getTime() - timeZoneOffsetMs(wallClock, EXIF_TIMEZONE));
+  // A day of slack for camera clocks set ahead
+  if (date.getUTCFullYear() < EARLIEST_CAPTURE_YEAR || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Trimmed string tag, or null
+ * @param {*} value
+ * @returns {string|null}
+ */
+function textTag(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\0/g, '').trim();
+  return text || null;
+}
+
+/**
+ * @typedef {Object} TiffDirectories
+ * @property {Array<Map<number, *>>} ifds - IFD0, the IFDs chained after it and their SubIFDs (tag → value)
+ * @property {Map<number, *>|null} exif - Exif IFD
+ * @property {Map<number, *>|null} gps - GPS IFD
+ * @property {number} start - Offset of the TIFF header in the buffer (IFD offsets are relative to it)
+ */
+
+/**
+ * Read one IFD
+ * Values: ASCII → string, UNDEFINED → Buffer, everything else → array of numbers (rationals divided out).
+ * Entries whose values lie outside the buffer are skipped.
+ * @param {Buffer} buffer
+ * @param {number} start - TIFF header offset
+ * @param {number} offset - IFD offset (relative to start)
+ * @param {boolean} littleEndian
+ * @returns {{tags: Map<number, *>, next: number}}
+ */
+function readIfd(buffer, start, offset, littleEndian) {
+  const u16 = at => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+  const u32 = at => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+  const readers = {
+    1: at => buffer.readUInt8(at),
+    3: u16,
+    4: u32,
+    5: at => u32(at) / (u32(at + 4) || 1),
+    6: at => buffer.readInt8(at),
+    8: at => (littleEndian ? buffer.readInt16LE(at) : buffer.readInt16BE(at)),
+    9: at => (littleEndian ? buffer.readInt32LE(at) : buffer.readInt32BE(at)),
+    10: at => (littleEndian ? buffer.readInt32LE(at) / (buffer.readInt32LE(at + 4) || 1) : buffer.readInt32BE(at) / (buffer.readInt32BE(at + 4) || 1)),
+    11: at => (littleEndian ? buffer.readFloatLE(at) : buffer.readFloatBE(at)),
+    12: at => (littleEndian ? buffer.readDoubleLE(at) : buffer.readDoubleBE(at)),
+    13: u32
+  };
+
+  const base = start + offset;
+  const count = u16(base);
+  if (count > MAX_IFD_ENTRIES) throw new Error('Invalid TIFF directory');
+
+  const tags = new Map();
+  for (let i = 0; i < count; i++) {
+    const entry = base + 2 + i * 12;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    const valueCount = u32(entry + 4);
+    const byteLength = size * valueCount;
+    const at = byteLength <= 4 ? entry + 8 : start + u32(entry + 8);
+    if (at + byteLength > buffer.length) continue;
+
+    if (type === 2) {
+      tags.set(tag, buffer.toString('latin1', at, at + valueCount).replace(/\0[\s\S]*$/, ''));
+    } else if (type === 7) {
+      tags.set(tag, buffer.subarray(at, at + byteLength));
+    } else {
+      const values = [];
+      for (let v = 0; v < Math.min(valueCount, MAX_TAG_VALUES); v++) {
+        values.push(readers[type](at + v * size));
+      }
+      tags.set(tag, values);
+    }
+  }
+
+  const nextAt = base + 2 + count * 12;
+  return { tags, next: nextAt + 4 <= buffer.length ? u32(nextAt) : 0 };
+}
+
+/**
+ * Walk the directories of a TIFF structure (a TIFF-based RAW file, or the EXIF block of a HEIC)
+ * @param {Buffer} buffer
+ * @param {number} [start=0] - Offset of the "II*\0" / "MM\0*" header
+ * @returns {TiffDirectories}
+ * @throws {Error} If there is no valid TIFF header
+ */
+function readTiffDirectories(buffer, start = 0) {
+  const order = buffer.toString('latin1', start, start + 2);
+  if (order !== 'II' && order !== 'MM') throw new Error('Invalid TIFF header');
+  const littleEndian = order === 'II';
+  const magic = littleEndian ? buffer.readUInt16LE(start + 2) : buffer.readUInt16BE(start + 2);
+  if (magic !== 42) throw new Error('Invalid TIFF header');
+
+  const ifds = [];
+  const visited = new Set();
+  const queue = [littleEndian ? buffer.readUInt32LE(start + 4) : buffer.readUInt32BE(start + 4)];
+  while (queue.length > 0 && ifds.length < MAX_IFDS) {
+    const offset = queue.shift();
+    if (!offset || visited.has(offset) || start + offset + 2 > buffer.length) continue;
+    visited.add(offset);
+
+    const { tags, next } = readIfd(buffer, start, offset, littleEndian);
+    ifds.push(tags);
+    queue.push(next, ...(tags.get(0x014A) || []));
+  }
+  if (ifds.length === 0) throw new Error('Invalid TIFF directory');
+
+  const subDirectory = tag => {
+    const offset = ifds[0].get(tag)?.[0];
+    if (!offset || start + offset + 2 > buffer.length) return null;
+    try {
+      return readIfd(buffer, start, offset, littleEndian).tags;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  return { ifds, exif: subDirectory(0x8769), gps: subDirectory(0x8825), start };
+}
+
+/**
+ * "2024:05:01 07:15:00" as exif-parser reports dates: the wall clock read as UTC seconds
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+function tiffDateToSeconds(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return undefined;
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+}
+
+/**
+ * The tags readPhotoMetadata uses, in exif-parser's shape (names, single values, signed GPS degrees)
+ * @param {TiffDirectories} tiff
+ * @returns {Object}
+ */
+function tagsFromTiff(tiff) {
+  const tags = {};
+  for (const directory of [tiff.ifds[0], tiff.exif].filter(Boolean)) {
+    for (const [tag, name] of Object.entries(TIFF_TAGS)) {
+      const value = directory.get(Number(tag));
+      if (value === undefined || tags[name] !== undefined) continue;
+      tags[name] = Array.isArray(value) ? value[0] : value;
+    }
+  }
+  tags.DateTimeOriginal = tiffDateToSeconds(tags.DateTimeOriginal);
+  tags.CreateDate = tiffDateToSeconds(tags.CreateDate);
+
+  // GPSLatitude/GPSLongitude: degrees, minutes, seconds; Ref S/W makes them negative
+  const degrees = (valueTag, refTag, negativeRef) => {
+    const dms = tiff.gps?.get(valueTag);
+    if (!Array.isArray(dms) || dms.length < 3) return undefined;
+    const value = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return tiff.gps.get(refTag) === negativeRef ? -value : value;
+  };
+  tags.GPSLatitude = degrees(0x0002, 0x0001, 'S');
+  tags.GPSLongitude = degrees(0x0004, 0x0003, 'W');
+  return tags;
+}
+
+/**
+ * Where the TIFF structure holding a file's EXIF starts
+ * @param {Buffer} buffer
+ * @returns {number} 0 for TIFF-based RAW files, the Exif block for HEIC/AVIF, -1 otherwise (JPEG: exif-parser)
+ */
+function findTiffStart(buffer) {
+  const order = buffer.toString('latin1', 0, 2);
+  if (order === 'II' || order === 'MM') return 0;
+
+  // HEIF keeps EXIF as an item in the file body, "Exif\0\0" + TIFF header. Looking for that pattern
+  // is much simpler than resolving the item through the meta/iloc boxes, and just as reliable in practice
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    let at = buffer.indexOf('Exif\0\0', 0, 'latin1');
+    while (at !== -1) {
+      const header = buffer.toString('latin1', at + 6, at + 10);
+      if (header === 'II*\0' || header === 'MM\0*') return at + 6;
+      at = buffer.indexOf('Exif\0\0', at + 1, 'latin1');
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read GPS, capture date and camera details
+ * Never throws - photos without EXIF (Telegram-compressed, screenshots) return all nulls.
+ * @param {Buffer} buffer - Original image bytes (JPEG, HEIC, or a TIFF-based RAW file)
+ * @returns {PhotoMetadata}
+ */
+function readPhotoMetadata(buffer) {
+  const metadata = { location: null, takenAt: null, camera: null };
+  let tags;
+  try {
+    const tiffStart = findTiffStart(buffer);
+    tags = tiffStart >= 0 ? tagsFromTiff(readTiffDirectories(buffer, tiffStart)) : (ExifParser.create(buffer).parse().tags || {});
+  } catch (e) {
+    return metadata;
+  }
+
+  if (tags.GPSLatitude && tags.GPSLongitude) {
+    metadata.location = `${tags.GPSLatitude.toFixed(4)}, ${tags.GPSLongitude.toFixed(4)}`;
+  }
+
+  metadata.takenAt = exifDateToDate(tags.DateTimeOriginal) || exifDateToDate(tags.CreateDate);
+
+  const make = textTag(tags.Make);
+  let model = textTag(tags.Model);
+  // Some makers repeat the brand in the model ("Canon" + "Canon EOS R5"), others don't ("NIKON" + "Z 6")
+  if (make && model && !model.toLowerCase().startsWith(make.split(' ')[0].toLowerCase())) {
+    model = `${make} ${model}`;
+  }
+  const camera = {
+    make,
+    model,
+    lens: textTag(tags.LensModel),
+    focalLength: typeof tags.FocalLength === 'number' && tags.FocalLength > 0 ? Math.round(tags.FocalLength) : null,
+    focalLength35mm: typeof tags.FocalLengthIn35mmFormat === 'number' && tags.FocalLengthIn35mmFormat > 0 ? tags.FocalLengthIn35mmFormat : null
+  };
+  if (camera.model || camera.lens || camera.focalLength) {
+    metadata.camera = camera;
+  }
+
+  return metadata;
+}
+
+/**
+ * One-line camera summary: "Canon EOS R5 · RF100-500mm F4.5-7.1 L IS USM · 500 mm"
+ * @param {CameraInfo|null} camera
+ * @returns {string|null}
+ */
+function describeCamera(camera) {
+  if (!camera) return null;
+  const focal = camera.focalLength
+    ? `${camera.focalLength} mm${camera.focalLength35mm && camera.focalLength35mm !== camera.focalLength ? ` (${camera.focalLength35mm} mm equiv.)` : ''}`
+    : null;
+  const parts = [camera.model || camera.make, camera.lens, focal].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+module.exports = {
+  readPhotoMetadata,
+  readTiffDirectories,
+  describeCamera,
+  timeZoneOffsetMs,
+  EXIF_TIMEZONE
+};
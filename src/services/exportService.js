@@ -0,0 +1,469 @@
+// Export Service - Stored sightings as eBird Record Format CSV, iNaturalist CSV and a Darwin Core Archive
+// Used by the /export command and GET /api/v1/sightings/export
+
+const zlib = require('zlib');
+const { sightingsStore } = require('./sightingsStore');
+const { getSpeciesInfo } = require('./gbifService');
+const { getEBirdSpeciesCode } = require('./ebirdService');
+const { timeZoneOffsetMs, EXIF_TIMEZONE } = require('./exifService');
+
+// Dates/times in exports (and date-only filters) are in the bot's home zone, the one EXIF times are read in
+const EXPORT_TIMEZONE = EXIF_TIMEZONE;
+
+const EXPORT_FORMATS = {
+  ebird: { extension: 'csv', mimeType: 'text/csv', label: 'eBird Record Format (birds only)' },
+  inat: { extension: 'csv', mimeType: 'text/csv', label: 'iNaturalist bulk upload CSV' },
+  dwca: { extension: 'zip', mimeType: 'application/zip', label: 'Darwin Core Archive' }
+};
+
+// iNaturalist's CSV import template columns
+const INAT_COLUMNS = [
+  'Taxon name',
+  'Date observed',
+  'Description',
+  'Place name',
+  'Latitude / y coord / northing',
+  'Longitude / x coord / easting',
+  'Tags',
+  'Geoprivacy'
+];
+
+// Darwin Core terms written to occurrence.txt (order = column order in meta.xml)
+const DWC_TERMS = [
+  'occurrenceID', 'basisOfRecord', 'eventDate', 'scientificName', 'vernacularName', 'taxonRank',
+  'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'specificEpithet', 'infraspecificEpithet',
+  'taxonID', 'decimalLatitude', 'decimalLongitude', 'geodeticDatum', 'locality', 'recordedBy',
+  'identifiedBy', 'identificationVerificationStatus', 'identificationRemarks', 'occurrenceRemarks'
+];
+
+// ============================================
+// FILTERING AND TAXON IDS
+// ============================================
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) date; date-only "to" values include the whole day
+ * @param {string} value
+ * @param {boolean} [endOfDay=false]
+ * @returns {Date|null}
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  // Midnight (or the day's last millisecond) on the wall clock of EXPORT_TIMEZONE
+  const wallClock = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}Z`);
+  if (Number.isNaN(wallClock.getTime())) return null;
+  return new Date(wallClock.getTime() - timeZoneOffsetMs(wallClock, EXPORT_TIMEZONE));
+}
+
+/**
+ * Select sightings for an export, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - YYYY-MM-DD or ISO date (inclusive)
+ * @param {string} [filter.to] - YYYY-MM-DD or ISO date (inclusive)
+ * @param {number} [filter.chatId]
+ * @param {number} [filter.userId]
+ * @returns {Object[]} Sightings
+ */
+function selectSightings(filter = {}) {
+  const from = parseDate(filter.from);
+  const to = parseDate(filter.to, true);
+  return sightingsStore.find({ chatId: filter.chatId, userId: filter.userId })
+    .filter(s => !from || new Date(s.observedAt) >= from)
+    .filter(s => !to || new Date(s.observedAt) <= to)
+    .reverse();
+}
+
+/**
+ * Fill in the GBIF taxon key and eBird species code for each sighting
+ * Stored values are used when present; otherwise gbifService/ebirdService are asked once per name.
+ * @param {Object[]} sightings
+ * @param {Object} [options]
+ * @param {boolean} [options.gbif=true]
+ * @param {boolean} [options.ebird=true]
+ * @returns {Promise<Map<string, {gbifTaxonKey: number|null, eBirdSpeciesCode: string|null, eBirdCommonName: string|null, eBirdGroup: Object|null}>>}
+ *   keyed by sighting id
+ */
+async function resolveTaxonIds(sightings, options = {}) {
+  const { gbif = true, ebird = true } = options;
+  const gbifCache = new Map();
+  const ebirdCache = new Map();
+  const resolved = new Map();
+
+  for (const sighting of sightings) {
+    const name = sighting.scientificName;
+
+    let gbifTaxonKey = sighting.gbifTaxonKey || null;
+    if (!gbifTaxonKey && gbif) {
+      if (!gbifCache.has(name)) {
+        const info = await getSpeciesInfo(name);
+        gbifCache.set(name, info.found ? info.key : null);
+      }
+      gbifTaxonKey = gbifCache.get(name);
+    }
+
+    let eBirdSpeciesCode = null;
+    let eBirdCommonName = null;
+    if (sighting.isBird && ebird) {
+      if (!ebirdCache.has(name)) {
+        ebirdCache.set(name, await getEBirdSpeciesCode(name));
+      }
+      const eBirdData = ebirdCache.get(name);
+      eBirdSpeciesCode = sighting.eBirdSpeciesCode || (eBirdData.found ? eBirdData.speciesCode : null);
+      eBirdCommonName = eBirdData.found ? eBirdData.commonName : null;
+    }
+
+    // Subspecies group (issf/form) the bird was identified to - eBird accepts these directly
+    const eBirdGroup = sighting.isBird ? (sighting.eBirdGroup || sighting.identification?.eBirdGroup || null) : null;
+
+    resolved.set(sighting.id, { gbifTaxonKey, eBirdSpeciesCode, eBirdCommonName, eBirdGroup });
+  }
+
+  return resolved;
+}
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tab-delimited text can't contain tabs or newlines inside a field
+ */
+function tsvField(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Date parts of a timestamp in EXPORT_TIMEZONE
+ * @param {string} iso
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string}}
+ */
+function localDateParts(iso) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: EXPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(iso));
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+/**
+ * Short provenance note added to every exported record
+ */
+function identificationNote(sighting) {
+  const level = sighting.identificationLevel || 'species';
+  const confidence = sighting.confidence !== null && sighting.confidence !== undefined
+    ? `, confidence ${Math.round(sighting.confidence * 100)}%`
+    : '';
+  return `Identified from photo by ${sighting.model || 'vision model'} (${level} level${confidence})`;
+}
+
+// ============================================
+// FORMATS
+// ============================================
+
+/**
+ * eBird Record Format (Extended) - 19 columns, no header row; birds only, Incidental protocol
+ * Common names must match eBird taxonomy, so the eBird name for the species code is preferred.
+ * Birds identified to a subspecies group are exported as that group (eBird rolls it up to the species).
+ * @param {Object[]} sightings
+ * @param {Map} taxonIds - resolveTaxonIds result
+ * @returns {string}
+ */
+function buildEBirdCsv(sightings, taxonIds) {
+  const rows = sightings.filter(s => s.isBird).map(sighting => {
+    const ids = taxonIds.get(sighting.id) || {};
+    const group = ids.eBirdGroup;
+    const [genus, ...epithets] = (group ? group.scientificName : sighting.scientificName).split(/\s+/);
+    const species = group ? epithets.join(' ') : epithets[0];
+    const date = localDateParts(sighting.observedAt);
+    const code = group
+      ? `eBird code: ${group.speciesCode} (reported as ${ids.eBirdSpeciesCode || sighting.scientificName})`
+      : (ids.eBirdSpeciesCode ? `eBird species code: ${ids.eBirdSpeciesCode}` : null);
+    const comments = [identificationNote(sighting), code].filter(Boolean).join('; ');
+
+    return [
+      group ? group.commonName : (ids.eBirdCommonName || sighting.commonName),   // Common Name
+      genus,                                         // Genus
+      species || '',                                 // Species
+      'X',                                           // Number (X = present, not counted)
+      comments,                                      // Species Comments
+      sighting.location?.place || sighting.location?.text || '',  // Location Name
+      sighting.location?.lat ?? '',                  // Latitude
+      sighting.location?.lng ?? '',                  // Longitude
+      `${date.month}/${date.day}/${date.year}`,      // Date (MM/DD/YYYY)
+      `${date.hour}:${date.minute}`,                 // Start Time
+      '',                                            // State/Province
+      '',                                            // Country Code
+      'Incidental',                                  // Protocol
+      1,                                             // Number of Observers
+      '',                                            // Duration
+      'N',                                           // All observations reported?
+      '',                                            // Effort Distance Miles
+      '',                                            // Effort area acres
+      'Exported from Wildlife ID Bot'                // Checklist Comments
+    ].map(csvField).join(',');
+  });
+
+  return rows.join('\r\n') + (rows.length ? '\r\n' : '');
+}
+
+/**
+ * iNaturalist bulk upload CSV (header row from their import template)
+ * @param {Object[]} sightings
+ * @param {Map} taxonIds - resolveTaxonIds result
+ * @returns {string}
+ */
+function buildINaturalistCsv(sightings, taxonIds) {
+  const rows = sightings.map(sighting => {
+    const ids = taxonIds.get(sighting.id) || {};
+    const date = localDateParts(sighting.observedAt);
+    const tags = ['wildlife-id-bot', ids.gbifTaxonKey ? `gbif:${ids.gbifTaxonKey}` : null].filter(Boolean).join(',');
+
+    return [
+      sighting.scientificName,
+      `${date.year}-${date.month}-${date.day} ${date.hour}:${date.minute}`,
+      [identificationNote(sighting), ids.eBirdGroup ? `eBird subspecies group: ${ids.eBirdGroup.commonName}` : null]
+        .filter(Boolean).join('. '),
+      sighting.location?.place || sighting.location?.text || '',
+      sighting.location?.lat ?? '',
+      sighting.location?.lng ?? '',
+      tags,
+      'open'
+    ].map(csvField).join(',');
+  });
+
+  return [INAT_COLUMNS.map(csvField).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Darwin Core occurrence.txt (tab-delimited, header row)
+ * @param {Object[]} sightings
+ * @param {Map} taxonIds - resolveTaxonIds result
+ * @returns {string}
+ */
+function buildDarwinCoreOccurrences(sightings, taxonIds) {
+  const rows = sightings.map(sighting => {
+    const ids = taxonIds.get(sighting.id) || {};
+    const taxonomy = sighting.taxonomy || {};
+    const parts = sighting.scientificName.split(/\s+/);
+    const hasCoordinates = sighting.location?.lat !== null && sighting.location?.lat !== undefined;
+
+    const record = {
+      occurrenceID: `urn:wildlife-id-bot:sighting:${sighting.id}`,
+      basisOfRecord: 'HumanObservation',
+      eventDate: sighting.observedAt,
+      scientificName: sighting.scientificName,
+      vernacularName: sighting.commonName,
+      taxonRank: sighting.identificationLevel || 'species',
+      kingdom: taxonomy.kingdom,
+      phylum: taxonomy.phylum,
+      class: taxonomy.class,
+      order: taxonomy.order,
+      family: taxonomy.family,
+      genus: taxonomy.genus || parts[0],
+      specificEpithet: parts[1] && !/^spp?\.?$/i.test(parts[1]) ? parts[1] : null,
+      infraspecificEpithet: parts[2] || null,
+      taxonID: ids.gbifTaxonKey ? `https://www.gbif.org/species/${ids.gbifTaxonKey}` : null,
+      decimalLatitude: hasCoordinates ? sighting.location.lat : null,
+      decimalLongitude: hasCoordinates ? sighting.location.lng : null,
+      geodeticDatum: hasCoordinates ? 'WGS84' : null,
+      locality: sighting.location?.place || (hasCoordinates ? null : sighting.location?.text),
+      recordedBy: sighting.username,
+      identifiedBy: sighting.model,
+      identificationVerificationStatus: 'unverified',
+      identificationRemarks: identificationNote(sighting),
+      occurrenceRemarks: [
+        ids.eBirdSpeciesCode ? `eBird species code: ${ids.eBirdSpeciesCode}` : null,
+        ids.eBirdGroup ? `eBird subspecies group: ${ids.eBirdGroup.commonName} (${ids.eBirdGroup.speciesCode})` : null
+      ].filter(Boolean).join('; ') || null
+    };
+    return DWC_TERMS.map(term => tsvField(record[term])).join('\t');
+  });
+
+  return [DWC_TERMS.join('\t'), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Darwin Core Archive descriptor for occurrence.txt
+ * @returns {string}
+ */
+function buildDarwinCoreMeta() {
+  const fields = DWC_TERMS.map((term, index) =>
+    `    <field index="${index}" term="http://rs.tdwg.org/dwc/terms/${term}"/>`
+  ).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="http://rs.tdwg.org/dwc/terms/Occurrence">
+    <files>
+      <location>occurrence.txt</location>
+    </files>
+    <id index="0"/>
+${fields}
+  </core>
+</archive>
+`;
+}
+
+/**
+ * Minimal EML metadata so the archive validates
+ * @param {number} count - Number of records
+ * @returns {string}
+ */
+function buildDarwinCoreEml(count) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1" packageId="wildlife-id-bot-${Date.now()}" system="wildlife-id-bot">
+  <dataset>
+    <title>Wildlife ID Bot sightings</title>
+    <creator><organizationName>Wildlife ID Bot</organizationName></creator>
+    <pubDate>${new Date().toISOString().substring(0, 10)}</pubDate>
+    <abstract><para>${count} photo-based sightings identified by a vision model and checked against GBIF/eBird. Identifications are unverified.</para></abstract>
+  </dataset>
+</eml:eml>
+`;
+}
+
+// ============================================
+// ZIP
+// ============================================
+
+/**
+ * Build a zip archive (deflate) from in-memory files
+ * @param {Array<{name: string, data: Buffer|string}>} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  // DOS date/time for "now"
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);   // Local file header signature
+    local.writeUInt16LE(20, 4);           // Version needed
+    local.writeUInt16LE(0x0800, 6);       // Flags: UTF-8 names
+    local.writeUInt16LE(8, 8);            // Method: deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);           // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory signature
+    central.writeUInt16LE(20, 4);         // Version made by
+    central.writeUInt16LE(20, 6);         // Version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);    // Local header offset (other fields stay 0)
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);       // End of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Export sightings in one of the supported formats
+ * @param {'ebird'|'inat'|'dwca'} format
+ * @param {Object} [filter] - See selectSightings (from, to, chatId, userId)
+ * @returns {Promise<{success: boolean, error?: string, buffer?: Buffer, filename?: string, mimeType?: string, count?: number}>}
+ */
+async function exportSightings(format, filter = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return { success: false, error: `Unknown export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+  if ((filter.from && !parseDate(filter.from)) || (filter.to && !parseDate(filter.to))) {
+    return { success: false, error: 'Invalid date - use YYYY-MM-DD' };
+  }
+
+  let sightings = selectSightings(filter);
+  if (format === 'ebird') {
+    sightings = sightings.filter(s => s.isBird);
+  }
+  if (sightings.length === 0) {
+    return { success: false, error: format === 'ebird' ? 'No bird sightings to export' : 'No sightings to export' };
+  }
+
+  console.log(`📤 Exporting ${sightings.length} sightings as ${format}...`);
+  const taxonIds = await resolveTaxonIds(sightings, { gbif: format !== 'ebird', ebird: format !== 'inat' });
+
+  let buffer;
+  if (format === 'ebird') {
+    buffer = Buffer.from(buildEBirdCsv(sightings, taxonIds), 'utf8');
+  } else if (format === 'inat') {
+    buffer = Buffer.from(buildINaturalistCsv(sightings, taxonIds), 'utf8');
+  } else {
+    buffer = createZip([
+      { name: 'occurrence.txt', data: buildDarwinCoreOccurrences(sightings, taxonIds) },
+      { name: 'meta.xml', data: buildDarwinCoreMeta() },
+      { name: 'eml.xml', data: buildDarwinCoreEml(sightings.length) }
+    ]);
+  }
+
+  const stamp = new Date().toISOString().substring(0, 10);
+  return {
+    success: true,
+    buffer,
+    filename: `sightings-${format}-${stamp}.${spec.extension}`,
+    mimeType: spec.mimeType,
+    count: sightings.length
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportSightings,
+  selectSightings,
+  createZip
+};
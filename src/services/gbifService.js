@@ -1,9 +1,25 @@
 // GBIF (Global Biodiversity Information Facility) API integration
 // GBIF has 2.5+ billion occurrence records - the world's largest biodiversity database
 
+const { geocodeLocation } = require('./geocoding');
+const { mapWithConcurrency } = require('./concurrency');
+
 const GBIF_API = 'https://api.gbif.org/v1';
+const GBIF_BACKBONE_DATASET = 'd7dddbf4-2cf0-4f39-9b2a-bb099caae36c';
 const INATURALIST_API = 'https://api.inaturalist.org/v1';
 
+// Every lookup here is on the way to a result card - give up rather than keep the user waiting
+const REQUEST_TIMEOUT = 10000; // 10 seconds
+
+/**
+ * fetch() that is aborted after REQUEST_TIMEOUT, reading the body included
+ * @param {string} url
+ * @returns {Promise<Response>}
+ */
+function fetchWithTimeout(url) {
+  return fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+}
+
 /**
  * Get photo from iNaturalist for a species
  */
@@ -12,7 +28,7 @@ async function getINaturalistPhoto(scientificName) {
     const speciesName = scientificName.split(' ').slice(0, 2).join(' ');
     const url = `${INATURALIST_API}/taxa?q=${encodeURIComponent(speciesName)}&per_page=1`;
     
-    const response = await fetch(url);
+    const response = await fetchWithTimeout(url);
     const data = await response.json();
     
     if (data.results && data.results.length > 0) {
@@ -30,31 +46,6 @@ async function getINaturalistPhoto(scientificName) {
   }
 }
 
-/**
- * Simple geocoding using Nominatim (free)
- */
-async function geocodeLocation(locationName) {
-  try {
-    const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(locationName)}&format=json&limit=1`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'WildlifeIDBot/1.0' }
-    });
-    const data = await response.json();
-    
-    if (data && data.length > 0) {
-      return {
-        lat: parseFloat(data[0].lat),
-        lng: parseFloat(data[0].lon),
-        displayName: data[0].display_name
-      };
-    }
-    return null;
-  } catch (error) {
-    console.error('Geocoding error:', error.message);
-    return null;
-  }
-}
-
 /**
  * Get species info from GBIF by scientific name
  * Also handles synonyms and returns the accepted/current name
@@ -64,7 +55,7 @@ async function getSpeciesInfo(scientificName) {
     const speciesName = scientificName.split(' ').slice(0, 2).join(' ');
     const url = `${GBIF_API}/species/match?name=${encodeURIComponent(speciesName)}&verbose=true`;
     
-    const response = await fetch(url);
+    const response = await fetchWithTimeout(url);
     const data = await response.json();
     
     if (data.usageKey) {
@@ -94,7 +85,7 @@ async function getSpeciesInfo(scientificName) {
         
         // Fetch the accepted species info
         const acceptedUrl = `${GBIF_API}/species/${data.acceptedUsageKey}`;
-        const acceptedResponse = await fetch(acceptedUrl);
+        const acceptedResponse = await fetchWithTimeout(acceptedUrl);
         const acceptedData = await acceptedResponse.json();
         
         if (acceptedData) {
@@ -107,7 +98,7 @@ async function getSpeciesInfo(scientificName) {
           
           // Also get vernacular names (common names)
           const vernacularUrl = `${GBIF_API}/species/${acceptedData.key}/vernacularNames`;
-          const vernacularResponse = await fetch(vernacularUrl);
+          const vernacularResponse = await fetchWithTimeout(vernacularUrl);
           const vernacularData = await vernacularResponse.json();
           
           // Get English common name
@@ -130,13 +121,44 @@ async function getSpeciesInfo(scientificName) {
   }
 }
 
+/**
+ * Find a species in the GBIF backbone by common (vernacular) name
+ * @param {string} commonName
+ * @returns {Promise<{found: boolean, key?: number, canonicalName?: string, commonName?: string}>}
+ */
+async function findSpeciesByCommonName(commonName) {
+  try {
+    const params = new URLSearchParams({
+      q: commonName,
+      qField: 'VERNACULAR',
+      rank: 'SPECIES',
+      status: 'ACCEPTED',
+      datasetKey: GBIF_BACKBONE_DATASET,
+      limit: '5'
+    });
+    const response = await fetchWithTimeout(`${GBIF_API}/species/search?${params}`);
+    const data = await response.json();
+
+    // Only an exact vernacular name counts - a partial hit ("Myna") would match every myna
+    const wanted = commonName.trim().toLowerCase();
+    const match = (data.results || []).find(r =>
+      (r.vernacularNames || []).some(v => v.vernacularName?.toLowerCase() === wanted));
+    if (!match) return { found: false };
+
+    return { found: true, key: match.key, canonicalName: match.canonicalName, commonName: commonName.trim() };
+  } catch (error) {
+    console.error('GBIF vernacular search error:', error.message);
+    return { found: false, error: error.message };
+  }
+}
+
 /**
  * Get all subspecies for a species from GBIF
  */
 async function getSubspecies(speciesKey) {
   try {
     const url = `${GBIF_API}/species/${speciesKey}/children?limit=100`;
-    const response = await fetch(url);
+    const response = await fetchWithTimeout(url);
     const data = await response.json();
     
     if (data.results) {
@@ -156,20 +178,160 @@ async function getSubspecies(speciesKey) {
   }
 }
 
+// Occurrence check defaults - radius around the location, months either side of the observation
+// month, and how far back records count
+const OCCURRENCE_RADIUS_KM = parseFloat(process.env.GBIF_OCCURRENCE_RADIUS_KM) || 50;
+const SEASON_WINDOW_MONTHS = process.env.GBIF_SEASON_WINDOW_MONTHS !== undefined
+  ? parseInt(process.env.GBIF_SEASON_WINDOW_MONTHS, 10)
+  : 1;
+const OCCURRENCE_YEARS = parseInt(process.env.GBIF_OCCURRENCE_YEARS, 10) || 30;
+
+// Large places (a country, a state) are searched over their own extent, up to this radius
+const MAX_OCCURRENCE_RADIUS_KM = 500;
+
+// Field observations only - no fossils, museum specimens or living collections
+const OBSERVATION_BASIS = ['HUMAN_OBSERVATION', 'MACHINE_OBSERVATION'];
+
+// This many records in the area counts as well recorded (likelihood saturates)
+const WELL_RECORDED_COUNT = 100;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * @typedef {Object} OccurrenceCheck
+ * @property {number} count - Records in the area (all months)
+ * @property {number|null} seasonalCount - Records in the season window, null when seasonality is off
+ * @property {number[]} monthCounts - Records per month, January first
+ * @property {boolean} hasRecords
+ * @property {number} radiusKm
+ * @property {number[]|null} months - Months in the season window (1-12)
+ * @property {number} sinceYear
+ * @property {string[]} basisOfRecord
+ * @property {number} likelihood - 0-1, how expected the species is here (and now)
+ * @property {'expected'|'possible'|'out-of-season'|'unlikely'|'no-records'} status
+ * @property {Array<{date: string, country: string, locality: string, recordedBy: string}>} recentRecords
+ * @property {string} [error] - Set when the search failed (the counts are then unknown, not zero)
+ */
+
 /**
- * Check if species occurs at a specific location using GBIF occurrence data
+ * Months within `window` of the given month, wrapping over the year end
+ * seasonWindow(new Date('2024-01-15'), 1) → [12, 1, 2]
+ * @param {Date} date
+ * @param {number} window
+ * @returns {number[]} 1-12
  */
-async function checkOccurrencesAtLocation(speciesKey, coords) {
+function seasonWindow(date, window) {
+  const month = date.getMonth(); // 0-11
+  const months = new Set();
+  for (let offset = -window; offset <= window; offset++) {
+    months.add(((month + offset) % 12 + 12) % 12 + 1);
+  }
+  return [...months];
+}
+
+/**
+ * Turn area and season counts into a 0-1 likelihood and a status
+ * Presence grows with the number of records (log scale, saturating at WELL_RECORDED_COUNT);
+ * seasonality compares the season window's share of records to an even spread over the year.
+ * @param {number} count - Records in the area, all months
+ * @param {number|null} seasonalCount - Records in the season window (null = seasonality off)
+ * @param {number} windowMonths - Months in the season window
+ * @returns {{likelihood: number, status: string}}
+ */
+function occurrenceLikelihood(count, seasonalCount, windowMonths) {
+  if (count === 0) return { likelihood: 0, status: 'no-records' };
+
+  const presence = Math.min(1, Math.log10(1 + count) / Math.log10(1 + WELL_RECORDED_COUNT));
+  const season = seasonalCount === null
+    ? 1
+    : Math.min(1, (seasonalCount / count) / (windowMonths / 12));
+  const likelihood = Math.round(presence * season * 100) / 100;
+
+  let status;
+  if (likelihood >= 0.6) status = 'expected';
+  else if (likelihood >= 0.25) status = 'possible';
+  // Well recorded here, just not at this time of year
+  else if (presence >= 0.5 && season < 0.25) status = 'out-of-season';
+  else status = 'unlikely';
+
+  return { likelihood, status };
+}
+
+/**
+ * Check how expected a species is at a location (and time of year) from GBIF occurrence data
+ * Counts field observations within a radius since a cutoff year. With a season window, the month
+ * facet (multiselect, so it ignores the month filter) gives the whole-year counts in the same request.
+ * @param {number} speciesKey - GBIF taxon key
+ * @param {{lat: number, lng: number}} coords
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm] - Defaults to GBIF_OCCURRENCE_RADIUS_KM (50)
+ * @param {Date} [options.date=new Date()] - Observation date for the season window
+ * @param {number|null} [options.seasonWindow] - Months either side of the observation month,
+ *   defaults to GBIF_SEASON_WINDOW_MONTHS (1); null or negative turns seasonality off
+ * @param {number} [options.sinceYear] - Defaults to GBIF_OCCURRENCE_YEARS (30) years back
+ * @param {string[]} [options.basisOfRecord] - Defaults to human and machine observations
+ * @returns {Promise<OccurrenceCheck>}
+ */
+async function checkOccurrencesAtLocation(speciesKey, coords, options = {}) {
+  const radiusKm = options.radiusKm || OCCURRENCE_RADIUS_KM;
+  const date = options.date || new Date();
+  const window = options.seasonWindow !== undefined ? options.seasonWindow : SEASON_WINDOW_MONTHS;
+  const months = window !== null && window >= 0 && window < 6 ? seasonWindow(date, window) : null;
+  const sinceYear = options.sinceYear || new Date().getFullYear() - OCCURRENCE_YEARS;
+  const basisOfRecord = options.basisOfRecord || OBSERVATION_BASIS;
+
+  const empty = {
+    count: 0,
+    seasonalCount: null,
+    monthCounts: [],
+    hasRecords: false,
+    radiusKm,
+    months,
+    sinceYear,
+    basisOfRecord,
+    likelihood: 0,
+    status: 'no-records',
+    recentRecords: []
+  };
+
   try {
-    // Search within ~100km of location
-    const url = `${GBIF_API}/occurrence/search?taxonKey=${speciesKey}&decimalLatitude=${coords.lat - 1},${coords.lat + 1}&decimalLongitude=${coords.lng - 1},${coords.lng + 1}&limit=100`;
-    
-    const response = await fetch(url);
+    const params = new URLSearchParams({
+      taxonKey: speciesKey,
+      geoDistance: `${coords.lat},${coords.lng},${radiusKm}km`,
+      year: `${sinceYear},${new Date().getFullYear()}`,
+      occurrenceStatus: 'PRESENT',
+      limit: '5',
+      facet: 'month',
+      facetLimit: '12',
+      facetMultiselect: 'true'
+    });
+    basisOfRecord.forEach(basis => params.append('basisOfRecord', basis));
+    (months || []).forEach(month => params.append('month', month));
+
+    const response = await fetchWithTimeout(`${GBIF_API}/occurrence/search?${params}`);
+    if (!response.ok) throw new Error(`GBIF returned ${response.status}`);
     const data = await response.json();
-    
+
+    const monthCounts = new Array(12).fill(0);
+    const monthFacet = data.facets?.find(f => f.field === 'MONTH');
+    (monthFacet?.counts || []).forEach(c => {
+      const month = parseInt(c.name, 10);
+      if (month >= 1 && month <= 12) monthCounts[month - 1] = c.count;
+    });
+
+    // Records without a month are missing from the facet - the unfiltered total falls back to the count
+    const count = months ? monthCounts.reduce((sum, n) => sum + n, 0) : (data.count || 0);
+    const seasonalCount = months ? (data.count || 0) : null;
+    const { likelihood, status } = occurrenceLikelihood(count, seasonalCount, months ? months.length : 12);
+
     return {
-      count: data.count || 0,
-      hasRecords: data.count > 0,
+      ...empty,
+      count,
+      seasonalCount,
+      monthCounts,
+      hasRecords: count > 0,
+      likelihood,
+      status,
       recentRecords: data.results?.slice(0, 5).map(r => ({
         date: r.eventDate,
         country: r.country,
@@ -179,14 +341,204 @@ async function checkOccurrencesAtLocation(speciesKey, coords) {
     };
   } catch (error) {
     console.error('GBIF occurrence error:', error.message);
-    return { count: 0, hasRecords: false };
+    return { ...empty, error: error.message };
+  }
+}
+
+/**
+ * One-line summary of an occurrence check
+ * "Expected (likelihood 82%): 340 observations within 50 km since 1996, 61 in Nov–Jan"
+ * @param {OccurrenceCheck|{error: string}} occurrences
+ * @returns {string}
+ */
+function describeOccurrenceCheck(occurrences) {
+  if (occurrences.error) {
+    return '⚠️ GBIF occurrence check unavailable';
+  }
+  const labels = {
+    expected: '✅ Expected',
+    possible: '🟡 Possible',
+    'out-of-season': '⚠️ Out of season',
+    unlikely: '⚠️ Unlikely',
+    'no-records': '⚠️ No records'
+  };
+  const area = `within ${occurrences.radiusKm} km since ${occurrences.sinceYear}`;
+  if (occurrences.count === 0) {
+    return `${labels['no-records']}: no observations ${area}`;
+  }
+
+  let text = `${labels[occurrences.status]} (likelihood ${Math.round(occurrences.likelihood * 100)}%): ` +
+    `${occurrences.count.toLocaleString()} observations ${area}`;
+  if (occurrences.months) {
+    const first = MONTH_NAMES[occurrences.months[0] - 1];
+    const last = MONTH_NAMES[occurrences.months[occurrences.months.length - 1] - 1];
+    const range = occurrences.months.length > 1 ? `${first}–${last}` : first;
+    text += `, ${occurrences.seasonalCount.toLocaleString()} in ${range}`;
   }
+  return text;
+}
+
+// A look-alike needs this many times the top pick's local records (and a minimum count) to be suggested
+const CONSIDER_ALSO_RATIO = 10;
+const CONSIDER_ALSO_MIN_RECORDS = 20;
+
+// At most this many of the model's look-alikes are checked (two GBIF requests each), this many at a time
+const MAX_ALTERNATIVES = 5;
+const ALTERNATIVE_CONCURRENCY = 3;
+
+/**
+ * Split a similarSpeciesRuledOut entry into its parts
+ * "Common Myna (Acridotheres tristis) - lacks the yellow eye skin" →
+ *   {name: "Common Myna", scientificName: "Acridotheres tristis", reason: "lacks the yellow eye skin"}
+ * @param {string|Object} entry - String, or {name|species|commonName, scientificName, reason}
+ * @returns {{name: string, scientificName: string|null, reason: string}|null}
+ */
+function parseSimilarSpecies(entry) {
+  if (entry && typeof entry === 'object') {
+    const name = entry.name || entry.commonName || entry.species || '';
+    return name ? { name, scientificName: entry.scientificName || null, reason: entry.reason || '' } : null;
+  }
+  if (typeof entry !== 'string' || !entry.trim()) return null;
+
+  const [label, ...reasonParts] = entry.split(/\s+[-–—:]\s+/);
+  const sciMatch = label.match(/\(([A-Z][a-z]+ [a-z-]+)[^)]*\)/);
+  return {
+    name: label.replace(/\(.*?\)/g, '').trim(),
+    scientificName: sciMatch ? sciMatch[1] : null,
+    reason: reasonParts.join(' - ').trim()
+  };
+}
+
+/**
+ * Local records used for ranking: the season window when there is one, otherwise the whole year
+ * @param {OccurrenceCheck} occurrences
+ * @returns {number}
+ */
+function localRecordCount(occurrences) {
+  if (!occurrences) return 0;
+  return occurrences.seasonalCount !== null ? occurrences.seasonalCount : occurrences.count;
+}
+
+/**
+ * Rank the model's pick and its look-alikes by model belief × local records
+ * The pick gets the model's confidence as its prior; the ruled-out look-alikes share the rest.
+ * Local records are smoothed (+1) so a species with none isn't ruled out by location alone.
+ * @param {{scientificName: string, occurrences: OccurrenceCheck}} top
+ * @param {Array<{scientificName: string, occurrences: OccurrenceCheck}>} alternatives
+ * @param {number} [confidence=0.8] - Model confidence in the top pick (0-1)
+ * @returns {Array<Object>} Best first; each entry gets isTopPick, localRecords, seasonal (records are
+ *   for the season window) and share (0-1)
+ */
+function rankByLocation(top, alternatives, confidence = 0.8) {
+  const topPrior = Math.min(Math.max(confidence, 0.05), 0.99);
+  const alternativePrior = (1 - topPrior) / Math.max(alternatives.length, 1);
+
+  const ranked = [
+    { ...top, isTopPick: true, prior: topPrior },
+    ...alternatives.map(alternative => ({ ...alternative, isTopPick: false, prior: alternativePrior }))
+  ].map(entry => {
+    const localRecords = localRecordCount(entry.occurrences);
+    const seasonal = entry.occurrences?.seasonalCount !== null && entry.occurrences?.seasonalCount !== undefined;
+    return { ...entry, localRecords, seasonal, weight: entry.prior * (localRecords + 1) };
+  });
+
+  const total = ranked.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+  return ranked
+    .map(({ weight, prior, ...entry }) => ({ ...entry, share: Math.round((weight / total) * 100) / 100 }))
+    .sort((a, b) => b.share - a.share);
+}
+
+/**
+ * Look up local records for the model's look-alikes and rank them against the top pick
+ * At most ALTERNATIVE_CONCURRENCY look-alikes are looked up at once, so GBIF request bursts stay small.
+ * @param {Object} geminiResult - Needs similarSpeciesRuledOut and confidence
+ * @param {Object} topSpecies - getSpeciesInfo result for the top pick
+ * @param {OccurrenceCheck} topOccurrences
+ * @param {{lat: number, lng: number}} coords
+ * @param {Object} options - Passed to checkOccurrencesAtLocation
+ * @returns {Promise<{ranking: Array<Object>, considerAlso: Array<Object>}>}
+ */
+async function compareAlternativesAtLocation(geminiResult, topSpecies, topOccurrences, coords, options) {
+  // Without the pick's own local records there is nothing to rank against
+  if (topOccurrences.error) return { ranking: [], considerAlso: [] };
+
+  const parsedEntries = (geminiResult.similarSpeciesRuledOut || []).slice(0, MAX_ALTERNATIVES)
+    .map(parseSimilarSpecies)
+    .filter(Boolean);
+
+  const matches = await mapWithConcurrency(parsedEntries, ALTERNATIVE_CONCURRENCY, async (parsed) => {
+    if (parsed.scientificName) {
+      const info = await getSpeciesInfo(parsed.scientificName);
+      return info.found && ['SPECIES', 'SUBSPECIES'].includes(info.rank) ? info : null;
+    }
+    const byName = await findSpeciesByCommonName(parsed.name);
+    return byName.found ? byName : null;
+  });
+
+  // Two entries can name the same species (or the pick itself) - keep the first
+  const seenKeys = new Set([topSpecies.key]);
+  const candidates = [];
+  parsedEntries.forEach((parsed, index) => {
+    const species = matches[index];
+    if (!species || seenKeys.has(species.key)) return;
+    seenKeys.add(species.key);
+    candidates.push({ parsed, species });
+  });
+
+  const checked = await mapWithConcurrency(candidates, ALTERNATIVE_CONCURRENCY, async ({ parsed, species }) => ({
+    name: parsed.name,
+    scientificName: species.canonicalName,
+    taxonKey: species.key,
+    reason: parsed.reason,
+    occurrences: await checkOccurrencesAtLocation(species.key, coords, options)
+  }));
+  // A failed search would rank the look-alike as if it had no records
+  const alternatives = checked.filter(alternative => !alternative.occurrences.error);
+
+  if (alternatives.length === 0) return { ranking: [], considerAlso: [] };
+
+  const confidence = typeof geminiResult.confidence === 'number' ? geminiResult.confidence : undefined;
+  const ranking = rankByLocation({
+    name: geminiResult.commonName,
+    scientificName: topSpecies.canonicalName,
+    taxonKey: topSpecies.key,
+    occurrences: topOccurrences
+  }, alternatives, confidence);
+
+  // Far more common here (and now) than the pick, and ahead of it once location is weighed in
+  const topEntry = ranking.find(entry => entry.isTopPick);
+  const considerAlso = ranking
+    .filter(entry => !entry.isTopPick && entry.share > topEntry.share)
+    .filter(entry => entry.localRecords >= CONSIDER_ALSO_MIN_RECORDS &&
+      entry.localRecords >= CONSIDER_ALSO_RATIO * Math.max(topEntry.localRecords, 1));
+
+  return { ranking, considerAlso };
+}
+
+/**
+ * "Consider also" line for one look-alike
+ * "Common Myna (Acridotheres tristis) - 540 observations nearby vs 3 for Javan Myna"
+ * @param {Object} suggestion - considerAlso entry
+ * @param {Object} topPick - Ranking entry with isTopPick
+ * @returns {string}
+ */
+function describeConsiderAlso(suggestion, topPick) {
+  const period = suggestion.seasonal ? ' at this time of year' : '';
+  return `${suggestion.name} (_${suggestion.scientificName}_) - ` +
+    `${suggestion.localRecords.toLocaleString()} observations nearby${period} vs ` +
+    `${topPick.localRecords.toLocaleString()} for ${topPick.name}`;
 }
 
 /**
  * Full verification of Gemini result using GBIF
+ * @param {Object} geminiResult
+ * @param {string} [location]
+ * @param {Object} [options] - Passed to checkOccurrencesAtLocation (date, radiusKm, seasonWindow, ...)
+ * @param {Object} [options.coordinates] - Already geocoded location (e.g. picked by the user), skips geocoding
+ *   With a location, the model's similarSpeciesRuledOut are checked too: result.locationRanking is the
+ *   location-weighted ranking and result.considerAlso the look-alikes far more common locally.
  */
-async function verifyWithGBIF(geminiResult, location = null) {
+async function verifyWithGBIF(geminiResult, location = null, options = {}) {
   console.log('\n🌍 GBIF: Verifying identification...');
   
   const result = {
@@ -197,7 +549,10 @@ async function verifyWithGBIF(geminiResult, location = null) {
     species: null,
     subspeciesList: [],
     locationVerified: false,
-    occurrences: null
+    occurrences: null,
+    coordinates: null,
+    locationRanking: [],
+    considerAlso: []
   };
   
   if (!geminiResult.identified || !geminiResult.scientificName) {
@@ -236,19 +591,37 @@ async function verifyWithGBIF(geminiResult, location = null) {
   // Step 3: Verify location if provided
   if (location) {
     console.log(`   📍 User location input: "${location}"`);
-    const coords = await geocodeLocation(location);
+    const { coordinates: knownCoords, ...occurrenceOptions } = options;
+    const coords = knownCoords || await geocodeLocation(location);
     if (coords) {
-      console.log(`   📍 Geocoded to: ${coords.displayName}`);
+      console.log(`   📍 ${knownCoords ? 'Chosen location' : 'Geocoded to'}: ${coords.displayName}`);
+      result.coordinates = coords;
+      if (!occurrenceOptions.radiusKm && coords.extentKm > OCCURRENCE_RADIUS_KM) {
+        occurrenceOptions.radiusKm = Math.min(Math.round(coords.extentKm), MAX_OCCURRENCE_RADIUS_KM);
+      }
       console.log(`   📍 Checking occurrences near ${location}...`);
-      const occurrences = await checkOccurrencesAtLocation(speciesInfo.key, coords);
+      const occurrences = await checkOccurrencesAtLocation(speciesInfo.key, coords, occurrenceOptions);
       result.occurrences = occurrences;
-      result.locationVerified = occurrences.hasRecords;
+      result.locationVerified = ['expected', 'possible'].includes(occurrences.status);
       result.locationUsed = location;
       
-      if (occurrences.hasRecords) {
-        console.log(`   ✅ ${occurrences.count} records found in this area`);
+      if (occurrences.error) {
+        console.log(`   ⚠️ GBIF occurrence search failed: ${occurrences.error}`);
+      } else if (occurrences.hasRecords) {
+        console.log(`   ${describeOccurrenceCheck(occurrences)}`);
       } else {
-        console.log(`   ⚠️ No GBIF records in this exact area (may still be present)`);
+        console.log(`   ⚠️ No GBIF observations within ${occurrences.radiusKm} km (may still be present)`);
+      }
+      
+      // Step 4: Are any of the model's look-alikes far more common here?
+      if (occurrences.error) {
+        console.log('   ⚠️ Skipping similar species - nothing to compare them against');
+      } else if (geminiResult.similarSpeciesRuledOut?.length > 0) {
+        console.log(`   🔍 Checking ${Math.min(geminiResult.similarSpeciesRuledOut.length, MAX_ALTERNATIVES)} similar species near ${location}...`);
+        const { ranking, considerAlso } = await compareAlternativesAtLocation(geminiResult, speciesInfo, occurrences, coords, occurrenceOptions);
+        result.locationRanking = ranking;
+        result.considerAlso = considerAlso;
+        considerAlso.forEach(s => console.log(`   💡 Consider also: ${s.name} (${s.localRecords} local records vs ${localRecordCount(occurrences)})`));
       }
     } else {
       console.log(`   ⚠️ Could not geocode location: "${location}"`);
@@ -284,11 +657,7 @@ function formatGBIFResult(gbifResult, location = null) {
   
   // Location verification
   if (location && gbifResult.occurrences) {
-    if (gbifResult.locationVerified) {
-      text += `• 📍 Location: ✅ ${gbifResult.occurrences.count.toLocaleString()} records near ${location}\n`;
-    } else {
-      text += `• 📍 Location: ⚠️ No records near ${location}\n`;
-    }
+    text += `• 📍 ${location}: ${describeOccurrenceCheck(gbifResult.occurrences)}\n`;
   }
   
   // Subspecies list
@@ -314,6 +683,11 @@ module.exports = {
   getSpeciesInfo,
   getSubspecies,
   checkOccurrencesAtLocation,
+  describeOccurrenceCheck,
+  findSpeciesByCommonName,
+  parseSimilarSpecies,
+  rankByLocation,
+  describeConsiderAlso,
   verifyWithGBIF,
   formatGBIFResult,
   geocodeLocation
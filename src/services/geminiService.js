@@ -1,12 +1,11 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch: undiciFetch } = require('undici');
+const { getModelChain } = require('./providers');
+const { parseIdentificationResponse, buildRepairPrompt } = require('./identificationSchema');
+const { describeCamera } = require('./exifService');
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Model chain - 2.5 Pro for maximum accuracy
-const MODELS = [
-  { name: 'gemini-2.5-pro', displayName: 'Gemini 2.5 Pro' },  // Most accurate
-  { name: 'gemini-2.0-flash', displayName: 'Gemini 2.0 Flash' },  // Reliable backup
-];
+// Model chain comes from the provider registry (VISION_PROVIDERS) - Gemini 2.5 Pro → 2.0 Flash by default
 
 // Generation config - optimized for accuracy
 const GENERATION_CONFIG = {
@@ -16,43 +15,21 @@ const GENERATION_CONFIG = {
   maxOutputTokens: 4096   // Enough for response
 };
 
-const PROMPT = `You are an expert wildlife biologist, ornithologist, and taxonomist with decades of field experience. 
-
-FIRST, ASSESS IMAGE QUALITY:
-Before attempting identification, evaluate if the image is suitable:
-1. Is the resolution sufficient to see identifying features clearly?
-2. Is the animal significantly obstructed (by foliage, objects, blur)?
-3. Is the animal too distant to identify reliably?
-4. Is the image too dark, overexposed, or blurry?
+// Multi-animal responses repeat the full identification object per subject
+const MULTI_GENERATION_CONFIG = { ...GENERATION_CONFIG, maxOutputTokens: 8192 };
 
-If the image quality is insufficient, return:
-{
-  "identified": false,
-  "reason": "low_resolution" | "obstructed" | "too_distant" | "poor_quality" | "no_animal",
-  "qualityIssue": "Specific description of what's wrong (e.g., 'Image resolution too low to see plumage details', 'Animal partially hidden behind branches', 'Subject is too far away to distinguish field marks')",
-  "suggestion": "Helpful tip (e.g., 'Please upload a higher resolution image', 'Try a photo with clearer view of the animal')"
-}
-
-IF IMAGE QUALITY IS ACCEPTABLE, ANALYZE CAREFULLY:
-Look at:
-1. Body shape, size proportions, and posture
-2. Bill/beak shape, size, and color
-3. Leg length, color, and structure
-4. Wing pattern, length, and shape
-5. Tail shape and length
-6. Plumage/fur colors, patterns, and markings
-7. Eye color, size, and ring patterns
-8. Any distinctive field marks
+// Upper bound on subjects returned in multi-animal mode
+const MAX_SUBJECTS = 6;
 
-CRITICAL ACCURACY RULES:
+// Shared by the photo and sound prompts
+const ACCURACY_RULES = `CRITICAL ACCURACY RULES:
 - Only identify to the taxonomic level you are 90%+ CONFIDENT about
 - If you can confidently identify the species but NOT the subspecies, leave subspecies as null
 - If you can only confidently identify the genus, use "Genus sp." format
 - Do NOT guess - accuracy is more important than specificity
-- Consider similar species that could be confused - rule them out explicitly
+- Consider similar species that could be confused - rule them out explicitly`;
 
-Return JSON only:
-{
+const IDENTIFICATION_JSON = `{
   "identified": true,
   "identificationLevel": "subspecies/species/genus/family",
   "confidence": 0.95,
@@ -76,11 +53,12 @@ Return JSON only:
     "subspecies": 0.60
   },
   "similarSpeciesRuledOut": [
-    "Species Name 1 - reason why ruled out (e.g., different bill shape, lacks eye ring)",
-    "Species Name 2 - reason why ruled out",
-    "Species Name 3 - reason why ruled out"
+    "Common Name 1 (Scientific name) - reason why ruled out (e.g., different bill shape, lacks eye ring)",
+    "Common Name 2 (Scientific name) - reason why ruled out",
+    "Common Name 3 (Scientific name) - reason why ruled out"
   ],
   "identificationReasoning": "Explain what features you could see clearly and why you stopped at this taxonomic level",
+  "boundingBox": {"x": 0.12, "y": 0.30, "width": 0.25, "height": 0.40},
   "sex": "Male/Female/Unknown - only if clearly visible indicators",
   "lifeStage": "Adult/Juvenile/Immature/Unknown",
   "morph": "color morph/phase if clearly applicable (melanistic, leucistic, erythristic, etc.) or null",
@@ -91,30 +69,202 @@ Return JSON only:
     "global": "Global IUCN Red List status: LC (Least Concern) / NT (Near Threatened) / VU (Vulnerable) / EN (Endangered) / CR (Critically Endangered) / EW (Extinct in Wild) / EX (Extinct) / DD (Data Deficient) / NE (Not Evaluated)",
     "local": "Local/national conservation status for the location context if known (e.g., 'Nationally Endangered', 'Protected', 'Locally Threatened'), or null if same as global or unknown"
   }
-}
+}`;
 
-IMPORTANT for similarSpeciesRuledOut:
+const SIMILAR_SPECIES_RULES = `IMPORTANT for similarSpeciesRuledOut:
 - List 3-5 species that could be confused with this identification
 - For each, explain the key distinguishing feature that ruled it out
-- Use common names that users would recognize
-- Focus on species found in similar geographic regions
+- Use common names that users would recognize, followed by the scientific name in brackets
+- Focus on species found in similar geographic regions`;
+
+const PROMPT = `You are an expert wildlife biologist, ornithologist, and taxonomist with decades of field experience. 
+
+FIRST, ASSESS IMAGE QUALITY:
+Before attempting identification, evaluate if the image is suitable:
+1. Is the resolution sufficient to see identifying features clearly?
+2. Is the animal significantly obstructed (by foliage, objects, blur)?
+3. Is the animal too distant to identify reliably?
+4. Is the image too dark, overexposed, or blurry?
+
+If the image quality is insufficient, return:
+{
+  "identified": false,
+  "reason": "low_resolution" | "obstructed" | "too_distant" | "poor_quality" | "no_animal",
+  "qualityIssue": "Specific description of what's wrong (e.g., 'Image resolution too low to see plumage details', 'Animal partially hidden behind branches', 'Subject is too far away to distinguish field marks')",
+  "suggestion": "Helpful tip (e.g., 'Please upload a higher resolution image', 'Try a photo with clearer view of the animal')"
+}
+
+IF IMAGE QUALITY IS ACCEPTABLE, ANALYZE CAREFULLY:
+Look at:
+1. Body shape, size proportions, and posture
+2. Bill/beak shape, size, and color
+3. Leg length, color, and structure
+4. Wing pattern, length, and shape
+5. Tail shape and length
+6. Plumage/fur colors, patterns, and markings
+7. Eye color, size, and ring patterns
+8. Any distinctive field marks
+
+${ACCURACY_RULES}
+
+Return JSON only:
+${IDENTIFICATION_JSON}
+
+IMPORTANT for boundingBox:
+- The box around the animal you identified, as fractions of the image width/height (0-1)
+- x/y is the top-left corner; make it tight around the whole animal
+
+${SIMILAR_SPECIES_RULES}
 
 If no animal: {"identified": false, "reason": "no_animal", "qualityIssue": "No animal detected in the image", "suggestion": "Please send a photo containing an animal"}`;
 
+const MULTI_SUBJECT_PROMPT = `
+
+🐾 MULTI-ANIMAL MODE:
+Identify EVERY distinct animal visible in the image (up to ${MAX_SUBJECTS}), not only the most prominent one.
+- Apply all the accuracy rules above to each animal separately - each gets its own taxonomy and confidence
+- Skip animals that are too small, blurred or hidden to identify, rather than guessing
+- Keep similarSpeciesRuledOut to the 2-3 most relevant species per animal
+- Order subjects from left to right as they appear in the image
+- Give each subject its own boundingBox around that animal only
+
+Return JSON only:
+{
+  "identified": true,
+  "subjects": [
+    {
+      ...every field of the identification object above ("identificationLevel", "confidence", "commonName", "scientificName", "taxonomy", "boundingBox", etc.)
+    }
+  ]
+}
+
+If no animal can be identified, return the same "identified": false object as above.`;
+
+/**
+ * Same-animal instructions for several shots of one individual
+ * @param {number} photoCount
+ * @returns {string}
+ */
+function buildSameAnimalPrompt(photoCount) {
+  return `
+
+📸 SAME-ANIMAL MODE:
+You are given ${photoCount} photos (Photo 1 to Photo ${photoCount}, in the order attached) of the SAME individual animal,
+taken from different angles or moments.
+- Combine the evidence from all photos into ONE identification - a field mark seen in any photo counts
+- Judge image quality across the set: only return "identified": false if no photo, alone or combined with the others, is good enough
+- In identificationReasoning, name the photo for every field mark you rely on (e.g. "Photo 2 shows the yellow eye-ring")
+- If the photos clearly show different species, identify the animal in Photo 1 and say so in identificationReasoning
+
+Add these fields to the identification object:
+  "evidence": [{"photo": 1, "fieldMarks": "field marks visible in this photo that support the identification"}],
+  "bestPhoto": 1
+bestPhoto is the photo that shows the animal most clearly; boundingBox refers to that photo.`;
+}
+
+const SOUND_PROMPT = `You are an expert in bioacoustics and a field ornithologist and herpetologist with decades of experience identifying birds, frogs and other animals by their calls.
+
+You are given a SPECTROGRAM (sonogram) of a recording: time runs left to right in seconds, frequency bottom to top in kHz (read both from the axis labels), and darker means louder.
+
+FIRST, ASSESS THE RECORDING:
+1. Is there an animal sound at all, not only speech, music, traffic, wind or handling noise?
+2. Does the call stand out clearly enough from the background noise?
+3. Can one caller be followed, or do several animals call over each other?
+
+If the recording is unsuitable, return:
+{
+  "identified": false,
+  "reason": "no_animal" | "too_distant" | "obstructed" | "poor_quality",
+  "qualityIssue": "Specific description of what's wrong (e.g., 'Only speech and traffic noise, no animal call', 'The call is too faint above the wind noise', 'Several species calling over each other')",
+  "suggestion": "Helpful tip (e.g., 'Record closer to the caller and keep the phone still', 'Record a few seconds when the animal calls on its own')"
+}
+Use "too_distant" for a faint call and "obstructed" for a call drowned out by noise or other callers.
+
+IF A CALL CAN BE MADE OUT, ANALYZE CAREFULLY:
+1. Frequency range and dominant pitch
+2. Note shape: pure whistles, slurs, trills, buzzes, clicks, croaks, harmonic stacks
+3. Note length, repetition rate and the pauses between notes and phrases
+4. Phrase structure: rising, falling, accelerating, repeated or varied
+5. Song or call; for frogs, advertisement call or chorus
+Most recordings are of birds and frogs, but insects (cicadas, crickets, katydids) and mammals call too - do not force a bird or frog identification.
+If several species call, identify the most prominent caller and name the others in identificationReasoning.
+
+${ACCURACY_RULES}
+- Calls of related species can be near identical - stop at genus or family when the call does not separate them
+
+Return JSON only:
+${IDENTIFICATION_JSON}
+
+IMPORTANT for a recording:
+- "description" and "identificationReasoning" describe the call (pitch, note shape, rhythm) - not the animal's appearance
+- "sex" and "lifeStage" are "Unknown" unless the call itself tells (e.g. only males give this song)
+- "boundingBox" marks the identified call on the spectrogram image: x/width along the time axis, y/height along the
+  frequency axis, as fractions of the whole image width/height
+
+${SIMILAR_SPECIES_RULES}
+- Rule them out by their calls
+
+If no animal call: {"identified": false, "reason": "no_animal", "qualityIssue": "No animal call in the recording", "suggestion": "Please send a recording of the animal calling"}`;
+
+// Appended for models that take audio (see providers - supportsAudio)
+const SOUND_AUDIO_NOTE = `
+
+🔊 The recording itself is attached as audio after the spectrogram - listen to it too. Both show the same clip.`;
+
+/**
+ * Identify the animal in one photo, or in several photos of the same individual
+ * @param {Buffer|Buffer[]} imageBuffer - Several buffers are sent in one request (same-animal mode)
+ * @param {string} [mimeType='image/jpeg'] - MIME type of every image
+ * @param {Object} [options] - See identificationPipeline.runIdentificationPipeline
+ * @param {{buffer: Buffer, mimeType: string}} [options.sound] - Identify a call: imageBuffer is its spectrogram, and
+ *   models that take audio also get the recording
+ * @returns {Promise<{success: boolean, data?: Object, model?: string, error?: string}>}
+ */
 async function identifyAnimal(imageBuffer, mimeType = 'image/jpeg', options = {}) {
-  const base64Image = imageBuffer.toString('base64');
+  const images = Array.isArray(imageBuffer) ? imageBuffer : [imageBuffer];
+  const media = images.map(image => ({ mimeType, data: image.toString('base64') }));
+  const sound = options.sound || null;
+  const sameAnimal = images.length > 1 && !sound;
   
   // Add location/country context if provided
-  let prompt = PROMPT;
+  let prompt = sound ? SOUND_PROMPT : PROMPT;
+  
+  // A specific target or several shots of one animal always mean a single subject
+  const multiple = Boolean(options.multiple && !options.identifyTarget && !sameAnimal && !sound);
+  if (multiple) {
+    prompt += MULTI_SUBJECT_PROMPT;
+  }
+  if (sameAnimal) {
+    prompt += buildSameAnimalPrompt(images.length);
+  }
   
   // Add identification target if specified
-  if (options.identifyTarget) {
+  if (options.identifyTarget && !sound) {
     prompt += `\n\n🎯 IDENTIFICATION TARGET:
 The user wants you to specifically identify: "${options.identifyTarget}"
 Focus on this specific subject in the image. If there are multiple animals, identify only the one matching this description.
 If you cannot find what the user described, return: {"identified": false, "reason": "target_not_found", "qualityIssue": "Could not find the specified subject in the image", "suggestion": "Please describe the animal more clearly or send a photo with the subject more visible"}`;
   }
   
+  // Camera and lens from EXIF
+  const camera = describeCamera(options.camera);
+  if (camera) {
+    prompt += `\n\n📷 PHOTO METADATA (supporting information only):
+Camera: ${camera}
+A long focal length usually means a distant subject and a macro lens a small one - use this only as a rough size hint.`;
+  }
+  
+  // Extra observer context (REST API callers)
+  if (options.habitat || options.additionalNotes) {
+    prompt += `\n\n📝 OBSERVER CONTEXT (supporting information only - visual evidence comes first):`;
+    if (options.habitat) {
+      prompt += `\nHabitat: ${options.habitat}`;
+    }
+    if (options.additionalNotes) {
+      prompt += `\nNotes: ${options.additionalNotes}`;
+    }
+  }
+  
   if (options.location || options.country) {
     prompt += `\n\n🌍 GEOGRAPHIC CONTEXT (use to help narrow down identification):`;
     if (options.country) {
@@ -124,11 +274,12 @@ If you cannot find what the user described, return: {"identified": false, "reaso
       prompt += `\nLocation: ${options.location}`;
     }
     
-    // Add current date for migratory bird consideration
-    const currentDate = new Date();
-    const month = currentDate.toLocaleString('en-US', { month: 'long' });
-    const year = currentDate.getFullYear();
-    prompt += `\nCurrent Date: ${month} ${year}`;
+    // Add the date for migratory bird consideration - when the photo was taken, if EXIF has it
+    const observedAt = options.observedAt || new Date();
+    const month = observedAt.toLocaleString('en-US', { month: 'long' });
+    const year = observedAt.getFullYear();
+    const takenLabel = sound ? 'Recorded' : 'Photo Taken';
+    prompt += options.observedAt ? `\n${takenLabel}: ${month} ${year}` : `\nCurrent Date: ${month} ${year}`;
     
     prompt += `\n\n🦅 MIGRATORY BIRDS CONSIDERATION:
 - Consider whether this could be a migratory species passing through or wintering in this location
@@ -143,80 +294,83 @@ If you cannot find what the user described, return: {"identified": false, "reaso
 Use this geographic and temporal information to help identify the species/subspecies, but ONLY if you are confident. Geographic location and season can help narrow down possibilities but should not override visual evidence.`;
   }
 
+  const modelChain = getModelChain();
+  if (modelChain.length === 0) {
+    return { success: false, error: 'No vision model providers are configured' };
+  }
+
   let lastError = null;
 
-  for (const modelInfo of MODELS) {
+  for (const modelInfo of modelChain) {
+    // Calls: the recording goes along with the spectrogram where the model can take audio
+    const withAudio = Boolean(sound && modelInfo.provider.supportsAudio);
+    const modelPrompt = withAudio ? prompt + SOUND_AUDIO_NOTE : prompt;
+    const modelMedia = withAudio ? [...media, { mimeType: sound.mimeType, data: sound.buffer.toString('base64') }] : media;
+    let currentPrompt = modelPrompt;
+    let reasked = false;
+
     // Retry up to 3 times with exponential backoff for quota errors
     for (let attempt = 1; attempt <= 3; attempt++) {
+      let timeoutId;
       try {
         console.log(`🔄 Trying ${modelInfo.displayName} (attempt ${attempt}/3)...`);
-        
-        const model = genAI.getGenerativeModel({ 
-          model: modelInfo.name,
-          generationConfig: GENERATION_CONFIG
-        });
 
       // Add 60 second timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout after 60s')), 60000)
-      );
-
-      const result = await Promise.race([
-        model.generateContent([
-          prompt,
-          {
-            inlineData: {
-              mimeType: mimeType,
-              data: base64Image
-            }
-          }
-        ]),
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Timeout after 60s')), 60000);
+      });
+
+      const text = await Promise.race([
+        modelInfo.provider.generate({
+          model: modelInfo.model,
+          prompt: currentPrompt,
+          media: modelMedia,
+          generationConfig: multiple ? MULTI_GENERATION_CONFIG : GENERATION_CONFIG
+        }),
         timeoutPromise
       ]);
-
-      const response = await result.response;
-      const text = response.text();
+      clearTimeout(timeoutId);
 
       console.log(`✅ ${modelInfo.displayName} responded`);
       console.log(`   Raw response (first 500 chars):`, text.substring(0, 500));
 
-      // Try to extract JSON - handle markdown code blocks
-      let jsonText = text;
-      
-      // Remove markdown code blocks if present
-      if (jsonText.includes('```json')) {
-        jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      } else if (jsonText.includes('```')) {
-        jsonText = jsonText.replace(/```\n?/g, '');
+      // Extract JSON (handles markdown fences, truncation), coerce types and validate
+      const parsed = parseIdentificationResponse(text, { multiple, photoCount: images.length });
+      if (parsed.warnings.length > 0) {
+        console.log(`   ⚠️ Schema warnings: ${parsed.warnings.join('; ')}`);
       }
-      
-      // Find JSON object
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const data = JSON.parse(jsonMatch[0]);
-          
-          return {
-            success: true,
-            data: data,
-            model: modelInfo.displayName
-          };
-        } catch (parseErr) {
-          console.log(`   JSON parse error:`, parseErr.message);
-          throw new Error('Failed to parse JSON: ' + parseErr.message);
-        }
+
+      if (!parsed.valid) {
+        console.log(`   ❌ Schema errors: ${parsed.errors.join('; ')}`);
+        const schemaError = new Error(`Invalid response: ${parsed.errors.join('; ')}`);
+        schemaError.validationErrors = parsed.errors;
+        throw schemaError;
       }
 
-      throw new Error('No valid JSON in response');
+      return {
+        success: true,
+        data: parsed.data,
+        model: modelInfo.displayName
+      };
 
     } catch (error) {
+      clearTimeout(timeoutId);
       console.log(`❌ ${modelInfo.displayName} failed: ${error.message}`);
       
+      // Unusable JSON - re-ask the same model once with the validation errors
+      if (error.validationErrors && !reasked && attempt < 3) {
+        reasked = true;
+        currentPrompt = buildRepairPrompt(modelPrompt, error.validationErrors);
+        console.log(`🔁 Re-asking ${modelInfo.displayName} for a valid response...`);
+        continue;
+      }
+      
       // Check for quota/rate limit errors
-      const isQuotaError = error.message?.toLowerCase().includes('quota') ||
+      const isQuotaError = !error.validationErrors && (error.status === 429 ||
+                          error.message?.toLowerCase().includes('quota') ||
                           error.message?.toLowerCase().includes('rate') ||
                           error.message?.toLowerCase().includes('429') ||
-                          error.message?.toLowerCase().includes('resource exhausted');
+                          error.message?.toLowerCase().includes('resource exhausted'));
       
       if (isQuotaError && attempt < 3) {
         const waitTime = attempt * 20000; // 20s, 40s, 60s
@@ -225,8 +379,8 @@ Use this geographic and temporal information to help identify the species/subspe
         continue; // Retry same model
       }
       
-      if (error.response) {
-        console.log(`   Response status:`, error.response.status);
+      if (error.response || error.status) {
+        console.log(`   Response status:`, error.response?.status || error.status);
       }
       lastError = error;
       break; // Move to next model
@@ -243,4 +397,191 @@ Use this geographic and temporal information to help identify the species/subspe
   };
 }
 
-module.exports = { identifyAnimal };
+// Remote images larger than this are rejected before being sent to the model
+const MAX_REMOTE_IMAGE_BYTES = 20 * 1024 * 1024; // 20MB
+
+// Whole download (every redirect and the body) must finish within this
+const REMOTE_IMAGE_TIMEOUT_MS = 30000;
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 5;
+
+// Addresses a URL must not lead to: loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether an IP address is not on the public internet
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1 or ::ffff:7f00:1) is checked as the IPv4 address
+  const mapped = address.toLowerCase().match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+      .flatMap(group => { const value = parseInt(group, 16); return [value >> 8, value & 0xff]; })
+      .join('.');
+    return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+  }
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup for image downloads that fails on private addresses
+ * The check runs on the address the connection is actually made to, so a host can't pass
+ * checkRemoteUrl with a public address and then resolve to a private one (DNS rebinding).
+ * @param {string} hostname
+ * @param {Object} options - net lookup options (all, family, ...)
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+// Connections for remote images only ever go to addresses publicLookup allowed
+const remoteImageAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * Fails early with a clear message; remoteImageAgent enforces the same rule on the connection itself
+ * (IP literals never reach a lookup, so this is the only check for them).
+ * @param {URL} url
+ * @returns {Promise<string|null>} Error message, or null if the URL may be fetched
+ */
+async function checkRemoteUrl(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'Only http(s) image URLs are supported';
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'Image URL must point to a public address';
+  }
+  return null;
+}
+
+/**
+ * Read a response body, stopping as soon as it grows past the byte cap
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer|null>} null if the body is too large
+ */
+async function readBodyWithLimit(response, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > maxBytes) return null;
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Download an image from a URL (size and content-type checked)
+ * Every hop of a redirect is checked against private, loopback and link-local addresses, and the
+ * timeout covers the body as well as the headers.
+ * @param {string} imageUrl - Publicly reachable http(s) image URL
+ * @returns {Promise<{success: boolean, buffer?: Buffer, mimeType?: string, error?: string}>}
+ */
+async function fetchImageFromUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (e) {
+    return { success: false, error: 'Invalid image URL' };
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REMOTE_IMAGE_TIMEOUT_MS);
+  try {
+    console.log(`📥 Downloading image from ${url.href}...`);
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      const urlError = await checkRemoteUrl(url);
+      if (urlError) {
+        return { success: false, error: urlError };
+      }
+
+      response = await undiciFetch(url.href, {
+        dispatcher: remoteImageAgent,
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: { 'User-Agent': 'WildlifeIDBot/1.0' }
+      });
+
+      const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+      if (!location) break;
+      if (redirects >= MAX_REDIRECTS) {
+        return { success: false, error: 'Too many redirects' };
+      }
+      response.body?.cancel().catch(() => {});
+      url = new URL(location, url);
+    }
+
+    if (!response.ok) {
+      return { success: false, error: `Could not download image (HTTP ${response.status})` };
+    }
+
+    const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!mimeType.startsWith('image/')) {
+      return { success: false, error: `URL does not point to an image (content-type: ${mimeType || 'unknown'})` };
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredLength > MAX_REMOTE_IMAGE_BYTES) {
+      return { success: false, error: 'Image is too large (max 20MB)' };
+    }
+
+    const buffer = await readBodyWithLimit(response, MAX_REMOTE_IMAGE_BYTES);
+    if (!buffer) {
+      return { success: false, error: 'Image is too large (max 20MB)' };
+    }
+
+    console.log(`   ✅ Downloaded ${buffer.length} bytes (${mimeType})`);
+    return { success: true, buffer, mimeType };
+  } catch (error) {
+    console.error('Image download error:', error.message);
+    if (error.cause?.code === 'EPRIVATEADDRESS') {
+      return { success: false, error: 'Image URL must point to a public address' };
+    }
+    return {
+      success: false,
+      error: error.name === 'AbortError' ? 'Timed out downloading image' : `Could not download image: ${error.message}`
+    };
+  } finally {
+    // Also stops a body still streaming when the download was rejected
+    clearTimeout(timeout);
+    controller.abort();
+  }
+}
+
+module.exports = { identifyAnimal, fetchImageFromUrl };
@@ -0,0 +1,179 @@
+// Gazetteer Geocoder - Offline lookups in bundled place lists (data/gazetteer/*.json)
+//
+// Each file: {"type": "country"|"region"|"place", "entries": [{name, aliases, lat, lng, extentKm, code|region}]}
+//   country - code is ISO 3166-1 ("SG")
+//   region  - code is ISO 3166-2 / eBird subnational1 ("MY-01", "US-CA")
+//   place   - region is the code of the country or region it is in
+// Only exact (normalized) names and aliases match, no fuzzy search.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizePlaceName, haversineKm } = require('./geo');
+
+const GAZETTEER_DIR = path.join(__dirname, '..', '..', '..', 'data', 'gazetteer');
+const CODE_FILES = [path.join(GAZETTEER_DIR, 'countries.json'), path.join(GAZETTEER_DIR, 'regions.json')];
+
+// Ranking when several entries share a name ("Georgia"); aliases rank slightly below the name itself
+const TYPE_IMPORTANCE = { place: 0.85, country: 0.9, region: 0.8 };
+const ALIAS_PENALTY = 0.05;
+
+/**
+ * Read a gazetteer file
+ * @param {string} file
+ * @returns {{type: string, entries: Array<Object>}|null} null if missing or unreadable
+ */
+function readGazetteer(file) {
+  try {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`⚠️ Could not load gazetteer ${path.basename(file)}:`, error.message);
+    return null;
+  }
+}
+
+/** @type {Map<string, Object>|null} country/region code → entry, for display names and context */
+let codeIndex = null;
+
+/**
+ * Countries and regions by code, from the bundled files (shared by all gazetteer geocoders)
+ * @returns {Map<string, Object>}
+ */
+function getCodeIndex() {
+  if (codeIndex) return codeIndex;
+  codeIndex = new Map();
+  for (const file of CODE_FILES) {
+    (readGazetteer(file)?.entries || []).forEach(entry => codeIndex.set(entry.code, entry));
+  }
+  return codeIndex;
+}
+
+/**
+ * Create a gazetteer geocoder over one or more files
+ * Missing files are skipped (e.g. an unset custom aliases file).
+ * @param {Object} options
+ * @param {string} options.name - Geocoder name used in GEOCODERS
+ * @param {string[]} options.files - Gazetteer JSON files
+ * @returns {import('./index').Geocoder}
+ */
+function createGazetteerGeocoder(options) {
+  /** @type {Map<string, Array<{entry: Object, type: string, alias: boolean}>>|null} */
+  let index = null;
+  const byCode = getCodeIndex();
+
+  function load() {
+    if (index) return index;
+    index = new Map();
+    const add = (key, item) => {
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(item);
+    };
+
+    for (const file of options.files.filter(Boolean)) {
+      const data = readGazetteer(file);
+      if (!data) continue;
+      const type = data.type || 'place';
+      for (const entry of data.entries || []) {
+        add(normalizePlaceName(entry.name), { entry, type, alias: false });
+        (entry.aliases || []).forEach(alias => add(normalizePlaceName(alias), { entry, type, alias: true }));
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Country and region codes for an entry, most specific first
+   * @param {Object} entry
+   * @param {string} type
+   * @returns {string[]}
+   */
+  function regionCodesFor(entry, type) {
+    const code = type === 'place' ? entry.region : entry.code;
+    if (!code) return [];
+    const countryCode = code.split('-')[0];
+    return code === countryCode ? [code] : [code, countryCode];
+  }
+
+  /**
+   * "MacRitchie Reservoir, Singapore" / "Johor, Malaysia"
+   * @param {Object} entry
+   * @param {string[]} regionCodes
+   * @returns {string}
+   */
+  function displayNameFor(entry, regionCodes) {
+    const parents = regionCodes
+      .filter(code => code !== entry.code)
+      .map(code => byCode.get(code)?.name || code);
+    return [entry.name, ...parents].join(', ');
+  }
+
+  function toCandidate({ entry, type, alias }) {
+    const regionCodes = regionCodesFor(entry, type);
+    return {
+      lat: entry.lat,
+      lng: entry.lng,
+      displayName: displayNameFor(entry, regionCodes),
+      countryCode: regionCodes.length > 0 ? regionCodes[regionCodes.length - 1] : null,
+      regionCodes,
+      extentKm: entry.extentKm || null,
+      importance: (TYPE_IMPORTANCE[type] || 0.5) - (alias ? ALIAS_PENALTY : 0),
+      source: options.name
+    };
+  }
+
+  /**
+   * Exact matches for the whole query; otherwise for its most specific part, with the other
+   * parts used to pick between same-named entries ("Victoria, Australia")
+   */
+  function lookup(query) {
+    const entries = load();
+    const whole = entries.get(normalizePlaceName(query));
+    if (whole) return whole;
+
+    const parts = query.split(',').map(normalizePlaceName).filter(Boolean);
+    if (parts.length < 2) return [];
+
+    const matches = entries.get(parts[0]) || [];
+    const context = new Set(parts.slice(1));
+    const inContext = matches.filter(({ entry, type }) => regionCodesFor(entry, type).some(code => {
+      const parent = byCode.get(code);
+      return context.has(normalizePlaceName(code)) ||
+        (parent && [parent.name, ...(parent.aliases || [])].some(name => context.has(normalizePlaceName(name))));
+    }));
+    return inContext.length > 0 ? inContext : matches;
+  }
+
+  return {
+    name: options.name,
+    cacheable: false,
+    isConfigured: () => true,
+
+    async search(query, { limit = 5 } = {}) {
+      const seen = new Set();
+      return lookup(query)
+        .filter(({ entry }) => !seen.has(entry) && seen.add(entry))
+        .map(toCandidate)
+        .sort((a, b) => b.importance - a.importance)
+        .slice(0, limit);
+    },
+
+    // Smallest entry whose extent (treated as a circle) covers the point - rough near borders
+    async reverse(lat, lng) {
+      let best = null;
+      for (const items of load().values()) {
+        for (const item of items) {
+          if (item.alias || !item.entry.extentKm) continue;
+          if (best && item.entry.extentKm >= best.entry.extentKm) continue;
+          if (haversineKm(lat, lng, item.entry.lat, item.entry.lng) <= item.entry.extentKm) best = item;
+        }
+      }
+      return best ? toCandidate(best) : null;
+    }
+  };
+}
+
+module.exports = {
+  createGazetteerGeocoder,
+  GAZETTEER_DIR
+};
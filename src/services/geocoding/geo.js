@@ -0,0 +1,56 @@
+// Small geo helpers shared by the geocoders
+
+// "1.3521, 103.8198" - the format used for EXIF GPS and shared locations
+const COORDINATE_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+
+/**
+ * Great-circle distance
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number} Kilometres
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Parse "lat, lng"
+ * @param {string} text
+ * @returns {{lat: number, lng: number}|null}
+ */
+function parseCoordinates(text) {
+  const match = (text || '').match(COORDINATE_PATTERN);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Normalize a place name for lookups: lowercase, no diacritics or punctuation
+ * "Bishan-Ang Mo Kio Park" → "bishan ang mo kio park"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePlaceName(name) {
+  return (name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  COORDINATE_PATTERN,
+  haversineKm,
+  parseCoordinates,
+  normalizePlaceName
+};
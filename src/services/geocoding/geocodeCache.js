@@ -0,0 +1,105 @@
+// Geocode Cache - On-disk cache of geocoder answers, so repeated place names don't hit Nominatim
+// Entries expire after GEOCODE_CACHE_DAYS; "not found" answers are cached too (for a day).
+
+const fs = require('fs');
+const path = require('path');
+
+// Use /home on Azure for persistence across deployments, fallback to local for dev
+const CACHE_FILE = process.env.GEOCODE_CACHE_FILE || (process.env.WEBSITE_SITE_NAME
+  ? '/home/geocode-cache.json'  // Azure App Service persistent storage
+  : path.join(__dirname, '..', '..', '..', 'geocode-cache.json'));  // Local development
+
+const TTL = (parseFloat(process.env.GEOCODE_CACHE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const EMPTY_TTL = 24 * 60 * 60 * 1000; // 1 day
+const MAX_ENTRIES = 5000;
+const SAVE_DELAY = 2000; // Batch writes
+
+class GeocodeCache {
+  /**
+   * @param {string} filePath - JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    /** @type {Map<string, {candidates: Array<Object>, cachedAt: number}>|null} loaded lazily */
+    this.entries = null;
+    this._saveTimer = null;
+  }
+
+  _load() {
+    if (this.entries) return;
+    this.entries = new Map();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const [key, entry] of Object.entries(data.entries || {})) {
+          this.entries.set(key, entry);
+        }
+        console.log(`🗺️ Loaded ${this.entries.size} cached geocodes`);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not load geocode cache:', error.message);
+    }
+  }
+
+  _scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      try {
+        const data = { entries: Object.fromEntries(this.entries) };
+        fs.writeFileSync(this.filePath, JSON.stringify(data));
+      } catch (error) {
+        console.error('⚠️ Could not save geocode cache:', error.message);
+      }
+    }, SAVE_DELAY);
+    this._saveTimer.unref?.();
+  }
+
+  /**
+   * @param {string} key - Normalized query, prefixed with the geocoder name
+   * @returns {Array<Object>|null} Cached candidates (possibly empty), or null on a miss
+   */
+  get(key) {
+    this._load();
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    const ttl = entry.candidates.length > 0 ? TTL : EMPTY_TTL;
+    if (Date.now() - entry.cachedAt > ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.candidates;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Array<Object>} candidates
+   */
+  set(key, candidates) {
+    this._load();
+    // Re-insert so Map order stays oldest first
+    this.entries.delete(key);
+    this.entries.set(key, { candidates, cachedAt: Date.now() });
+    while (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this._scheduleSave();
+  }
+
+  /**
+   * @returns {{entries: number, file: string}}
+   */
+  status() {
+    this._load();
+    return { entries: this.entries.size, file: this.filePath };
+  }
+}
+
+const geocodeCache = new GeocodeCache(CACHE_FILE);
+
+module.exports = {
+  GeocodeCache,
+  geocodeCache,
+  CACHE_FILE
+};
@@ -0,0 +1,232 @@
+// Geocoder Registry - Turns a typed place name into coordinates and eBird region codes
+//
+// Configure with environment variables:
+//   GEOCODERS              Comma-separated geocoder order (default: aliases,nominatim,gazetteer)
+//                          The first geocoder with an answer wins; the rest are fallbacks.
+//     aliases              Local place names the group uses (data/gazetteer/aliases.json + GEOCODER_ALIASES_FILE)
+//     nominatim            OpenStreetMap Nominatim (online, cached, 1 request per second)
+//     gazetteer            Offline countries, admin regions and aliases (data/gazetteer/)
+//   GEOCODER_ALIASES_FILE  Extra aliases, same format as data/gazetteer/aliases.json
+//   NOMINATIM_URL          Default: https://nominatim.openstreetmap.org
+//   NOMINATIM_EMAIL        Contact address sent to Nominatim
+//   GEOCODE_CACHE_FILE     Default: /home/geocode-cache.json on Azure, ./geocode-cache.json locally
+//   GEOCODE_CACHE_DAYS     Default: 30
+
+const path = require('path');
+const { createNominatimGeocoder } = require('./nominatimGeocoder');
+const { createGazetteerGeocoder, GAZETTEER_DIR } = require('./gazetteerGeocoder');
+const { geocodeCache } = require('./geocodeCache');
+const { haversineKm, parseCoordinates, normalizePlaceName } = require('./geo');
+
+/**
+ * @typedef {Object} GeocodeCandidate
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string} displayName
+ * @property {string|null} countryCode - ISO 3166-1, e.g. "SG"
+ * @property {string[]} regionCodes - eBird-style region codes, most specific first: ["US-CA", "US"]
+ * @property {number|null} extentKm - Rough radius of the place (half its bounding box diagonal)
+ * @property {number} importance - 0-1, used to rank candidates
+ * @property {string} source - Geocoder that answered
+ */
+
+/**
+ * @typedef {Object} Geocoder
+ * @property {string} name - Geocoder name used in GEOCODERS
+ * @property {boolean} cacheable - Answers are stored in the on-disk cache (network geocoders)
+ * @property {() => boolean} isConfigured
+ * @property {(query: string, options?: {limit?: number}) => Promise<GeocodeCandidate[]>} search
+ *   Throws when the geocoder could not be reached (the next one is tried)
+ * @property {(lat: number, lng: number) => Promise<GeocodeCandidate|null>} [reverse]
+ *   Place at a point, null if the geocoder has none there
+ */
+
+/**
+ * @typedef {Object} GeocodeResult
+ * @property {'found'|'ambiguous'|'not_found'} status
+ * @property {GeocodeCandidate} [location] - Best match (found)
+ * @property {GeocodeCandidate[]} candidates - Distinct matches, best first (several when ambiguous)
+ */
+
+// Candidates closer than this are the same place (Nominatim returns e.g. a park's node and its outline)
+const SAME_PLACE_KM = 25;
+
+// The best candidate wins outright when it is this much more important than the next one
+const AMBIGUITY_MARGIN = 0.15;
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Split a comma-separated env value into a list
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+const ALIAS_FILES = [path.join(GAZETTEER_DIR, 'aliases.json'), process.env.GEOCODER_ALIASES_FILE];
+
+const GEOCODER_FACTORIES = {
+  aliases: () => createGazetteerGeocoder({ name: 'aliases', files: ALIAS_FILES }),
+  nominatim: () => createNominatimGeocoder({
+    baseUrl: process.env.NOMINATIM_URL,
+    email: process.env.NOMINATIM_EMAIL
+  }),
+  gazetteer: () => createGazetteerGeocoder({
+    name: 'gazetteer',
+    files: [path.join(GAZETTEER_DIR, 'countries.json'), path.join(GAZETTEER_DIR, 'regions.json'), ...ALIAS_FILES]
+  })
+};
+
+let cachedChain = null;
+
+/**
+ * Build the ordered geocoder chain from GEOCODERS
+ * @returns {Geocoder[]}
+ */
+function getGeocoderChain() {
+  if (cachedChain) return cachedChain;
+
+  const names = parseList(process.env.GEOCODERS || 'aliases,nominatim,gazetteer');
+  const chain = [];
+  for (const name of names) {
+    const factory = GEOCODER_FACTORIES[name.toLowerCase()];
+    if (!factory) {
+      console.warn(`⚠️ Unknown geocoder "${name}" in GEOCODERS - skipping`);
+      continue;
+    }
+    const geocoder = factory();
+    if (!geocoder.isConfigured()) {
+      console.warn(`⚠️ Geocoder "${name}" is not configured - skipping`);
+      continue;
+    }
+    chain.push(geocoder);
+  }
+
+  console.log(`🗺️ Geocoders: ${chain.map(g => g.name).join(' → ') || 'none'}`);
+  cachedChain = chain;
+  return chain;
+}
+
+/**
+ * Drop candidates that are the same place as a better one
+ * @param {GeocodeCandidate[]} candidates - Best first
+ * @returns {GeocodeCandidate[]}
+ */
+function distinctPlaces(candidates) {
+  const kept = [];
+  for (const candidate of candidates) {
+    const duplicate = kept.some(place => haversineKm(place.lat, place.lng, candidate.lat, candidate.lng) < SAME_PLACE_KM);
+    if (!duplicate) kept.push(candidate);
+  }
+  return kept;
+}
+
+/**
+ * Found if one place clearly stands out, otherwise ambiguous
+ * @param {GeocodeCandidate[]} candidates
+ * @returns {GeocodeResult}
+ */
+function resolveCandidates(candidates) {
+  const places = distinctPlaces([...candidates].sort((a, b) => b.importance - a.importance)).slice(0, MAX_CANDIDATES);
+  if (places.length === 0) return { status: 'not_found', candidates: [] };
+
+  const [best, second] = places;
+  if (!second || best.importance - second.importance >= AMBIGUITY_MARGIN) {
+    return { status: 'found', location: best, candidates: places };
+  }
+  return { status: 'ambiguous', candidates: places };
+}
+
+/**
+ * Place at a point (e.g. EXIF GPS): each geocoder with reverse lookups in GEOCODERS order
+ * The returned candidate keeps the given coordinates; only its name and region codes come from the geocoder.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<GeocodeCandidate|null>}
+ */
+async function reverseGeocode(lat, lng) {
+  // ~11 m - finer than that doesn't change the place
+  const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+  for (const geocoder of getGeocoderChain()) {
+    if (!geocoder.reverse) continue;
+
+    const cacheKey = `${geocoder.name}:reverse:${key}`;
+    let cached = geocoder.cacheable ? geocodeCache.get(cacheKey) : null;
+    if (!cached) {
+      try {
+        const place = await geocoder.reverse(lat, lng);
+        cached = place ? [place] : [];
+      } catch (error) {
+        console.error(`⚠️ Geocoder ${geocoder.name} reverse lookup failed for ${key}:`, error.message);
+        continue;
+      }
+      if (geocoder.cacheable) geocodeCache.set(cacheKey, cached);
+    }
+
+    if (cached.length > 0) {
+      return { ...cached[0], lat, lng, extentKm: null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Geocode a place name: each geocoder in GEOCODERS order until one has an answer
+ * Network answers come from the on-disk cache when possible. "lat, lng" text is never ambiguous -
+ * it is reverse geocoded and the given coordinates are kept.
+ * @param {string} query
+ * @returns {Promise<GeocodeResult>}
+ */
+async function geocode(query) {
+  const text = (query || '').trim();
+  if (!text) return { status: 'not_found', candidates: [] };
+
+  const coordinates = parseCoordinates(text);
+  if (coordinates) {
+    const location = await reverseGeocode(coordinates.lat, coordinates.lng) || {
+      ...coordinates, displayName: text, countryCode: null, regionCodes: [], extentKm: null, importance: 1, source: 'coordinates'
+    };
+    return { status: 'found', location, candidates: [location] };
+  }
+
+  const key = normalizePlaceName(text);
+  for (const geocoder of getGeocoderChain()) {
+    const cacheKey = `${geocoder.name}:${key}`;
+    let candidates = geocoder.cacheable ? geocodeCache.get(cacheKey) : null;
+    if (!candidates) {
+      try {
+        candidates = await geocoder.search(text, { limit: MAX_CANDIDATES });
+      } catch (error) {
+        console.error(`⚠️ Geocoder ${geocoder.name} failed for "${text}":`, error.message);
+        continue;
+      }
+      if (geocoder.cacheable) geocodeCache.set(cacheKey, candidates);
+    }
+
+    if (candidates.length === 0) continue;
+    return resolveCandidates(candidates);
+  }
+  return { status: 'not_found', candidates: [] };
+}
+
+/**
+ * Best match for a place name, or null (ambiguous names take the top candidate)
+ * @param {string} query
+ * @returns {Promise<GeocodeCandidate|null>}
+ */
+async function geocodeLocation(query) {
+  const result = await geocode(query);
+  return result.location || result.candidates[0] || null;
+}
+
+module.exports = {
+  geocode,
+  geocodeLocation,
+  reverseGeocode,
+  getGeocoderChain,
+  resolveCandidates,
+  geocodeCache
+};
@@ -0,0 +1,140 @@
+// Nominatim Geocoder - OpenStreetMap search (free, max 1 request per second)
+// https://operations.osmfoundation.org/policies/nominatim/
+
+const { haversineKm } = require('./geo');
+
+const MIN_REQUEST_INTERVAL = 1100; // Usage policy: at most 1 request per second
+const REQUEST_TIMEOUT = 5000; // A stalled request would hold up the whole queue
+
+/**
+ * Create a Nominatim geocoder
+ * Requests are queued so concurrent identifications stay under the rate limit.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://nominatim.openstreetmap.org']
+ * @param {string} [options.userAgent='WildlifeIDBot/1.0'] - Required by the usage policy
+ * @param {string} [options.email] - Contact address sent with each request (recommended for heavy use)
+ * @returns {import('./index').Geocoder}
+ */
+function createNominatimGeocoder(options = {}) {
+  const baseUrl = (options.baseUrl || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+  const userAgent = options.userAgent || 'WildlifeIDBot/1.0';
+
+  let queue = Promise.resolve();
+  let lastRequestAt = 0;
+
+  /**
+   * Run fn after the previous request, at least MIN_REQUEST_INTERVAL after it
+   * @param {() => Promise<any>} fn
+   * @returns {Promise<any>}
+   */
+  function schedule(fn) {
+    const run = queue.then(async () => {
+      const wait = lastRequestAt + MIN_REQUEST_INTERVAL - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      lastRequestAt = Date.now();
+      return fn();
+    });
+    // Keep the queue going after a failed request
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Half the diagonal of Nominatim's bounding box ([south, north, west, east])
+   * @param {string[]} boundingBox
+   * @returns {number|null}
+   */
+  function extentFromBoundingBox(boundingBox) {
+    if (!Array.isArray(boundingBox) || boundingBox.length !== 4) return null;
+    const [south, north, west, east] = boundingBox.map(parseFloat);
+    if ([south, north, west, east].some(Number.isNaN)) return null;
+    return Math.round(haversineKm(south, west, north, east) / 2 * 10) / 10;
+  }
+
+  /**
+   * Short place name from the address parts: "MacRitchie Reservoir, Singapore", "Paris, Ile-de-France, France"
+   * (display_name lists every admin level and postcode)
+   * @param {Object} place - Nominatim result
+   * @returns {string}
+   */
+  function placeName(place) {
+    const address = place.address || {};
+    const locality = address.city || address.town || address.village || address.suburb || address.municipality || address.county;
+    const parts = [];
+    for (const part of [place.name, locality, address.state, address.country]) {
+      if (part && !parts.some(p => p.toLowerCase() === part.toLowerCase())) parts.push(part);
+    }
+    return parts.length > 0 ? parts.join(', ') : place.display_name;
+  }
+
+  /**
+   * @param {Object} place - Nominatim search or reverse result
+   * @returns {import('./index').GeocodeCandidate}
+   */
+  function toCandidate(place) {
+    const address = place.address || {};
+    const countryCode = address.country_code ? address.country_code.toUpperCase() : null;
+    // eBird subnational1 codes follow ISO 3166-2
+    const subnationalCode = address['ISO3166-2-lvl4'] || null;
+    return {
+      lat: parseFloat(place.lat),
+      lng: parseFloat(place.lon),
+      displayName: placeName(place),
+      countryCode,
+      regionCodes: [subnationalCode, countryCode].filter(Boolean),
+      extentKm: extentFromBoundingBox(place.boundingbox),
+      importance: typeof place.importance === 'number' ? place.importance : 0,
+      source: 'nominatim'
+    };
+  }
+
+  /**
+   * Rate-limited GET returning JSON
+   * Throws on an error status or after REQUEST_TIMEOUT, so geocode() falls through to the next geocoder.
+   * @param {string} endpoint - "search" or "reverse"
+   * @param {URLSearchParams} params
+   * @returns {Promise<any>}
+   */
+  function request(endpoint, params) {
+    params.set('format', 'json');
+    params.set('addressdetails', '1');
+    if (options.email) params.set('email', options.email);
+
+    return schedule(async () => {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+      try {
+        const response = await fetch(`${baseUrl}/${endpoint}?${params}`, { headers: { 'User-Agent': userAgent }, signal: controller.signal });
+        if (!response.ok) throw new Error(`Nominatim returned ${response.status}`);
+        return await response.json();
+      } catch (error) {
+        if (controller.signal.aborted) throw new Error(`Nominatim timed out after ${REQUEST_TIMEOUT / 1000}s`);
+        throw error;
+      } finally {
+        clearTimeout(timeout);
+      }
+    });
+  }
+
+  return {
+    name: 'nominatim',
+    cacheable: true,
+    isConfigured: () => true,
+
+    async search(query, { limit = 5 } = {}) {
+      const data = await request('search', new URLSearchParams({ q: query, limit: String(limit) }));
+      return (Array.isArray(data) ? data : []).map(toCandidate);
+    },
+
+    async reverse(lat, lng) {
+      // zoom 16 = major streets / parks, precise enough for a sighting
+      const data = await request('reverse', new URLSearchParams({ lat: String(lat), lon: String(lng), zoom: '16' }));
+      if (!data || data.error) return null;
+      return toCandidate(data);
+    }
+  };
+}
+
+module.exports = {
+  createNominatimGeocoder
+};
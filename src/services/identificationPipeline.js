@@ -0,0 +1,257 @@
+// Identification Pipeline - Transport-agnostic Gemini → GBIF → eBird → iNaturalist → links sequence
+// Shared by the Telegram bot and the REST API
+
+const { identifyAnimal } = require('./geminiService');
+const { verifyWithGBIF } = require('./gbifService');
+const { verifyWithEBird, getEBirdSpeciesCode, checkRegionalFrequency } = require('./ebirdService');
+const { getSpeciesPhoto } = require('./inaturalistService');
+const { buildSpeciesLinks } = require('./linkService');
+const { geocode } = require('./geocoding');
+const { parseCoordinates } = require('./geocoding/geo');
+
+/**
+ * @typedef {Object} PipelineResult
+ * @property {boolean} success - false if every model failed (see error)
+ * @property {boolean} identified - true if an animal was identified
+ * @property {string} [model] - Display name of the model that answered
+ * @property {string} [error] - Error message when success is false
+ * @property {string} [reason] - Why nothing was identified (low_resolution, no_animal, ...)
+ * @property {string} [qualityIssue] - Human-readable quality problem
+ * @property {string} [suggestion] - Tip for the user
+ * @property {Object} [data] - Identification data with GBIF/eBird corrected names
+ * @property {{scientificName: string, commonName: string}} [originalName] - Names before correction
+ * @property {boolean} [isBird] - true for class Aves
+ * @property {Object} [gbif] - verifyWithGBIF result
+ * @property {Object} [ebird] - verifyWithEBird result (birds only)
+ * @property {string} [eBirdSpeciesCode] - eBird species code (birds only)
+ * @property {import('./ebirdService').RegionalCheck} [regionalCheck] - eBird frequency for the region and month (birds only)
+ * @property {Object} [referencePhoto] - getSpeciesPhoto result
+ * @property {Array<{name: string, url: string}>} [links] - Validated reference links
+ * @property {boolean} [multiple] - true for multi-animal mode (see subjects)
+ * @property {PipelineResult[]} [subjects] - One verified result per animal (multi-animal mode)
+ */
+
+/**
+ * Correct names with GBIF (synonyms) and eBird (birds), then fetch the reference photo and links
+ * @param {Object} d - Gemini identification data (mutated with corrected names and d.place)
+ * @param {Object} [options]
+ * @param {string} [options.location] - Location string for the GBIF occurrence check
+ * @param {Date} [options.observedAt] - When the photo was taken (season window for the occurrence check
+ *   and the eBird month); defaults to now
+ * @param {Object} [options.coordinates] - Already geocoded location (skips geocoding options.location)
+ * @param {string} [options.requestId] - Request ID for logging
+ * @returns {Promise<PipelineResult>}
+ */
+async function verifyIdentification(d, options = {}) {
+  const logPrefix = `[${options.requestId || 'pipeline'}]`;
+  const location = options.location || null;
+  const originalName = { scientificName: d.scientificName, commonName: d.commonName };
+
+  // Check if it's a bird (class Aves)
+  const isBird = d.taxonomy?.class?.toLowerCase() === 'aves';
+
+  // Step 2: Verify with GBIF using location
+  console.log(`\n🌍 ${logPrefix} Verifying with GBIF...`);
+  console.log(`   📍 Location from user: "${location}"`);
+  const gbifResult = await verifyWithGBIF(d, location, { date: options.observedAt, coordinates: options.coordinates });
+
+  // Keep the occurrence likelihood with the identification (shown in details, stored with sightings)
+  // A failed search keeps only its error - its zero counts are unknowns, not "no records"
+  if (gbifResult.occurrences?.error) {
+    d.occurrenceCheck = { error: gbifResult.occurrences.error };
+  } else if (gbifResult.occurrences) {
+    const { count, seasonalCount, radiusKm, months, sinceYear, likelihood, status } = gbifResult.occurrences;
+    d.occurrenceCheck = { count, seasonalCount, radiusKm, months, sinceYear, likelihood, status };
+  }
+  // Look-alikes ranked by local records - suggested to the user, never swapped in
+  if (gbifResult.locationRanking.length > 0) {
+    const slim = ({ name, scientificName, taxonKey, reason, isTopPick, localRecords, seasonal, share }) =>
+      ({ name, scientificName, taxonKey, reason, isTopPick, localRecords, seasonal, share });
+    d.locationRanking = gbifResult.locationRanking.map(slim);
+    d.considerAlso = gbifResult.considerAlso.map(slim);
+  }
+
+  // Human-readable place for the result card and sightings log (bare coordinates have no name)
+  const place = options.coordinates || gbifResult.coordinates;
+  if (place?.displayName && place.source !== 'coordinates') {
+    d.place = { name: place.displayName, lat: place.lat, lng: place.lng };
+  }
+
+  // Use GBIF species name if different from Gemini (GBIF takes priority)
+  // This handles taxonomic revisions and synonym updates
+  if (gbifResult.verified) {
+    if (gbifResult.species?.isSynonym && gbifResult.species?.acceptedName) {
+      console.log(`   🔄 ${logPrefix} Name updated (was synonym): ${d.scientificName} → ${gbifResult.species.acceptedName}`);
+      d.scientificName = gbifResult.species.canonicalName || gbifResult.species.acceptedName;
+      if (gbifResult.species.commonName) {
+        d.commonName = gbifResult.species.commonName;
+        console.log(`   🔄 ${logPrefix} Common name updated: ${d.commonName}`);
+      }
+    } else if (!gbifResult.matches && gbifResult.gbifName) {
+      console.log(`   📝 ${logPrefix} Using GBIF species: ${gbifResult.gbifName} (Gemini said: ${d.scientificName})`);
+      d.scientificName = gbifResult.species?.canonicalName || gbifResult.gbifName;
+    }
+  }
+
+  // Step 3: If bird, also verify with eBird (eBird has most current bird taxonomy)
+  let eBirdResult = null;
+  let eBirdSpeciesCode = null;
+  if (isBird) {
+    console.log(`\n🐦 ${logPrefix} Verifying bird with eBird...`);
+    // Pass both scientific name and common name for better synonym resolution
+    eBirdResult = await verifyWithEBird(d.scientificName, d.commonName, d.taxonomy?.subspecies);
+
+    // Use eBird species name - eBird taxonomy is authoritative for birds
+    if (eBirdResult.verified && eBirdResult.found) {
+      if (!eBirdResult.matches || eBirdResult.scientificName !== d.scientificName) {
+        console.log(`   🔄 ${logPrefix} eBird name update: ${d.scientificName} → ${eBirdResult.scientificName}`);
+        if (eBirdResult.nameUpdatedReason) {
+          console.log(`   📝 Reason: ${eBirdResult.nameUpdatedReason}`);
+        }
+      }
+      d.scientificName = eBirdResult.scientificName;
+      d.commonName = eBirdResult.commonName;
+      eBirdSpeciesCode = eBirdResult.speciesCode;
+      // Subspecies group (issf/form) - reported to eBird as the parent species above
+      if (eBirdResult.group) {
+        d.eBirdGroup = eBirdResult.group;
+        console.log(`   🧬 ${logPrefix} eBird subspecies group: ${eBirdResult.group.commonName} (${eBirdResult.group.speciesCode})`);
+      }
+      console.log(`   ✅ ${logPrefix} Using eBird taxonomy: ${d.scientificName} (${d.commonName})`);
+    } else if (eBirdResult.unavailable) {
+      console.log(`   ⚠️ ${logPrefix} eBird taxonomy unavailable - bird name not verified`);
+    } else {
+      // No confident eBird match - keep the model's name (candidates stay in eBirdResult for display)
+      const eBirdData = await getEBirdSpeciesCode(d.scientificName);
+      if (eBirdData.found) eBirdSpeciesCode = eBirdData.speciesCode;
+    }
+  }
+
+  // Step 4: Birds - is it expected in this region and month?
+  let regionalCheck = null;
+  if (isBird && eBirdSpeciesCode && gbifResult.coordinates?.regionCodes?.length) {
+    regionalCheck = checkRegionalFrequency(eBirdSpeciesCode, gbifResult.coordinates.regionCodes, options.observedAt || undefined);
+    if (regionalCheck.checked) {
+      d.regionalCheck = regionalCheck;
+    }
+    // Lower the displayed confidence; the model's own value stays in d.confidence
+    if (regionalCheck.unusual && d.confidence !== null && d.confidence !== undefined) {
+      d.adjustedConfidence = Math.round(d.confidence * regionalCheck.confidenceFactor * 100) / 100;
+      console.log(`   ⚠️ ${logPrefix} Unusual for ${regionalCheck.regionName} in ${regionalCheck.monthName} - confidence ${d.confidence} → ${d.adjustedConfidence}`);
+    }
+  }
+
+  // Get iNaturalist reference photo (uses species only)
+  console.log(`\n📷 ${logPrefix} Getting iNaturalist reference photo...`);
+  const referencePhoto = await getSpeciesPhoto(d.scientificName);
+
+  // Build and validate Wikipedia / iNaturalist / eBird links in parallel
+  const links = await buildSpeciesLinks(d.scientificName, referencePhoto.found ? referencePhoto : null, eBirdSpeciesCode);
+
+  return {
+    success: true,
+    identified: true,
+    data: d,
+    originalName,
+    isBird,
+    gbif: gbifResult,
+    ebird: eBirdResult,
+    eBirdSpeciesCode,
+    regionalCheck,
+    referencePhoto,
+    links
+  };
+}
+
+/**
+ * Identify the animal in an image and verify the result
+ * @param {Buffer|Buffer[]} buffer - Image buffer, or several photos of the same animal identified together
+ *   (the result has data.evidence - field marks per photo - and data.bestPhoto, the photo boundingBox refers to)
+ * @param {Object} [options]
+ * @param {string} [options.mimeType='image/jpeg'] - Image MIME type
+ * @param {string} [options.location] - Location string
+ * @param {Object} [options.coordinates] - Geocoded location picked or shared by the user (see geocoding.geocode)
+ * @param {Date} [options.observedAt] - EXIF capture time; seasonal prompt and checks use now without it
+ * @param {import('./exifService').CameraInfo} [options.camera] - EXIF camera details for the prompt
+ * @param {string} [options.identifyTarget] - What to identify in the image
+ * @param {string} [options.habitat] - Habitat description
+ * @param {string} [options.additionalNotes] - Observer notes
+ * @param {boolean} [options.multiple] - Identify every animal in the image (ignored with identifyTarget or several photos)
+ * @param {string} [options.requestId] - Request ID for logging
+ * @param {{buffer: Buffer, mimeType: string}} [options.sound] - Identify a call: buffer is then its spectrogram and
+ *   sound the recording (see audioService.analyzeRecording)
+ * @returns {Promise<PipelineResult>}
+ */
+async function runIdentificationPipeline(buffer, options = {}) {
+  const logPrefix = `[${options.requestId || 'pipeline'}]`;
+  const { mimeType = 'image/jpeg', location = null, identifyTarget = null, habitat = null, additionalNotes = null } = options;
+  const observedAt = options.observedAt || null;
+  const camera = options.camera || null;
+  const photoCount = Array.isArray(buffer) ? buffer.length : 1;
+  const sound = options.sound || null;
+  const multiple = Boolean(options.multiple && !identifyTarget && photoCount === 1 && !sound);
+
+  // EXIF GPS / shared locations arrive as "lat, lng" - name the place so the model gets habitat context
+  let coordinates = options.coordinates || null;
+  let promptLocation = location;
+  if (parseCoordinates(location)) {
+    if (!coordinates) coordinates = (await geocode(location)).location;
+    if (coordinates.source !== 'coordinates') {
+      console.log(`   📍 ${logPrefix} ${location} → ${coordinates.displayName}`);
+      promptLocation = `${coordinates.displayName} (${location})`;
+    }
+  }
+
+  // Step 1: Identify with Gemini
+  console.log(`\n🤖 ${logPrefix} Starting Gemini analysis...`);
+  if (identifyTarget) {
+    console.log(`   🎯 Target: "${identifyTarget}"`);
+  }
+  if (multiple) {
+    console.log(`   🐾 Multi-animal mode`);
+  }
+  if (photoCount > 1) {
+    console.log(`   🔗 Same-animal mode: ${photoCount} photos`);
+  }
+  if (sound) {
+    console.log(`   🔊 Sound mode: spectrogram + ${sound.mimeType}`);
+  }
+  if (observedAt) {
+    console.log(`   🕒 Taken: ${observedAt.toISOString()}`);
+  }
+  const result = await identifyAnimal(buffer, mimeType, { location: promptLocation, identifyTarget, habitat, additionalNotes, multiple, observedAt, camera, sound });
+
+  if (!result.success) {
+    return { success: false, identified: false, error: result.error, reason: result.error };
+  }
+
+  if (!result.data.identified) {
+    return {
+      success: true,
+      identified: false,
+      model: result.model,
+      reason: result.data.reason || 'unknown',
+      qualityIssue: result.data.qualityIssue || null,
+      suggestion: result.data.suggestion || null
+    };
+  }
+
+  if (result.data.multiple) {
+    // Verify one subject at a time - keeps GBIF/eBird/iNaturalist request bursts small
+    const subjects = [];
+    for (const [index, subject] of result.data.subjects.entries()) {
+      console.log(`\n🐾 ${logPrefix} Subject ${index + 1}/${result.data.subjects.length}: ${subject.commonName}`);
+      const verified = await verifyIdentification(subject, { location, coordinates, observedAt, requestId: options.requestId });
+      subjects.push({ ...verified, model: result.model });
+    }
+    return { success: true, identified: true, multiple: true, model: result.model, subjects };
+  }
+
+  const verified = await verifyIdentification(result.data, { location, coordinates, observedAt, requestId: options.requestId });
+  return { ...verified, model: result.model };
+}
+
+module.exports = {
+  runIdentificationPipeline,
+  verifyIdentification
+};
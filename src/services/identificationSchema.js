@@ -0,0 +1,556 @@
+// Identification Schema - Parse, repair, coerce and validate model JSON responses
+// Everything downstream (pipeline, imageService, details handler) can rely on the shape returned here.
+
+const IDENTIFICATION_LEVELS = ['subspecies', 'species', 'genus', 'family'];
+
+const FAILURE_REASONS = ['low_resolution', 'obstructed', 'too_distant', 'poor_quality', 'no_animal', 'target_not_found'];
+
+const TAXONOMY_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'subfamily', 'genus', 'species', 'subspecies'];
+
+const CONFIDENCE_RANKS = ['family', 'genus', 'species', 'subspecies'];
+
+// Placeholder strings models use instead of JSON null
+const NULL_STRINGS = ['', 'null', 'none', 'n/a', 'na', 'undefined'];
+
+/**
+ * Schema for a successful identification.
+ * type: string | probability | enum | object | array; nullable fields default to null.
+ */
+const IDENTIFICATION_SCHEMA = {
+  identified: { type: 'boolean', required: true },
+  identificationLevel: { type: 'enum', values: IDENTIFICATION_LEVELS, default: 'species' },
+  confidence: { type: 'probability', default: null },
+  commonName: { type: 'string', required: true },
+  scientificName: { type: 'string', required: true },
+  taxonomy: { type: 'object', fields: Object.fromEntries(TAXONOMY_RANKS.map(rank => [rank, { type: 'string', default: null }])) },
+  confidenceLevels: { type: 'object', fields: Object.fromEntries(CONFIDENCE_RANKS.map(rank => [rank, { type: 'probability', default: null }])) },
+  similarSpeciesRuledOut: { type: 'array', default: [] },
+  identificationReasoning: { type: 'string', default: null },
+  sex: { type: 'string', default: null },
+  lifeStage: { type: 'string', default: null },
+  morph: { type: 'string', default: null },
+  migratoryStatus: { type: 'string', default: null },
+  description: { type: 'string', default: null },
+  geographicRange: { type: 'string', default: null },
+  iucnStatus: { type: 'object', fields: { global: { type: 'string', default: null }, local: { type: 'string', default: null } } }
+};
+
+/**
+ * Schema for a "could not identify" response
+ */
+const FAILURE_SCHEMA = {
+  identified: { type: 'boolean', required: true },
+  reason: { type: 'enum', values: FAILURE_REASONS, default: 'poor_quality' },
+  qualityIssue: { type: 'string', default: null },
+  suggestion: { type: 'string', default: null }
+};
+
+// ============================================
+// JSON EXTRACTION AND REPAIR
+// ============================================
+
+/**
+ * Scan JSON text, tracking strings and open brackets.
+ * Records "safe" cut points right after complete values so truncated output can be closed.
+ * @param {string} text
+ * @returns {{stack: string[], inString: boolean, safePoints: Array<{index: number, stack: string[]}>}}
+ */
+function scanJson(text) {
+  const stack = [];
+  const safePoints = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+      safePoints.push({ index: i + 1, stack: [...stack] });
+      if (stack.length === 0) break;
+    } else if (ch === ',') {
+      // Everything before a top-level comma in the current container is complete
+      safePoints.push({ index: i, stack: [...stack] });
+    }
+  }
+
+  return { stack, inString, safePoints };
+}
+
+/**
+ * Remove trailing commas before closing brackets (outside strings)
+ * @param {string} text
+ * @returns {string}
+ */
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      result += ch;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '}' || ch === ']') {
+      result = result.replace(/,\s*$/, '');
+    }
+    result += ch;
+  }
+  return result;
+}
+
+/**
+ * Repair truncated or slightly malformed JSON text
+ * @param {string} text - Text starting at the first "{"
+ * @returns {string|null} Repaired JSON text, or null if nothing could be salvaged
+ */
+function repairJson(text) {
+  const cleaned = removeTrailingCommas(text);
+  const { stack, safePoints } = scanJson(cleaned);
+
+  // Balanced - trailing commas were the only problem (or it's beyond repair)
+  if (stack.length === 0) return cleaned;
+
+  // Truncated: cut back to the last complete value and close every open bracket
+  for (let i = safePoints.length - 1; i >= 0; i--) {
+    const point = safePoints[i];
+    if (point.stack.length === 0) continue;
+    const candidate = cleaned.substring(0, point.index).replace(/,\s*$/, '') + [...point.stack].reverse().join('');
+    try {
+      JSON.parse(candidate);
+      return candidate;
+    } catch (e) {
+      // Try an earlier cut point
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the first JSON object from a model response, repairing it if needed
+ * @param {string} text - Raw model text (may include markdown fences or prose)
+ * @returns {{value: Object|null, repaired: boolean, error: string|null}}
+ */
+function extractJson(text) {
+  if (!text || typeof text !== 'string') {
+    return { value: null, repaired: false, error: 'Empty response' };
+  }
+
+  // Remove markdown code blocks if present
+  const unfenced = text.replace(/```(?:json)?\s*/gi, '').replace(/```/g, '');
+
+  const start = unfenced.indexOf('{');
+  if (start === -1) {
+    return { value: null, repaired: false, error: 'No JSON object in response' };
+  }
+
+  const candidate = unfenced.substring(start);
+  const end = candidate.lastIndexOf('}');
+
+  // Fast path - well-formed JSON
+  if (end !== -1) {
+    try {
+      return { value: JSON.parse(candidate.substring(0, end + 1)), repaired: false, error: null };
+    } catch (e) {
+      // Fall through to repair
+    }
+  }
+
+  const repaired = repairJson(candidate);
+  if (repaired) {
+    try {
+      return { value: JSON.parse(repaired), repaired: true, error: null };
+    } catch (e) {
+      return { value: null, repaired: false, error: `Failed to parse JSON: ${e.message}` };
+    }
+  }
+  return { value: null, repaired: false, error: 'Failed to parse JSON: response is truncated or malformed' };
+}
+
+// ============================================
+// TYPE COERCION
+// ============================================
+
+/**
+ * Coerce to a trimmed string, mapping placeholder values to null
+ */
+function coerceString(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return NULL_STRINGS.includes(trimmed.toLowerCase()) ? null : trimmed;
+}
+
+/**
+ * Coerce to a probability in [0, 1] ("95%", 95 and 0.95 all become 0.95)
+ */
+function coerceProbability(value) {
+  if (value === null || value === undefined) return null;
+  let num = typeof value === 'string' ? parseFloat(value.replace('%', '')) : Number(value);
+  if (!Number.isFinite(num)) return null;
+  if (num > 1 && num <= 100) num = num / 100;
+  return Math.min(1, Math.max(0, num));
+}
+
+/**
+ * Coerce "true"/"yes"/1 style values to booleans
+ */
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const v = value.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(v)) return true;
+    if (['false', 'no', '0'].includes(v)) return false;
+  }
+  return null;
+}
+
+/**
+ * Coerce to one of the allowed values ("Species", "subspecies/species" → "species"/"subspecies")
+ */
+function coerceEnum(value, allowed) {
+  const str = coerceString(value);
+  if (!str) return null;
+  const lower = str.toLowerCase().replace(/\s+/g, '_');
+  if (allowed.includes(lower)) return lower;
+  const token = lower.split(/[^a-z_]+/).find(t => allowed.includes(t));
+  return token || null;
+}
+
+/**
+ * Coerce a value against one schema field definition
+ * @returns {{value: *, error: string|null}}
+ */
+function coerceField(name, value, field) {
+  let coerced;
+  switch (field.type) {
+    case 'boolean':
+      coerced = coerceBoolean(value);
+      break;
+    case 'string':
+      coerced = coerceString(value);
+      break;
+    case 'probability':
+      coerced = coerceProbability(value);
+      break;
+    case 'enum':
+      coerced = coerceEnum(value, field.values);
+      break;
+    case 'array':
+      if (Array.isArray(value)) coerced = value.filter(item => item !== null && item !== undefined && item !== '');
+      else if (typeof value === 'string' && coerceString(value)) coerced = [value.trim()];
+      else coerced = null;
+      break;
+    case 'object': {
+      const source = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      coerced = {};
+      for (const [key, subField] of Object.entries(field.fields)) {
+        coerced[key] = coerceField(`${name}.${key}`, source[key], subField).value;
+      }
+      break;
+    }
+    default:
+      coerced = value;
+  }
+
+  if (coerced === null || coerced === undefined) {
+    if (field.required) {
+      return { value: null, error: `"${name}" is missing or invalid` };
+    }
+    return { value: field.default !== undefined ? clone(field.default) : null, error: null };
+  }
+  return { value: coerced, error: null };
+}
+
+function clone(value) {
+  return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Normalise a scientific name: "genus Species" → "Genus species", collapse whitespace
+ */
+function normalizeScientificName(name) {
+  if (!name) return name;
+  const parts = name.replace(/\s+/g, ' ').trim().split(' ');
+  return parts.map((part, i) => {
+    if (i === 0) return part.charAt(0).toUpperCase() + part.slice(1).toLowerCase();
+    // Keep "sp."/"ssp." and author/parenthesised parts as-is
+    return /^[A-Za-z-]+$/.test(part) ? part.toLowerCase() : part;
+  }).join(' ');
+}
+
+/**
+ * Coerce a bounding box to fractions of the image: {x, y, width, height} in [0, 1]
+ * Accepts {x, y, width, height} (fractions or percentages) and Gemini's native
+ * [ymin, xmin, ymax, xmax] on a 0-1000 scale.
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+function coerceBoundingBox(value) {
+  if (!value) return null;
+  let box;
+
+  if (Array.isArray(value) && value.length === 4 && value.every(v => Number.isFinite(Number(v)))) {
+    const [ymin, xmin, ymax, xmax] = value.map(Number);
+    const scale = Math.max(ymin, xmin, ymax, xmax) > 1 ? 1000 : 1;
+    box = { x: xmin / scale, y: ymin / scale, width: (xmax - xmin) / scale, height: (ymax - ymin) / scale };
+  } else if (typeof value === 'object') {
+    const nums = ['x', 'y', 'width', 'height'].map(key => Number(value[key]));
+    if (!nums.every(Number.isFinite)) return null;
+    const scale = Math.max(...nums) > 1 ? (Math.max(...nums) > 100 ? 1000 : 100) : 1;
+    box = { x: nums[0] / scale, y: nums[1] / scale, width: nums[2] / scale, height: nums[3] / scale };
+  } else {
+    return null;
+  }
+
+  // Clamp to the image and reject empty boxes
+  box.x = Math.min(1, Math.max(0, box.x));
+  box.y = Math.min(1, Math.max(0, box.y));
+  box.width = Math.min(1 - box.x, Math.max(0, box.width));
+  box.height = Math.min(1 - box.y, Math.max(0, box.height));
+  if (box.width < 0.01 || box.height < 0.01) return null;
+  return box;
+}
+
+/**
+ * Coerce same-animal evidence to [{photo, fieldMarks}]
+ * Accepts objects ({photo: 2, fieldMarks: "..." | [...]}) and strings ("Photo 2: yellow eye-ring").
+ * @returns {Array<{photo: number, fieldMarks: string}>}
+ */
+function coerceEvidence(value) {
+  if (!Array.isArray(value)) return [];
+  const evidence = [];
+  for (const item of value) {
+    let photo;
+    let fieldMarks;
+    if (typeof item === 'string') {
+      const match = item.match(/^\s*(?:photo|shot|image)?\s*#?(\d+)\s*[:\-–]\s*(.+)$/i);
+      if (!match) continue;
+      photo = Number(match[1]);
+      fieldMarks = match[2];
+    } else if (item && typeof item === 'object') {
+      photo = parseInt(item.photo, 10);
+      fieldMarks = Array.isArray(item.fieldMarks) ? item.fieldMarks.join('; ') : item.fieldMarks;
+    }
+    fieldMarks = coerceString(fieldMarks);
+    if (Number.isInteger(photo) && photo > 0 && fieldMarks) {
+      evidence.push({ photo, fieldMarks });
+    }
+  }
+  return evidence;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate and coerce a parsed model response
+ * @param {Object} raw - Parsed JSON
+ * @returns {{valid: boolean, data: Object, errors: string[], warnings: string[]}}
+ */
+function validateIdentification(raw) {
+  const errors = [];
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, data: null, errors: ['Response is not a JSON object'], warnings };
+  }
+
+  // The model sometimes omits "identified" on success - infer it from the names
+  let identified = coerceBoolean(raw.identified);
+  if (identified === null) {
+    identified = Boolean(coerceString(raw.scientificName) && !raw.reason);
+    warnings.push('"identified" missing - inferred from response');
+  }
+
+  const schema = identified ? IDENTIFICATION_SCHEMA : FAILURE_SCHEMA;
+  // Keep unknown fields (e.g. boundingBox) so newer prompt additions pass through
+  const data = { ...raw };
+
+  for (const [name, field] of Object.entries(schema)) {
+    if (name === 'identified') continue;
+    const { value, error } = coerceField(name, raw[name], field);
+    if (error) errors.push(error);
+    data[name] = value;
+  }
+  data.identified = identified;
+
+  if (identified && data.scientificName) {
+    data.scientificName = normalizeScientificName(data.scientificName);
+
+    if (!/^[A-Z][a-z]+(\s|$)/.test(data.scientificName)) {
+      errors.push(`"scientificName" is not a valid scientific name: "${data.scientificName}"`);
+    }
+
+    // Fill genus/species from the scientific name when the taxonomy block left them out
+    const [genus, epithet] = data.scientificName.split(' ');
+    if (!data.taxonomy.genus) data.taxonomy.genus = genus;
+    if (!data.taxonomy.species && epithet && !/^spp?\.$/.test(epithet)) data.taxonomy.species = epithet;
+    if (!data.taxonomy.kingdom) data.taxonomy.kingdom = 'Animalia';
+    if (!data.taxonomy.class) warnings.push('"taxonomy.class" missing');
+
+    // iucnStatus given as a plain string
+    if (typeof raw.iucnStatus === 'string') {
+      data.iucnStatus = { global: coerceString(raw.iucnStatus), local: null };
+    }
+
+    // Fall back to the species-level confidence (or vice versa)
+    if (data.confidence === null && data.confidenceLevels.species !== null) {
+      data.confidence = data.confidenceLevels.species;
+    }
+    if (data.confidence === null) warnings.push('"confidence" missing');
+  }
+
+  if (identified) {
+    data.boundingBox = coerceBoundingBox(raw.boundingBox || raw.box_2d);
+  }
+
+  // Same-animal mode: which photo showed which field marks, and the photo the box refers to
+  if (identified && raw.evidence !== undefined) {
+    data.evidence = coerceEvidence(raw.evidence);
+  }
+  if (identified && raw.bestPhoto !== undefined) {
+    const bestPhoto = parseInt(raw.bestPhoto, 10);
+    data.bestPhoto = Number.isInteger(bestPhoto) && bestPhoto > 0 ? bestPhoto : null;
+  }
+
+  if (!identified && !FAILURE_REASONS.includes(raw.reason)) {
+    warnings.push(`Unknown failure reason "${raw.reason}" - using "${data.reason}"`);
+  }
+
+  return { valid: errors.length === 0, data, errors, warnings };
+}
+
+/**
+ * Validate a multi-animal response: {"identified": true, "subjects": [...]}
+ * Invalid subjects are dropped with a warning; it is only an error if none are usable.
+ * @param {Object} raw - Parsed JSON
+ * @returns {{valid: boolean, data: Object, errors: string[], warnings: string[]}}
+ */
+function validateMultiIdentification(raw) {
+  // A single identification (or failure) is accepted and wrapped as one subject
+  if (!Array.isArray(raw?.subjects)) {
+    const single = validateIdentification(raw);
+    if (!single.valid || !single.data.identified) return single;
+    return { ...single, data: { identified: true, multiple: true, subjects: [single.data] } };
+  }
+
+  const errors = [];
+  const warnings = [];
+  const subjects = [];
+
+  raw.subjects.forEach((subject, index) => {
+    const result = validateIdentification({ identified: true, ...subject });
+    if (result.valid && result.data.identified) {
+      subjects.push(result.data);
+    } else {
+      warnings.push(`subjects[${index}] dropped: ${result.errors.join(', ')}`);
+    }
+    result.warnings.forEach(w => warnings.push(`subjects[${index}]: ${w}`));
+  });
+
+  if (subjects.length === 0) {
+    // Empty list with a failure reason is a legitimate "nothing found"
+    if (raw.subjects.length === 0 || raw.identified === false) {
+      const { subjects: _subjects, ...failure } = raw;
+      return validateIdentification({ ...failure, identified: false, reason: raw.reason || 'no_animal' });
+    }
+    errors.push('"subjects" contains no valid identifications');
+  }
+
+  return { valid: errors.length === 0, data: { identified: subjects.length > 0, multiple: true, subjects }, errors, warnings };
+}
+
+/**
+ * Keep same-animal photo references within the photos that were sent
+ * Evidence for photos that don't exist is dropped; bestPhoto falls back to photo 1.
+ * @param {Object} data - Validated single identification (mutated)
+ * @param {number} photoCount
+ * @param {string[]} warnings
+ */
+function checkPhotoReferences(data, photoCount, warnings) {
+  const evidence = data.evidence || [];
+  data.evidence = evidence.filter(item => item.photo <= photoCount);
+  if (data.evidence.length < evidence.length) {
+    warnings.push(`"evidence" cites photos beyond the ${photoCount} sent - dropped`);
+  }
+  if (data.evidence.length === 0) warnings.push('"evidence" missing');
+
+  if (!data.bestPhoto || data.bestPhoto > photoCount) {
+    if (data.bestPhoto) warnings.push(`"bestPhoto" ${data.bestPhoto} is beyond the ${photoCount} photos sent - using photo 1`);
+    data.bestPhoto = 1;
+  }
+}
+
+/**
+ * Extract, repair and validate a raw model response in one step
+ * @param {string} text - Raw model text
+ * @param {Object} [options]
+ * @param {boolean} [options.multiple] - Expect the multi-animal format
+ * @param {number} [options.photoCount] - Photos of the same animal sent together (checks evidence/bestPhoto)
+ * @returns {{valid: boolean, data: Object|null, errors: string[], warnings: string[], repaired: boolean}}
+ */
+function parseIdentificationResponse(text, options = {}) {
+  const extracted = extractJson(text);
+  if (!extracted.value) {
+    return { valid: false, data: null, errors: [extracted.error], warnings: [], repaired: false };
+  }
+  const result = options.multiple ? validateMultiIdentification(extracted.value) : validateIdentification(extracted.value);
+  if (extracted.repaired) result.warnings.push('JSON was truncated or malformed and has been repaired');
+  if (options.photoCount > 1 && result.valid && result.data.identified && !result.data.multiple) {
+    checkPhotoReferences(result.data, options.photoCount, result.warnings);
+  }
+  return { ...result, repaired: extracted.repaired };
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix its previous answer
+ * @param {string} originalPrompt
+ * @param {string[]} errors - Validation errors from the previous answer
+ * @returns {string}
+ */
+function buildRepairPrompt(originalPrompt, errors) {
+  return `${originalPrompt}
+
+⚠️ YOUR PREVIOUS RESPONSE COULD NOT BE USED:
+${errors.map(e => `- ${e}`).join('\n')}
+Return ONLY one complete, valid JSON object in the exact format described above - no markdown, no commentary.`;
+}
+
+module.exports = {
+  IDENTIFICATION_SCHEMA,
+  FAILURE_SCHEMA,
+  FAILURE_REASONS,
+  extractJson,
+  repairJson,
+  coerceBoundingBox,
+  coerceEvidence,
+  validateIdentification,
+  validateMultiIdentification,
+  parseIdentificationResponse,
+  buildRepairPrompt
+};
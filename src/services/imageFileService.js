@@ -0,0 +1,199 @@
+// Image File Service - Photos sent as files (Telegram documents) in formats sharp may not read directly
+//
+// The format is sniffed from the bytes, not the file name:
+//   JPEG, PNG, WebP, AVIF  passed through unchanged
+//   HEIC                   sharp when its libvips can decode HEVC, otherwise heif-convert
+//                          (libheif-examples, installed by startup.sh)
+//   TIFF-based RAW         the largest embedded JPEG preview (CR2, NEF, ARW, DNG), turned upright
+//                          by the RAW file's orientation; a TIFF without previews is read by sharp
+//
+//   HEIF_CONVERT_PATH  Default: heif-convert (on the PATH)
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { readTiffDirectories } = require('./exifService');
+
+const HEIF_CONVERT_PATH = process.env.HEIF_CONVERT_PATH || 'heif-convert';
+const HEIF_CONVERT_TIMEOUT_MS = 60 * 1000;
+
+// Quality of JPEGs made from HEIC and rotated RAW previews (they're only ever viewed, not edited)
+const JPEG_QUALITY = 95;
+
+// Extensions accepted as image documents when Telegram doesn't send an image/* MIME type
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.heic', '.heif', '.tif', '.tiff', '.cr2', '.nef', '.arw', '.dng'];
+
+// image/* types that are not photos (GIFs go through the video handler as animations)
+const NON_PHOTO_MIMES = ['image/gif', 'image/svg+xml', 'image/x-icon', 'image/vnd.microsoft.icon'];
+
+// EXIF Orientation → clockwise rotation (the mirrored orientations don't occur in camera files)
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+/**
+ * @typedef {'jpeg'|'png'|'webp'|'avif'|'heic'|'tiff'} ImageFormat
+ */
+
+/**
+ * Whether a document looks like a photo, before downloading it
+ * @param {Object} file
+ * @param {string} [file.mimeType]
+ * @param {string} [file.fileName]
+ * @returns {boolean}
+ */
+function isImageFile({ mimeType, fileName }) {
+  const mime = (mimeType || '').toLowerCase();
+  if (NON_PHOTO_MIMES.includes(mime)) return false;
+  if (mime.startsWith('image/')) return true;
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Identify an image format from its first bytes
+ * @param {Buffer} buffer
+ * @returns {ImageFormat|null}
+ */
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) return 'jpeg';
+  if (buffer.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    return ['avif', 'avis'].includes(buffer.toString('latin1', 8, 12)) ? 'avif' : 'heic';
+  }
+  const order = buffer.toString('latin1', 0, 2);
+  if (order === 'II' || order === 'MM') return 'tiff';
+  return null;
+}
+
+/**
+ * Embedded JPEG previews of a TIFF-based RAW file, largest first
+ * Candidates are IFDs with a JPEGInterchangeFormat pointer, or a single JPEG-compressed strip.
+ * Lossless-JPEG raw data (DNG, CR2) is skipped because sharp can't decode it.
+ * @param {Buffer} buffer
+ * @param {import('./exifService').TiffDirectories} tiff
+ * @returns {Promise<Array<{buffer: Buffer, width: number, height: number}>>}
+ */
+async function findRawPreviews(buffer, { ifds, start }) {
+  const ranges = [];
+  for (const tags of ifds) {
+    const pointer = tags.get(0x0201)?.[0];
+    const pointerLength = tags.get(0x0202)?.[0];
+    if (pointer && pointerLength) ranges.push([pointer, pointerLength]);
+
+    const compression = tags.get(0x0103)?.[0];
+    const strips = tags.get(0x0111);
+    const stripLengths = tags.get(0x0117);
+    if ((compression === 6 || compression === 7) && strips?.length === 1 && stripLengths?.length === 1) {
+      ranges.push([strips[0], stripLengths[0]]);
+    }
+  }
+
+  const previews = [];
+  for (const [offset, length] of ranges) {
+    const at = start + offset;
+    if (at + length > buffer.length || buffer[at] !== 0xFF || buffer[at + 1] !== 0xD8) continue;
+    const preview = buffer.subarray(at, at + length);
+    try {
+      const { width, height } = await sharp(preview).metadata();
+      if (width && height) previews.push({ buffer: preview, width, height });
+    } catch (e) {
+      // Not a JPEG sharp can read (lossless raw data)
+    }
+  }
+  return previews.sort((a, b) => b.width * b.height - a.width * a.height);
+}
+
+/**
+ * Full-size image from a TIFF-based RAW file: its largest preview, upright
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer|null>} JPEG, or null if the file has no usable preview (a plain TIFF)
+ */
+async function decodeRawPreview(buffer) {
+  const tiff = readTiffDirectories(buffer);
+  const previews = await findRawPreviews(buffer, tiff);
+  if (previews.length === 0) return null;
+
+  const [best] = previews;
+  // What sharp reads from the TIFF itself is usually a thumbnail, but a plain TIFF can be bigger
+  try {
+    const own = await sharp(buffer).metadata();
+    if (own.width * own.height >= best.width * best.height) return null;
+  } catch (e) {
+    // sharp can't read this TIFF - the preview it is
+  }
+
+  // Previews carry no orientation of their own; the RAW file's IFD0 has it
+  const angle = ORIENTATION_ANGLES[tiff.ifds[0].get(0x0112)?.[0]];
+  console.log(`🖼️ RAW preview: ${best.width}x${best.height}${angle ? `, rotated ${angle}°` : ''}`);
+  return angle ? sharp(best.buffer).rotate(angle).jpeg({ quality: JPEG_QUALITY }).toBuffer() : best.buffer;
+}
+
+/**
+ * Convert HEIC with heif-convert (for sharp builds without an HEVC decoder)
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>} JPEG (heif-convert applies the HEIC's rotation)
+ */
+async function convertHeic(buffer) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'heic-'));
+  try {
+    const input = path.join(dir, 'input.heic');
+    const output = path.join(dir, 'output.jpg');
+    await fs.promises.writeFile(input, buffer);
+    await new Promise((resolve, reject) => {
+      execFile(HEIF_CONVERT_PATH, ['-q', String(JPEG_QUALITY), input, output], { timeout: HEIF_CONVERT_TIMEOUT_MS }, (error, stdout, stderr) => {
+        if (error && (error.code === 'ENOENT' || error.code === 'EACCES')) {
+          reject(Object.assign(new Error(`heif-convert not available (${HEIF_CONVERT_PATH})`), { unavailable: true }));
+        } else if (error) {
+          reject(new Error(`Could not convert HEIC: ${String(stderr).trim().split('\n').pop() || error.message}`));
+        } else {
+          resolve();
+        }
+      });
+    });
+    return await fs.promises.readFile(output);
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Turn an image file into something sharp can read, at full resolution
+ * Read EXIF from the original bytes (readPhotoMetadata understands HEIC and RAW too) - the decoded
+ * image may not carry it.
+ * @param {Buffer} buffer - The file as sent
+ * @returns {Promise<{success: boolean, buffer?: Buffer, format?: ImageFormat|null, error?: string, unavailable?: boolean}>}
+ *   unavailable - a converter the format needs is not installed
+ */
+async function decodeImageFile(buffer) {
+  const format = detectImageFormat(buffer);
+  try {
+    if (format === 'heic') {
+      try {
+        return { success: true, format, buffer: await sharp(buffer).rotate().jpeg({ quality: JPEG_QUALITY }).toBuffer() };
+      } catch (e) {
+        // This libvips has no HEVC decoder
+      }
+      return { success: true, format, buffer: await convertHeic(buffer) };
+    }
+
+    if (format === 'tiff') {
+      const preview = await decodeRawPreview(buffer).catch(() => null);
+      if (preview) return { success: true, format, buffer: preview };
+    }
+
+    // Everything else only needs to be readable
+    await sharp(buffer).metadata();
+    return { success: true, format, buffer };
+  } catch (error) {
+    console.error(`❌ Could not decode ${format || 'unknown'} image:`, error.message);
+    return { success: false, format, error: error.message, unavailable: Boolean(error.unavailable) };
+  }
+}
+
+module.exports = {
+  isImageFile,
+  detectImageFormat,
+  decodeImageFile
+};
@@ -6,15 +6,27 @@ const sharp = require('sharp');
 // Falls back to system fonts on local development
 const FONT_FAMILY = 'DejaVu Sans, Liberation Sans, FreeSans, sans-serif';
 
+// Subjects covering less than this share of the photo are shown zoomed in rather than outlined
+const ZOOM_AREA_THRESHOLD = 0.15;
+
+// Outline colour for the identified subject
+const HIGHLIGHT_COLOR = '#FFD600';
+
 /**
  * Create a composite image with photo on left, text panel on right
  * Layout: Badges | Names
+ * With options.userPhoto: User's photo | Reference photo | Text panel
+ * @param {string} photoUrl - Reference photo URL (iNaturalist)
+ * @param {Object} data - Identification data
+ * @param {Object} [options]
+ * @param {Buffer} [options.userPhoto] - The user's photo (or a crop of the subject) shown first
+ * @param {Array<{text: string, color: string, icon: string}>} [options.extraBadges] - Shown before the taxonomy badges
  */
-async function createCompositeImage(photoUrl, data) {
+async function createCompositeImage(photoUrl, data, options = {}) {
   try {
     console.log('🖼️  Creating composite image (HD quality)...');
     
-    const { commonName, scientificName, taxonomy, sex, lifeStage, morph, identificationLevel } = data;
+    const { commonName, scientificName, taxonomy, sex, lifeStage, morph, identificationLevel, eBirdGroup } = data;
     const subspecies = taxonomy?.subspecies || null;
     
     // Debug logging for badge data
@@ -38,7 +50,25 @@ async function createCompositeImage(photoUrl, data) {
     const targetHeight = Math.max(600, Math.min(photoHeight, 900));
     const targetPhotoWidth = Math.round(targetHeight * (photoWidth / photoHeight));
     const textPanelWidth = 550;
-    const totalWidth = targetPhotoWidth + textPanelWidth;
+    
+    // Optional user photo panel - same height, width kept to a sensible aspect range
+    // 'contain' so an outlined subject near the edge is never cropped away
+    let userPanel = null;
+    let userPanelWidth = 0;
+    if (options.userPhoto) {
+      const userMeta = await sharp(options.userPhoto).metadata();
+      const userAspect = (userMeta.width || 1) / (userMeta.height || 1);
+      userPanelWidth = Math.round(targetHeight * Math.min(1.5, Math.max(0.6, userAspect)));
+      userPanel = await sharp(options.userPhoto)
+        .resize(userPanelWidth, targetHeight, {
+          fit: 'contain',
+          background: { r: 26, g: 26, b: 26, alpha: 1 },
+          kernel: sharp.kernel.lanczos3
+        })
+        .toBuffer();
+    }
+    
+    const totalWidth = userPanelWidth + targetPhotoWidth + textPanelWidth;
     
     // Resize photo with high quality settings
     const resizedPhoto = await sharp(orientedPhoto)
@@ -125,7 +155,7 @@ async function createCompositeImage(photoUrl, data) {
     }
     
     // Combine all badges for row layout
-    const allBadges = [...primaryBadge, ...attributeBadges];
+    const allBadges = [...(options.extraBadges || []), ...primaryBadge, ...attributeBadges];
     
     // Check if we should show subspecies section (only when identified at subspecies level)
     const hasValidSubspecies = level === 'subspecies' && subspecies && 
@@ -195,9 +225,21 @@ async function createCompositeImage(photoUrl, data) {
     // Calculate where scientific name should go after common name
     const scientificNameY = bodyY + 42 + (commonNameLines.length * 42) + 12;
     
-    // Build subspecies section if valid
+    // Build subspecies section if valid - an eBird subspecies group takes its place (the card names the parent species)
     const subspeciesY = scientificNameY + 45;
-    const subspeciesSvg = hasValidSubspecies ? `
+    const groupLines = eBirdGroup ? wrapText(eBirdGroup.commonName, 36) : [];
+    const subspeciesSvg = eBirdGroup ? `
+        <!-- eBird subspecies group section -->
+        <text x="24" y="${subspeciesY}" font-family="${FONT_FAMILY}" font-size="13" fill="#888888" font-weight="bold" letter-spacing="1">
+          SUBSPECIES GROUP
+        </text>
+        ${groupLines.map((line, i) =>
+          `<text x="24" y="${subspeciesY + 26 + (i * 26)}" font-family="${FONT_FAMILY}" font-size="20" fill="#aaaaaa">${escapeXml(line)}</text>`
+        ).join('\n        ')}
+        <text x="24" y="${subspeciesY + 26 + (groupLines.length * 26)}" font-family="${FONT_FAMILY}" font-size="16" font-style="italic" fill="#888888">
+          ${escapeXml(eBirdGroup.scientificName)}
+        </text>
+    ` : hasValidSubspecies ? `
         <!-- Subspecies section -->
         <text x="24" y="${subspeciesY}" font-family="${FONT_FAMILY}" font-size="13" fill="#888888" font-weight="bold" letter-spacing="1">
           SUBSPECIES
@@ -240,8 +282,13 @@ async function createCompositeImage(photoUrl, data) {
       }
     })
       .composite([
-        { input: resizedPhoto, left: 0, top: 0 },
-        { input: textPanel, left: targetPhotoWidth, top: 0 }
+        ...(userPanel ? [
+          { input: userPanel, left: 0, top: 0 },
+          { input: photoLabel('YOUR PHOTO', userPanelWidth, targetHeight), left: 0, top: 0 }
+        ] : []),
+        { input: resizedPhoto, left: userPanelWidth, top: 0 },
+        ...(userPanel ? [{ input: photoLabel('REFERENCE', targetPhotoWidth, targetHeight), left: userPanelWidth, top: 0 }] : []),
+        { input: textPanel, left: userPanelWidth + targetPhotoWidth, top: 0 }
       ])
       .jpeg({ 
         quality: 95, // High quality (was 90)
@@ -258,6 +305,102 @@ async function createCompositeImage(photoUrl, data) {
   }
 }
 
+/**
+ * Small caption tag in the bottom-left corner of a photo panel
+ * @returns {Buffer} SVG overlay the size of the panel
+ */
+function photoLabel(text, width, height) {
+  const tagWidth = text.length * 11 + 24;
+  return Buffer.from(`
+    <svg width="${width}" height="${height}">
+      <rect x="12" y="${height - 44}" width="${tagWidth}" height="32" rx="6" fill="#000000" fill-opacity="0.6"/>
+      <text x="24" y="${height - 22}" font-family="${FONT_FAMILY}" font-size="15" font-weight="bold" fill="white" letter-spacing="1">${escapeXml(text)}</text>
+    </svg>
+  `);
+}
+
+/**
+ * Crop the subject inside a bounding box out of the user's photo
+ * @param {Buffer} imageBuffer - Original photo
+ * @param {{x: number, y: number, width: number, height: number}} box - Fractions of the image (0-1)
+ * @param {Object} [options]
+ * @param {number} [options.padding=0.15] - Extra margin around the box, as a fraction of its size
+ * @returns {Promise<Buffer|null>} JPEG buffer, or null if the crop failed
+ */
+async function cropToBoundingBox(imageBuffer, box, options = {}) {
+  if (!imageBuffer || !box) return null;
+  const padding = options.padding ?? 0.15;
+
+  try {
+    // Apply EXIF orientation first - boxes are relative to the image as displayed
+    const oriented = await sharp(imageBuffer).rotate().toBuffer();
+    const { width, height } = await sharp(oriented).metadata();
+    if (!width || !height) return null;
+
+    const padX = box.width * padding;
+    const padY = box.height * padding;
+    const left = Math.max(0, Math.floor((box.x - padX) * width));
+    const top = Math.max(0, Math.floor((box.y - padY) * height));
+    const right = Math.min(width, Math.ceil((box.x + box.width + padX) * width));
+    const bottom = Math.min(height, Math.ceil((box.y + box.height + padY) * height));
+    if (right - left < 8 || bottom - top < 8) return null;
+
+    return await sharp(oriented)
+      .extract({ left, top, width: right - left, height: bottom - top })
+      .jpeg({ quality: 92 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Image crop error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Prepare the user's photo for the result card so people can see which animal was identified
+ * Small subjects are zoomed in (cropped); larger ones are outlined on the full photo.
+ * @param {Buffer} imageBuffer - Original photo
+ * @param {{x: number, y: number, width: number, height: number}|null} box - Subject bounding box (fractions)
+ * @returns {Promise<Buffer|null>} JPEG buffer, or null if the photo could not be processed
+ */
+async function highlightSubject(imageBuffer, box) {
+  if (!imageBuffer) return null;
+
+  try {
+    if (box && box.width * box.height < ZOOM_AREA_THRESHOLD) {
+      const crop = await cropToBoundingBox(imageBuffer, box, { padding: 0.25 });
+      if (crop) return crop;
+    }
+
+    const oriented = await sharp(imageBuffer).rotate().toBuffer();
+    if (!box) {
+      return await sharp(oriented).jpeg({ quality: 92 }).toBuffer();
+    }
+
+    const { width, height } = await sharp(oriented).metadata();
+    const stroke = Math.max(3, Math.round(Math.min(width, height) / 150));
+    const half = stroke / 2;
+    const left = Math.max(half, box.x * width);
+    const top = Math.max(half, box.y * height);
+    const rectWidth = Math.min(width - half, (box.x + box.width) * width) - left;
+    const rectHeight = Math.min(height - half, (box.y + box.height) * height) - top;
+
+    const outlineSvg = `
+      <svg width="${width}" height="${height}">
+        <rect x="${left}" y="${top}" width="${rectWidth}" height="${rectHeight}" rx="${stroke * 2}"
+              fill="none" stroke="${HIGHLIGHT_COLOR}" stroke-width="${stroke}"/>
+      </svg>
+    `;
+
+    return await sharp(oriented)
+      .composite([{ input: Buffer.from(outlineSvg), left: 0, top: 0 }])
+      .jpeg({ quality: 92 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Image highlight error:', error.message);
+    return null;
+  }
+}
+
 /**
  * Escape special XML characters
  */
@@ -272,5 +415,7 @@ function escapeXml(text) {
 }
 
 module.exports = {
-  createCompositeImage
+  createCompositeImage,
+  cropToBoundingBox,
+  highlightSubject
 };
@@ -0,0 +1,118 @@
+// Life List Service - Per-user species list built from stored sightings
+// One entry per accepted species (the GBIF/eBird corrected name), so subspecies and repeat
+// sightings don't inflate the count.
+
+const { sightingsStore } = require('./sightingsStore');
+
+/**
+ * @typedef {Object} LifeListEntry
+ * @property {string} species - Binomial used for deduplication, e.g. "Acridotheres javanicus"
+ * @property {string} commonName
+ * @property {Object} taxonomy
+ * @property {string} firstSeenAt - ISO timestamp of the first sighting
+ * @property {string} firstSightingId
+ * @property {number} count - Number of sightings of this species
+ */
+
+/**
+ * Species key for a scientific name, or null if it is not a confirmed species
+ * "Genus species subspecies" → "Genus species"; "Genus sp." and genus/family IDs → null
+ * @param {string} scientificName
+ * @param {string} [identificationLevel]
+ * @returns {string|null}
+ */
+function speciesKey(scientificName, identificationLevel = 'species') {
+  if (!['species', 'subspecies'].includes(identificationLevel)) return null;
+  const parts = (scientificName || '').trim().split(/\s+/);
+  if (parts.length < 2 || /^spp?\.?$/i.test(parts[1])) return null;
+  return `${parts[0]} ${parts[1].toLowerCase()}`;
+}
+
+/**
+ * Build a user's life list, oldest addition first
+ * @param {number} userId
+ * @returns {LifeListEntry[]}
+ */
+function getLifeList(userId) {
+  const entries = new Map();
+
+  // find() is newest first - walk it backwards so the first sighting wins
+  const sightings = sightingsStore.find({ userId }).reverse();
+  for (const sighting of sightings) {
+    const key = speciesKey(sighting.scientificName, sighting.identificationLevel);
+    if (!key) continue;
+
+    const entry = entries.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(key, {
+        species: key,
+        commonName: sighting.commonName,
+        taxonomy: sighting.taxonomy || {},
+        firstSeenAt: sighting.observedAt,
+        firstSightingId: sighting.id,
+        count: 1
+      });
+    }
+  }
+
+  return [...entries.values()];
+}
+
+/**
+ * Count entries per value of a taxonomy rank, most common first
+ * @param {LifeListEntry[]} list
+ * @param {string} rank - e.g. 'class', 'order', 'family'
+ * @returns {Array<{name: string, count: number}>}
+ */
+function countByRank(list, rank) {
+  const counts = new Map();
+  for (const entry of list) {
+    const name = entry.taxonomy?.[rank] || 'Unknown';
+    counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Summarize a user's life list for /lifelist
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {number} [options.newest=5] - How many recent additions to include
+ * @returns {{total: number, byClass: Array, byOrder: Array, byFamily: Array, newest: LifeListEntry[]}}
+ */
+function getLifeListSummary(userId, options = {}) {
+  const list = getLifeList(userId);
+  return {
+    total: list.length,
+    byClass: countByRank(list, 'class'),
+    byOrder: countByRank(list, 'order'),
+    byFamily: countByRank(list, 'family'),
+    newest: list.slice(-(options.newest || 5)).reverse()
+  };
+}
+
+/**
+ * Check whether an identification would add a species to the user's life list
+ * Call before the sighting is recorded.
+ * @param {number} userId
+ * @param {Object} d - Identification data (corrected names)
+ * @returns {{isNew: boolean, total: number}} total = list size including this species if new
+ */
+function checkNewLifer(userId, d) {
+  const key = speciesKey(d?.scientificName, d?.identificationLevel || 'species');
+  const list = getLifeList(userId);
+  if (!key || !userId) return { isNew: false, total: list.length };
+  const isNew = !list.some(entry => entry.species === key);
+  return { isNew, total: list.length + (isNew ? 1 : 0) };
+}
+
+module.exports = {
+  speciesKey,
+  getLifeList,
+  getLifeListSummary,
+  checkNewLifer
+};
@@ -0,0 +1,134 @@
+// Link Service - Build and validate reference links for an identified species
+
+const { getEBirdUrl } = require('./ebirdService');
+
+/**
+ * Check if a URL returns a valid page (not an error page)
+ */
+async function isValidUrl(url) {
+  try {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+
+    const response = await fetch(url, {
+      method: 'GET',
+      redirect: 'follow',
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; WildlifeBot/1.0)'
+      }
+    });
+    clearTimeout(timeout);
+
+    // Check for success status
+    if (!response.ok) return false;
+
+    // Get HTML content to check for error pages
+    const html = await response.text();
+    const htmlLower = html.toLowerCase();
+
+    // Check for common error page indicators
+    const errorIndicators = [
+      'page not found',
+      '404',
+      'not found',
+      'does not exist',
+      'no results',
+      'no species found',
+      'species not found',
+      'we couldn\'t find',
+      'sorry, we couldn\'t',
+      'no matching',
+      'error page'
+    ];
+
+    // Check title for errors
+    const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
+    const title = titleMatch ? titleMatch[1].toLowerCase() : '';
+
+    // If title contains error indicators, it's likely an error page
+    if (errorIndicators.some(indicator => title.includes(indicator))) {
+      return false;
+    }
+
+    // For Wikipedia, check if it's a search/disambiguation page
+    if (url.includes('wikipedia.org')) {
+      if (response.url.includes('search') ||
+          htmlLower.includes('wikipedia does not have an article') ||
+          htmlLower.includes('search results')) {
+        return false;
+      }
+    }
+
+    // For Singapore Birds, check if species page exists
+    if (url.includes('singaporebirds.com')) {
+      if (htmlLower.includes('page not found') ||
+          htmlLower.includes('no species') ||
+          !htmlLower.includes('<article')) {
+        return false;
+      }
+    }
+
+    // For eBird, check if species exists
+    if (url.includes('ebird.org/species')) {
+      if (htmlLower.includes('species not found') ||
+          htmlLower.includes('no results')) {
+        return false;
+      }
+    }
+
+    return true;
+  } catch (e) {
+    console.log(`   URL check failed for ${url}: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Build Wikipedia / iNaturalist / eBird links for a species and keep only the valid ones
+ * @param {string} scientificName - Final (corrected) scientific name
+ * @param {Object} [iNatPhoto] - Result of getSpeciesPhoto (provides taxonId/taxonName)
+ * @param {string} [eBirdSpeciesCode] - eBird species code (birds only)
+ * @returns {Promise<Array<{name: string, url: string}>>}
+ */
+async function buildSpeciesLinks(scientificName, iNatPhoto = null, eBirdSpeciesCode = null) {
+  // Generate links - use scientific name (genus + species only)
+  const nameParts = scientificName.split(' ');
+  const genusSpecies = `${nameParts[0]} ${nameParts[1] || ''}`.trim();
+  const scientificNameUnderscore = genusSpecies.replace(/\s+/g, '_');
+
+  const candidates = [
+    // Wikipedia uses scientific name with underscores
+    { name: 'Wikipedia', url: `https://en.wikipedia.org/wiki/${scientificNameUnderscore}` }
+  ];
+
+  // iNaturalist - use taxa ID format: /taxa/5367-Gyps-himalayensis
+  if (iNatPhoto?.taxonId && iNatPhoto?.taxonName) {
+    const iNatNameHyphen = iNatPhoto.taxonName.replace(/\s+/g, '-');
+    candidates.push({ name: 'iNaturalist', url: `https://www.inaturalist.org/taxa/${iNatPhoto.taxonId}-${iNatNameHyphen}` });
+  }
+
+  // eBird - direct species link
+  if (eBirdSpeciesCode) {
+    candidates.push({ name: 'eBird', url: getEBirdUrl(eBirdSpeciesCode) });
+  }
+
+  // Validate all links in parallel
+  const checked = await Promise.all(candidates.map(async link => (await isValidUrl(link.url)) ? link : null));
+  return checked.filter(link => link !== null);
+}
+
+/**
+ * Format links as Markdown for Telegram captions
+ * @param {Array<{name: string, url: string}>} links
+ * @returns {string}
+ */
+function formatLinksMarkdown(links) {
+  return links.map(link => `[${link.name}](${link.url})`).join(' • ');
+}
+
+module.exports = {
+  isValidUrl,
+  buildSpeciesLinks,
+  formatLinksMarkdown
+};
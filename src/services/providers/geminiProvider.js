@@ -0,0 +1,61 @@
+// Gemini Provider - Google Generative AI vision models
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Friendly names for log output and API responses
+const DISPLAY_NAMES = {
+  'gemini-2.5-pro': 'Gemini 2.5 Pro',
+  'gemini-2.5-flash': 'Gemini 2.5 Flash',
+  'gemini-2.0-flash': 'Gemini 2.0 Flash'
+};
+
+// Model chain - 2.5 Pro for maximum accuracy, 2.0 Flash as reliable backup
+const DEFAULT_MODELS = ['gemini-2.5-pro', 'gemini-2.0-flash'];
+
+/**
+ * Create a Gemini provider
+ * @param {Object} [config]
+ * @param {string} [config.apiKey] - Defaults to GEMINI_API_KEY
+ * @param {string[]} [config.models] - Model chain, most accurate first
+ * @returns {import('./index').VisionProvider}
+ */
+function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+  let genAI = null;
+
+  return {
+    name: 'gemini',
+    models: config.models?.length ? config.models : DEFAULT_MODELS,
+    supportsAudio: true,
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    displayName(model) {
+      return DISPLAY_NAMES[model] || model;
+    },
+
+    async generate({ model, prompt, media = [], generationConfig }) {
+      if (!genAI) {
+        genAI = new GoogleGenerativeAI(apiKey);
+      }
+
+      const generativeModel = genAI.getGenerativeModel({ model, generationConfig });
+      const result = await generativeModel.generateContent([
+        prompt,
+        ...media.map(item => ({
+          inlineData: {
+            mimeType: item.mimeType,
+            data: item.data
+          }
+        }))
+      ]);
+
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
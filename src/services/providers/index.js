@@ -0,0 +1,118 @@
+// Vision Provider Registry - builds the model chain used by geminiService.identifyAnimal
+//
+// Configure per deployment with environment variables:
+//   VISION_PROVIDERS        Comma-separated provider order (default: gemini)
+//                           e.g. "gemini,openai" or "local,gemini" or "mock"
+//   GEMINI_MODELS           Gemini model chain (default: gemini-2.5-pro,gemini-2.0-flash)
+//   OPENAI_API_KEY          OpenAI (or compatible) API key
+//   OPENAI_BASE_URL         Default: https://api.openai.com/v1
+//   OPENAI_MODELS           Default: gpt-4o
+//   LOCAL_VISION_BASE_URL   OpenAI-compatible local server, e.g. http://localhost:11434/v1 (Ollama)
+//   LOCAL_VISION_API_KEY    Optional
+//   LOCAL_VISION_MODELS     e.g. llava:13b,qwen2.5vl
+//   MOCK_VISION_FIXTURE     Optional JSON file with canned responses for the mock provider
+
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAICompatibleProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+/**
+ * @typedef {Object} MediaPart
+ * @property {string} mimeType - e.g. image/jpeg, audio/ogg
+ * @property {string} data - Base64 encoded bytes
+ */
+
+/**
+ * @typedef {Object} VisionProvider
+ * @property {string} name - Provider name used in VISION_PROVIDERS
+ * @property {string[]} models - Model chain, most accurate first
+ * @property {boolean} supportsAudio - Whether audio media parts can be sent
+ * @property {() => boolean} isConfigured - true if credentials/endpoint are present
+ * @property {(model: string) => string} displayName - Friendly model name
+ * @property {(request: {model: string, prompt: string, media: MediaPart[], generationConfig: Object}) => Promise<string>} generate
+ *   Returns the raw text response
+ */
+
+/**
+ * @typedef {Object} ModelChainEntry
+ * @property {VisionProvider} provider
+ * @property {string} model
+ * @property {string} displayName
+ */
+
+/**
+ * Split a comma-separated env value into a list
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: () => createGeminiProvider({ models: parseList(process.env.GEMINI_MODELS) }),
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    models: parseList(process.env.OPENAI_MODELS || 'gpt-4o')
+  }),
+  local: () => createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_VISION_BASE_URL,
+    apiKey: process.env.LOCAL_VISION_API_KEY,
+    models: parseList(process.env.LOCAL_VISION_MODELS),
+    requireApiKey: false
+  }),
+  mock: () => createMockProvider()
+};
+
+let cachedChain = null;
+
+/**
+ * Build the ordered model chain from VISION_PROVIDERS
+ * Providers that are not configured (missing key/endpoint) are skipped with a warning.
+ * @returns {ModelChainEntry[]}
+ */
+function getModelChain() {
+  if (cachedChain) return cachedChain;
+
+  const names = parseList(process.env.VISION_PROVIDERS || 'gemini');
+  const chain = [];
+
+  for (const name of names) {
+    const factory = PROVIDER_FACTORIES[name.toLowerCase()];
+    if (!factory) {
+      console.warn(`⚠️ Unknown vision provider "${name}" - skipping`);
+      continue;
+    }
+
+    const provider = factory();
+    if (!provider.isConfigured()) {
+      console.warn(`⚠️ Vision provider "${name}" is not configured - skipping`);
+      continue;
+    }
+
+    for (const model of provider.models) {
+      chain.push({ provider, model, displayName: provider.displayName(model) });
+    }
+  }
+
+  cachedChain = chain;
+  return chain;
+}
+
+/**
+ * Register (or replace) a provider factory - lets deployments add custom backends
+ * @param {string} name
+ * @param {() => VisionProvider} factory
+ */
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES[name.toLowerCase()] = factory;
+  cachedChain = null;
+}
+
+module.exports = {
+  getModelChain,
+  registerProvider
+};
@@ -0,0 +1,141 @@
+// Mock Provider - Deterministic offline responses for local development and pipeline testing
+// The same media always produces the same response, and no network access is needed.
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_FIXTURES = [
+  {
+    identified: true,
+    identificationLevel: 'species',
+    confidence: 0.93,
+    commonName: 'Javan Myna',
+    scientificName: 'Acridotheres javanicus',
+    taxonomy: {
+      kingdom: 'Animalia',
+      phylum: 'Chordata',
+      class: 'Aves',
+      order: 'Passeriformes',
+      family: 'Sturnidae',
+      subfamily: null,
+      genus: 'Acridotheres',
+      species: 'javanicus',
+      subspecies: null
+    },
+    confidenceLevels: { family: 0.99, genus: 0.97, species: 0.93, subspecies: null },
+    similarSpeciesRuledOut: [
+      'Common Myna (Acridotheres tristis) - lacks the yellow bare skin around the eye and is browner',
+      'Crested Myna (Acridotheres cristatellus) - has an ivory bill and no white undertail',
+      'Pale-bellied Myna (Acridotheres cinereus) - paler grey underparts'
+    ],
+    identificationReasoning: 'Mock response: dark grey plumage, short frontal crest, yellow bill and legs, white wing patch and undertail coverts.',
+    boundingBox: { x: 0.3, y: 0.25, width: 0.4, height: 0.5 },
+    sex: 'Unknown',
+    lifeStage: 'Adult',
+    morph: null,
+    migratoryStatus: 'Resident',
+    description: 'Medium-sized dark grey starling with a tufted forehead, yellow bill and legs and white wing patches.',
+    geographicRange: 'Native to Java and Bali; introduced and abundant in Singapore and Peninsular Malaysia.',
+    iucnStatus: { global: 'VU (Vulnerable)', local: null }
+  },
+  {
+    identified: true,
+    identificationLevel: 'species',
+    confidence: 0.9,
+    commonName: 'Plantain Squirrel',
+    scientificName: 'Callosciurus notatus',
+    taxonomy: {
+      kingdom: 'Animalia',
+      phylum: 'Chordata',
+      class: 'Mammalia',
+      order: 'Rodentia',
+      family: 'Sciuridae',
+      subfamily: 'Callosciurinae',
+      genus: 'Callosciurus',
+      species: 'notatus',
+      subspecies: null
+    },
+    confidenceLevels: { family: 0.99, genus: 0.95, species: 0.9, subspecies: null },
+    similarSpeciesRuledOut: [
+      'Slender Squirrel (Sundasciurus tenuis) - lacks the black and buff side stripe'
+    ],
+    identificationReasoning: 'Mock response: black and buff lateral stripe with reddish-brown belly.',
+    boundingBox: { x: 0.2, y: 0.4, width: 0.3, height: 0.25 },
+    sex: 'Unknown',
+    lifeStage: 'Adult',
+    morph: null,
+    migratoryStatus: null,
+    description: 'Brown tree squirrel with a black and buff stripe along each side and a rufous belly.',
+    geographicRange: 'Southern Thailand, Peninsular Malaysia, Singapore, Sumatra, Java and Borneo.',
+    iucnStatus: { global: 'LC (Least Concern)', local: null }
+  },
+  {
+    identified: false,
+    reason: 'no_animal',
+    qualityIssue: 'Mock response: no animal detected in the image',
+    suggestion: 'Please send a photo containing an animal'
+  }
+];
+
+/**
+ * Load fixtures from MOCK_VISION_FIXTURE (a JSON object or array) if set
+ * @returns {Object[]}
+ */
+function loadFixtures(fixturePath) {
+  if (!fixturePath) return DEFAULT_FIXTURES;
+  const parsed = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} [config]
+ * @param {string} [config.fixturePath] - Defaults to MOCK_VISION_FIXTURE
+ * @returns {import('./index').VisionProvider}
+ */
+function createMockProvider(config = {}) {
+  const fixturePath = config.fixturePath || process.env.MOCK_VISION_FIXTURE;
+  let fixtures = null;
+
+  return {
+    name: 'mock',
+    models: ['mock-vision'],
+    supportsAudio: true,
+
+    isConfigured() {
+      return true;
+    },
+
+    displayName() {
+      return 'Mock Vision Model';
+    },
+
+    async generate({ prompt, media = [] }) {
+      if (!fixtures) {
+        fixtures = loadFixtures(fixturePath);
+      }
+
+      // Pick a fixture from a hash of the inputs so results are stable per image
+      const hash = crypto.createHash('sha256');
+      for (const item of media) hash.update(item.data);
+      if (media.length === 0) hash.update(prompt);
+      const index = hash.digest().readUInt32BE(0) % fixtures.length;
+      let response = fixtures[index];
+
+      // Several images are shots of the same animal - cite each one like a real model would
+      // (a spectrogram comes with its audio, which is not a second photo)
+      const images = media.filter(item => item.mimeType.startsWith('image/'));
+      if (images.length > 1 && response.identified && !response.evidence) {
+        response = {
+          ...response,
+          evidence: images.map((item, i) => ({ photo: i + 1, fieldMarks: `Mock response: field marks seen in photo ${i + 1}` })),
+          bestPhoto: 1
+        };
+      }
+
+      return '```json\n' + JSON.stringify(response, null, 2) + '\n```';
+    }
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_FIXTURES };
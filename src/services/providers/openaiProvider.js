@@ -0,0 +1,79 @@
+// OpenAI-compatible Provider - any /chat/completions endpoint that accepts image_url parts
+// (OpenAI, Azure OpenAI proxies, OpenRouter, or local servers such as Ollama, LM Studio, vLLM)
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in VISION_PROVIDERS (e.g. 'openai', 'local')
+ * @param {string} config.baseUrl - API base URL, e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Bearer token (optional for local servers)
+ * @param {string[]} config.models - Model chain, most accurate first
+ * @param {boolean} [config.requireApiKey=true] - Local servers usually don't need a key
+ * @param {number} [config.maxTokensDefault=4096]
+ * @returns {import('./index').VisionProvider}
+ */
+function createOpenAICompatibleProvider(config) {
+  const baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  const requireApiKey = config.requireApiKey !== false;
+
+  return {
+    name: config.name,
+    models: config.models || [],
+    supportsAudio: false,
+
+    isConfigured() {
+      return Boolean(baseUrl && this.models.length > 0 && (!requireApiKey || config.apiKey));
+    },
+
+    displayName(model) {
+      return `${model} (${config.name})`;
+    },
+
+    async generate({ model, prompt, media = [], generationConfig = {} }) {
+      const content = [{ type: 'text', text: prompt }];
+      for (const item of media) {
+        // Chat completions only take images - other media must be converted by the caller
+        if (!item.mimeType.startsWith('image/')) continue;
+        content.push({
+          type: 'image_url',
+          image_url: { url: `data:${item.mimeType};base64,${item.data}` }
+        });
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content }],
+          temperature: generationConfig.temperature,
+          top_p: generationConfig.topP,
+          max_tokens: generationConfig.maxOutputTokens || config.maxTokensDefault || 4096
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        // Keep the status code in the message so the retry loop can spot 429s
+        const error = new Error(`${config.name} API error ${response.status}: ${body.substring(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error(`${config.name} returned an empty response`);
+      }
+      // Some servers return content as an array of parts
+      return Array.isArray(text) ? text.map(part => part.text || '').join('') : text;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,257 @@
+// Sightings Store - Durable record of every successful identification
+// Append-only JSON Lines file (one sighting per line), loaded into memory on first use.
+// This is the basis for history, statistics and exports.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { COORDINATE_PATTERN } = require('./geocoding/geo');
+
+// Use /home on Azure for persistence across deployments, fallback to local for dev
+const SIGHTINGS_FILE = process.env.SIGHTINGS_FILE || (process.env.WEBSITE_SITE_NAME
+  ? '/home/sightings.jsonl'  // Azure App Service persistent storage
+  : path.join(__dirname, '..', '..', 'sightings.jsonl'));  // Local development
+
+/**
+ * @typedef {Object} SightingLocation
+ * @property {string|null} text - Location as given (typed place name or "lat, lng")
+ * @property {number|null} lat
+ * @property {number|null} lng
+ * @property {string|null} place - Place name (reverse geocoded for coordinates, e.g. "MacRitchie Reservoir, Singapore")
+ * @property {'exif'|'typed'|'shared'|null} source - Where the location came from (null if none given)
+ */
+
+/**
+ * @typedef {Object} Sighting
+ * @property {string} id - Short unique ID (safe for callback data)
+ * @property {string} recordedAt - ISO timestamp when the sighting was stored
+ * @property {string} observedAt - ISO timestamp of the observation (capture time from the file, or when it was sent)
+ * @property {'exif'|'video'|'recording'|'upload'} observedAtSource - Where observedAt came from: photo EXIF,
+ *   video or recording metadata, or the upload time when the file had none
+ * @property {string} commonName
+ * @property {string} scientificName - Corrected (GBIF/eBird) name
+ * @property {string|null} originalScientificName - Name the model returned, if it was corrected
+ * @property {Object} taxonomy - kingdom → subspecies
+ * @property {string} identificationLevel
+ * @property {number|null} confidence
+ * @property {boolean} isBird
+ * @property {SightingLocation} location
+ * @property {number} chatId
+ * @property {number|null} threadId
+ * @property {number|null} userId
+ * @property {string|null} username
+ * @property {string|null} fileId - Telegram file_id of the user's photo
+ * @property {number|null} messageId - Telegram message ID of the user's photo
+ * @property {number|null} gbifTaxonKey
+ * @property {string|null} eBirdSpeciesCode - Species the bird is reported as
+ * @property {{speciesCode: string, scientificName: string, commonName: string, category: string}|null} eBirdGroup
+ *   eBird subspecies group (issf/form), if identified to one
+ * @property {string|null} referencePhotoUrl
+ * @property {Array<{name: string, url: string}>} links - Validated reference links
+ * @property {import('./exifService').CameraInfo|null} camera - Camera and lens from EXIF
+ * @property {string|null} model - Model that made the identification
+ * @property {Object} identification - Full identification data
+ */
+
+/**
+ * Parse a location string into a SightingLocation
+ * @param {string|null} text
+ * @param {'exif'|'typed'|'shared'|null} source
+ * @param {{lat: number, lng: number}|null} [geocoded] - Geocoded point for a typed place name
+ * @param {string|null} [place] - Place name from the identification (see identificationPipeline d.place)
+ * @returns {SightingLocation}
+ */
+function parseLocation(text, source = null, geocoded = null, place = null) {
+  if (!text || text === 'Unknown location') {
+    return { text: null, lat: null, lng: null, place: null, source: null };
+  }
+  const match = text.match(COORDINATE_PATTERN);
+  if (!match && geocoded) {
+    return { text, lat: geocoded.lat, lng: geocoded.lng, place: place || null, source };
+  }
+  return {
+    text,
+    lat: match ? parseFloat(match[1]) : null,
+    lng: match ? parseFloat(match[2]) : null,
+    place: place || null,
+    source
+  };
+}
+
+/**
+ * Build a sighting from a verified pipeline result
+ * @param {import('./identificationPipeline').PipelineResult} result - Single (not multi-animal) result
+ * @param {Object} context
+ * @param {number} context.chatId
+ * @param {number} [context.threadId]
+ * @param {Object} [context.from] - Telegram user ({id, username, first_name})
+ * @param {string} [context.location] - Location string used for the identification
+ * @param {'exif'|'typed'|'shared'} [context.locationSource]
+ * @param {string} [context.fileId]
+ * @param {number} [context.messageId]
+ * @param {Date|string} [context.observedAt] - Capture time from the file's metadata; defaults to now
+ * @param {'exif'|'video'|'recording'} [context.observedAtSource] - Metadata observedAt was read from (required with observedAt)
+ * @param {Object} [context.camera] - EXIF camera details
+ * @returns {Omit<Sighting, 'id' | 'recordedAt'>}
+ */
+function buildSightingRecord(result, context = {}) {
+  const d = result.data;
+
+  // Drop in-memory helpers such as _originalImageBuffer
+  const identification = Object.fromEntries(Object.entries(d).filter(([key]) => !key.startsWith('_')));
+  const corrected = result.originalName && result.originalName.scientificName !== d.scientificName;
+
+  return {
+    observedAt: new Date(context.observedAt || Date.now()).toISOString(),
+    observedAtSource: context.observedAt ? context.observedAtSource : 'upload',
+    commonName: d.commonName,
+    scientificName: d.scientificName,
+    originalScientificName: corrected ? result.originalName.scientificName : null,
+    taxonomy: d.taxonomy || {},
+    identificationLevel: d.identificationLevel || 'species',
+    confidence: d.confidence ?? null,
+    isBird: Boolean(result.isBird),
+    location: parseLocation(context.location, context.locationSource || null, result.gbif?.coordinates, d.place?.name),
+    chatId: context.chatId,
+    threadId: context.threadId || null,
+    userId: context.from?.id || null,
+    username: context.from?.username || context.from?.first_name || null,
+    fileId: context.fileId || null,
+    messageId: context.messageId || null,
+    gbifTaxonKey: result.gbif?.species?.key || null,
+    eBirdSpeciesCode: result.eBirdSpeciesCode || null,
+    eBirdGroup: d.eBirdGroup || null,
+    referencePhotoUrl: result.referencePhoto?.found ? result.referencePhoto.photoUrl : null,
+    links: result.links || [],
+    camera: context.camera || null,
+    model: result.model || null,
+    identification
+  };
+}
+
+class SightingsStore {
+  /**
+   * @param {string} filePath - JSON Lines file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    /** @type {Sighting[]|null} oldest first, loaded lazily */
+    this.sightings = null;
+    /** @type {Map<string, Sighting>} */
+    this.byId = new Map();
+  }
+
+  /**
+   * Load all sightings from disk (once)
+   * Malformed lines (e.g. a write interrupted by a restart) are skipped.
+   */
+  _load() {
+    if (this.sightings) return;
+    this.sightings = [];
+
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      // Terminate a half-written last line so the next append starts on a fresh line
+      if (content && !content.endsWith('\n')) {
+        fs.appendFileSync(this.filePath, '\n');
+      }
+      const lines = content.split('\n');
+      let skipped = 0;
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const sighting = JSON.parse(line);
+          this.sightings.push(sighting);
+          this.byId.set(sighting.id, sighting);
+        } catch (e) {
+          skipped++;
+        }
+      }
+      console.log(`📒 Loaded ${this.sightings.length} sightings from ${this.filePath}${skipped ? ` (${skipped} malformed lines skipped)` : ''}`);
+    } catch (error) {
+      console.error('Failed to load sightings:', error.message);
+    }
+  }
+
+  /**
+   * Generate a short ID that is not in use yet
+   * @returns {string}
+   */
+  _newId() {
+    let id;
+    do {
+      id = crypto.randomBytes(5).toString('hex');
+    } while (this.byId.has(id));
+    return id;
+  }
+
+  /**
+   * Store a sighting
+   * @param {Omit<Sighting, 'id' | 'recordedAt'>} record - See buildSightingRecord
+   * @returns {Sighting|null} The stored sighting, or null if it could not be written
+   */
+  add(record) {
+    this._load();
+    const sighting = { id: this._newId(), recordedAt: new Date().toISOString(), ...record };
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(sighting) + '\n');
+    } catch (error) {
+      console.error('Failed to save sighting:', error.message);
+      return null;
+    }
+
+    this.sightings.push(sighting);
+    this.byId.set(sighting.id, sighting);
+    return sighting;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Sighting|null}
+   */
+  get(id) {
+    this._load();
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Find sightings, newest first
+   * @param {Object} [filter]
+   * @param {number} [filter.chatId]
+   * @param {number} [filter.userId]
+   * @param {number} [filter.offset=0]
+   * @param {number} [filter.limit] - Omit for all
+   * @returns {Sighting[]}
+   */
+  find(filter = {}) {
+    this._load();
+    const { offset = 0, limit } = filter;
+    const matches = this.sightings
+      .filter(s => filter.chatId === undefined || s.chatId === filter.chatId)
+      .filter(s => filter.userId === undefined || s.userId === filter.userId)
+      .reverse();
+    return limit === undefined ? matches.slice(offset) : matches.slice(offset, offset + limit);
+  }
+
+  /**
+   * Count sightings matching a filter
+   * @param {Object} [filter] - Same as find (without offset/limit)
+   * @returns {number}
+   */
+  count(filter = {}) {
+    return this.find({ chatId: filter.chatId, userId: filter.userId }).length;
+  }
+}
+
+// Shared instance used by the bot and the REST API
+const sightingsStore = new SightingsStore(SIGHTINGS_FILE);
+
+module.exports = {
+  SightingsStore,
+  sightingsStore,
+  buildSightingRecord,
+  parseLocation,
+  SIGHTINGS_FILE
+};
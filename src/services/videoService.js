@@ -0,0 +1,284 @@
+// Video Service - Keyframes from videos and animated GIFs for identification
+//
+// Frames are sampled evenly across the clip and ranked by sharpness (variance of the Laplacian),
+// so motion-blurred and out-of-focus frames are left out. The sharpest few, kept apart in time,
+// are identified together as shots of the same animal.
+//
+// Videos are decoded with ffmpeg (installed by startup.sh); animated GIF/WebP are read by sharp.
+//   FFMPEG_PATH          Default: ffmpeg (on the PATH)
+//   VIDEO_SAMPLE_FRAMES  Frames sampled across the clip (default 12)
+//   VIDEO_KEYFRAMES      Sharpest frames sent for identification (default 3)
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const SAMPLE_FRAMES = Math.max(1, parseInt(process.env.VIDEO_SAMPLE_FRAMES, 10) || 12);
+const KEYFRAMES = Math.max(1, parseInt(process.env.VIDEO_KEYFRAMES, 10) || 3);
+
+// Frames are decoded at most this wide - plenty for identification, and keeps memory in check
+const MAX_FRAME_WIDTH = 1600;
+
+// Sharpness is measured on a small greyscale copy so every frame is scored at the same scale
+const SHARPNESS_SIZE = 512;
+
+// Give up on a clip ffmpeg can't decode in this time
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} Keyframe
+ * @property {Buffer} buffer - PNG
+ * @property {number} time - Seconds from the start of the clip
+ * @property {number} sharpness - Variance of the Laplacian (higher is sharper)
+ */
+
+/**
+ * @typedef {Object} VideoMetadata
+ * @property {number|null} duration - Seconds
+ * @property {Date|null} takenAt - creation_time tag
+ * @property {string|null} location - "lat, lng" from an ISO 6709 location tag (phones write one)
+ */
+
+/**
+ * Run ffmpeg
+ * @param {string[]} args
+ * @returns {Promise<{code: number, stderr: string}>} Rejects only if ffmpeg could not be started
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, ['-hide_banner', '-nostdin', ...args], { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error && (error.code === 'ENOENT' || error.code === 'EACCES')) {
+        reject(Object.assign(new Error(`ffmpeg not available (${FFMPEG_PATH})`), { unavailable: true }));
+        return;
+      }
+      resolve({ code: error ? (error.killed ? -1 : error.code) : 0, stderr: String(stderr) });
+    });
+  });
+}
+
+/**
+ * Duration, creation time and location from ffmpeg's description of the input
+ * @param {string} stderr - Output of `ffmpeg -i <file>`
+ * @returns {VideoMetadata}
+ */
+function parseFfmpegInfo(stderr) {
+  const metadata = { duration: null, takenAt: null, location: null };
+
+  const duration = stderr.match(/Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (duration) {
+    metadata.duration = Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]);
+  }
+
+  const created = stderr.match(/creation_time\s*:\s*(\S+)/);
+  if (created) {
+    const date = new Date(created[1]);
+    // Unset clocks write 1970 (or 1904, the QuickTime epoch)
+    if (!Number.isNaN(date.getTime()) && date.getUTCFullYear() >= 1995 && date.getTime() <= Date.now() + 24 * 60 * 60 * 1000) {
+      metadata.takenAt = date;
+    }
+  }
+
+  // ISO 6709, e.g. "+01.3521+103.8198+015.000/"
+  const location = stderr.match(/location(?:\.ISO6709)?\s*:\s*([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/);
+  if (location) {
+    const lat = Number(location[1]);
+    const lng = Number(location[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && (lat !== 0 || lng !== 0)) {
+      metadata.location = `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Sharpness of a frame: variance of its Laplacian
+ * @param {Buffer} buffer
+ * @returns {Promise<number>}
+ */
+async function measureSharpness(buffer) {
+  const { data, info } = await sharp(buffer)
+    .greyscale()
+    .resize(SHARPNESS_SIZE, SHARPNESS_SIZE, { fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const at = (x, y) => data[(y * width + x) * channels];
+
+  // 4-neighbour Laplacian over the interior pixels
+  let sum = 0;
+  let sumSquares = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const value = at(x - 1, y) + at(x + 1, y) + at(x, y - 1) + at(x, y + 1) - 4 * at(x, y);
+      sum += value;
+      sumSquares += value * value;
+    }
+  }
+  const count = Math.max(1, (width - 2) * (height - 2));
+  return sumSquares / count - (sum / count) ** 2;
+}
+
+/**
+ * Sharpest frames, skipping a frame's direct neighbours so the picks show different moments
+ * @param {Keyframe[]} frames - In time order
+ * @param {number} count
+ * @returns {Keyframe[]} In time order
+ */
+function pickSharpest(frames, count) {
+  const ranked = frames.map((frame, index) => ({ frame, index })).sort((a, b) => b.frame.sharpness - a.frame.sharpness);
+  const picked = [];
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (picked.some(p => Math.abs(p.index - candidate.index) <= 1)) continue;
+    picked.push(candidate);
+  }
+  // Short clips may not have enough frames apart from each other
+  for (const candidate of ranked) {
+    if (picked.length >= count) break;
+    if (!picked.includes(candidate)) picked.push(candidate);
+  }
+  return picked.sort((a, b) => a.index - b.index).map(p => p.frame);
+}
+
+/**
+ * Sample frames from an animated GIF or WebP
+ * @param {Buffer} buffer
+ * @param {number} sampleCount
+ * @returns {Promise<{frames: Array<{buffer: Buffer, time: number}>, duration: number|null}>} Empty for a still image
+ */
+async function sampleAnimatedImage(buffer, sampleCount) {
+  const { pages = 1, delay = [] } = await sharp(buffer, { animated: true }).metadata();
+  if (pages < 2) return { frames: [], duration: null };
+
+  // Frame start times from the per-frame delays (ms)
+  const starts = [];
+  let elapsed = 0;
+  for (let page = 0; page < pages; page++) {
+    starts.push(elapsed / 1000);
+    elapsed += delay[page] || 100;
+  }
+
+  const step = pages / Math.min(sampleCount, pages);
+  const indexes = [...new Set(Array.from({ length: Math.min(sampleCount, pages) }, (_, i) => Math.floor(i * step)))];
+  const frames = [];
+  for (const page of indexes) {
+    frames.push({
+      buffer: await sharp(buffer, { page }).resize(MAX_FRAME_WIDTH, null, { withoutEnlargement: true }).png().toBuffer(),
+      time: starts[page]
+    });
+  }
+  return { frames, duration: elapsed / 1000 };
+}
+
+/**
+ * Sample frames evenly across a video with ffmpeg
+ * @param {Buffer} buffer
+ * @param {number} sampleCount
+ * @param {number|null} knownDuration - Seconds, if the sender reported it
+ * @returns {Promise<VideoMetadata & {frames: Array<{buffer: Buffer, time: number}>}>}
+ */
+async function sampleVideo(buffer, sampleCount, knownDuration) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'keyframes-'));
+  try {
+    const input = path.join(dir, 'input');
+    await fs.promises.writeFile(input, buffer);
+
+    // `ffmpeg -i` with no output describes the input (and exits with an error, which is expected)
+    const info = parseFfmpegInfo((await runFfmpeg(['-i', input])).stderr);
+    const duration = info.duration || knownDuration || null;
+
+    // One frame every duration/sampleCount seconds from the start
+    const rate = duration ? Math.max(sampleCount / duration, 0.01) : 1;
+    const { code, stderr } = await runFfmpeg([
+      '-i', input,
+      '-vf', `fps=${rate.toFixed(4)}:start_time=0:round=near,scale='min(${MAX_FRAME_WIDTH},iw)':-2`,
+      '-frames:v', String(sampleCount),
+      path.join(dir, 'frame-%03d.png')
+    ]);
+
+    const files = (await fs.promises.readdir(dir)).filter(name => name.startsWith('frame-')).sort();
+    if (files.length === 0) {
+      const reason = stderr.trim().split('\n').pop() || `exit code ${code}`;
+      throw new Error(`Could not decode the video: ${reason}`);
+    }
+
+    const frames = [];
+    for (const [index, name] of files.entries()) {
+      frames.push({ buffer: await fs.promises.readFile(path.join(dir, name)), time: index / rate });
+    }
+    return { ...info, duration, frames };
+  } finally {
+    fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Extract the sharpest keyframes of a video or animated image
+ * @param {Buffer} buffer - The file as sent
+ * @param {Object} [options]
+ * @param {string} [options.mimeType] - e.g. video/mp4, image/gif
+ * @param {number} [options.duration] - Seconds, if known (Telegram reports it)
+ * @param {number} [options.keyframes] - How many frames to return (default VIDEO_KEYFRAMES)
+ * @returns {Promise<{success: boolean, frames?: Keyframe[], sampled?: number, metadata?: VideoMetadata, error?: string, notAnimated?: boolean, unavailable?: boolean}>}
+ *   frames in time order; notAnimated - a GIF/WebP with a single frame (identify it as a still image);
+ *   unavailable - ffmpeg is not installed
+ */
+async function extractKeyframes(buffer, options = {}) {
+  const mimeType = options.mimeType || '';
+  const keyframes = options.keyframes || KEYFRAMES;
+  const sampleCount = Math.max(SAMPLE_FRAMES, keyframes);
+
+  try {
+    let sampled;
+    let metadata = { duration: options.duration || null, takenAt: null, location: null };
+
+    if (mimeType === 'image/gif' || mimeType === 'image/webp') {
+      const animation = await sampleAnimatedImage(buffer, sampleCount);
+      if (animation.frames.length === 0) {
+        return { success: false, notAnimated: true, error: 'The image is not animated' };
+      }
+      sampled = animation.frames;
+      metadata.duration = animation.duration;
+    } else {
+      const video = await sampleVideo(buffer, sampleCount, options.duration || null);
+      sampled = video.frames;
+      metadata = { duration: video.duration, takenAt: video.takenAt, location: video.location };
+    }
+
+    const scored = [];
+    for (const frame of sampled) {
+      scored.push({ ...frame, sharpness: await measureSharpness(frame.buffer) });
+    }
+
+    const frames = pickSharpest(scored, keyframes);
+    console.log(`🎞️ Keyframes: ${frames.map(f => `${f.time.toFixed(1)}s (${Math.round(f.sharpness)})`).join(', ')} of ${scored.length} sampled`);
+    return { success: true, frames, sampled: scored.length, metadata };
+  } catch (error) {
+    console.error('❌ Keyframe extraction failed:', error.message);
+    return { success: false, error: error.message, unavailable: Boolean(error.unavailable) };
+  }
+}
+
+/**
+ * "0:04" / "1:02:09"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+module.exports = {
+  extractKeyframes,
+  formatTimestamp,
+  runFfmpeg,
+  parseFfmpegInfo
+};
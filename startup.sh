@@ -4,6 +4,14 @@ echo "Installing fonts for text rendering..."
 apt-get update 2>/dev/null
 apt-get install -y fontconfig fonts-dejavu-core fonts-dejavu fonts-liberation fonts-freefont-ttf --no-install-recommends 2>/dev/null || true
 
+# ffmpeg decodes videos for keyframe identification and recordings for sound identification
+echo "Installing ffmpeg..."
+apt-get install -y ffmpeg --no-install-recommends 2>/dev/null || true
+
+# heif-convert decodes HEIC photos sent as files
+echo "Installing heif-convert..."
+apt-get install -y libheif-examples --no-install-recommends 2>/dev/null || true
+
 # Rebuild font cache
 echo "Rebuilding font cache..."
 fc-cache -f 2>/dev/null || true
@@ -0,0 +1,234 @@
+// Identification pipeline - mock vision provider with GBIF, iNaturalist and link checks stubbed (no network)
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+
+// Everything that would touch the network or the real data files points at the temp dir
+process.env.VISION_PROVIDERS = 'mock';
+process.env.GEOCODERS = 'gazetteer';
+process.env.GEOCODE_CACHE_FILE = path.join(tmpDir, 'geocode-cache.json');
+process.env.EBIRD_TAXONOMY_FILE = path.join(tmpDir, 'ebird-taxonomy.json');
+process.env.EBIRD_REGION_DATA_DIR = path.join(tmpDir, 'ebird-regions');
+delete process.env.EBIRD_API_KEY;
+delete process.env.MOCK_VISION_FIXTURE;
+
+fs.writeFileSync(process.env.EBIRD_TAXONOMY_FILE, JSON.stringify({
+  version: 'test',
+  fetchedAt: new Date().toISOString(),
+  source: 'api',
+  taxa: [
+    { speciesCode: 'javmyn', sciName: 'Acridotheres javanicus', comName: 'Javan Myna', category: 'species', taxonOrder: 1 },
+    { speciesCode: 'commyn', sciName: 'Acridotheres tristis', comName: 'Common Myna', category: 'species', taxonOrder: 2 }
+  ]
+}));
+
+const { runIdentificationPipeline, verifyIdentification } = require('../src/services/identificationPipeline');
+const { registerProvider } = require('../src/services/providers');
+const { describeOccurrenceCheck } = require('../src/services/gbifService');
+const { createMockProvider, DEFAULT_FIXTURES } = require('../src/services/providers/mockProvider');
+
+const [MYNA, SQUIRREL, NO_ANIMAL] = DEFAULT_FIXTURES;
+
+// GBIF backbone keys and local record counts the stubbed API answers with
+const SPECIES = {
+  'Acridotheres javanicus': { key: 101, records: 3 },
+  'Acridotheres tristis': { key: 102, records: 540 },
+  'Acridotheres cristatellus': { key: 103, records: 2 },
+  'Acridotheres cinereus': { key: 104, records: 0 },
+  'Callosciurus notatus': { key: 201, records: 80 },
+  'Sundasciurus tenuis': { key: 202, records: 12 }
+};
+
+let requests = [];
+let occurrenceStatus = 200;
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+function stubFetch(url) {
+  const { hostname, pathname, searchParams } = new URL(String(url));
+  requests.push({ hostname, pathname, searchParams });
+
+  if (hostname === 'api.gbif.org') {
+    if (pathname === '/v1/species/match') {
+      const name = searchParams.get('name');
+      if (name === 'Sciurus notatus') {
+        return jsonResponse({ usageKey: 999, scientificName: 'Sciurus notatus', canonicalName: 'Sciurus notatus', rank: 'SPECIES', status: 'SYNONYM', acceptedUsageKey: 201 });
+      }
+      const species = SPECIES[name];
+      if (!species) return jsonResponse({ matchType: 'NONE' });
+      return jsonResponse({ usageKey: species.key, scientificName: name, canonicalName: name, rank: 'SPECIES', status: 'ACCEPTED', confidence: 99 });
+    }
+    if (pathname === '/v1/species/201') {
+      return jsonResponse({ key: 201, scientificName: 'Callosciurus notatus (Boddaert, 1785)', canonicalName: 'Callosciurus notatus' });
+    }
+    if (pathname === '/v1/species/201/vernacularNames') {
+      return jsonResponse({ results: [{ vernacularName: 'Plantain Squirrel', language: 'eng' }] });
+    }
+    if (pathname === '/v1/occurrence/search') {
+      if (occurrenceStatus !== 200) return jsonResponse({}, occurrenceStatus);
+      const key = Number(searchParams.get('taxonKey'));
+      const records = Object.values(SPECIES).find(s => s.key === key)?.records || 0;
+      // All of them this month, so the season window sees the same count
+      const month = String(new Date().getMonth() + 1);
+      return jsonResponse({ count: records, results: [], facets: [{ field: 'MONTH', counts: [{ name: month, count: records }] }] });
+    }
+    return jsonResponse({ results: [] });
+  }
+
+  if (hostname === 'api.inaturalist.org') return jsonResponse({ results: [] });
+
+  // Reference link checks
+  return new Response('<html><body>Article</body></html>', { status: 200 });
+}
+
+/**
+ * Make the mock provider always answer with this fixture
+ * @param {Object} fixture
+ */
+function useFixture(fixture) {
+  const fixturePath = path.join(tmpDir, 'fixture.json');
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture));
+  registerProvider('mock', () => createMockProvider({ fixturePath }));
+}
+
+const gbifRequests = pathname => requests.filter(r => r.hostname === 'api.gbif.org' && r.pathname === pathname);
+
+const SINGAPORE = { lat: 1.3521, lng: 103.8198, displayName: 'Singapore', countryCode: 'SG', regionCodes: ['SG'], extentKm: 20, source: 'gazetteer' };
+
+const realFetch = global.fetch;
+const realLog = console.log;
+
+before(() => {
+  global.fetch = async url => stubFetch(url);
+  // The pipeline logs every step - keep the test output readable
+  console.log = () => {};
+});
+
+beforeEach(() => {
+  requests = [];
+  occurrenceStatus = 200;
+});
+
+after(() => {
+  global.fetch = realFetch;
+  console.log = realLog;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('verifyIdentification', () => {
+  it('replaces a GBIF synonym with the accepted name and keeps the original', async () => {
+    const d = { ...SQUIRREL, scientificName: 'Sciurus notatus', commonName: 'Squirrel' };
+    const result = await verifyIdentification(d);
+
+    assert.equal(result.success, true);
+    assert.equal(result.isBird, false);
+    assert.equal(result.data.scientificName, 'Callosciurus notatus');
+    assert.equal(result.data.commonName, 'Plantain Squirrel');
+    assert.deepEqual(result.originalName, { scientificName: 'Sciurus notatus', commonName: 'Squirrel' });
+    assert.equal(result.ebird, null);
+  });
+
+  it('keeps the occurrence check and place, and suggests a far more common look-alike', async () => {
+    const d = structuredClone(MYNA);
+    const result = await verifyIdentification(d, { location: 'Singapore', coordinates: SINGAPORE });
+
+    assert.equal(result.data.occurrenceCheck.count, 3);
+    assert.deepEqual(result.data.place, { name: 'Singapore', lat: 1.3521, lng: 103.8198 });
+    assert.equal(result.data.considerAlso.length, 1);
+    assert.equal(result.data.considerAlso[0].scientificName, 'Acridotheres tristis');
+    assert.equal(result.data.locationRanking.find(entry => entry.isTopPick).scientificName, 'Acridotheres javanicus');
+    // Known coordinates are used as given
+    assert.ok(gbifRequests('/v1/occurrence/search').every(r => r.searchParams.get('geoDistance').startsWith('1.3521,103.8198,')));
+  });
+
+  it('skips the look-alikes when the pick\'s own occurrence search fails', async () => {
+    occurrenceStatus = 503;
+    const result = await verifyIdentification(structuredClone(MYNA), { location: 'Singapore', coordinates: SINGAPORE });
+
+    assert.equal(result.data.locationRanking, undefined);
+    assert.equal(result.data.considerAlso, undefined);
+    assert.equal(gbifRequests('/v1/occurrence/search').length, 1);
+    // Unknown, not "no records"
+    assert.deepEqual(Object.keys(result.data.occurrenceCheck), ['error']);
+    assert.equal(describeOccurrenceCheck(result.data.occurrenceCheck), '⚠️ GBIF occurrence check unavailable');
+  });
+
+  it('verifies birds against the eBird taxonomy', async () => {
+    const result = await verifyIdentification(structuredClone(MYNA));
+
+    assert.equal(result.isBird, true);
+    assert.equal(result.ebird.verified, true);
+    assert.equal(result.eBirdSpeciesCode, 'javmyn');
+    assert.ok(result.links.some(link => link.name === 'eBird'));
+  });
+
+  it('does not check occurrences without a location', async () => {
+    const result = await verifyIdentification(structuredClone(SQUIRREL));
+
+    assert.equal(result.gbif.verified, true);
+    assert.equal(result.data.occurrenceCheck, undefined);
+    assert.equal(gbifRequests('/v1/occurrence/search').length, 0);
+  });
+});
+
+describe('runIdentificationPipeline', () => {
+  const photo = Buffer.from('photo-1');
+
+  it('identifies and verifies with the mock model', async () => {
+    useFixture(SQUIRREL);
+    const result = await runIdentificationPipeline(photo, { location: 'Singapore', coordinates: SINGAPORE });
+
+    assert.equal(result.success, true);
+    assert.equal(result.identified, true);
+    assert.equal(result.model, 'Mock Vision Model');
+    assert.equal(result.data.scientificName, 'Callosciurus notatus');
+    assert.equal(result.gbif.verified, true);
+    assert.equal(result.gbif.occurrences.count, 80);
+  });
+
+  it('returns the quality issue and skips verification when nothing is identified', async () => {
+    useFixture(NO_ANIMAL);
+    const result = await runIdentificationPipeline(photo);
+
+    assert.equal(result.success, true);
+    assert.equal(result.identified, false);
+    assert.equal(result.reason, 'no_animal');
+    assert.equal(result.qualityIssue, NO_ANIMAL.qualityIssue);
+    assert.equal(requests.length, 0);
+  });
+
+  it('names "lat, lng" locations and checks occurrences there', async () => {
+    useFixture(SQUIRREL);
+    const result = await runIdentificationPipeline(photo, { location: '1.3521, 103.8198' });
+
+    assert.equal(result.identified, true);
+    assert.equal(result.data.place.lat, 1.3521);
+    assert.equal(result.data.place.lng, 103.8198);
+    assert.ok(gbifRequests('/v1/occurrence/search').some(r => r.searchParams.get('geoDistance').startsWith('1.3521,103.8198,')));
+  });
+
+  it('cites every photo of a same-animal set', async () => {
+    useFixture(MYNA);
+    const result = await runIdentificationPipeline([photo, Buffer.from('photo-2')]);
+
+    assert.equal(result.identified, true);
+    assert.deepEqual(result.data.evidence.map(e => e.photo), [1, 2]);
+    assert.equal(result.data.bestPhoto, 1);
+  });
+
+  it('reports a failure when no model answers', async () => {
+    registerProvider('mock', () => ({ ...createMockProvider(), generate: async () => { throw new Error('model offline'); } }));
+    const result = await runIdentificationPipeline(photo);
+
+    assert.equal(result.success, false);
+    assert.equal(result.identified, false);
+    assert.equal(result.error, 'model offline');
+  });
+});
@@ -0,0 +1,104 @@
+// Mock vision provider - fixture selection
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMockProvider, DEFAULT_FIXTURES } = require('../src/services/providers/mockProvider');
+
+// The default fixtures unless a test sets one
+delete process.env.MOCK_VISION_FIXTURE;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-test-'));
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const image = text => ({ mimeType: 'image/jpeg', data: Buffer.from(text).toString('base64') });
+
+/**
+ * Ask the provider and parse the fenced JSON it answers with
+ * @param {Object} provider
+ * @param {Object} request
+ * @returns {Promise<Object>}
+ */
+async function ask(provider, request) {
+  const text = await provider.generate({ model: 'mock-vision', prompt: 'Identify', media: [], ...request });
+  const match = text.match(/^```json\n([\s\S]*)\n```$/);
+  assert.ok(match, 'response is a fenced JSON block');
+  return JSON.parse(match[1]);
+}
+
+function writeFixture(name, content) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+describe('mock provider', () => {
+  it('always answers the same media with the same fixture', async () => {
+    const provider = createMockProvider();
+    const first = await ask(provider, { media: [image('photo-1')] });
+    const again = await ask(createMockProvider(), { media: [image('photo-1')] });
+
+    assert.deepEqual(again, first);
+    assert.ok(DEFAULT_FIXTURES.some(fixture => fixture.identified === first.identified && fixture.commonName === first.commonName));
+  });
+
+  it('spreads different media over every default fixture', async () => {
+    const provider = createMockProvider();
+    const seen = new Set();
+    for (let i = 0; i < 50 && seen.size < DEFAULT_FIXTURES.length; i++) {
+      const response = await ask(provider, { media: [image(`photo-${i}`)] });
+      seen.add(response.identified ? response.scientificName : response.reason);
+    }
+    assert.deepEqual([...seen].sort(), ['Acridotheres javanicus', 'Callosciurus notatus', 'no_animal']);
+  });
+
+  it('picks by prompt when there is no media', async () => {
+    const provider = createMockProvider();
+    const first = await ask(provider, { prompt: 'Identify this' });
+    assert.deepEqual(await ask(provider, { prompt: 'Identify this' }), first);
+  });
+
+  it('answers with the MOCK_VISION_FIXTURE object', async () => {
+    const fixture = { ...DEFAULT_FIXTURES[1], commonName: 'Test Squirrel' };
+    process.env.MOCK_VISION_FIXTURE = writeFixture('single.json', fixture);
+    try {
+      const provider = createMockProvider();
+      for (const text of ['a', 'b', 'c']) {
+        assert.deepEqual(await ask(provider, { media: [image(text)] }), fixture);
+      }
+    } finally {
+      delete process.env.MOCK_VISION_FIXTURE;
+    }
+  });
+
+  it('picks from a fixture array given as config.fixturePath', async () => {
+    const fixtures = [
+      { identified: false, reason: 'too_blurry' },
+      { identified: false, reason: 'too_dark' }
+    ];
+    const provider = createMockProvider({ fixturePath: writeFixture('array.json', fixtures) });
+    const reasons = new Set();
+    for (let i = 0; i < 20; i++) {
+      reasons.add((await ask(provider, { media: [image(`photo-${i}`)] })).reason);
+    }
+    assert.deepEqual([...reasons].sort(), ['too_blurry', 'too_dark']);
+  });
+
+  it('cites each photo of a same-animal set, but not the audio of a call', async () => {
+    const identified = writeFixture('identified.json', DEFAULT_FIXTURES[0]);
+    const provider = createMockProvider({ fixturePath: identified });
+
+    const photos = await ask(provider, { media: [image('a'), image('b'), image('c')] });
+    assert.deepEqual(photos.evidence.map(e => e.photo), [1, 2, 3]);
+    assert.equal(photos.bestPhoto, 1);
+
+    const call = await ask(provider, { media: [image('spectrogram'), { mimeType: 'audio/wav', data: 'UklGRg==' }] });
+    assert.equal(call.evidence, undefined);
+  });
+});
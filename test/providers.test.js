@@ -0,0 +1,167 @@
+// Vision provider registry - chain order, skipped providers and fallback between models
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getModelChain, registerProvider } = require('../src/services/providers');
+const { identifyAnimal } = require('../src/services/geminiService');
+const { DEFAULT_FIXTURES } = require('../src/services/providers/mockProvider');
+
+const SAVED_ENV = ['VISION_PROVIDERS', 'GEMINI_API_KEY', 'GEMINI_MODELS', 'OPENAI_API_KEY', 'OPENAI_MODELS']
+  .map(name => [name, process.env[name]]);
+
+/**
+ * Register a provider backed by a generate function
+ * Registering also clears the cached chain, so the next getModelChain() reads VISION_PROVIDERS again.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string[]} [options.models]
+ * @param {boolean} [options.configured=true]
+ * @param {Function} [options.generate]
+ * @returns {{calls: Array<Object>}} Every generate request, in order
+ */
+function fakeProvider(name, options = {}) {
+  const calls = [];
+  registerProvider(name, () => ({
+    name,
+    models: options.models || [`${name}-model`],
+    supportsAudio: false,
+    isConfigured: () => options.configured !== false,
+    displayName: model => `${name}/${model}`,
+    async generate(request) {
+      calls.push(request);
+      if (!options.generate) throw new Error(`${name} is not expected to be called`);
+      return options.generate(request, calls.length);
+    }
+  }));
+  return { calls };
+}
+
+const fixtureResponse = fixture => '```json\n' + JSON.stringify(fixture) + '\n```';
+
+const realLog = console.log;
+const realWarn = console.warn;
+let warnings = [];
+
+before(() => {
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+  process.env.GEMINI_MODELS = 'gemini-a,gemini-b';
+  process.env.OPENAI_MODELS = 'gpt-a';
+});
+
+after(() => {
+  console.log = realLog;
+  console.warn = realWarn;
+  for (const [name, value] of SAVED_ENV) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+describe('getModelChain', () => {
+  it('lists every model of each provider in VISION_PROVIDERS order', () => {
+    process.env.GEMINI_API_KEY = 'test-key';
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.VISION_PROVIDERS = 'openai, gemini';
+    fakeProvider('unused');
+
+    const chain = getModelChain();
+    assert.deepEqual(chain.map(entry => `${entry.provider.name}:${entry.model}`), ['openai:gpt-a', 'gemini:gemini-a', 'gemini:gemini-b']);
+  });
+
+  it('skips unknown and unconfigured providers with a warning', () => {
+    delete process.env.OPENAI_API_KEY;
+    process.env.VISION_PROVIDERS = 'nope,openai,offline,mock';
+    fakeProvider('offline', { configured: false });
+    warnings = [];
+
+    const chain = getModelChain();
+    assert.deepEqual(chain.map(entry => entry.provider.name), ['mock']);
+    assert.equal(warnings.length, 3);
+    assert.match(warnings[0], /Unknown vision provider "nope"/);
+    assert.match(warnings[1], /"openai" is not configured/);
+    assert.match(warnings[2], /"offline" is not configured/);
+  });
+
+  it('builds the chain once until a provider is registered', () => {
+    process.env.VISION_PROVIDERS = 'mock';
+    fakeProvider('unused');
+    const chain = getModelChain();
+
+    process.env.VISION_PROVIDERS = 'gemini';
+    assert.equal(getModelChain(), chain);
+
+    fakeProvider('unused');
+    assert.deepEqual(getModelChain().map(entry => entry.provider.name), ['gemini', 'gemini']);
+  });
+
+  it('matches provider names case-insensitively and lets a registered provider replace a built-in one', () => {
+    process.env.VISION_PROVIDERS = 'Mock';
+    fakeProvider('MOCK', { models: ['replacement'] });
+
+    const chain = getModelChain();
+    assert.equal(chain.length, 1);
+    assert.equal(chain[0].displayName, 'MOCK/replacement');
+  });
+});
+
+describe('identifyAnimal fallback', () => {
+  const photo = Buffer.from('photo');
+  const [MYNA] = DEFAULT_FIXTURES;
+
+  it('answers with the first model that succeeds', async () => {
+    process.env.VISION_PROVIDERS = 'first,second';
+    const first = fakeProvider('first', { generate: () => fixtureResponse(MYNA) });
+    const second = fakeProvider('second');
+
+    const result = await identifyAnimal(photo);
+    assert.equal(result.success, true);
+    assert.equal(result.model, 'first/first-model');
+    assert.equal(result.data.scientificName, 'Acridotheres javanicus');
+    assert.equal(first.calls.length, 1);
+    assert.equal(second.calls.length, 0);
+  });
+
+  it('falls back to the next provider when one throws', async () => {
+    process.env.VISION_PROVIDERS = 'broken,working';
+    const broken = fakeProvider('broken', { models: ['b1', 'b2'], generate: () => { throw new Error('connection refused'); } });
+    const working = fakeProvider('working', { generate: () => fixtureResponse(MYNA) });
+
+    const result = await identifyAnimal(photo);
+    assert.equal(result.success, true);
+    assert.equal(result.model, 'working/working-model');
+    // Each model of the broken provider is tried once
+    assert.deepEqual(broken.calls.map(call => call.model), ['b1', 'b2']);
+    assert.equal(working.calls.length, 1);
+  });
+
+  it('re-asks once for an invalid response before moving on', async () => {
+    process.env.VISION_PROVIDERS = 'garbled,working';
+    const garbled = fakeProvider('garbled', { generate: () => '{"identified": true}' });
+    fakeProvider('working', { generate: () => fixtureResponse(MYNA) });
+
+    const result = await identifyAnimal(photo);
+    assert.equal(result.success, true);
+    assert.equal(result.model, 'working/working-model');
+    assert.equal(garbled.calls.length, 2);
+    assert.notEqual(garbled.calls[1].prompt, garbled.calls[0].prompt);
+  });
+
+  it('returns the last error when every model fails', async () => {
+    process.env.VISION_PROVIDERS = 'broken';
+    fakeProvider('broken', { generate: () => { throw new Error('connection refused'); } });
+
+    const result = await identifyAnimal(photo);
+    assert.deepEqual(result, { success: false, error: 'connection refused' });
+  });
+
+  it('fails without calling anything when no provider is configured', async () => {
+    process.env.VISION_PROVIDERS = 'offline';
+    fakeProvider('offline', { configured: false });
+
+    const result = await identifyAnimal(photo);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'No vision model providers are configured');
+  });
+});